@@ -0,0 +1,23 @@
+import { createBotApi } from "./src/botApi.js";
+import { createAlertService } from "./src/alertService.js";
+import { readWatchlist } from "./src/watchlist.js";
+
+// Env: TELEGRAM_BOT_TOKEN (required), WATCHLIST_FILE, POLL_INTERVAL_MS, TELEGRAM_API_URL
+const token = process.env.TELEGRAM_BOT_TOKEN;
+if (!token) {
+  console.error("TELEGRAM_BOT_TOKEN is not set");
+  process.exit(1);
+}
+
+const watchlistFile = process.env.WATCHLIST_FILE ?? "watchlist.json";
+const interval = Number(process.env.POLL_INTERVAL_MS) || 60 * 1000;
+const bot = createBotApi({ token, baseUrl: process.env.TELEGRAM_API_URL || undefined });
+const service = createAlertService({ bot, loadWatches: () => readWatchlist(watchlistFile) });
+
+const run = () => service.tick()
+  .then((sent) => sent.forEach((m) => console.log(`→ ${m.chatId}: ${m.text}`)))
+  .catch((e) => console.error(e));
+
+console.log(`Watching ${watchlistFile} every ${interval / 1000}s`);
+run();
+setInterval(run, interval);
@@ -0,0 +1,34 @@
+import { createServer } from "node:http";
+import { join } from "node:path";
+import { createProxy } from "./src/proxy.js";
+import { createBotApi } from "./src/botApi.js";
+import { createJsonStore } from "./src/jsonStore.js";
+import { createReceiptApi } from "./src/receiptApi.js";
+import { createUserApi } from "./src/userApi.js";
+import { createUserStore } from "./src/userStore.js";
+import { createWorkspaceApi } from "./src/workspaceApi.js";
+
+// Env: PORT (8787), ALLOWED_ORIGIN (*),
+//      TELEGRAM_BOT_TOKEN (enables /me, /sync, /workspaces and /receipts), DATA_DIR (data)
+const port = Number(process.env.PORT) || 8787;
+const allowOrigin = process.env.ALLOWED_ORIGIN || "*";
+const proxy = createProxy({ allowOrigin });
+const token = process.env.TELEGRAM_BOT_TOKEN;
+const dataDir = process.env.DATA_DIR || "data";
+const users = createUserStore({ dir: join(dataDir, "users") });
+const workspaces = createJsonStore({ dir: join(dataDir, "workspaces"), empty: () => null });
+const apis = token ? [
+  createUserApi({ botToken: token, store: users, allowOrigin }),
+  createWorkspaceApi({ botToken: token, workspaces, users, allowOrigin }),
+  createReceiptApi({ botToken: token, botApi: createBotApi({ token }), allowOrigin }),
+] : [];
+
+createServer((req, res) => {
+  const pathname = new URL(req.url, "http://proxy").pathname;
+  const handler = apis.find((api) => api.owns(pathname)) ?? proxy;
+  handler.handle(req, res).catch((e) => {
+    console.error(e);
+    if (!res.headersSent) res.writeHead(500, { "content-type": "application/json" });
+    res.end(JSON.stringify({ error: "internal error" }));
+  });
+}).listen(port, () => console.log(`Rate proxy on :${port}${apis.length ? ", sync, workspaces and receipts enabled" : ""}`));
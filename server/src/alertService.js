@@ -0,0 +1,56 @@
+import { providers, withDependencies, loadSnapshot, snapshotFor, snapshotKey, isFresh } from "../../src/lib/providers/index.js";
+import { evaluateRules, ruleValue, rulePairs, alertMessage } from "../../src/lib/alerts.js";
+
+// Evaluates every chat's watchlist against fresh snapshots and messages the chats whose
+// rules fired. Same rules and crossing logic as the Web App (src/lib/alerts).
+// loadWatches() -> [{ chatId, rules }]
+export function createAlertService({ bot, loadWatches, registry = providers, fetchImpl = fetch, now = () => Date.now(), log = console }) {
+  let snapshots = {};
+  const states = {}; // { [chatId]: { [ruleId]: state } }
+  const sourceLabel = (id) => registry.get(id)?.caption ?? id;
+
+  // Loads stale snapshots for the pairs (and whatever their sources quote from).
+  async function refresh(pairs) {
+    const queue = new Map();
+    pairs.forEach(({ currency, source }) => {
+      if (!registry.get(source)?.supports(currency, "RUB")) return;
+      withDependencies(registry, source).forEach((p) => {
+        if (p.derived || isFresh(snapshotFor(snapshots, p, currency), p, now())) return;
+        queue.set(snapshotKey(p, currency), { provider: p, currency });
+      });
+    });
+    await Promise.all([...queue.values()].map(async ({ provider, currency }) => {
+      try {
+        const { key, snapshot } = await loadSnapshot(provider, { currency, fetchImpl, now: now() });
+        snapshots = { ...snapshots, [key]: snapshot };
+      } catch (e) {
+        log.warn(`${provider.id}: ${e.message}`);
+      }
+    }));
+  }
+
+  // One polling round. Resolves with the messages sent: [{ chatId, ruleId, text }].
+  async function tick() {
+    const watches = await loadWatches();
+    await refresh(rulePairs(watches.flatMap((w) => w.rules)));
+    const sent = [];
+    const current = snapshots;
+    const valueFor = (rule) => ruleValue(registry, rule, current);
+    for (const { chatId, rules } of watches) {
+      const result = evaluateRules(rules, { valueFor, states: states[chatId], now: now() });
+      states[chatId] = result.states;
+      for (const { rule, value } of result.fired) {
+        const text = alertMessage(rule, value, { sourceLabel });
+        try {
+          await bot.sendMessage(chatId, text);
+          sent.push({ chatId, ruleId: rule.id, text });
+        } catch (e) {
+          log.error(`chat ${chatId}: ${e.message}`);
+        }
+      }
+    }
+    return sent;
+  }
+
+  return { tick, snapshots: () => snapshots };
+}
@@ -0,0 +1,28 @@
+// Minimal Telegram Bot API client. `baseUrl` points at a mock server in tests.
+export function createBotApi({ token, baseUrl = "https://api.telegram.org", fetchImpl = fetch }) {
+  async function call(method, params = {}) {
+    const res = await fetchImpl(`${baseUrl}/bot${token}/${method}`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(params),
+    });
+    const body = await res.json().catch(() => null);
+    if (!body?.ok) throw new Error(`Telegram ${method} failed: ${body?.description ?? res.status}`);
+    return body.result;
+  }
+  // Files go up as multipart/form-data; `bytes` is a Buffer / Uint8Array.
+  async function upload(method, params, field, { fileName, bytes, type }) {
+    const form = new FormData();
+    Object.entries(params).forEach(([key, value]) => form.append(key, String(value)));
+    form.append(field, new Blob([bytes], { type }), fileName);
+    const res = await fetchImpl(`${baseUrl}/bot${token}/${method}`, { method: "POST", body: form });
+    const body = await res.json().catch(() => null);
+    if (!body?.ok) throw new Error(`Telegram ${method} failed: ${body?.description ?? res.status}`);
+    return body.result;
+  }
+  return {
+    call,
+    sendMessage: (chatId, text, extra = {}) => call("sendMessage", { chat_id: chatId, text, ...extra }),
+    sendDocument: (chatId, file, extra = {}) => upload("sendDocument", { chat_id: chatId, ...extra }, "document", file),
+  };
+}
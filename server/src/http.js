@@ -0,0 +1,57 @@
+import { verifyInitData } from "./initData.js";
+
+// Shared bits of the JSON APIs (userApi, workspaceApi).
+
+export const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+export async function readJson(req, limit) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw httpError(413, "body too large");
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+  } catch {
+    throw httpError(400, "body is not JSON");
+  }
+}
+
+export function sendJson(res, status, body, allowOrigin) {
+  res.writeHead(status, { "content-type": "application/json; charset=utf-8", "access-control-allow-origin": allowOrigin, "cache-control": "no-store" });
+  res.end(JSON.stringify(body));
+}
+
+export function preflight(res, allowOrigin, methods) {
+  res.writeHead(204, {
+    "access-control-allow-origin": allowOrigin,
+    "access-control-allow-methods": methods,
+    "access-control-allow-headers": "authorization, content-type",
+    "access-control-max-age": "86400",
+  });
+  res.end();
+}
+
+// Verified initData from `Authorization: tma <initData>`; 401 otherwise.
+export function authenticate(req, botToken, now) {
+  const [scheme, initData] = (req.headers.authorization ?? "").split(/ (.*)/s);
+  try {
+    if (scheme !== "tma") throw new Error("expected Authorization: tma <initData>");
+    return verifyInitData(initData, botToken, { now });
+  } catch (e) {
+    throw httpError(401, e.message);
+  }
+}
+
+// Runs `fn`; errors with a status become that response, anything else propagates (500).
+export async function respond(res, allowOrigin, fn) {
+  try {
+    const [status, body] = await fn();
+    sendJson(res, status, body, allowOrigin);
+  } catch (e) {
+    if (!e.status) throw e;
+    sendJson(res, e.status, { error: e.message }, allowOrigin);
+  }
+}
@@ -0,0 +1,30 @@
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+// Telegram Web App initData check
+// (https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app):
+// secret = HMAC-SHA256(key "WebAppData", bot token), hash = HMAC-SHA256(secret, data-check-string)
+// where the data-check-string is every other field as key=value, sorted, joined with "\n".
+
+export const dataCheckString = (params) =>
+  [...params.entries()].filter(([k]) => k !== "hash").map(([k, v]) => `${k}=${v}`).sort().join("\n");
+
+export const initDataHash = (params, botToken) => {
+  const secret = createHmac("sha256", "WebAppData").update(botToken).digest();
+  return createHmac("sha256", secret).update(dataCheckString(params)).digest("hex");
+};
+
+// Returns { user, authDate, startParam }; throws when the data is unsigned, forged or too old.
+export function verifyInitData(initData, botToken, { maxAgeSeconds = 24 * 60 * 60, now = Date.now() } = {}) {
+  const params = new URLSearchParams(initData ?? "");
+  const hash = params.get("hash");
+  if (!hash) throw new Error("initData is not signed");
+  const expected = Buffer.from(initDataHash(params, botToken), "hex");
+  const given = Buffer.from(hash, "hex");
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) throw new Error("initData signature mismatch");
+  const authDate = Number(params.get("auth_date"));
+  if (!authDate || now / 1000 - authDate > maxAgeSeconds) throw new Error("initData expired");
+  let user;
+  try { user = JSON.parse(params.get("user")); } catch { user = null; }
+  if (!Number.isInteger(user?.id)) throw new Error("initData has no user");
+  return { user, authDate, startParam: params.get("start_param") };
+}
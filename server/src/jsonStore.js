@@ -0,0 +1,40 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+// One JSON document per key in `dir` (`empty()` when there is none yet).
+// Writes go to a temp file and are renamed into place; updates for one key run one at a time.
+export function createJsonStore({ dir, empty }) {
+  const queues = new Map(); // key -> tail of its update chain
+  const file = (key) => join(dir, `${key}.json`);
+
+  async function read(key) {
+    try {
+      return JSON.parse(await readFile(file(key), "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return empty();
+      throw e;
+    }
+  }
+
+  async function write(key, doc) {
+    await mkdir(dir, { recursive: true });
+    const tmp = `${file(key)}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(doc));
+    await rename(tmp, file(key));
+  }
+
+  // fn(doc) -> next doc; resolves with what was written.
+  function update(key, fn) {
+    const run = (queues.get(key) ?? Promise.resolve()).then(async () => {
+      const next = await fn(await read(key));
+      await write(key, next);
+      return next;
+    });
+    const tail = run.catch(() => {});
+    queues.set(key, tail);
+    tail.then(() => queues.get(key) === tail && queues.delete(key));
+    return run;
+  }
+
+  return { read, update };
+}
@@ -0,0 +1,100 @@
+import { providers } from "../../src/lib/providers/index.js";
+import { isArchiveDate } from "../../src/lib/providers/cbrf.js";
+
+// Upstream cache TTLs per route. Archived CBRF days never change, so they keep for a week.
+export const DEFAULT_TTL = {
+  market: 5 * 60 * 1000,
+  cbrf: 60 * 60 * 1000,
+  cbrfArchive: 7 * 24 * 60 * 60 * 1000,
+  bitkub: 10 * 1000,
+};
+
+// The proxy is open, so the cache is bounded (least recently used entries go first).
+export const DEFAULT_MAX_ENTRIES = 500;
+
+// path -> (query, { registry, now }) => { provider, currency?, date?, ttlKey } | { error }
+// Only what the providers can quote gets through: every new key costs upstream requests
+// (an archive date up to ARCHIVE_FALLBACK_DAYS + 1 of them).
+const ROUTES = {
+  "/rates/market": (q, { registry }) => {
+    const currency = (q.get("base") ?? "").toUpperCase();
+    return /^[A-Z]{3,5}$/.test(currency) && registry.get("market").supports(currency, "RUB")
+      ? { provider: "market", currency, ttlKey: "market" }
+      : { error: "base must be a supported currency code" };
+  },
+  "/rates/cbrf": (q, { now }) => {
+    const date = q.get("date") || null;
+    if (date && !isArchiveDate(date, now())) return { error: "date must be a past day as YYYY-MM-DD" };
+    return { provider: "cbrf", date, ttlKey: date ? "cbrfArchive" : "cbrf" };
+  },
+  "/depth/bitkub": () => ({ provider: "bitkub", ttlKey: "bitkub" }),
+};
+
+// Raw upstream payloads behind one cache. Responses are { data, fetchedAt, stale };
+// when an upstream fails the last good payload is served with stale: true.
+// Concurrent misses for the same key share one upstream request.
+export function createProxy({ registry = providers, fetchImpl = fetch, now = () => Date.now(), ttl = DEFAULT_TTL, maxEntries = DEFAULT_MAX_ENTRIES, allowOrigin = "*", log = console } = {}) {
+  const cache = new Map(); // key -> { data, fetchedAt }, oldest use first
+  const inflight = new Map(); // key -> Promise
+
+  const remember = (key, entry) => {
+    cache.delete(key);
+    cache.set(key, entry);
+    if (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+  };
+
+  async function load(key, { provider, currency, date }) {
+    if (!inflight.has(key)) {
+      const request = registry.get(provider).fetch({ currency, date, fetchImpl })
+        .then((data) => {
+          const entry = { data, fetchedAt: now() };
+          remember(key, entry);
+          return entry;
+        })
+        .finally(() => inflight.delete(key));
+      inflight.set(key, request);
+    }
+    return inflight.get(key);
+  }
+
+  // Resolves with [status, body, maxAgeSeconds].
+  async function resolve(route) {
+    const key = [route.provider, route.currency, route.date].filter(Boolean).join(":");
+    const cached = cache.get(key);
+    if (cached) remember(key, cached);
+    const maxAge = ttl[route.ttlKey];
+    if (cached && now() - cached.fetchedAt < maxAge) return [200, { ...cached, stale: false }, Math.ceil((maxAge - (now() - cached.fetchedAt)) / 1000)];
+    try {
+      const fresh = await load(key, route);
+      return [200, { ...fresh, stale: false }, Math.ceil(maxAge / 1000)];
+    } catch (e) {
+      log.warn(`${key}: ${e.message}`);
+      return cached ? [200, { ...cached, stale: true }, 0] : [502, { error: `${route.provider} upstream unavailable` }, 0];
+    }
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://proxy");
+    const send = (status, body, maxAge = 0) => {
+      res.writeHead(status, {
+        "content-type": "application/json; charset=utf-8",
+        "access-control-allow-origin": allowOrigin,
+        "cache-control": maxAge > 0 ? `public, max-age=${maxAge}` : "no-store",
+      });
+      res.end(JSON.stringify(body));
+    };
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, { "access-control-allow-origin": allowOrigin, "access-control-allow-methods": "GET", "access-control-max-age": "86400" });
+      res.end();
+      return;
+    }
+    if (req.method !== "GET") return send(405, { error: "GET only" });
+    if (url.pathname === "/health") return send(200, { ok: true });
+    const route = ROUTES[url.pathname]?.(url.searchParams, { registry, now });
+    if (!route) return send(404, { error: "not found" });
+    if (route.error) return send(400, { error: route.error });
+    send(...(await resolve(route)));
+  }
+
+  return { handle, cache };
+}
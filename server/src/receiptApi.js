@@ -0,0 +1,36 @@
+import { authenticate, httpError, preflight, readJson, respond } from "./http.js";
+
+const FILE_NAME = /^[\w.-]{1,80}\.pdf$/;
+
+// POST /receipts { fileName, caption, pdf: base64 } – a PDF receipt built by the Web App
+// (src/lib/receipt), sent by the bot into the user's private chat, from where it can be
+// forwarded. The verified initData user is the only possible recipient.
+export function createReceiptApi({ botToken, botApi, allowOrigin = "*", now = () => Date.now(), maxBodyBytes = 2 * 1024 * 1024 }) {
+  const owns = (pathname) => pathname === "/receipts";
+
+  function decode({ fileName, caption = "", pdf }) {
+    if (typeof fileName !== "string" || !FILE_NAME.test(fileName)) throw httpError(400, "fileName must look like name.pdf");
+    if (typeof caption !== "string" || caption.length > 1024) throw httpError(400, "caption must be text up to 1024 characters");
+    const bytes = typeof pdf === "string" ? Buffer.from(pdf, "base64") : null;
+    if (!bytes || bytes.subarray(0, 5).toString("latin1") !== "%PDF-") throw httpError(400, "pdf must be a base64 PDF document");
+    return { fileName, caption, bytes };
+  }
+
+  async function handle(req, res) {
+    if (req.method === "OPTIONS") return preflight(res, allowOrigin, "POST");
+    await respond(res, allowOrigin, async () => {
+      const { user } = authenticate(req, botToken, now());
+      if (req.method !== "POST") throw httpError(405, `${req.method} not allowed`);
+      const { fileName, caption, bytes } = decode(await readJson(req, maxBodyBytes));
+      try {
+        const message = await botApi.sendDocument(user.id, { fileName, bytes, type: "application/pdf" }, caption ? { caption } : {});
+        return [200, { messageId: message.message_id }];
+      } catch (e) {
+        // usually the user has not opened the bot chat yet
+        throw httpError(502, e.message);
+      }
+    });
+  }
+
+  return { owns, handle };
+}
@@ -0,0 +1,40 @@
+import { authenticate, httpError, preflight, readJson, respond } from "./http.js";
+import { syncedSettings, toRecord, mergeRecords } from "../../src/lib/sync.js";
+
+const ROUTES = ["/me", "/sync"];
+
+// Per-user settings and history for the Web App (protocol in src/lib/sync).
+// Every request carries `Authorization: tma <initData>`; the Telegram user id from the
+// verified initData is the only identity, so users can only reach their own data.
+export function createUserApi({ botToken, store, allowOrigin = "*", now = () => Date.now(), maxBodyBytes = 1024 * 1024, maxRecords = 5000 }) {
+  const owns = (pathname) => ROUTES.includes(pathname);
+
+  async function sync(userId, body) {
+    const changes = (Array.isArray(body.changes) ? body.changes : []).map(toRecord).filter(Boolean);
+    const incoming = body.settings && Number.isFinite(body.settings.updatedAt)
+      ? { value: syncedSettings(body.settings.value), updatedAt: body.settings.updatedAt }
+      : null;
+    return store.update(userId, (doc) => {
+      const settings = incoming && (!doc.settings || incoming.updatedAt > doc.settings.updatedAt) ? incoming : doc.settings;
+      // oldest records (tombstones included) go first once the cap is hit
+      const history = mergeRecords(doc.history, changes).sort((a, b) => b.updatedAt - a.updatedAt).slice(0, maxRecords);
+      return { ...doc, settings, history };
+    });
+  }
+
+  async function handle(req, res) {
+    if (req.method === "OPTIONS") return preflight(res, allowOrigin, "GET, POST");
+    const { pathname } = new URL(req.url, "http://api");
+    await respond(res, allowOrigin, async () => {
+      const { user } = authenticate(req, botToken, now());
+      if (pathname === "/me" && req.method === "GET") return [200, { user }];
+      if (pathname === "/sync" && req.method === "POST") {
+        const doc = await sync(user.id, await readJson(req, maxBodyBytes));
+        return [200, { settings: doc.settings, history: doc.history }];
+      }
+      throw httpError(405, `${req.method} not allowed`);
+    });
+  }
+
+  return { owns, handle };
+}
@@ -0,0 +1,6 @@
+import { createJsonStore } from "./jsonStore.js";
+
+// One file per Telegram user:
+//   { settings: { value, updatedAt } | null, history: [record], workspaces: [workspaceId] }
+// records as in src/lib/sync.
+export const createUserStore = ({ dir }) => createJsonStore({ dir, empty: () => ({ settings: null, history: [], workspaces: [] }) });
@@ -0,0 +1,16 @@
+import { readFile } from "node:fs/promises";
+
+// Watchlist file: [{ chatId, rules: [rule] }], rules as in src/lib/alerts
+// (the Web App's "Для бота" button copies them in this shape).
+export async function readWatchlist(path) {
+  let raw;
+  try {
+    raw = await readFile(path, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  const watches = JSON.parse(raw);
+  if (!Array.isArray(watches)) throw new Error(`${path}: expected an array of { chatId, rules }`);
+  return watches.filter((w) => w && w.chatId !== undefined && Array.isArray(w.rules));
+}
@@ -0,0 +1,170 @@
+import { randomBytes } from "node:crypto";
+import { authenticate, httpError, preflight, readJson, respond } from "./http.js";
+import { WORKSPACE_ROLES, memberRole, validateWorkspacePatch } from "../../src/lib/workspace.js";
+import { toRecord } from "../../src/lib/sync.js";
+
+const token = (bytes) => randomBytes(bytes).toString("hex");
+const displayName = (user) => [user.first_name, user.last_name].filter(Boolean).join(" ") || (user.username ? `@${user.username}` : String(user.id));
+
+// Managers get the invite secret, members the rest.
+const view = (ws, userId) => (memberRole(ws, userId) === "manager" ? ws : { ...ws, invite: undefined });
+
+// /workspaces, /workspaces/join, /workspaces/:id, /workspaces/:id/members/:userId,
+// /workspaces/:id/submissions, /workspaces/:id/submissions/:sid/review
+const route = (pathname) => {
+  const parts = pathname.split("/").filter(Boolean);
+  if (parts[0] !== "workspaces") return null;
+  try { return parts.slice(1).map(decodeURIComponent); } catch { return ["?"]; }
+};
+
+// Team workspaces (shape in src/lib/workspace). `workspaces` holds the workspace documents,
+// `users` the per-user documents whose `workspaces` list answers GET /workspaces.
+export function createWorkspaceApi({ botToken, workspaces, users, allowOrigin = "*", now = () => Date.now(), maxBodyBytes = 256 * 1024, maxSubmissions = 1000 }) {
+  const owns = (pathname) => route(pathname) !== null;
+
+  // ids are hex tokens; checked before they become file names
+  const checkId = (id) => { if (typeof id !== "string" || !/^[a-f0-9]+$/.test(id)) throw httpError(404, "no such workspace"); };
+
+  async function load(id, userId) {
+    checkId(id);
+    const ws = await workspaces.read(id);
+    if (!ws) throw httpError(404, "no such workspace");
+    if (!memberRole(ws, userId)) throw httpError(403, "not a member");
+    return ws;
+  }
+
+  // fn(ws, role) -> next ws, run under the workspace's write queue
+  async function change(id, userId, fn) {
+    checkId(id);
+    return workspaces.update(id, (ws) => {
+      const role = memberRole(ws, userId);
+      if (!ws || !role) throw httpError(ws ? 403 : 404, ws ? "not a member" : "no such workspace");
+      return { ...fn(ws, role), updatedAt: now() };
+    });
+  }
+
+  const managerOnly = (role) => { if (role !== "manager") throw httpError(403, "managers only"); };
+
+  const linkUser = (userId, id) => users.update(userId, (doc) => ({ ...doc, workspaces: [...new Set([...(doc.workspaces ?? []), id])] }));
+
+  async function list(userId) {
+    const { workspaces: ids = [] } = await users.read(userId);
+    const docs = await Promise.all(ids.map((id) => workspaces.read(id)));
+    return docs.filter((ws) => ws && memberRole(ws, userId)).map((ws) => ({
+      id: ws.id,
+      name: ws.name,
+      role: memberRole(ws, userId),
+      members: ws.members.length,
+      pending: ws.submissions.filter((s) => s.status === "pending").length,
+    }));
+  }
+
+  async function create(user, body) {
+    const { value } = validateWorkspacePatch({ name: body.name });
+    if (!value.name) throw httpError(400, "name is required");
+    const id = token(6);
+    const ws = await workspaces.update(id, () => ({
+      id,
+      name: value.name.trim(),
+      invite: token(8),
+      members: [{ userId: user.id, name: displayName(user), role: "manager", joinedAt: now() }],
+      currencies: [],
+      feeProfiles: null,
+      feeProfileBySource: {},
+      officialRates: {},
+      submissions: [],
+      updatedAt: now(),
+    }));
+    await linkUser(user.id, id);
+    return ws;
+  }
+
+  async function join(user, { id, invite }) {
+    checkId(id);
+    const ws = await workspaces.update(id, (doc) => {
+      if (!doc || typeof invite !== "string" || doc.invite !== invite) throw httpError(403, "invalid invite");
+      if (memberRole(doc, user.id)) return doc;
+      return { ...doc, members: [...doc.members, { userId: user.id, name: displayName(user), role: "member", joinedAt: now() }], updatedAt: now() };
+    });
+    await linkUser(user.id, id);
+    return ws;
+  }
+
+  function update(ws, role, user, patch) {
+    managerOnly(role);
+    const { value, invalid } = validateWorkspacePatch(patch);
+    if (invalid.length) throw httpError(400, `invalid: ${invalid.join(", ")}`);
+    const { officialRates, ...rest } = value;
+    const next = { ...ws, ...rest };
+    if (officialRates) {
+      const rates = { ...ws.officialRates };
+      Object.entries(officialRates).forEach(([code, rate]) => {
+        if (rate === null) delete rates[code];
+        else rates[code] = { rate, lockedBy: { id: user.id, name: displayName(user) }, lockedAt: now() };
+      });
+      next.officialRates = rates;
+    }
+    return next;
+  }
+
+  function setRole(ws, role, targetId, body) {
+    managerOnly(role);
+    if (!WORKSPACE_ROLES.includes(body.role)) throw httpError(400, `role must be one of ${WORKSPACE_ROLES.join(", ")}`);
+    if (!memberRole(ws, targetId)) throw httpError(404, "no such member");
+    const members = ws.members.map((m) => (m.userId === targetId ? { ...m, role: body.role } : m));
+    if (!members.some((m) => m.role === "manager")) throw httpError(409, "a workspace needs a manager");
+    return { ...ws, members };
+  }
+
+  function submit(ws, user, body) {
+    const entry = toRecord(body.entry);
+    if (!entry || entry.deleted) throw httpError(400, "entry must be a saved calculation with uid and updatedAt");
+    const submission = { id: token(6), entry, submittedBy: { id: user.id, name: displayName(user) }, submittedAt: now(), status: "pending", review: null };
+    // past the cap the oldest reviewed submissions go first
+    const pending = ws.submissions.filter((s) => s.status === "pending");
+    const reviewed = ws.submissions.filter((s) => s.status !== "pending").slice(0, Math.max(0, maxSubmissions - pending.length - 1));
+    return { next: { ...ws, submissions: [submission, ...pending, ...reviewed].sort((a, b) => b.submittedAt - a.submittedAt) }, submission };
+  }
+
+  function review(ws, role, user, submissionId, { status, comment = "" }) {
+    managerOnly(role);
+    if (!["approved", "rejected"].includes(status)) throw httpError(400, "status must be approved or rejected");
+    if (typeof comment !== "string" || comment.length > 1000) throw httpError(400, "comment must be text up to 1000 characters");
+    const target = ws.submissions.find((s) => s.id === submissionId);
+    if (!target) throw httpError(404, "no such submission");
+    if (target.status !== "pending") throw httpError(409, `already ${target.status}`);
+    const reviewed = { ...target, status, review: { by: { id: user.id, name: displayName(user) }, at: now(), comment: comment.trim() } };
+    return { ...ws, submissions: ws.submissions.map((s) => (s.id === submissionId ? reviewed : s)) };
+  }
+
+  async function dispatch(req, user, parts) {
+    const { method } = req;
+    const body = method === "POST" || method === "PUT" ? await readJson(req, maxBodyBytes) : {};
+    const [id, sub, subId, action] = parts;
+    if (!id && method === "GET") return [200, { workspaces: await list(user.id) }];
+    if (!id && method === "POST") return [201, view(await create(user, body), user.id)];
+    if (id === "join" && !sub && method === "POST") return [200, view(await join(user, body), user.id)];
+    if (id && !sub && method === "GET") return [200, view(await load(id, user.id), user.id)];
+    if (id && !sub && method === "PUT") return [200, view(await change(id, user.id, (ws, role) => update(ws, role, user, body)), user.id)];
+    if (sub === "members" && subId && !action && method === "PUT") {
+      return [200, view(await change(id, user.id, (ws, role) => setRole(ws, role, Number(subId), body)), user.id)];
+    }
+    if (sub === "submissions" && !subId && method === "POST") {
+      let submission;
+      await change(id, user.id, (ws) => { const result = submit(ws, user, body); submission = result.submission; return result.next; });
+      return [201, submission];
+    }
+    if (sub === "submissions" && subId && action === "review" && method === "POST") {
+      return [200, view(await change(id, user.id, (ws, role) => review(ws, role, user, subId, body)), user.id)];
+    }
+    throw httpError(404, `${method} ${req.url} not supported`);
+  }
+
+  async function handle(req, res) {
+    if (req.method === "OPTIONS") return preflight(res, allowOrigin, "GET, POST, PUT");
+    const parts = route(new URL(req.url, "http://api").pathname);
+    await respond(res, allowOrigin, () => dispatch(req, authenticate(req, botToken, now()).user, parts));
+  }
+
+  return { owns, handle };
+}
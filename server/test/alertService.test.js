@@ -0,0 +1,96 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createBotApi } from "../src/botApi.js";
+import { createAlertService } from "../src/alertService.js";
+import { readWatchlist } from "../src/watchlist.js";
+import { startMockBotApi } from "./mockBotApi.js";
+
+const json = (body) => Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+
+// Upstream stub with a mutable Bitkub book; counts requests per host.
+function upstream() {
+  const stub = { bids: [[36, 1000]], hits: {} };
+  stub.fetch = (url) => {
+    const host = new URL(url).host;
+    stub.hits[host] = (stub.hits[host] ?? 0) + 1;
+    if (host === "api.bitkub.com") return json({ bids: stub.bids, asks: [[37, 1000]] });
+    if (host === "www.cbr-xml-daily.ru") return json({ Date: "2024-01-10T11:30:00+03:00", Valute: { THB: { CharCode: "THB", Nominal: 1, Value: 2.5 }, CNY: { CharCode: "CNY", Nominal: 1, Value: 12.5 } } });
+    return Promise.resolve({ ok: false });
+  };
+  return stub;
+}
+
+const quiet = { warn: () => {}, error: () => {} };
+let api;
+let clock;
+beforeEach(async () => { api = await startMockBotApi({ failChats: [666] }); clock = 0; });
+afterEach(() => api.close());
+
+const service = (watches, rates, log = quiet) => createAlertService({
+  bot: createBotApi({ token: "123:abc", baseUrl: api.url }),
+  loadWatches: async () => watches,
+  fetchImpl: rates.fetch,
+  now: () => clock,
+  log,
+});
+
+test("sends one message per crossing through the Bot API", async () => {
+  const rates = upstream();
+  const watches = [{ chatId: 42, rules: [{ id: "usdt", currency: "USDT", source: "bitkub", metric: "rate", op: "above", threshold: 88, amount: 100, enabled: true }] }];
+  const alerts = service(watches, rates);
+
+  const sent = await alerts.tick(); // 36 THB * 2.5 = 90 RUB
+  assert.equal(sent.length, 1);
+  assert.deepEqual(api.calls.map((c) => [c.token, c.method, c.params.chat_id]), [["123:abc", "sendMessage", 42]]);
+  assert.match(api.calls[0].params.text, /^USDT · Bitkub \+ ЦБ РФ \(THB→RUB\): курс 90 ₽ — выше порога 88 ₽$/);
+
+  clock += 61 * 1000; // past the Bitkub TTL
+  assert.equal((await alerts.tick()).length, 0, "still above: no repeat");
+  rates.bids = [[34, 1000]];
+  clock += 61 * 1000;
+  await alerts.tick(); // 85: re-armed
+  rates.bids = [[36, 1000]];
+  clock += 61 * 1000;
+  assert.equal((await alerts.tick()).length, 1);
+  assert.equal(api.calls.length, 2);
+});
+
+test("fresh snapshots are reused between ticks", async () => {
+  const rates = upstream();
+  const alerts = service([{ chatId: 1, rules: [{ id: "cny", currency: "CNY", source: "cbrf", metric: "rate", op: "below", threshold: 13, enabled: true }] }], rates);
+  await alerts.tick();
+  clock += 60 * 1000;
+  await alerts.tick();
+  assert.equal(rates.hits["www.cbr-xml-daily.ru"], 1);
+  assert.equal(rates.hits["api.bitkub.com"], undefined);
+  assert.equal(api.calls.length, 1);
+});
+
+test("a failing chat or upstream does not stop the others", async () => {
+  const rates = upstream();
+  const logged = [];
+  const log = { warn: (m) => logged.push(m), error: (m) => logged.push(m) };
+  const rule = { id: "cny", currency: "CNY", source: "cbrf", metric: "rate", op: "below", threshold: 13, enabled: true };
+  const market = { id: "usd", currency: "USD", source: "market", metric: "rate", op: "above", threshold: 1, enabled: true };
+  const sent = await service([{ chatId: 666, rules: [rule] }, { chatId: 7, rules: [rule, market] }], rates, log).tick();
+  assert.deepEqual(sent.map((m) => m.chatId), [7]);
+  assert.ok(logged.some((m) => m.includes("chat not found")));
+  assert.ok(logged.some((m) => m.startsWith("market:")));
+});
+
+test("watchlist file: missing means empty, junk entries are skipped", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "tanaq-"));
+  try {
+    assert.deepEqual(await readWatchlist(join(dir, "none.json")), []);
+    const path = join(dir, "watchlist.json");
+    await writeFile(path, JSON.stringify([{ chatId: 1, rules: [] }, { rules: [] }, null]));
+    assert.deepEqual(await readWatchlist(path), [{ chatId: 1, rules: [] }]);
+    await writeFile(path, "{}");
+    await assert.rejects(readWatchlist(path), /expected an array/);
+  } finally {
+    await rm(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,44 @@
+import { createServer } from "node:http";
+
+// Multipart uploads: text fields as numbers where they look like one (chat ids),
+// files as { name, type, bytes }.
+async function formParams(body, contentType) {
+  const form = await new Response(body, { headers: { "content-type": contentType } }).formData();
+  const params = {};
+  for (const [key, value] of form) {
+    params[key] = typeof value === "string"
+      ? (/^-?\d+$/.test(value) ? Number(value) : value)
+      : { name: value.name, type: value.type, bytes: Buffer.from(await value.arrayBuffer()) };
+  }
+  return params;
+}
+
+// Fake Bot API: records every call, answers like Telegram.
+// Chats listed in `failChats` get { ok: false } back.
+export async function startMockBotApi({ failChats = [] } = {}) {
+  const calls = [];
+  const server = createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => { chunks.push(chunk); });
+    req.on("end", async () => {
+      const [, token, method] = req.url.match(/^\/bot([^/]+)\/(\w+)$/) ?? [];
+      const body = Buffer.concat(chunks);
+      const contentType = req.headers["content-type"] ?? "";
+      const params = contentType.startsWith("multipart/") ? await formParams(body, contentType) : body.length ? JSON.parse(body) : {};
+      calls.push({ token, method, params });
+      res.setHeader("content-type", "application/json");
+      if (failChats.includes(params.chat_id)) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ ok: false, error_code: 400, description: "Bad Request: chat not found" }));
+        return;
+      }
+      res.end(JSON.stringify({ ok: true, result: { message_id: calls.length, chat: { id: params.chat_id }, text: params.text } }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,97 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { createProxy } from "../src/proxy.js";
+import { startStubUpstreams } from "./stubUpstreams.js";
+
+let upstream;
+let server;
+let base;
+let clock;
+let proxy;
+
+beforeEach(async () => {
+  upstream = await startStubUpstreams();
+  clock = Date.UTC(2024, 0, 12, 9);
+  proxy = createProxy({ fetchImpl: upstream.fetch, now: () => clock, maxEntries: 3, log: { warn: () => {} } });
+  server = createServer((req, res) => proxy.handle(req, res));
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await upstream.close();
+});
+
+const get = async (path) => {
+  const res = await fetch(base + path);
+  return { status: res.status, headers: res.headers, body: await res.json() };
+};
+
+test("serves each upstream raw, with CORS and cache headers", async () => {
+  const market = await get("/rates/market?base=usd");
+  assert.equal(market.status, 200);
+  assert.deepEqual(market.body, { data: { base: "USD", rates: { RUB: 90 } }, fetchedAt: clock, stale: false });
+  assert.equal(market.headers.get("access-control-allow-origin"), "*");
+  assert.equal(market.headers.get("cache-control"), "public, max-age=300");
+  assert.equal((await get("/depth/bitkub")).body.data.bids[0][0], 36);
+  assert.equal((await get("/rates/cbrf")).body.data.Valute.USD.Value, 89.5);
+});
+
+test("cbrf archive walks back over holidays", async () => {
+  const { body } = await get("/rates/cbrf?date=2024-01-11");
+  assert.equal(body.data.Valute.USD.Value, 89.7);
+  assert.equal(upstream.hits["/archive/2024/01/11/daily_json.js"], 1);
+  assert.equal(upstream.hits["/archive/2024/01/10/daily_json.js"], 1);
+});
+
+test("hits the upstream once per TTL, shared across callers", async () => {
+  await Promise.all([get("/rates/market?base=USD"), get("/rates/market?base=USD"), get("/rates/market?base=USD")]);
+  assert.equal(upstream.hits["/latest"], 1);
+  clock += 4 * 60 * 1000;
+  const cached = await get("/rates/market?base=USD");
+  assert.equal(cached.headers.get("cache-control"), "public, max-age=60");
+  assert.equal(upstream.hits["/latest"], 1);
+  clock += 2 * 60 * 1000;
+  upstream.usdRub = 91;
+  assert.equal((await get("/rates/market?base=USD")).body.data.rates.RUB, 91);
+  assert.equal(upstream.hits["/latest"], 2);
+  await get("/rates/market?base=EUR");
+  assert.equal(upstream.hits["/latest"], 3, "cached per base currency");
+});
+
+test("a failing upstream serves the last payload flagged stale, or 502 without one", async () => {
+  const first = await get("/depth/bitkub");
+  upstream.down = true;
+  clock += 11 * 1000;
+  const stale = await get("/depth/bitkub");
+  assert.equal(stale.status, 200);
+  assert.deepEqual(stale.body, { ...first.body, stale: true });
+  assert.equal(stale.headers.get("cache-control"), "no-store");
+  const missing = await get("/rates/market?base=USD");
+  assert.equal(missing.status, 502);
+  assert.match(missing.body.error, /market upstream unavailable/);
+});
+
+test("rejects bad input and unknown routes", async () => {
+  assert.equal((await get("/rates/market?base=../../etc")).status, 400);
+  assert.equal((await get("/rates/cbrf?date=yesterday")).status, 400);
+  assert.equal((await get("/rates/market?base=RUB")).status, 400);
+  assert.equal((await get("/rates/market?base=ZZZZ")).status, 400);
+  assert.equal((await get("/rates/cbrf?date=2024-02-30")).status, 400, "not a calendar day");
+  assert.equal((await get("/rates/cbrf?date=2024-01-20")).status, 400, "in the future");
+  assert.equal((await get("/rates/cbrf?date=1900-01-01")).status, 400, "before the first official rate");
+  assert.deepEqual(upstream.hits, {}, "nothing rejected reached an upstream");
+  assert.equal((await get("/rates/cbrf?date=2024-01-13")).status, 200, "tomorrow's rate is published today");
+  assert.equal((await get("/nope")).status, 404);
+  assert.deepEqual((await get("/health")).body, { ok: true });
+  assert.equal((await fetch(base + "/depth/bitkub", { method: "OPTIONS" })).status, 204);
+});
+
+test("the cache keeps the most recently used entries only", async () => {
+  for (const base of ["USD", "EUR", "CNY"]) await get(`/rates/market?base=${base}`);
+  await get("/rates/market?base=USD");
+  await get("/rates/market?base=THB");
+  assert.deepEqual([...proxy.cache.keys()], ["market:CNY", "market:USD", "market:THB"]);
+});
@@ -0,0 +1,58 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { createBotApi } from "../src/botApi.js";
+import { createReceiptApi } from "../src/receiptApi.js";
+import { createReceiptClient } from "../../src/lib/receipt.js";
+import { startMockBotApi } from "./mockBotApi.js";
+import { signInitData } from "./signInitData.js";
+
+const TOKEN = "123:TEST";
+const NOW = 1_700_000_000_000;
+const authDate = NOW / 1000 - 60;
+const PDF = new Uint8Array(Buffer.from("%PDF-1.7\n% receipt\n%%EOF"));
+
+let bot;
+let server;
+let base;
+
+beforeEach(async () => {
+  bot = await startMockBotApi({ failChats: [666] });
+  const api = createReceiptApi({ botToken: TOKEN, botApi: createBotApi({ token: TOKEN, baseUrl: bot.url }), now: () => NOW });
+  server = createServer((req, res) => api.handle(req, res));
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await bot.close();
+});
+
+const client = (user = { id: 42 }) => createReceiptClient({ baseUrl: base, initData: signInitData({ user, authDate }, TOKEN) });
+
+test("the bot sends the PDF to the signed-in user only", async () => {
+  const { messageId } = await client().send({ fileName: "tanaq-2024-01-10-1230.pdf", caption: "TANAQ: 1 000 USD → 92 500 ₽", bytes: PDF });
+  assert.equal(messageId, 1);
+  const [call] = bot.calls;
+  assert.equal(call.method, "sendDocument");
+  assert.equal(call.params.chat_id, 42);
+  assert.equal(call.params.caption, "TANAQ: 1 000 USD → 92 500 ₽");
+  assert.equal(call.params.document.name, "tanaq-2024-01-10-1230.pdf");
+  assert.equal(call.params.document.type, "application/pdf");
+  assert.deepEqual(new Uint8Array(call.params.document.bytes), PDF);
+});
+
+test("bad requests never reach Telegram", async () => {
+  const bad = (file) => assert.rejects(client().send(file), (e) => e.status === 400);
+  await bad({ fileName: "../etc/passwd", bytes: PDF });
+  await bad({ fileName: "receipt.exe", bytes: PDF });
+  await bad({ fileName: "receipt.pdf", bytes: new Uint8Array(Buffer.from("<html>")) });
+  await bad({ fileName: "receipt.pdf", caption: "x".repeat(2000), bytes: PDF });
+  await assert.rejects(createReceiptClient({ baseUrl: base, initData: "user=1" }).send({ fileName: "r.pdf", bytes: PDF }), (e) => e.status === 401);
+  assert.equal(bot.calls.length, 0);
+});
+
+test("a chat the bot cannot write to is reported as 502", async () => {
+  await assert.rejects(client({ id: 666 }).send({ fileName: "r.pdf", bytes: PDF }), (e) => e.status === 502 && /chat not found/.test(e.message));
+});
@@ -0,0 +1,10 @@
+import { createHmac } from "node:crypto";
+
+// initData as Telegram would sign it for `botToken`, written out independently of src/initData.js.
+export function signInitData({ user = { id: 42, first_name: "Test" }, authDate = Math.floor(Date.now() / 1000), ...extra } = {}, botToken = "123:TEST") {
+  const fields = { auth_date: String(authDate), user: JSON.stringify(user), ...extra };
+  const check = Object.keys(fields).sort().map((k) => `${k}=${fields[k]}`).join("\n");
+  const secret = createHmac("sha256", "WebAppData").update(botToken).digest();
+  const hash = createHmac("sha256", secret).update(check).digest("hex");
+  return new URLSearchParams({ ...fields, hash }).toString();
+}
@@ -0,0 +1,26 @@
+import { createServer } from "node:http";
+
+// One local server standing in for exchangerate.host, cbr-xml-daily and Bitkub.
+// `down` makes every request fail with 503; `hits` counts requests per path.
+export async function startStubUpstreams() {
+  const stub = { down: false, hits: {}, usdRub: 90 };
+  const server = createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, "http://stub");
+    stub.hits[pathname] = (stub.hits[pathname] ?? 0) + 1;
+    const send = (status, body) => { res.writeHead(status, { "content-type": "application/json" }); res.end(JSON.stringify(body)); };
+    if (stub.down) return send(503, { error: "down" });
+    if (pathname === "/latest") return send(200, { base: searchParams.get("base"), rates: { RUB: stub.usdRub } });
+    if (pathname === "/daily_json.js") return send(200, { Date: "2024-01-10T11:30:00+03:00", Valute: { USD: { CharCode: "USD", Nominal: 1, Value: 89.5 } } });
+    // archive: only 2024-01-09 exists, earlier/later days 404 like holidays
+    if (pathname === "/archive/2024/01/09/daily_json.js") return send(200, { Date: "2024-01-09T11:30:00+03:00", Valute: { USD: { CharCode: "USD", Nominal: 1, Value: 89.7 } } });
+    if (pathname.startsWith("/archive/")) return send(404, {});
+    if (pathname === "/api/market/depth") return send(200, { bids: [[36, 100]], asks: [[37, 100]] });
+    send(404, {});
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  // routes the real upstream URLs to the stub
+  stub.fetch = (target, init) => fetch(target.replace(/^https:\/\/(api\.exchangerate\.host|www\.cbr-xml-daily\.ru|api\.bitkub\.com)/, url), init);
+  stub.close = () => new Promise((resolve) => server.close(resolve));
+  return stub;
+}
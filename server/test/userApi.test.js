@@ -0,0 +1,93 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { verifyInitData } from "../src/initData.js";
+import { createUserApi } from "../src/userApi.js";
+import { createUserStore } from "../src/userStore.js";
+import { createSyncClient, reconcileHistory } from "../../src/lib/sync.js";
+import { signInitData } from "./signInitData.js";
+
+const TOKEN = "123:TEST";
+const NOW = 1_700_000_000_000;
+const authDate = NOW / 1000 - 60;
+
+test("verifyInitData accepts Telegram-signed data and rejects forged, foreign or stale data", () => {
+  const signed = signInitData({ authDate, start_param: "calc" }, TOKEN);
+  const { user, startParam } = verifyInitData(signed, TOKEN, { now: NOW });
+  assert.equal(user.id, 42);
+  assert.equal(startParam, "calc");
+
+  const forged = signed.replace(/%22id%22%3A42/, "%22id%22%3A43");
+  assert.notEqual(forged, signed);
+  assert.throws(() => verifyInitData(forged, TOKEN, { now: NOW }), /signature/);
+  assert.throws(() => verifyInitData(signInitData({ authDate }, "999:OTHER"), TOKEN, { now: NOW }), /signature/);
+  assert.throws(() => verifyInitData(signInitData({ authDate: authDate - 2 * 86400 }, TOKEN), TOKEN, { now: NOW }), /expired/);
+  assert.throws(() => verifyInitData("user=%7B%7D", TOKEN, { now: NOW }), /not signed/);
+});
+
+let dir;
+let server;
+let base;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), "tanaq-users-"));
+  const api = createUserApi({ botToken: TOKEN, store: createUserStore({ dir }), now: () => NOW, maxRecords: 3 });
+  server = createServer((req, res) => api.handle(req, res));
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+});
+
+const client = (user = { id: 42 }) => createSyncClient({ baseUrl: base + "/", initData: signInitData({ user, authDate }, TOKEN) });
+
+test("requests without valid initData are refused", async () => {
+  assert.equal((await fetch(base + "/me")).status, 401);
+  const forged = await fetch(base + "/sync", { method: "POST", headers: { authorization: `tma ${signInitData({ authDate }, "999:OTHER")}` }, body: "{}" });
+  assert.equal(forged.status, 401);
+  await assert.rejects(createSyncClient({ baseUrl: base, initData: "user=1" }).sync(), (e) => e.status === 401);
+  const me = await fetch(base + "/me", { headers: { authorization: `tma ${signInitData({ authDate }, TOKEN)}` } });
+  assert.deepEqual((await me.json()).user, { id: 42, first_name: "Test" });
+});
+
+test("settings and history follow the user from one device to another", async () => {
+  const phone = client();
+  await phone.sync({
+    settings: { value: { currency: "THB", dark: false, proxyUrl: "https://phone.local", amount: 12 }, updatedAt: 10 },
+    changes: [{ uid: "a", updatedAt: 10, ts: 1, amount: 100, currency: "THB", rate: 2.5, rub: 250, id: 7 }, { uid: "b", updatedAt: 10, ts: 2, amount: 1, currency: "USD", rate: 90, rub: 90 }],
+  });
+
+  const desktop = client();
+  const pulled = await desktop.sync();
+  assert.equal(pulled.settings.value.currency, "THB");
+  assert.equal(pulled.settings.value.amount, "1000", "invalid fields fall back to defaults");
+  assert.equal("proxyUrl" in pulled.settings.value, false, "device fields are not synced");
+  assert.deepEqual(pulled.history.map((r) => r.uid).sort(), ["a", "b"]);
+  assert.equal(pulled.history.find((r) => r.uid === "a").id, undefined);
+
+  // desktop deletes "a" and edits "b"; an older settings write from the phone loses
+  await desktop.sync({ changes: [{ uid: "a", updatedAt: 20, deleted: true }, { uid: "b", updatedAt: 20, ts: 2, amount: 1, currency: "USD", rate: 90, rub: 90, note: "invoice" }] });
+  const back = await phone.sync({ settings: { value: { currency: "EUR" }, updatedAt: 5 } });
+  assert.equal(back.settings.value.currency, "THB");
+
+  const local = [{ id: 1, uid: "a", updatedAt: 10 }, { id: 2, uid: "b", updatedAt: 10 }, { id: 3, ts: 9 }];
+  const plan = reconcileHistory(local, back.history);
+  assert.deepEqual(plan.remove, [1]);
+  assert.deepEqual(plan.update.map((u) => [u.id, u.entry.note]), [[2, "invoice"]]);
+  assert.deepEqual(plan.add, []);
+});
+
+test("users only see their own data, and history is capped per user", async () => {
+  await client({ id: 1 }).sync({ changes: [1, 2, 3, 4].map((n) => ({ uid: `u${n}`, updatedAt: n, ts: n })) });
+  const other = await client({ id: 2 }).sync();
+  assert.deepEqual(other, { settings: null, history: [] });
+
+  const saved = JSON.parse(await readFile(join(dir, "1.json"), "utf8"));
+  assert.deepEqual(saved.history.map((r) => r.uid), ["u4", "u3", "u2"]);
+});
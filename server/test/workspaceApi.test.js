@@ -0,0 +1,108 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createJsonStore } from "../src/jsonStore.js";
+import { createUserStore } from "../src/userStore.js";
+import { createWorkspaceApi } from "../src/workspaceApi.js";
+import { createWorkspaceClient, inviteParam, parseInvite, officialRate } from "../../src/lib/workspace.js";
+import { signInitData } from "./signInitData.js";
+
+const TOKEN = "123:TEST";
+const NOW = 1_700_000_000_000;
+const authDate = NOW / 1000 - 60;
+
+let dir;
+let server;
+let base;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), "tanaq-ws-"));
+  let clock = NOW;
+  const api = createWorkspaceApi({
+    botToken: TOKEN,
+    workspaces: createJsonStore({ dir: join(dir, "workspaces"), empty: () => null }),
+    users: createUserStore({ dir: join(dir, "users") }),
+    now: () => clock++,
+  });
+  server = createServer((req, res) => api.handle(req, res).catch((e) => { res.writeHead(500); res.end(e.message); }));
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+});
+
+const as = (id, first_name) => createWorkspaceClient({ baseUrl: base, initData: signInitData({ user: { id, first_name }, authDate }, TOKEN) });
+const status = (code) => (e) => e.status === code;
+const entry = { uid: "h-1", updatedAt: 5, ts: 5, amount: 1000, currency: "USD", rate: 91.2, rub: 91200, note: "Supplier A" };
+
+test("a group joins through the invite link; members cannot see the invite or change settings", async () => {
+  const boss = as(1, "Anna");
+  const ws = await boss.create("Закупки");
+  assert.equal(ws.members[0].role, "manager");
+
+  const link = `https://t.me/tanaq_bot/app?startapp=${inviteParam(ws)}`;
+  const buyer = as(2, "Boris");
+  await assert.rejects(buyer.get(ws.id), status(403));
+  await assert.rejects(buyer.join({ id: ws.id, invite: "deadbeef" }), status(403));
+  const joined = await buyer.join(parseInvite(link));
+  assert.deepEqual(joined.members.map((m) => [m.name, m.role]), [["Anna", "manager"], ["Boris", "member"]]);
+  assert.equal(joined.invite, undefined);
+  assert.deepEqual((await buyer.list()).workspaces.map((w) => [w.name, w.role]), [["Закупки", "member"]]);
+
+  await assert.rejects(buyer.update(ws.id, { officialRates: { USD: 90 } }), status(403));
+  await assert.rejects(boss.update(ws.id, { currencies: ["usd"] }), status(400));
+  await assert.rejects(boss.setRole(ws.id, 1, "member"), status(409));
+  const promoted = await boss.setRole(ws.id, 2, "manager");
+  assert.equal(promoted.members[1].role, "manager");
+});
+
+test("the manager locks an official rate and shares fee settings", async () => {
+  const boss = as(1, "Anna");
+  const ws = await boss.create("Закупки");
+  const profiles = [{ id: "bank", name: "Банк", rules: [{ id: "r1", label: "Спред", type: "percent", value: 1.5, currency: "RUB", scope: "total" }] }];
+  const updated = await boss.update(ws.id, { currencies: ["USD", "CNY"], feeProfiles: profiles, feeProfileBySource: { cbrf: "bank" }, officialRates: { USD: 92.5, CNY: 12.7 } });
+  assert.equal(officialRate(updated, "USD"), 92.5);
+  assert.deepEqual(updated.officialRates.USD.lockedBy, { id: 1, name: "Anna" });
+  assert.deepEqual(updated.feeProfiles, profiles);
+
+  const unlocked = await boss.update(ws.id, { officialRates: { CNY: null } });
+  assert.equal(officialRate(unlocked, "CNY"), null);
+  assert.equal(officialRate(unlocked, "USD"), 92.5);
+});
+
+test("members submit saved calculations and a manager approves or rejects them once", async () => {
+  const boss = as(1, "Anna");
+  const ws = await boss.create("Закупки");
+  const buyer = as(2, "Boris");
+  await buyer.join({ id: ws.id, invite: ws.invite });
+
+  const submission = await buyer.submit(ws.id, { ...entry, id: 17 });
+  assert.equal(submission.status, "pending");
+  assert.equal(submission.entry.id, undefined);
+  await assert.rejects(buyer.submit(ws.id, { amount: 1 }), status(400));
+  assert.equal((await boss.list()).workspaces[0].pending, 1);
+
+  await assert.rejects(buyer.review(ws.id, submission.id, { status: "approved" }), status(403));
+  const reviewed = await boss.review(ws.id, submission.id, { status: "rejected", comment: " Курс выше официального " });
+  const [done] = reviewed.submissions;
+  assert.equal(done.status, "rejected");
+  assert.deepEqual(done.review.by, { id: 1, name: "Anna" });
+  assert.equal(done.review.comment, "Курс выше официального");
+  await assert.rejects(boss.review(ws.id, submission.id, { status: "approved" }), status(409));
+
+  const seen = await buyer.get(ws.id);
+  assert.equal(seen.submissions[0].review.comment, "Курс выше официального");
+});
+
+test("workspace ids never reach the file system unchecked", async () => {
+  const boss = as(1, "Anna");
+  await assert.rejects(boss.get("..%2Fusers%2F1"), status(404));
+  await assert.rejects(boss.update("../users/1", { name: "x" }), status(404));
+  await assert.rejects(boss.join({ id: "../users/1", invite: "x" }), status(404));
+});
@@ -1,8 +1,113 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen, fireEvent, act } from "@testing-library/react";
+import App from "./App";
+import cbrfDaily from "./lib/providers/__fixtures__/cbrf-2024-01-12.json";
 
-test('renders learn react link', () => {
+// Upstreams answered by URL; a status number fails that upstream with that HTTP status.
+function mockFetch(routes) {
+  global.fetch = jest.fn(async (url) => {
+    const key = Object.keys(routes).find((prefix) => String(url).startsWith(prefix));
+    const body = key ? routes[key] : 404;
+    if (typeof body === "number") return { ok: false, status: body, json: async () => ({}) };
+    return { ok: true, status: 200, json: async () => body };
+  });
+}
+
+const CBRF = "https://www.cbr-xml-daily.ru/daily_json.js";
+const MARKET = "https://api.exchangerate.host/latest";
+// RUB total of the single converter, spaces normalised (ru-RU groups with U+00A0)
+const total = () => screen.getByRole("status").textContent.replace(/\s/g, " ");
+
+beforeEach(() => {
+  localStorage.clear();
+  // no IndexedDB in jsdom: the app logs it and keeps history for the session only
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  // jsdom's navigator.language is en-US, so the app starts in English:
+  // 1000 USD at the market rate, with the default bank spread (1.2%) for that source
+  mockFetch({ [CBRF]: cbrfDaily, [MARKET]: { rates: { RUB: 90 } } });
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("prices the default amount at the fetched market rate and compares it with CBRF", async () => {
+  render(<App />);
+  expect(await screen.findByText("CBRF rate: 88.7772 ₽ per 1 USD")).toBeInTheDocument();
+  expect(total()).toBe("88,920 ₽");
+  expect(screen.getByText("Δ to CBRF: 0.1428 ₽ (0.16%) per 1 USD")).toBeInTheDocument();
+  expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining("base=USD"));
+});
+
+test("amounts typed with grouping are recalculated", async () => {
+  render(<App />);
+  await screen.findByText(/^CBRF rate: 88\.7772/);
+  fireEvent.change(screen.getByLabelText("Amount in foreign currency"), { target: { value: "1,250.50" } });
+  expect(total()).toBe("111,194.46 ₽");
+});
+
+test("a custom rate replaces the quote and its fees", async () => {
+  render(<App />);
+  await screen.findByText(/^CBRF rate: 88\.7772/);
+  fireEvent.change(screen.getByLabelText("Custom rate (RUB per 1 USD)"), { target: { value: "89.5" } });
+  expect(total()).toBe("89,500 ₽");
+});
+
+test("a failed upstream is reported with its own message and status", async () => {
+  mockFetch({ [CBRF]: cbrfDaily, [MARKET]: 503 });
+  render(<App />);
+  expect(await screen.findByText("Could not update the market rate.")).toBeInTheDocument();
+  expect(screen.getByText(/HTTP 503/)).toBeInTheDocument();
+  expect(total()).toBe("0 ₽");
+});
+
+test("in Russian the amount is read with a space for grouping and a decimal comma", async () => {
+  render(<App />);
+  await screen.findByText(/^CBRF rate: 88\.7772/);
+  fireEvent.change(screen.getByLabelText("Language"), { target: { value: "ru" } });
+  expect(document.documentElement.lang).toBe("ru");
+  fireEvent.change(screen.getByLabelText("Сумма в иностранной валюте"), { target: { value: "1 250,50" } });
+  expect(total()).toBe("111 194,46 ₽");
+  expect(screen.getByText("Курс ЦБ РФ: 88,7772 ₽ за 1 USD")).toBeInTheDocument();
+});
+
+test("offline the last rates stay in use under a banner with their time", async () => {
+  render(<App />);
+  await screen.findByText(/^CBRF rate: 88\.7772/);
+  act(() => { window.dispatchEvent(new Event("offline")); });
+  expect(screen.getByRole("alert")).toHaveTextContent(/^Offline — rates from \d/);
+  expect(total()).toBe("88,920 ₽");
+  act(() => { window.dispatchEvent(new Event("online")); });
+  expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+});
+
+test("starting offline nothing is fetched and the banner says there are no saved rates", () => {
+  jest.spyOn(navigator, "onLine", "get").mockReturnValue(false);
+  render(<App />);
+  expect(screen.getByRole("alert")).toHaveTextContent("Offline — no saved rates");
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test("a queued write the server refused on replay is reported", async () => {
+  const sw = Object.assign(new EventTarget(), { controller: { postMessage: jest.fn() } });
+  Object.defineProperty(navigator, "serviceWorker", { value: sw, configurable: true });
+  try {
+    render(<App />);
+    expect(sw.controller.postMessage).toHaveBeenCalledWith({ type: "tanaq:replay-result" });
+    act(() => { sw.dispatchEvent(new MessageEvent("message", { data: { type: "tanaq:replay-result", results: [{ target: "receipts", method: "POST", ok: false, status: 401 }] } })); });
+    expect(await screen.findByText("The receipt that waited for the network was not sent (HTTP 401) — send it again.")).toBeInTheDocument();
+  } finally {
+    delete navigator.serviceWorker;
+  }
+});
+
+test("a link amount is read like a typed one; a broken link is reported", async () => {
+  window.history.replaceState(null, "", "/?amount=1,250.50&currency=USD");
+  const { unmount } = render(<App />);
+  await screen.findByText(/^CBRF rate: 88\.7772/);
+  expect(total()).toBe("111,194.46 ₽");
+  expect(window.location.search).toBe("");
+  unmount();
+  window.history.replaceState(null, "", "/?amount=12abc&currency=USD");
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByText("The calculation link could not be read — the fields were left as they were.")).toBeInTheDocument();
 });
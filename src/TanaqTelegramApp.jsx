@@ -0,0 +1,1268 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { Bot, RefreshCw, Calculator, ChevronDown, Wallet, History, Copy, Check, Settings, Sparkles, Bell, X, Users, Lock, TrendingUp, FileText, Link2, WifiOff } from "lucide-react";
+import { Input } from "./components/ui/input";
+import { Button } from "./components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "./components/ui/card";
+import { Switch } from "./components/ui/switch";
+import { Label } from "./components/ui/label";
+import { RoutesPanel } from "./components/RoutesPanel";
+import { DepthPanel } from "./components/DepthPanel";
+import { BasketPanel } from "./components/BasketPanel";
+import { FeeProfilesPanel } from "./components/FeeProfilesPanel";
+import { HistoryPanel } from "./components/HistoryPanel";
+import { WatchlistPanel } from "./components/WatchlistPanel";
+import { WorkspacePanel } from "./components/WorkspacePanel";
+import { RateChart } from "./components/RateChart";
+import { parseAmount, effectiveRate, hasCustomRate, toRub, netRate, deltaVsCbrf } from "./lib/conversion";
+import { newLine, priceBasket, basketFees } from "./lib/basket";
+import { applyFees, grossForNet, findProfile, quoteHops } from "./lib/fees";
+import { rulePairs, ruleValue, evaluateRules, alertMessage } from "./lib/alerts";
+import { normalizeEntry } from "./lib/history";
+import { openHistoryStore } from "./lib/historyStore";
+import { openRateStore, RATE_RETENTION_MS } from "./lib/rateStore";
+import { CHART_RANGES, ratePoints } from "./lib/rateStats";
+import { createReceiptPdf, createReceiptClient, loadReceiptFont, receiptFileName, receiptCaption } from "./lib/receipt";
+import { calcLinks, calcPatch, parseCalcQuery, parseCalcStartParam } from "./lib/deepLink";
+import { download } from "./lib/download";
+import { defaultState, loadState, saveState, readStorageEvent } from "./lib/persist";
+import { newUid, syncedSettings, toRecord, queueChange, reconcileHistory, loadSyncMeta, saveSyncMeta, createSyncClient } from "./lib/sync";
+import { WORKSPACE_KEY, inviteParam, parseInvite, memberRole, officialRate, rateOverride, workspaceCurrencies, workspaceFees, loadCachedWorkspace, createWorkspaceClient } from "./lib/workspace";
+import { providers, withDependencies, loadSnapshot, resolveQuote, resolveInverse, snapshotFor, snapshotKey, isFresh } from "./lib/providers";
+import { sourceFreshness, formatAge } from "./lib/freshness";
+import { REPLAY_RESULT, canReplay, ratesAsOf } from "./lib/offline";
+import { checkRate, checkSource, isBlocked, uniqueIssues } from "./lib/sanity";
+import { LOCALES, createTranslator, detectLocale, providerText } from "./lib/i18n";
+import { divMoney, mulMoney, roundMoney } from "./lib/money";
+
+// -------------------------------------------------
+// TANAQ – Telegram Mobile Web App UI
+// Upgrades:
+//  - Telegram WebApp integration (theme, MainButton, haptics)
+//  - CBRF rates (official RUB quotes)
+//  - Bitkub liquidity path (USDT→THB orderbook -> THB→RUB via CBRF)
+//  - Bitkub slippage analysis for both sides of the book
+//  - Result shows Δ vs CBRF
+//  - Rate sources are pluggable providers (src/lib/providers)
+//  - Multi-hop routes over all sources + own edges (src/lib/routes)
+//  - CBRF rates as of a chosen date (archive with holiday fallback)
+//  - Basket mode: many lines in mixed currencies, one RUB total
+//  - Fee profiles per source, itemised in RUB (src/lib/fees)
+//  - Reverse mode: RUB budget → foreign amount (inverse book walk + fees)
+//  - History in IndexedDB with notes, tags, filters and CSV/XLSX export
+//  - Versioned persisted state with migrations and cross-tab sync (src/lib/persist)
+//  - Watchlist alerts with haptics; the same rules run in the bot (server/)
+//  - Optional caching proxy for all upstreams (server/proxy.js)
+//  - Settings and history synced per Telegram user (verified initData), offline outbox
+//  - Team workspaces: shared currencies, fees and official rates; approval of calculations
+//  - Freshness badges and auto-refresh; rate sanity checks that block saving (src/lib/sanity)
+//  - Every fetched rate kept as a point; charts with Δ to CBRF and min/max/avg (src/lib/rateStats)
+//  - PDF receipts sent to the Telegram chat; deep links that reopen a calculation
+//  - RU/EN/TH interface picked from Telegram's language_code (src/lib/i18n); locale-aware
+//    amount input and decimal money with per-currency minor units (src/lib/money)
+// -------------------------------------------------
+
+// `name` is the fallback for codes Intl cannot name (see t.currencyName)
+const DEFAULT_CURRENCIES = [
+  { code: "USD", name: "US Dollar" },
+  { code: "USDT", name: "Tether USD" },
+  { code: "EUR", name: "Euro" },
+  { code: "CNY", name: "Chinese Yuan" },
+  { code: "THB", name: "Thai Baht" },
+  { code: "AED", name: "UAE Dirham" },
+  { code: "HKD", name: "Hong Kong Dollar" },
+  { code: "TRY", name: "Turkish Lira" },
+  { code: "INR", name: "Indian Rupee" },
+  { code: "JPY", name: "Japanese Yen" },
+];
+
+const WATCH_POLL_MS = 60 * 1000;
+const FRESHNESS_POLL_MS = 30 * 1000;
+const SYNC_DEBOUNCE_MS = 1500;
+// Telegram link of the Web App (https://t.me/<bot>/<app>), for workspace invites
+const APP_LINK = process.env.REACT_APP_TELEGRAM_APP_URL || "";
+
+// Age badge per freshness status (src/lib/freshness)
+const FRESHNESS_CLS = {
+  fresh: "bg-emerald-500/15 text-emerald-400",
+  stale: "bg-amber-500/15 text-amber-400",
+  expired: "bg-rose-500/15 text-rose-400",
+  missing: "bg-slate-500/15 text-slate-400",
+};
+
+// Settings and the market cache live under separate versioned keys (src/lib/persist);
+// other tabs' changes arrive through the storage event.
+function usePersistentState() {
+  const written = useRef({});
+  const [state, setState] = useState(() => {
+    try {
+      return loadState(localStorage);
+    } catch (e) {
+      console.error(e);
+      return defaultState();
+    }
+  });
+  useEffect(() => {
+    try { saveState(localStorage, state, written.current); } catch { }
+  }, [state]);
+  useEffect(() => {
+    const onStorage = (e) => {
+      const patch = readStorageEvent(e, written.current);
+      if (patch) setState((s) => ({ ...s, ...patch }));
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+  return [state, setState];
+}
+
+export default function TanaqTelegramApp() {
+  const [state, setState] = usePersistentState(); // fields: see SETTINGS_FIELDS in src/lib/persist, plus snapshots
+
+  const [loading, setLoading] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState("");
+  // failed loads by snapshot key: { providerId, currency, date, status (HTTP, null = no connection), at }; cleared by the next success
+  const [sourceErrors, setSourceErrors] = useState({});
+  const [now, setNow] = useState(() => Date.now()); // ticks with the freshness poll
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  const tgRef = useRef(null);
+
+  // -------- Language (src/lib/i18n) --------
+  // state.locale "" follows Telegram's language_code, or the browser's language outside Telegram.
+  const languageCode = typeof window !== "undefined" ? window.Telegram?.WebApp?.initDataUnsafe?.user?.language_code ?? navigator.language : "";
+  const locale = state.locale || detectLocale(languageCode);
+  const t = useMemo(() => createTranslator(locale), [locale]);
+  const sourceLabel = useCallback((id) => {
+    const provider = providers.get(id);
+    return provider ? providerText(t, provider, "caption") : id ?? "—";
+  }, [t]);
+  useEffect(() => { document.documentElement.lang = locale; }, [locale]);
+
+  // -------- History (IndexedDB, see src/lib/historyStore) --------
+  const [historyEntries, setHistoryEntries] = useState([]);
+  const historyStore = useRef(null);
+  const legacyHistory = useRef(state.history);
+
+  // Opens the store once and moves the old capped localStorage history into it.
+  useEffect(() => {
+    let cancelled = false;
+    openHistoryStore().then(async (store) => {
+      if (cancelled) return store.close();
+      historyStore.current = store;
+      if (legacyHistory.current.length) {
+        await store.addMany(legacyHistory.current.map(normalizeEntry));
+        setState((s) => ({ ...s, history: [] }));
+      }
+      setHistoryEntries(await store.all());
+    }).catch((e) => {
+      // no IndexedDB (private mode, old WebViews): history lives for this session only
+      console.error(e);
+      setHistoryEntries(legacyHistory.current.map((h, i) => ({ ...normalizeEntry(h), id: `legacy-${i}` })));
+    });
+    return () => { cancelled = true; historyStore.current?.close(); historyStore.current = null; };
+  }, [setState]);
+
+  const historyRef = useRef(historyEntries);
+  historyRef.current = historyEntries;
+
+  // `record` is the change for the sync outbox (src/lib/sync); entries carry uid/updatedAt for it.
+  async function changeHistory(action, apply, record) {
+    try {
+      const result = historyStore.current ? await action(historyStore.current) : null;
+      setHistoryEntries((list) => apply(list, result));
+      queueHistoryChange(record);
+    } catch (e) {
+      console.error(e);
+      setError(t("app.error.history"));
+    }
+  }
+  const addHistoryEntry = (item) => {
+    const entry = { ...item, uid: newUid(), updatedAt: item.ts };
+    return changeHistory((store) => store.add(entry), (list, saved) => [saved ?? { ...entry, id: `local-${entry.ts}` }, ...list], entry);
+  };
+  const updateHistoryEntry = (id, patch) => {
+    const current = historyRef.current.find((e) => e.id === id);
+    const stamped = { ...patch, updatedAt: Date.now() };
+    return changeHistory((store) => store.update(id, stamped), (list, saved) => list.map((e) => (e.id === id ? saved ?? { ...e, ...stamped } : e)), current?.uid && { ...current, ...stamped });
+  };
+  const deleteHistoryEntry = (id) => {
+    const uid = historyRef.current.find((e) => e.id === id)?.uid;
+    return changeHistory((store) => store.remove(id), (list) => list.filter((e) => e.id !== id), uid && { uid, updatedAt: Date.now(), deleted: true });
+  };
+
+  // -------- Server sync (src/lib/sync) --------
+  // Inside Telegram, with sync on and a server URL, settings and history are kept on the
+  // TANAQ server under the Telegram user (the server verifies initData). Offline the app
+  // works as before; history changes wait in the outbox and settings go up with the next sync.
+  const initData = typeof window !== "undefined" ? window.Telegram?.WebApp?.initData ?? "" : "";
+  const syncActive = state.syncEnabled && !!state.proxyUrl && !!initData;
+  const [syncStatus, setSyncStatus] = useState({ phase: "idle", at: null }); // idle | syncing | ok | offline | denied
+  const syncMeta = useRef(null);
+  const syncedJson = useRef(null); // settings as last seen by the server, to tell local edits from remote ones
+  const syncTimer = useRef(null);
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  const meta = useCallback(() => (syncMeta.current = syncMeta.current ?? loadSyncMeta(localStorage)), []);
+  const updateMeta = useCallback((patch) => {
+    syncMeta.current = { ...meta(), ...patch };
+    try { saveSyncMeta(localStorage, syncMeta.current); } catch { }
+  }, [meta]);
+
+  // Always queued, so nothing is lost when sync is switched on later.
+  function queueHistoryChange(record) {
+    const change = record && toRecord(record);
+    if (!change) return;
+    updateMeta({ outbox: queueChange(meta().outbox, change) });
+    scheduleSync();
+  }
+
+  async function applyRemoteHistory({ add, update, remove }) {
+    if (!add.length && !update.length && !remove.length) return;
+    const store = historyStore.current;
+    if (!store) {
+      setHistoryEntries((list) => [
+        ...list.filter((e) => !remove.includes(e.id)).map((e) => ({ ...e, ...update.find((u) => u.id === e.id)?.entry })),
+        ...add.map((e) => ({ ...e, id: `remote-${e.uid}` })),
+      ].sort((a, b) => b.ts - a.ts));
+      return;
+    }
+    if (add.length) await store.addMany(add);
+    for (const { id, entry } of update) await store.update(id, entry);
+    for (const id of remove) await store.remove(id);
+    setHistoryEntries(await store.all());
+  }
+
+  async function syncNow() {
+    const s = stateRef.current;
+    if (!(s.syncEnabled && s.proxyUrl && initData)) return;
+    setSyncStatus((st) => ({ ...st, phase: "syncing" }));
+    try {
+      // entries saved before sync existed get their uid on the first run
+      const store = historyStore.current;
+      for (const e of (store ? await store.all() : historyRef.current).filter((e) => !e.uid)) {
+        const stamped = { uid: newUid(), updatedAt: e.ts };
+        if (store) await store.update(e.id, stamped);
+        queueHistoryChange({ ...e, ...stamped });
+      }
+      const sent = meta().outbox;
+      const { settingsUpdatedAt } = meta();
+      const res = await createSyncClient({ baseUrl: s.proxyUrl, initData }).sync({ settings: { value: syncedSettings(s), updatedAt: settingsUpdatedAt }, changes: sent });
+      updateMeta({ outbox: meta().outbox.filter((r) => !sent.includes(r)), lastSyncAt: Date.now() });
+      if (res.settings && res.settings.updatedAt > meta().settingsUpdatedAt) {
+        syncedJson.current = JSON.stringify(syncedSettings({ ...stateRef.current, ...res.settings.value }));
+        updateMeta({ settingsUpdatedAt: res.settings.updatedAt });
+        setState((st) => ({ ...st, ...res.settings.value }));
+      }
+      await applyRemoteHistory(reconcileHistory(store ? await store.all() : historyRef.current, res.history));
+      setSyncStatus({ phase: "ok", at: Date.now() });
+    } catch (e) {
+      console.error(e);
+      setSyncStatus((st) => ({ ...st, phase: e.status === 401 || e.status === 403 ? "denied" : "offline" }));
+    }
+  }
+  const syncRef = useRef(syncNow);
+  syncRef.current = syncNow;
+
+  const scheduleSync = useCallback(() => {
+    clearTimeout(syncTimer.current);
+    syncTimer.current = setTimeout(() => syncRef.current(), SYNC_DEBOUNCE_MS);
+  }, []);
+
+  // Local settings edits get a new timestamp; the server keeps whichever is newer.
+  const settingsJson = useMemo(() => JSON.stringify(syncedSettings(state)), [state]);
+  useEffect(() => {
+    if (syncedJson.current === null) { syncedJson.current = settingsJson; return; }
+    if (settingsJson === syncedJson.current) return;
+    syncedJson.current = settingsJson;
+    updateMeta({ settingsUpdatedAt: Date.now() });
+    if (syncActive) scheduleSync();
+  }, [settingsJson, syncActive, updateMeta, scheduleSync]);
+
+  // Sync on start, when the connection comes back and when the app is reopened.
+  useEffect(() => {
+    if (!syncActive) return;
+    const run = () => syncRef.current();
+    const onVisible = () => document.visibilityState === "visible" && run();
+    run();
+    window.addEventListener("online", run);
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      clearTimeout(syncTimer.current);
+      window.removeEventListener("online", run);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, [syncActive]);
+
+  // -------- Team workspace (src/lib/workspace) --------
+  // The active workspace is cached locally, so its official rates and fees still apply offline.
+  const tgUser = typeof window !== "undefined" ? window.Telegram?.WebApp?.initDataUnsafe?.user ?? null : null;
+  const wsClient = useMemo(() => (initData && state.proxyUrl ? createWorkspaceClient({ baseUrl: state.proxyUrl, initData }) : null), [initData, state.proxyUrl]);
+  const [workspaceDoc, setWorkspaceDoc] = useState(() => {
+    try { return loadCachedWorkspace(localStorage); } catch { return null; }
+  });
+  const [workspaces, setWorkspaces] = useState([]);
+  const workspace = workspaceDoc && workspaceDoc.id === state.workspaceId ? workspaceDoc : null;
+  const wsPatch = useRef(null);
+  const wsTimer = useRef(null);
+
+  const showWorkspace = (ws) => {
+    setWorkspaceDoc(ws);
+    try { localStorage.setItem(WORKSPACE_KEY, JSON.stringify(ws)); } catch { }
+  };
+
+  async function workspaceCall(fn, failure) {
+    if (!wsClient) return null;
+    try {
+      return await fn(wsClient);
+    } catch (e) {
+      console.error(e);
+      setError(e.status === 0 ? t(queuedOffline() ? "app.offline.queued" : "app.error.workspaceOffline") : failure);
+      return null;
+    }
+  }
+
+  async function refreshWorkspaces() {
+    const list = await workspaceCall((c) => c.list(), t("app.error.workspaceList"));
+    if (list) setWorkspaces(list.workspaces);
+    const id = stateRef.current.workspaceId;
+    if (!id || !wsClient) return;
+    try {
+      showWorkspace(await wsClient.get(id));
+    } catch (e) {
+      console.error(e);
+      if (e.status === 403 || e.status === 404) setState((s) => ({ ...s, workspaceId: "" }));
+    }
+  }
+  const wsRefreshRef = useRef(refreshWorkspaces);
+  wsRefreshRef.current = refreshWorkspaces;
+
+  const enterWorkspace = (ws) => {
+    if (!ws) return;
+    showWorkspace(ws);
+    setState((s) => ({ ...s, workspaceId: ws.id }));
+    wsRefreshRef.current();
+  };
+  const createWorkspace = async (name) => enterWorkspace(await workspaceCall((c) => c.create(name), t("app.error.workspaceCreate")));
+  const joinWorkspace = async (text) => {
+    const invite = parseInvite(text);
+    if (!invite) return setError(t("app.error.notInvite"));
+    enterWorkspace(await workspaceCall((c) => c.join(invite), t("app.error.inviteInvalid")));
+  };
+  const selectWorkspace = (id) => {
+    setState((s) => ({ ...s, workspaceId: id }));
+    if (id) wsRefreshRef.current();
+  };
+
+  // Manager edits; `later` batches keystroke-level edits (fee profile editor) into one request.
+  const updateWorkspace = (patch, { later = false } = {}) => {
+    if (!workspace) return;
+    if (!later) return workspaceCall((c) => c.update(workspace.id, patch), t("app.error.workspaceUpdate")).then((ws) => ws && showWorkspace(ws));
+    setWorkspaceDoc((ws) => ({ ...ws, ...patch }));
+    wsPatch.current = { ...wsPatch.current, ...patch };
+    clearTimeout(wsTimer.current);
+    wsTimer.current = setTimeout(() => {
+      const pending = wsPatch.current;
+      wsPatch.current = null;
+      updateWorkspace(pending);
+    }, SYNC_DEBOUNCE_MS);
+  };
+  const setMemberRole = async (userId, role) => {
+    const ws = await workspaceCall((c) => c.setRole(workspace.id, userId, role), t("app.error.role"));
+    if (ws) showWorkspace(ws);
+  };
+  const reviewSubmission = async (id, status, comment) => {
+    const ws = await workspaceCall((c) => c.review(workspace.id, id, { status, comment }), t("app.error.review"));
+    if (!ws) return;
+    showWorkspace(ws);
+    setWorkspaces((list) => list.map((w) => (w.id === ws.id ? { ...w, pending: ws.submissions.filter((s) => s.status === "pending").length } : w)));
+  };
+  const submitEntry = async (entry) => {
+    const submission = await workspaceCall((c) => c.submit(workspace.id, entry), t("app.error.submit"));
+    if (!submission) return;
+    showWorkspace({ ...workspace, submissions: [submission, ...workspace.submissions] });
+    tgRef.current?.HapticFeedback?.notificationOccurred?.("success");
+  };
+  const submissionFor = (uid) => workspace?.submissions.find((s) => s.entry.uid === uid) ?? null;
+
+  const inviteLink = workspace?.invite ? (APP_LINK ? `${APP_LINK}?startapp=${inviteParam(workspace)}` : inviteParam(workspace)) : "";
+  const shareInvite = async () => {
+    const tg = tgRef.current;
+    if (APP_LINK && tg?.openTelegramLink) {
+      tg.openTelegramLink(`https://t.me/share/url?url=${encodeURIComponent(inviteLink)}&text=${encodeURIComponent(t("app.workspace.shareText", { name: workspace.name }))}`);
+      return;
+    }
+    try { await navigator.clipboard.writeText(inviteLink); setCopied(true); setTimeout(() => setCopied(false), 1200); } catch { }
+  };
+
+  // Load on start / when switched, refresh when the app is reopened.
+  useEffect(() => {
+    if (!wsClient) return;
+    const run = () => wsRefreshRef.current();
+    const onVisible = () => document.visibilityState === "visible" && run();
+    run();
+    document.addEventListener("visibilitychange", onVisible);
+    return () => document.removeEventListener("visibilitychange", onVisible);
+  }, [wsClient, state.workspaceId]);
+
+  // Opened from an invite link posted in a group (start_param "ws_…"): join once.
+  const inviteHandled = useRef(false);
+  const joinRef = useRef(joinWorkspace);
+  joinRef.current = joinWorkspace;
+  useEffect(() => {
+    const startParam = window.Telegram?.WebApp?.initDataUnsafe?.start_param;
+    if (!wsClient || !parseInvite(startParam) || inviteHandled.current) return;
+    inviteHandled.current = true;
+    joinRef.current(startParam);
+  }, [wsClient]);
+
+  // -------- Providers --------
+  // Loads `ids` (plus whatever they quote from) into state.snapshots.
+  // With a rate date only dated (archive-capable) providers are loaded.
+  // `quiet` loads leave the spinner and the error line alone (background polling).
+  async function refreshSources(ids, currency = state.currency, date = state.rateDate || null, { quiet = false } = {}) {
+    const queue = [];
+    ids.map((id) => providers.get(id)).filter((p) => p?.supports(currency, "RUB")).forEach((p) =>
+      withDependencies(providers, p.id).forEach((d) => { if (!d.derived && (!date || d.dated) && !queue.includes(d)) queue.push(d); }));
+    if (!queue.length) return;
+    if (!quiet) { setLoading(true); setError(""); }
+    await Promise.all(queue.map(async (provider) => {
+      const key = snapshotKey(provider, currency, date);
+      try {
+        const { snapshot } = await loadSnapshot(provider, { currency, date, proxyUrl: state.useProxy ? state.proxyUrl : null });
+        setState((s) => ({ ...s, snapshots: { ...s.snapshots, [key]: snapshot } }));
+        setSourceErrors((errs) => {
+          if (!errs[key]) return errs;
+          const { [key]: cleared, ...rest } = errs;
+          return rest;
+        });
+      } catch (e) {
+        console.error(e);
+        setSourceErrors((errs) => ({ ...errs, [key]: { providerId: provider.id, currency, date, status: e.status ?? null, at: Date.now() } }));
+      }
+    }));
+    if (!quiet) setLoading(false);
+  }
+
+  // -------- Telegram Integration --------
+  useEffect(() => {
+    const tg = window?.Telegram?.WebApp;
+    if (!tg) return;
+    tgRef.current = tg;
+    try {
+      tg.ready();
+      tg.expand();
+      if (tg.colorScheme) setState((s) => ({ ...s, dark: tg.colorScheme === "dark" }));
+      const onTheme = () => setState((s) => ({ ...s, dark: tg.colorScheme === "dark" }));
+      const onClick = () => { saveRef.current(); tg.HapticFeedback?.impactOccurred?.("light"); };
+      tg.onEvent("themeChanged", onTheme);
+      tg.onEvent("mainButtonClicked", onClick);
+      return () => { tg.offEvent("themeChanged", onTheme); tg.offEvent("mainButtonClicked", onClick); };
+    } catch { }
+  }, [setState]);
+
+  // The UI kit (src/components/ui) follows Tailwind's class-based dark mode.
+  useEffect(() => { document.documentElement.classList.toggle("dark", !!state.dark); }, [state.dark]);
+
+  // -------- Offline (src/service-worker.js, src/lib/offline) --------
+  // Offline the app runs on the saved snapshots and says how old they are; background
+  // loads pause and catch up when the connection comes back.
+  useEffect(() => {
+    const goOnline = () => setOnline(true);
+    const goOffline = () => setOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, []);
+  const wasOnline = useRef(online);
+  useEffect(() => {
+    if (online && !wasOnline.current) {
+      staleRef.current();
+      pollRef.current();
+      wsRefreshRef.current();
+    }
+    wasOnline.current = online;
+  }, [online]);
+
+  // A server write that failed for want of a network is queued by the service worker when one
+  // controls the page, and only while the server still accepts this session's initData.
+  const queuedOffline = () => !!navigator.serviceWorker?.controller && canReplay(initData);
+
+  // How the queued writes went once replayed; results from while the app was closed are asked for on start.
+  useEffect(() => {
+    const sw = navigator.serviceWorker;
+    if (!sw) return;
+    const onMessage = ({ data }) => {
+      if (data?.type !== REPLAY_RESULT) return;
+      data.results.filter((r) => !r.ok).forEach((r) => setError(t(`app.offline.replayFailed.${r.target}`, { status: r.status })));
+      if (data.results.some((r) => r.ok && r.target === "workspaces")) wsRefreshRef.current();
+    };
+    sw.addEventListener("message", onMessage);
+    sw.controller?.postMessage({ type: REPLAY_RESULT });
+    return () => sw.removeEventListener("message", onMessage);
+  }, [t]);
+
+  // -------- Auto fetches --------
+  const staleSources = (ids, currency, date) => ids.filter((id) => providers.get(id)?.supports(currency, "RUB") &&
+    withDependencies(providers, id).some((p) => !p.derived && (!date || p.dated) && !isFresh(snapshotFor(state.snapshots, p, currency, date), p)));
+
+  // Loads what is stale of `ids`; the effects below call it through a ref so that they
+  // run on their own triggers only.
+  const fetchStale = (ids, currency) => {
+    if (!state.autoFetch || !online) return;
+    const stale = staleSources(ids, currency, state.rateDate || null);
+    if (stale.length) refreshSources(stale, currency);
+  };
+  const fetchStaleRef = useRef(fetchStale);
+  fetchStaleRef.current = fetchStale;
+
+  // Selected source (with its dependencies) and CBRF as the Δ reference.
+  useEffect(() => {
+    fetchStaleRef.current([state.source, "cbrf"], state.currency);
+  }, [state.source, state.currency, state.rateDate]);
+
+  // Every currency/source pair used by the basket.
+  const basketPairs = state.basket.filter((l) => l.currency !== "RUB").map((l) => `${l.currency}|${l.source || state.source}`).join(",");
+  useEffect(() => {
+    if (state.mode !== "basket" || !basketPairs) return;
+    const byCurrency = {};
+    basketPairs.split(",").forEach((pair) => {
+      const [currency, source] = pair.split("|");
+      byCurrency[currency] = [...new Set([...(byCurrency[currency] ?? ["cbrf"]), source])];
+    });
+    Object.entries(byCurrency).forEach(([currency, ids]) => fetchStaleRef.current(ids, currency));
+  }, [state.mode, basketPairs, state.rateDate]);
+
+  // Data of the current view that went stale is reloaded in the background; the tick also ages the badges.
+  const refreshStale = () => {
+    setNow(Date.now());
+    if (!state.autoFetch || !online) return;
+    const byCurrency = {};
+    const pairs = state.mode === "basket" ? basketPairs.split(",").filter(Boolean) : [`${state.currency}|${state.source}`];
+    pairs.forEach((pair) => {
+      const [currency, source] = pair.split("|");
+      byCurrency[currency] = [...new Set([...(byCurrency[currency] ?? ["cbrf"]), source])];
+    });
+    Object.entries(byCurrency).forEach(([currency, ids]) => {
+      const stale = staleSources(ids, currency, state.rateDate || null);
+      if (stale.length) refreshSources(stale, currency, state.rateDate || null, { quiet: true });
+    });
+  };
+  const staleRef = useRef(refreshStale);
+  staleRef.current = refreshStale;
+  useEffect(() => {
+    const timer = setInterval(() => staleRef.current(), FRESHNESS_POLL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // -------- Watchlist (src/lib/alerts) --------
+  const [alertStates, setAlertStates] = useState({});
+  const [alerts, setAlerts] = useState([]); // in-app notifications: { id, text }
+  const alertStatesRef = useRef({});
+
+  // Watched pairs are polled (today's quotes, with CBRF for Δ) for as long as the app is open.
+  const pollWatchlist = () => {
+    if (!online) return;
+    const byCurrency = {};
+    rulePairs(state.watchlist).forEach(({ currency, source }) => { byCurrency[currency] = [...new Set([...(byCurrency[currency] ?? ["cbrf"]), source])]; });
+    Object.entries(byCurrency).forEach(([currency, ids]) => {
+      const stale = staleSources(ids, currency, null);
+      if (stale.length) refreshSources(stale, currency, null, { quiet: true });
+    });
+  };
+  const pollRef = useRef(pollWatchlist);
+  pollRef.current = pollWatchlist;
+  const watchPairs = rulePairs(state.watchlist).map((p) => `${p.currency}|${p.source}`).join(",");
+  useEffect(() => {
+    if (!watchPairs) return;
+    pollRef.current();
+    const timer = setInterval(() => pollRef.current(), WATCH_POLL_MS);
+    return () => clearInterval(timer);
+  }, [watchPairs]);
+
+  // Every snapshot change re-checks the rules; crossings become alerts + haptics.
+  useEffect(() => {
+    const { states, fired } = evaluateRules(state.watchlist, { valueFor: (rule) => ruleValue(providers, rule, state.snapshots), states: alertStatesRef.current });
+    alertStatesRef.current = states;
+    setAlertStates(states);
+    if (!fired.length) return;
+    setAlerts((list) => [...fired.map(({ rule, value }) => ({ id: `${rule.id}:${Date.now()}`, text: alertMessage(rule, value, { sourceLabel, t }) })), ...list].slice(0, 5));
+    tgRef.current?.HapticFeedback?.notificationOccurred?.("warning");
+  }, [state.watchlist, state.snapshots, sourceLabel, t]);
+
+  // -------- Derived values --------
+  const amountNum = parseAmount(state.amount, locale);
+  const isBasket = state.mode === "basket";
+  const sourceProvider = providers.get(state.source) ?? providers.get("market");
+
+  const rateDate = state.rateDate || null; // null = today's quotes
+  const cbrfSnapshot = snapshotFor(state.snapshots, providers.get("cbrf"), state.currency, rateDate);
+
+  const cbrfRate = useMemo(
+    () => resolveQuote(providers, "cbrf", { currency: state.currency, snapshots: state.snapshots, date: rateDate })?.rate ?? null,
+    [state.snapshots, state.currency, rateDate]
+  );
+
+  // Inside a workspace its shared fees and official rates replace the personal ones.
+  const sharedFees = workspaceFees(workspace);
+  const isWorkspaceManager = memberRole(workspace, tgUser?.id) === "manager";
+  const { feeProfiles, feeProfileBySource } = sharedFees ?? state;
+  const { feesEnabled } = state;
+  const rateLocked = officialRate(workspace, state.currency) !== null;
+  const customRate = rateOverride(workspace, state.currency, state.customRate);
+  const currencies = useMemo(() => workspaceCurrencies(workspace, DEFAULT_CURRENCIES), [workspace]);
+  const profileFor = useCallback((sourceId) => (feesEnabled ? findProfile(feeProfiles, feeProfileBySource[sourceId]) : null), [feesEnabled, feeProfiles, feeProfileBySource]);
+  const rateToRub = useCallback((code) => resolveQuote(providers, "cbrf", { currency: code, snapshots: state.snapshots, date: rateDate })?.rate ?? null, [state.snapshots, rateDate]);
+
+  // Reverse direction: the RUB budget is what is left after fees, so fees are solved
+  // for first (grossForNet), then the source is walked backwards for that gross amount.
+  const isReverse = !isBasket && state.direction === "fromRub";
+  const budgetNum = parseAmount(state.budget, locale);
+  const reverse = useMemo(() => {
+    if (!isReverse || !(budgetNum > 0)) return null;
+    if (hasCustomRate(customRate, locale)) {
+      return { amount: divMoney(budgetNum, effectiveRate(null, { customRate, locale }), state.currency), grossRub: budgetNum, covered: 1, fees: applyFees(null, { grossRub: budgetNum, rateToRub, t }) };
+    }
+    const ctx = { currency: state.currency, snapshots: state.snapshots, date: rateDate, edges: state.routeEdges, side: state.bitkubSide };
+    const profile = profileFor(sourceProvider.id);
+    // per-hop fees need the hops, taken from a first pass over the whole budget
+    const first = resolveInverse(providers, sourceProvider.id, { ...ctx, rub: budgetNum });
+    const grossRub = first ? grossForNet(profile, budgetNum, { hops: first.hops, rateToRub }) : null;
+    if (!grossRub) return null;
+    const inverse = grossRub === budgetNum ? first : resolveInverse(providers, sourceProvider.id, { ...ctx, rub: grossRub });
+    return inverse ? { ...inverse, grossRub, fees: applyFees(profile, { grossRub, hops: inverse.hops, rateToRub, t }) } : null;
+  }, [isReverse, budgetNum, customRate, locale, t, state.currency, state.snapshots, rateDate, state.routeEdges, state.bitkubSide, profileFor, sourceProvider, rateToRub]);
+
+  // Foreign amount being priced: typed in, or solved from the budget.
+  const foreignAmount = isReverse ? reverse?.amount ?? 0 : amountNum;
+
+  const sourceQuote = useMemo(
+    () => resolveQuote(providers, sourceProvider.id, { currency: state.currency, amount: foreignAmount, snapshots: state.snapshots, date: rateDate, edges: state.routeEdges, side: state.bitkubSide }),
+    [sourceProvider, state.snapshots, state.currency, foreignAmount, rateDate, state.routeEdges, state.bitkubSide]
+  );
+
+  const sourceSnapshot = snapshotFor(state.snapshots, sourceProvider, state.currency, rateDate);
+  const sourceUpdated = sourceSnapshot?.updated ?? null;
+
+  const grossRate = useMemo(() => effectiveRate(sourceQuote?.rate, { customRate, locale }), [customRate, locale, sourceQuote]);
+
+  // A custom rate is all-in; otherwise the source's fee profile is deducted from the gross result.
+  const fees = useMemo(() => {
+    const profile = hasCustomRate(customRate, locale) ? null : profileFor(sourceProvider.id);
+    return applyFees(profile, { grossRub: toRub(amountNum, grossRate), hops: quoteHops(sourceQuote, sourceProvider.id), rateToRub, t });
+  }, [customRate, locale, t, profileFor, sourceProvider, amountNum, grossRate, sourceQuote, rateToRub]);
+
+  const rubResult = isReverse ? reverse?.fees.netRub ?? 0 : fees.netRub;
+  const grossRub = isReverse ? reverse?.grossRub ?? 0 : toRub(amountNum, grossRate);
+  const covered = isReverse ? reverse?.covered : sourceQuote?.covered;
+
+  const activeRate = useMemo(() => netRate(foreignAmount, rubResult, grossRate), [foreignAmount, grossRate, rubResult]);
+
+  const { abs: deltaAbs, pct: deltaPct } = useMemo(() => deltaVsCbrf(activeRate, cbrfRate), [activeRate, cbrfRate]);
+
+  const basketPriced = useMemo(() => {
+    if (!isBasket) return null;
+    const quoteFor = (currency, source, amount) => {
+      const quote = resolveQuote(providers, source, { currency, amount, snapshots: state.snapshots, date: rateDate, edges: state.routeEdges, side: state.bitkubSide });
+      return { quoteRate: quote?.rate ?? null, cbrfRate: rateToRub(currency), hops: quoteHops(quote, source) };
+    };
+    const lines = state.basket.map((line) => ({ ...line, customRate: rateOverride(workspace, line.currency, line.customRate) }));
+    return priceBasket(lines, { quoteFor, defaultSource: sourceProvider.id, locale });
+  }, [isBasket, state.basket, state.snapshots, rateDate, state.routeEdges, state.bitkubSide, sourceProvider, rateToRub, workspace, locale]);
+
+  const basketFeeTotals = useMemo(
+    () => (basketPriced ? basketFees(basketPriced, { profileFor, rateToRub, locale, t }) : null),
+    [basketPriced, profileFor, rateToRub, locale, t]
+  );
+
+  const resultRub = isBasket ? basketFeeTotals.netRub : rubResult;
+  const feeItems = isBasket ? basketFeeTotals.items : isReverse ? reverse?.fees.items ?? [] : fees.items;
+
+  // -------- Safeguards (src/lib/freshness, src/lib/sanity) --------
+  const sourceAges = useMemo(
+    () => sourceFreshness(providers, sourceProvider.id, { currency: state.currency, date: rateDate, snapshots: state.snapshots, now }),
+    [sourceProvider, state.currency, rateDate, state.snapshots, now]
+  );
+
+  // Offline banner: the rates on screen are as old as the oldest snapshot they are built on.
+  const offlineRatesAt = useMemo(() => {
+    if (online) return null;
+    const pairs = isBasket ? basketPairs.split(",").filter(Boolean) : [`${state.currency}|${sourceProvider.id}`];
+    return ratesAsOf(pairs.flatMap((pair) => {
+      const [currency, source] = pair.split("|");
+      return [source, "cbrf"].flatMap((id) => sourceFreshness(providers, id, { currency, date: rateDate, snapshots: state.snapshots }).map((a) => a.snapshot));
+    }));
+  }, [online, isBasket, basketPairs, state.currency, sourceProvider, rateDate, state.snapshots]);
+
+  // A custom (or official) rate is checked against CBRF alone; a quoted one also by its source's age and payload.
+  const issues = useMemo(() => {
+    const check = ({ currency, source, rate, custom, cbrf }) => {
+      const ctx = { currency, date: rateDate, snapshots: state.snapshots, side: state.bitkubSide, now, t };
+      if (custom) return [...checkSource(providers, "cbrf", ctx), ...checkRate({ rate, cbrfRate: cbrf, currency, custom: true }, state.sanityLimits, t)];
+      const divergence = source === "cbrf" ? [] : checkRate({ rate, cbrfRate: cbrf, currency, label: sourceLabel(source) }, state.sanityLimits, t);
+      return [...checkSource(providers, source, ctx), ...divergence];
+    };
+    if (isBasket) {
+      return uniqueIssues(basketPriced.lines.filter(({ line }) => line.currency !== "RUB").flatMap(({ line, source, rate, cbrfRate: cbrf }) =>
+        check({ currency: line.currency, source, rate, custom: hasCustomRate(line.customRate, locale), cbrf })));
+    }
+    const custom = hasCustomRate(customRate, locale);
+    const rate = custom ? effectiveRate(null, { customRate, locale }) : sourceQuote?.rate;
+    return uniqueIssues(check({ currency: state.currency, source: sourceProvider.id, rate, custom, cbrf: cbrfRate }));
+  }, [isBasket, basketPriced, customRate, sourceQuote, sourceProvider, state.currency, state.snapshots, state.bitkubSide, state.sanityLimits, rateDate, cbrfRate, now, locale, t, sourceLabel]);
+  const blocked = isBlocked(issues);
+
+  // -------- Rate history (IndexedDB, see src/lib/rateStore) --------
+  const rateStore = useRef(null);
+  const recordedPoints = useRef(new Set());
+  const [ratesVersion, setRatesVersion] = useState(0); // bumped when the store opens or gains points
+  const [chartCurrency, setChartCurrency] = useState(null); // null = follows the converter
+  const [chartRange, setChartRange] = useState("week");
+  const [chartPoints, setChartPoints] = useState([]);
+  const chartCode = chartCurrency ?? state.currency;
+
+  useEffect(() => {
+    let cancelled = false;
+    openRateStore().then((store) => {
+      if (cancelled) return store.close();
+      rateStore.current = store;
+      setRatesVersion((v) => v + 1);
+      return store.prune(Date.now() - RATE_RETENTION_MS);
+    }).catch((e) => console.error(e)); // no IndexedDB: no charts
+    return () => { cancelled = true; rateStore.current?.close(); rateStore.current = null; };
+  }, []);
+
+  // Every new snapshot becomes points for the app's currencies.
+  useEffect(() => {
+    const store = rateStore.current;
+    if (!store) return;
+    const points = ratePoints(providers, state.snapshots, [...new Set([...currencies.map((c) => c.code), state.currency])])
+      .filter((p) => !recordedPoints.current.has(p.id));
+    if (!points.length) return;
+    points.forEach((p) => recordedPoints.current.add(p.id));
+    store.addMany(points).then(() => setRatesVersion((v) => v + 1)).catch((e) => console.error(e));
+  }, [state.snapshots, currencies, state.currency, ratesVersion]);
+
+  useEffect(() => {
+    const store = rateStore.current;
+    if (!store) return;
+    let cancelled = false;
+    const to = Date.now();
+    store.range(chartCode, to - CHART_RANGES[chartRange].ms, to)
+      .then((points) => { if (!cancelled) setChartPoints(points); })
+      .catch((e) => console.error(e));
+    return () => { cancelled = true; };
+  }, [chartCode, chartRange, ratesVersion]);
+
+  // MainButton mirrors the current result.
+  useEffect(() => {
+    const tg = tgRef.current;
+    if (!tg) return;
+    const label = blocked ? t("app.main.blocked") : resultRub > 0 ? t("app.main.saveRub", { rub: t.money(resultRub) }) : t("app.main.save");
+    tg.MainButton.setParams?.({ text: label, is_active: !blocked });
+    if (resultRub > 0) tg.MainButton.show?.(); else tg.MainButton.hide?.();
+  }, [resultRub, blocked, t]);
+
+  // -------- UX helpers --------
+  // The current result as a history entry (src/lib/history); null while there is none or it is blocked.
+  const currentEntry = () => {
+    if (blocked) return null; // see issues
+    const common = { ts: Date.now(), source: sourceProvider.id, rateDate: cbrfSnapshot?.rateDate ?? null, asOf: rateDate };
+    let item;
+    if (isBasket) {
+      if (!(basketFeeTotals.netRub > 0)) return null;
+      const lines = basketPriced.lines.map(({ line, amount, rate, rub, deltaRub }) => ({ description: line.description, kind: line.kind, qty: line.qty, unitPrice: line.unitPrice, currency: line.currency, source: line.source, customRate: line.customRate, amount, rate, rub, deltaRub }));
+      item = { ...common, kind: "basket", lines, fees: basketFeeTotals.items, rub: basketFeeTotals.netRub, deltaRub: basketPriced.deltaRub };
+    } else {
+      if (!activeRate || !(foreignAmount > 0)) return null;
+      const feeProfile = hasCustomRate(customRate, locale) ? null : profileFor(sourceProvider.id)?.name ?? null;
+      item = { ...common, amount: roundMoney(foreignAmount, state.currency), currency: state.currency, rate: activeRate, rub: rubResult, fees: feeItems, feeProfile, customRate, cbrfRate, direction: isReverse ? "fromRub" : "toRub" };
+    }
+    return normalizeEntry(item);
+  };
+  const saveToHistory = () => {
+    const entry = currentEntry();
+    if (entry) addHistoryEntry(entry);
+  };
+  const saveRef = useRef(saveToHistory);
+  saveRef.current = saveToHistory;
+
+  // Puts a saved calculation back into the converter (inputs only; rates are re-quoted).
+  const reopenEntry = (entry) => {
+    setState((s) => {
+      const common = { ...s, rateDate: entry.asOf ?? "", source: providers.get(entry.source) ? entry.source : s.source };
+      if (entry.kind === "basket") {
+        const basket = entry.lines.map(({ kind, description, qty, unitPrice, currency, source, customRate }) =>
+          newLine({ kind, description, qty: String(qty ?? "1"), unitPrice: String(unitPrice ?? ""), currency, source: source ?? "", customRate: customRate ?? "" }));
+        return { ...common, mode: "basket", basket };
+      }
+      const input = entry.direction === "fromRub" ? { budget: String(entry.rub) } : { amount: String(entry.amount) };
+      return { ...common, mode: "single", currency: entry.currency, customRate: entry.customRate ?? "", direction: entry.direction, ...input };
+    });
+    window.scrollTo?.({ top: 0, behavior: "smooth" });
+  };
+
+  const copyResult = async () => {
+    try { await navigator.clipboard.writeText(String(isReverse ? roundMoney(foreignAmount, state.currency) : resultRub)); setCopied(true); setTimeout(() => setCopied(false), 1200); } catch { }
+  };
+
+  // Switching direction carries the current figure over, so the two modes round-trip.
+  const setDirection = (direction) => setState((s) => {
+    if (s.direction === direction) return s;
+    if (direction === "fromRub") return { ...s, direction, budget: rubResult > 0 ? String(rubResult) : s.budget };
+    return { ...s, direction, amount: foreignAmount > 0 ? String(roundMoney(foreignAmount, s.currency)) : s.amount };
+  });
+
+  // -------- Receipts and links (src/lib/receipt, src/lib/deepLink) --------
+  // Inside Telegram the bot posts the PDF into the user's chat; otherwise, or when that fails, it is downloaded.
+  const receiptClient = useMemo(() => (initData && state.proxyUrl ? createReceiptClient({ baseUrl: state.proxyUrl, initData }) : null), [initData, state.proxyUrl]);
+  const [receiptStatus, setReceiptStatus] = useState(""); // "" | building | sent | saved | queued
+  const [linkCopied, setLinkCopied] = useState(false);
+  const receiptDone = (status) => { setReceiptStatus(status); setTimeout(() => setReceiptStatus(""), 4000); };
+  const sendReceipt = async (entry) => {
+    if (!entry) return;
+    setReceiptStatus("building");
+    try {
+      const bytes = await createReceiptPdf(entry, { fontBytes: await loadReceiptFont(), sourceLabel, t });
+      const fileName = receiptFileName(entry);
+      if (receiptClient) {
+        try {
+          await receiptClient.send({ fileName, caption: receiptCaption(entry, { t }), bytes });
+          receiptDone("sent");
+          tgRef.current?.HapticFeedback?.notificationOccurred?.("success");
+          return;
+        } catch (e) {
+          console.error(e);
+          // the service worker sends it when the connection is back, so no download as well
+          if (e.status === 0 && queuedOffline()) {
+            receiptDone("queued");
+            return;
+          }
+          setError(t(e.status === 502 ? "app.error.receiptBot" : "app.error.receiptServer"));
+        }
+      }
+      download(fileName, bytes, "application/pdf");
+      receiptDone("saved");
+    } catch (e) {
+      console.error(e);
+      setReceiptStatus("");
+      setError(t("app.error.receipt"));
+    }
+  };
+
+  const shareCalc = async (calc) => {
+    const links = calcLinks(calc, { appLink: APP_LINK, pageUrl: window.location.href, locale });
+    if (!links) return;
+    const tg = tgRef.current;
+    if (links.telegram && tg?.openTelegramLink) {
+      const text = t(calc.direction === "fromRub" ? "app.share.fromRub" : "app.share.toRub", { amount: t.num(Number(calc.amount)), currency: calc.currency });
+      tg.openTelegramLink(`https://t.me/share/url?url=${encodeURIComponent(links.telegram)}&text=${encodeURIComponent(text)}`);
+      return;
+    }
+    try { await navigator.clipboard.writeText(links.telegram ?? links.web); setLinkCopied(true); setTimeout(() => setLinkCopied(false), 1200); } catch { }
+  };
+  const currentCalc = () => ({ amount: parseAmount(isReverse ? state.budget : state.amount, locale), currency: state.currency, source: state.source, direction: state.direction, rateDate: state.rateDate });
+  const entryCalc = (entry) => ({ amount: entry.direction === "fromRub" ? entry.rub : entry.amount, currency: entry.currency, source: entry.source ?? "market", direction: entry.direction, rateDate: entry.asOf ?? "" });
+
+  // ?amount=…&currency=… or start_param "c_…" pre-fill the converter once per launch;
+  // a query amount is read in the app's locale, and a query that does not parse is reported.
+  const openLink = () => {
+    const hasQuery = new URLSearchParams(window.location.search).has("amount");
+    const fromQuery = parseCalcQuery(window.location.search, locale);
+    if (hasQuery) window.history.replaceState(null, "", window.location.pathname + window.location.hash);
+    if (hasQuery && !fromQuery) setError(t("app.error.badLink"));
+    const calc = fromQuery ?? parseCalcStartParam(window.Telegram?.WebApp?.initDataUnsafe?.start_param);
+    if (calc) setState((s) => ({ ...s, ...calcPatch(calc, (id) => !!providers.get(id)) }));
+  };
+  const openLinkRef = useRef(openLink);
+  openLinkRef.current = openLink;
+  useEffect(() => { openLinkRef.current(); }, []);
+
+  const toggleTheme = () => setState((s) => ({ ...s, dark: !s.dark }));
+
+  // Historical quotes exist only for dated providers, so a past date moves the source to CBRF.
+  const setRateDate = (value) => setState((s) => ({ ...s, rateDate: value, source: value && !providers.get(s.source)?.dated ? "cbrf" : s.source }));
+
+  const setSanityLimit = (field, value) => {
+    const pct = parseAmount(value, locale);
+    if (pct > 0) setState((s) => ({ ...s, sanityLimits: { ...s.sanityLimits, [field]: pct } }));
+  };
+
+  // -------- UI --------
+  return (
+    <div className={state.dark ? "min-h-screen bg-[#0f1115] text-white" : "min-h-screen bg-white text-slate-900"}>
+      {/* Simulated Telegram top bar */}
+      <div className={"sticky top-0 z-30 backdrop-blur " + (state.dark ? "bg-[#0f1115]/70" : "bg-white/70 border-b border-slate-200")}>
+        <div className="max-w-md mx-auto px-3 py-2 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Bot className="w-5 h-5" />
+            <span className="text-sm opacity-70">Web App</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <select aria-label={t("app.language")} value={state.locale} onChange={(e) => setState((s) => ({ ...s, locale: e.target.value }))} className={"rounded-md border px-2 py-1 text-sm " + (state.dark ? "bg-[#0f1115] border-slate-700" : "bg-white border-slate-300")}>
+              <option value="">{t("app.language.auto", { name: LOCALES[detectLocale(languageCode)].name })}</option>
+              {Object.entries(LOCALES).map(([id, { name }]) => (<option key={id} value={id}>{name}</option>))}
+            </select>
+            <Button size="sm" variant={state.dark ? "secondary" : "outline"} onClick={toggleTheme}>{t("app.theme")}</Button>
+          </div>
+        </div>
+      </div>
+
+      <main className="max-w-md mx-auto p-4 pb-24">
+        {!online && (
+          <div role="alert" className="mb-2 flex items-center gap-2 rounded-xl border border-slate-500/50 bg-slate-500/10 p-3 text-sm">
+            <WifiOff className="w-4 h-4 shrink-0" />
+            <span>{offlineRatesAt ? t("app.offline", { time: t.dateTime(offlineRatesAt) }) : t("app.offline.noRates")}</span>
+          </div>
+        )}
+
+        {/* Watchlist alerts */}
+        <AnimatePresence>
+          {alerts.map((a) => (
+            <motion.div key={a.id} initial={{ opacity: 0, y: -6 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -6 }} className="mb-2 flex items-start justify-between gap-2 rounded-xl border border-amber-500/50 bg-amber-500/10 p-3 text-sm">
+              <div className="flex items-start gap-2"><Bell className="w-4 h-4 mt-0.5 shrink-0 text-amber-400" /><span>{a.text}</span></div>
+              <button aria-label={t("app.close")} onClick={() => setAlerts((list) => list.filter((x) => x.id !== a.id))}><X className="w-4 h-4" /></button>
+            </motion.div>
+          ))}
+        </AnimatePresence>
+
+        {/* Logo / Wordmark */}
+        <div className="flex items-center justify-center mb-4">
+          <motion.div initial={{ opacity: 0, y: -6 }} animate={{ opacity: 1, y: 0 }} className="text-3xl font-black tracking-[0.25em]">TANAQ</motion.div>
+        </div>
+
+        {/* Headline */}
+        <div className="text-center mb-6">
+          <h1 className="text-xl font-semibold">{t("app.title")}</h1>
+          <p className={"mt-1 text-sm " + (state.dark ? "text-slate-300" : "text-slate-600")}>{t("app.subtitle")}</p>
+        </div>
+
+        {/* Converter Card */}
+        <Card className={state.dark ? "bg-[#141821] border-slate-800" : "bg-white"}>
+          <CardHeader className="pb-2">
+            <CardTitle className="flex items-center gap-2 text-base">
+              <Calculator className="w-5 h-5" /> {t("app.converter.title")}
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {/* Mode */}
+            <div className="flex gap-2">
+              <Button size="sm" variant={isBasket ? "outline" : "default"} onClick={() => setState((s) => ({ ...s, mode: "single" }))}>{t("app.mode.single")}</Button>
+              <Button size="sm" variant={isBasket ? "default" : "outline"} onClick={() => setState((s) => ({ ...s, mode: "basket" }))}>{t("app.mode.basket")}</Button>
+            </div>
+
+            {isBasket ? (
+              <BasketPanel dark={state.dark} t={t} lines={state.basket} priced={basketPriced} currencies={currencies} sources={providers.list()} defaultCurrency={state.currency} onChange={(basket) => setState((s) => ({ ...s, basket }))} />
+            ) : (
+              <div className="grid grid-cols-12 gap-2 items-end">
+                <div className="col-span-12 flex gap-2">
+                  <Button size="sm" variant={isReverse ? "outline" : "default"} onClick={() => setDirection("toRub")}>{t("history.kind.toRub")}</Button>
+                  <Button size="sm" variant={isReverse ? "default" : "outline"} onClick={() => setDirection("fromRub")}>{t("history.kind.fromRub")}</Button>
+                </div>
+                <div className="col-span-7">
+                  {isReverse ? (
+                    <>
+                      <Label htmlFor="budget">{t("app.budget")}</Label>
+                      <Input id="budget" inputMode="decimal" value={state.budget} onChange={(e) => setState({ ...state, budget: e.target.value })} className={state.dark ? "bg-[#0f1115] border-slate-700" : ""} placeholder={t("app.example", { value: t.num(100000) })} />
+                    </>
+                  ) : (
+                    <>
+                      <Label htmlFor="amount">{t("app.amount")}</Label>
+                      <Input id="amount" inputMode="decimal" value={state.amount} onChange={(e) => setState({ ...state, amount: e.target.value })} className={state.dark ? "bg-[#0f1115] border-slate-700" : ""} placeholder={t("app.example", { value: t.num(1250.5) })} />
+                    </>
+                  )}
+                </div>
+                <div className="col-span-5">
+                  <Label>{t("app.currency")}</Label>
+                  <div className="relative">
+                    <select value={state.currency} onChange={(e) => setState({ ...state, currency: e.target.value })} className={"w-full appearance-none rounded-md border px-3 py-2 pr-8 text-sm focus:outline-none " + (state.dark ? "bg-[#0f1115] border-slate-700" : "bg-white border-slate-300")}>
+                      {currencies.map((c) => (<option key={c.code} value={c.code}>{c.code} — {t.currencyName(c.code, c.name)}</option>))}
+                    </select>
+                    <ChevronDown className="pointer-events-none absolute right-2 top-2.5 h-4 w-4 opacity-60" />
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Rate date (invoice / customs declaration) */}
+            <div className="flex items-end gap-2">
+              <div className="flex-1">
+                <Label htmlFor="rateDate">{t("app.rateDate")}</Label>
+                <Input id="rateDate" type="date" max={new Date().toISOString().slice(0, 10)} value={state.rateDate} onChange={(e) => setRateDate(e.target.value)} className={state.dark ? "bg-[#0f1115] border-slate-700" : ""} />
+              </div>
+              <Button size="sm" variant={rateDate ? "outline" : "default"} onClick={() => setRateDate("")}>{t("app.today")}</Button>
+            </div>
+            {rateDate && cbrfSnapshot?.rateDate && cbrfSnapshot.rateDate !== rateDate && (
+              <div className="text-xs opacity-70">{t("app.rateDate.fallback", { date: t.date(rateDate), actual: t.date(cbrfSnapshot.rateDate) })}</div>
+            )}
+
+            {!isBasket && (
+              <>
+                {/* Quick currency chips */}
+                <div className="flex flex-wrap gap-2">
+                  {currencies.slice(0, 6).map((c) => (
+                    <Button key={c.code} variant={state.currency === c.code ? "default" : "outline"} size="sm" onClick={() => setState({ ...state, currency: c.code })}>{c.code}</Button>
+                  ))}
+                </div>
+
+                {/* Rate Row */}
+                <div className="flex items-center justify-between gap-3">
+                  <div className="text-sm">
+                    <div className="opacity-70">{t("app.rate", { currency: state.currency })}</div>
+                    <div className="text-lg font-semibold">{activeRate ? t.num(activeRate, 4) : "—"}</div>
+                    <div className="text-xs opacity-60 mt-1">{t("app.source", { source: sourceLabel(sourceProvider.id), updated: sourceUpdated ? t.dateTime(sourceUpdated) : "—" })}</div>
+                    {sourceSnapshot?.stale && <div className="text-xs text-amber-400">⚠ {t("app.source.proxyCache")}</div>}
+                    {!hasCustomRate(customRate, locale) && (
+                      <div className="flex flex-wrap gap-1 mt-1">
+                        {sourceAges.map(({ provider, status, ageMs, archived }) => (
+                          <span key={provider.id} className={"rounded px-1.5 py-0.5 text-[10px] " + FRESHNESS_CLS[status]}>
+                            {sourceLabel(provider.id)} · {archived ? t("app.age.archived") : status === "missing" ? t("app.age.missing") : formatAge(ageMs, t)}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <Button size="sm" onClick={() => refreshSources([sourceProvider.id])} disabled={loading}><RefreshCw className={"h-4 w-4 mr-1 " + (loading ? "animate-spin" : "")} /> {t("app.refresh")}</Button>
+                    <Button size="sm" variant="outline" onClick={() => refreshSources(providers.forPair(state.currency).map((p) => p.id))}>{t("app.refreshAll")}</Button>
+                  </div>
+                </div>
+
+                {/* Bitkub liquidity (USDT only) */}
+                {sourceProvider.id === 'bitkub' && sourceProvider.supports(state.currency) && (
+                  <DepthPanel dark={state.dark} t={t} book={snapshotFor(state.snapshots, sourceProvider, state.currency)?.data} fill={sourceQuote?.fill} side={state.bitkubSide} onSideChange={(bitkubSide) => setState((s) => ({ ...s, bitkubSide }))} updated={sourceUpdated} />
+                )}
+
+                {/* Conversion routes */}
+                {sourceProvider.id === 'route' && (
+                  <RoutesPanel dark={state.dark} t={t} locale={locale} routes={sourceQuote?.routes ?? []} edges={state.routeEdges} onEdgesChange={(routeEdges) => setState((s) => ({ ...s, routeEdges }))} />
+                )}
+              </>
+            )}
+
+            {/* Advanced settings */}
+            <details className="rounded-lg border p-3 text-sm " open>
+              <summary className="cursor-pointer select-none font-medium flex items-center gap-2"><Settings className="w-4 h-4" /> {t("app.settings")}</summary>
+              <div className="mt-3 grid gap-3">
+                <div className="flex items-center justify-between">
+                  <div className="space-y-1">
+                    <Label htmlFor="source">{t("app.settings.source")}</Label>
+                    <div className="text-xs opacity-70">{t("app.settings.sourceHint")}</div>
+                  </div>
+                  <select id="source" value={state.source} onChange={(e) => setState({ ...state, source: e.target.value })} className={"w-44 rounded-md border px-2 py-2 text-sm " + (state.dark ? "bg-[#0f1115] border-slate-700" : "bg-white border-slate-300")}>
+                    {providers.list().map((p) => (<option key={p.id} value={p.id} disabled={!p.supports(state.currency) || (rateDate && !p.dated)}>{providerText(t, p)}</option>))}
+                  </select>
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <div className="space-y-1">
+                    <Label htmlFor="useProxy">{t("app.settings.proxy")}</Label>
+                    <div className="text-xs opacity-70">{t("app.settings.proxyHint")}</div>
+                  </div>
+                  <Switch id="useProxy" checked={state.useProxy} onCheckedChange={(v) => setState((s) => ({ ...s, useProxy: v }))} />
+                </div>
+                <div className="flex items-center justify-between">
+                  <div className="space-y-1">
+                    <Label htmlFor="syncEnabled">{t("app.sync")}</Label>
+                    <div className="text-xs opacity-70">
+                      {!initData ? t("app.sync.telegramOnly")
+                        : !state.syncEnabled ? t("app.sync.off")
+                        : syncStatus.phase === "syncing" ? t("app.sync.syncing")
+                        : syncStatus.phase === "offline" ? t("app.sync.offline")
+                        : syncStatus.phase === "denied" ? t("app.sync.denied")
+                        : syncStatus.at ? t("app.sync.done", { time: t.time(syncStatus.at) }) : t("app.sync.noServer")}
+                    </div>
+                  </div>
+                  <Switch id="syncEnabled" checked={state.syncEnabled} disabled={!initData} onCheckedChange={(v) => setState((s) => ({ ...s, syncEnabled: v }))} />
+                </div>
+                {(state.useProxy || state.syncEnabled) && (
+                  <Input aria-label={t("app.settings.serverUrl")} placeholder="https://tanaq.example.com" className={state.dark ? "bg-[#0f1115] border-slate-700" : ""} value={state.proxyUrl} onChange={(e) => setState({ ...state, proxyUrl: e.target.value.trim() })} />
+                )}
+
+                <div className="flex items-center justify-between">
+                  <div className="space-y-1">
+                    <Label htmlFor="feeProfile">{t("app.fees", { source: sourceLabel(sourceProvider.id) })}</Label>
+                    <div className="text-xs opacity-70">{sharedFees ? t("app.fees.shared", { name: workspace.name }) : t("app.fees.hint")}</div>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <select id="feeProfile" value={feeProfileBySource[sourceProvider.id] ?? ""} disabled={!feesEnabled || (sharedFees && !isWorkspaceManager)} onChange={(e) => (sharedFees
+                      ? updateWorkspace({ feeProfileBySource: { ...feeProfileBySource, [sourceProvider.id]: e.target.value } })
+                      : setState((s) => ({ ...s, feeProfileBySource: { ...s.feeProfileBySource, [sourceProvider.id]: e.target.value } })))} className={"w-32 rounded-md border px-2 py-2 text-sm " + (state.dark ? "bg-[#0f1115] border-slate-700" : "bg-white border-slate-300")}>
+                      <option value="">—</option>
+                      {feeProfiles.map((p) => (<option key={p.id} value={p.id}>{p.name}</option>))}
+                    </select>
+                    <Switch checked={feesEnabled} onCheckedChange={(v) => setState((s) => ({ ...s, feesEnabled: v }))} />
+                  </div>
+                </div>
+
+                {(!sharedFees || isWorkspaceManager) && (
+                  <details>
+                    <summary className="cursor-pointer select-none text-sm">{t(sharedFees ? "app.fees.profilesShared" : "app.fees.profiles")}</summary>
+                    <div className="mt-2">
+                      <FeeProfilesPanel dark={state.dark} t={t} profiles={feeProfiles} currencies={currencies} sources={providers.list()}
+                        onChange={(profiles) => (sharedFees ? updateWorkspace({ feeProfiles: profiles }, { later: true }) : setState((s) => ({ ...s, feeProfiles: profiles })))} />
+                    </div>
+                  </details>
+                )}
+
+                <div className="flex items-center justify-between">
+                  <div className="space-y-1">
+                    <Label htmlFor="customRate">{rateLocked && <Lock className="inline w-3 h-3 mr-1" />}{t(rateLocked ? "app.customRate.official" : "app.customRate", { currency: state.currency })}</Label>
+                    <div className="text-xs opacity-70">{rateLocked ? t("app.customRate.lockedBy", { name: workspace.officialRates[state.currency].lockedBy.name }) : t("app.customRate.hint")}</div>
+                  </div>
+                  <Input id="customRate" inputMode="decimal" placeholder={t("app.example", { value: t.num(98.45) })} disabled={rateLocked} className={"w-32 text-right " + (state.dark ? "bg-[#0f1115] border-slate-700" : "")} value={customRate} onChange={(e) => setState({ ...state, customRate: e.target.value })} />
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <div className="space-y-1">
+                    <Label htmlFor="maxDivergence">{t("app.sanity")}</Label>
+                    <div className="text-xs opacity-70">{t("app.sanity.hint")}</div>
+                  </div>
+                  <div className="flex gap-2">
+                    <Input id="maxDivergence" inputMode="decimal" className={"w-16 text-right " + (state.dark ? "bg-[#0f1115] border-slate-700" : "")} defaultValue={state.sanityLimits.maxDivergencePct} onChange={(e) => setSanityLimit("maxDivergencePct", e.target.value)} />
+                    <Input aria-label={t("app.sanity.custom")} inputMode="decimal" className={"w-16 text-right " + (state.dark ? "bg-[#0f1115] border-slate-700" : "")} defaultValue={state.sanityLimits.maxCustomDivergencePct} onChange={(e) => setSanityLimit("maxCustomDivergencePct", e.target.value)} />
+                  </div>
+                </div>
+              </div>
+            </details>
+
+            {/* Result */}
+            <Card className={state.dark ? "bg-[#0b0e14] border-slate-800" : "bg-slate-50"}>
+              <CardContent className="py-4">
+                <div className="flex items-center justify-between">
+                  <div>
+                    {isReverse ? (
+                      <>
+                        <div className="text-sm opacity-70">{t("app.result.budget")}</div>
+                        <div className="text-3xl font-bold">{t.money(foreignAmount, state.currency)} {state.currency}</div>
+                        <div className="text-xs opacity-70">{t("app.result.budgetRub", { rub: t.money(resultRub) })}</div>
+                      </>
+                    ) : (
+                      <>
+                        <div className="text-sm opacity-70">{t("app.result.total")}</div>
+                        <div className="text-3xl font-bold" role="status">{t.money(resultRub)} ₽</div>
+                      </>
+                    )}
+                    {!isBasket && covered < 1 && !hasCustomRate(customRate, locale) && (
+                      <div className="text-xs text-amber-400">⚠ {t("app.result.partial", { pct: Math.round(covered * 100) })}</div>
+                    )}
+                  </div>
+                  {isBasket ? (
+                  <div className="text-right text-xs opacity-80">
+                    <div>{t("receipt.lineCount")}: {basketPriced.lines.length}</div>
+                    <div>{t("app.result.atCbrf", { rub: t.money(basketPriced.cbrfRub) })}</div>
+                    {basketPriced.deltaPct !== null && (
+                      <div>{t("app.result.basketDelta", { rub: t.money(basketPriced.deltaRub), pct: t.num(basketPriced.deltaPct, 2) })}</div>
+                    )}
+                    {basketPriced.missing.length > 0 && (<div className="text-red-400">{t("app.result.missing", { count: basketPriced.missing.length })}</div>)}
+                  </div>
+                  ) : (
+                  <div className="text-right text-xs opacity-80">
+                    <div>{t("app.result.cbrf", { rate: cbrfRate ? t.num(cbrfRate, 4) : "—", currency: state.currency })}</div>
+                    {deltaPct !== null && (
+                      <div>{t("app.result.delta", { abs: t.num(deltaAbs, 4), pct: t.num(deltaPct, 2), currency: state.currency })}</div>
+                    )}
+                    {deltaPct !== null && (
+                      <div>{t("app.result.deltaTotal", { rub: t.money(mulMoney(foreignAmount, deltaAbs || 0)) })}</div>
+                    )}
+                  </div>
+                  )}
+                </div>
+                {feeItems.length > 0 && (
+                  <div className="mt-3 space-y-0.5 text-xs opacity-80">
+                    <div className="flex justify-between"><span>{t("app.result.gross")}</span><span>{t.money(isBasket ? basketPriced.totalRub : grossRub)} ₽</span></div>
+                    {feeItems.map((f) => (
+                      <div key={`${f.source ?? ""}:${f.ruleId}`} className="flex justify-between">
+                        <span>{f.label}{f.source ? ` · ${sourceLabel(f.source)}` : ""}</span>
+                        <span>−{t.money(f.rub)} ₽</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {issues.length > 0 && (
+                  <div className="mt-3 space-y-0.5 text-xs">
+                    {issues.map((i) => (<div key={i.id} className={i.level === "block" ? "text-red-400" : "text-amber-400"}>⚠ {i.message}</div>))}
+                    {blocked && <div className="opacity-70">{t("app.result.blocked")}</div>}
+                  </div>
+                )}
+                <div className="flex gap-2 mt-3">
+                  <Button onClick={saveToHistory} disabled={blocked}><Wallet className="w-4 h-4 mr-1" /> {t("app.save")}</Button>
+                  <Button variant="outline" onClick={copyResult}>{copied ? <Check className="w-4 h-4 mr-1" /> : <Copy className="w-4 h-4 mr-1" />}{t(copied ? "app.copied" : "app.copy")}</Button>
+                  <Button variant="outline" title={t("app.receipt")} disabled={blocked || receiptStatus === "building"} onClick={() => sendReceipt(currentEntry())}><FileText className="w-4 h-4 mr-1" /> PDF</Button>
+                  <Button variant="outline" title={t("app.link")} disabled={isBasket} onClick={() => shareCalc(currentCalc())}>{linkCopied ? <Check className="w-4 h-4" /> : <Link2 className="w-4 h-4" />}</Button>
+                </div>
+                {receiptStatus && receiptStatus !== "building" && (
+                  <div className="mt-2 text-xs opacity-70">{t(`app.receipt.${receiptStatus}`)}</div>
+                )}
+              </CardContent>
+            </Card>
+
+            {Object.entries(sourceErrors).map(([key, err]) => (
+              <div key={key} className="flex items-center justify-between gap-2 rounded-lg border border-red-500/40 p-2 text-sm text-red-400">
+                <div>
+                  <div>{providerText(t, providers.get(err.providerId), "errorMessage")}</div>
+                  <div className="text-xs opacity-70">{err.status ? `HTTP ${err.status}` : t("app.error.noConnection")} · {t.time(err.at)}</div>
+                </div>
+                <Button size="sm" variant="outline" disabled={loading} onClick={() => refreshSources([err.providerId], err.currency, err.date)}>{t("app.retry")}</Button>
+              </div>
+            ))}
+            {error && (
+              <div className="flex items-start justify-between gap-2 text-sm text-red-400">
+                <span>{error}</span>
+                <button aria-label={t("app.close")} onClick={() => setError("")}><X className="w-4 h-4" /></button>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Quick supplier presets */}
+        <div className="mt-6">
+          <div className="flex items-center gap-2 mb-2"><Sparkles className="w-4 h-4" /><div className="text-sm font-medium">{t("app.presets")}</div></div>
+          <div className="grid grid-cols-3 gap-2">{["USD", "USDT", "EUR", "CNY", "HKD", "THB"].map(code => (<Button key={code} variant="secondary" onClick={() => setState({ ...state, currency: code })}>{code}</Button>))}</div>
+        </div>
+
+        {/* Rate charts */}
+        <div className="mt-6">
+          <div className="flex items-center gap-2 mb-2"><TrendingUp className="w-4 h-4" /><div className="text-sm font-medium">{t("app.chart")}</div></div>
+          <RateChart dark={state.dark} t={t} currency={chartCode} currencies={currencies} onCurrencyChange={setChartCurrency} range={chartRange} onRangeChange={setChartRange}
+            points={chartPoints} now={now} sourceLabel={sourceLabel} />
+        </div>
+
+        {/* Team workspace */}
+        <div className="mt-6">
+          <div className="flex items-center gap-2 mb-2"><Users className="w-4 h-4" /><div className="text-sm font-medium">{t("app.workspace")}</div></div>
+          <WorkspacePanel dark={state.dark} t={t} locale={locale} available={!!wsClient} workspace={workspace} workspaces={workspaces} userId={tgUser?.id} currencies={currencies}
+            personalFees={{ feeProfiles: state.feeProfiles, feeProfileBySource: state.feeProfileBySource }} inviteLink={inviteLink}
+            onSelect={selectWorkspace} onCreate={createWorkspace} onJoin={joinWorkspace} onUpdate={updateWorkspace} onSetRole={setMemberRole} onReview={reviewSubmission} onShareInvite={shareInvite} />
+        </div>
+
+        {/* Watchlist */}
+        <div className="mt-6">
+          <div className="flex items-center gap-2 mb-2"><Bell className="w-4 h-4" /><div className="text-sm font-medium">{t("app.watchlist")}</div></div>
+          <WatchlistPanel dark={state.dark} t={t} locale={locale} rules={state.watchlist} states={alertStates} currencies={currencies} sources={providers.list()} defaultCurrency={state.currency} chatId={tgRef.current?.initDataUnsafe?.user?.id} onChange={(watchlist) => setState((s) => ({ ...s, watchlist }))} />
+        </div>
+
+        {/* History */}
+        <div className="mt-6">
+          <div className="flex items-center gap-2 mb-2"><History className="w-4 h-4" /><div className="text-sm font-medium">{t("history.sheet")}</div></div>
+          <HistoryPanel dark={state.dark} t={t} entries={historyEntries} sourceLabel={sourceLabel} onReopen={reopenEntry} onUpdate={updateHistoryEntry} onDelete={deleteHistoryEntry}
+            onSubmit={workspace && wsClient ? submitEntry : undefined} submissionFor={submissionFor} onReceipt={sendReceipt} onShareLink={(entry) => shareCalc(entryCalc(entry))} />
+        </div>
+      </main>
+
+      {/* Bottom bar */}
+      <div className={"fixed bottom-0 left-0 right-0 z-40 border-t p-3 " + (state.dark ? "bg-[#0f1115]/85 border-slate-800 backdrop-blur" : "bg-white/90 border-slate-200 backdrop-blur")}>
+        <div className="max-w-md mx-auto flex gap-2">
+          <Button className="flex-1" onClick={saveToHistory} disabled={blocked}><Wallet className="w-4 h-4 mr-1" />{t("app.main.save")}</Button>
+          <Button variant="outline" className="w-12" onClick={() => refreshSources([sourceProvider.id])}>
+            <RefreshCw className={"w-4 h-4 mx-auto " + (loading ? "animate-spin" : "")} />
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import React from "react";
+import { Plus, Trash2, Truck } from "lucide-react";
+import { Input } from "./ui/input";
+import { Button } from "./ui/button";
+import { Card, CardContent } from "./ui/card";
+import { newLine } from "../lib/basket";
+import { defaultT, providerText } from "../lib/i18n";
+
+// Line editor + per-line breakdown for a whole supplier order.
+// `priced` is the result of priceBasket(lines, ...).
+export function BasketPanel({ dark, t = defaultT, lines, priced, currencies, sources, defaultCurrency, onChange }) {
+  const inputCls = "h-8 px-2 text-sm " + (dark ? "bg-[#0f1115] border-slate-700" : "");
+  const selectCls = "h-8 rounded-md border px-1 text-sm " + (dark ? "bg-[#0f1115] border-slate-700" : "bg-white border-slate-300");
+  const byId = Object.fromEntries((priced?.lines ?? []).map((p) => [p.line.id, p]));
+
+  const update = (id, patch) => onChange(lines.map((l) => (l.id === id ? { ...l, ...patch } : l)));
+
+  return (
+    <div className="space-y-3">
+      {lines.length === 0 && <div className="text-sm opacity-70">{t("basket.empty")}</div>}
+
+      {lines.map((line) => {
+        const p = byId[line.id];
+        return (
+          <Card key={line.id} className={dark ? "bg-[#0b0e14] border-slate-800" : "bg-slate-50"}>
+            <CardContent className="py-2 space-y-2 text-sm">
+              <div className="flex gap-2">
+                <Input className={inputCls + " flex-1"} placeholder={t(line.kind === "cost" ? "basket.costName" : "basket.itemName")} value={line.description} onChange={(e) => update(line.id, { description: e.target.value })} />
+                <Button size="sm" variant="outline" onClick={() => onChange(lines.filter((l) => l.id !== line.id))}><Trash2 className="w-4 h-4" /></Button>
+              </div>
+              <div className="grid grid-cols-12 gap-2">
+                {line.kind === "item" && (
+                  <Input className={inputCls + " col-span-2"} inputMode="decimal" aria-label={t("basket.qty")} value={line.qty} onChange={(e) => update(line.id, { qty: e.target.value })} />
+                )}
+                <Input className={inputCls + (line.kind === "item" ? " col-span-4" : " col-span-6")} inputMode="decimal" placeholder={t(line.kind === "item" ? "basket.unitPrice" : "receipt.amount")} value={line.unitPrice} onChange={(e) => update(line.id, { unitPrice: e.target.value })} />
+                <select className={selectCls + " col-span-3"} value={line.currency} onChange={(e) => update(line.id, { currency: e.target.value })}>
+                  {["RUB", ...currencies.map((c) => c.code)].map((code) => (<option key={code} value={code}>{code}</option>))}
+                </select>
+                <select className={selectCls + " col-span-3"} value={line.source} disabled={line.currency === "RUB"} onChange={(e) => update(line.id, { source: e.target.value })}>
+                  <option value="">{t("basket.sameSource")}</option>
+                  {sources.filter((s) => s.supports(line.currency)).map((s) => (<option key={s.id} value={s.id}>{providerText(t, s, "caption")}</option>))}
+                </select>
+              </div>
+              <div className="flex items-center justify-between gap-2 text-xs">
+                <Input className={inputCls + " w-32 text-xs"} inputMode="decimal" placeholder={t("history.customRate")} disabled={line.currency === "RUB"} value={line.customRate} onChange={(e) => update(line.id, { customRate: e.target.value })} />
+                <div className="text-right">
+                  <div className="font-medium">{t.money(p?.rub)} ₽ <span className="opacity-60">{t("basket.at", { rate: t.num(p?.rate, 4) })}</span></div>
+                  {p?.deltaRub !== null && p?.deltaRub !== undefined && <div className="opacity-70">{t("basket.delta", { rub: t.money(p.deltaRub) })}</div>}
+                  {p && p.amount > 0 && !p.rate && <div className="text-red-400">{t("basket.noRate")}</div>}
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        );
+      })}
+
+      <div className="flex gap-2">
+        <Button size="sm" variant="outline" onClick={() => onChange([...lines, newLine({ currency: defaultCurrency })])}><Plus className="w-4 h-4 mr-1" /> {t("receipt.line")}</Button>
+        <Button size="sm" variant="outline" onClick={() => onChange([...lines, newLine({ kind: "cost", currency: "RUB" })])}><Truck className="w-4 h-4 mr-1" /> {t("basket.addCost")}</Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React, { useMemo } from "react";
+import { AlertTriangle } from "lucide-react";
+import { Button } from "./ui/button";
+import { Card, CardContent } from "./ui/card";
+import { depthCurve, suggestSplit } from "../lib/orderbook";
+import { defaultT } from "../lib/i18n";
+
+const CHART_W = 300;
+const CHART_H = 90;
+
+// Cumulative volume (x) vs average fill price (y); dashed line marks the entered amount.
+function DepthChart({ curve, qty, dark, t }) {
+  if (curve.length < 2) return null;
+  const maxQty = Math.max(curve[curve.length - 1].qty, qty);
+  const prices = curve.map((p) => p.avg);
+  const lo = Math.min(...prices);
+  const hi = Math.max(...prices);
+  const x = (q) => (q / maxQty) * CHART_W;
+  const y = (p) => (hi === lo ? CHART_H / 2 : CHART_H - ((p - lo) / (hi - lo)) * CHART_H);
+  const points = [`0,${y(curve[0].avg)}`, ...curve.map((p) => `${x(p.qty)},${y(p.avg)}`)].join(" ");
+  return (
+    <svg viewBox={`0 0 ${CHART_W} ${CHART_H}`} className="w-full h-24 mt-2" role="img" aria-label={t("depth.chart")}>
+      <polyline points={points} fill="none" stroke={dark ? "#60a5fa" : "#2563eb"} strokeWidth="2" />
+      <line x1={x(qty)} x2={x(qty)} y1="0" y2={CHART_H} stroke={dark ? "#f87171" : "#dc2626"} strokeDasharray="4 3" />
+      <text x="2" y="10" fontSize="9" fill="currentColor" opacity="0.6">{t.num(hi)}</text>
+      <text x="2" y={CHART_H - 2} fontSize="9" fill="currentColor" opacity="0.6">{t.num(lo)}</text>
+    </svg>
+  );
+}
+
+// Bitkub THB_USDT fill analysis for either side of the book.
+export function DepthPanel({ dark, t = defaultT, book, fill, side, onSideChange, updated, maxSlippagePct = 0.5 }) {
+  const curve = useMemo(() => depthCurve(book, side), [book, side]);
+  const split = useMemo(() => (fill ? suggestSplit(book, fill.qty, side, maxSlippagePct) : null), [book, fill, side, maxSlippagePct]);
+
+  return (
+    <Card className={dark ? "bg-[#0b0e14] border-slate-800" : "bg-slate-50"}>
+      <CardContent className="py-3 text-sm space-y-2">
+        <div className="flex gap-2">
+          <Button size="sm" variant={side === "sell" ? "default" : "outline"} onClick={() => onSideChange("sell")}>{t("depth.sell")}</Button>
+          <Button size="sm" variant={side === "buy" ? "default" : "outline"} onClick={() => onSideChange("buy")}>{t("depth.buy")}</Button>
+        </div>
+        <div className="grid grid-cols-2 gap-x-3 gap-y-1">
+          <div>{t("depth.avg")}: <span className="font-medium">{t.num(fill?.avg)}</span></div>
+          <div>{t("depth.worst")}: <span className="font-medium">{t.num(fill?.worst)}</span></div>
+          <div>{t("depth.slippageTop")}: {t.num(fill?.slippageVsTopPct, 3)}%</div>
+          <div>{t("depth.slippageMid")}: {t.num(fill?.slippageVsMidPct, 3)}%</div>
+          <div>{t("depth.covered")}: {fill?.covered ? Math.round(fill.covered * 100) : 0}%</div>
+          <div>{t("depth.filled")}: {t.num(fill?.filled)} USDT</div>
+        </div>
+        <DepthChart curve={curve} qty={fill?.qty ?? 0} dark={dark} t={t} />
+        {fill && fill.covered < 1 && (
+          <div className="flex items-start gap-2 text-amber-400">
+            <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+            <span>{t("depth.partial", { pct: Math.round(fill.covered * 100) })}</span>
+          </div>
+        )}
+        {split && (
+          <div className="text-xs opacity-80">
+            {t("depth.split", { count: split.count, tranche: t.num(split.tranche), pct: split.maxSlippagePct })}
+          </div>
+        )}
+        <div className="text-xs opacity-60">{updated ? t("depth.updated", { at: t.dateTime(updated) }) : "—"}</div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+import { Plus, Trash2 } from "lucide-react";
+import { Input } from "./ui/input";
+import { Button } from "./ui/button";
+import { newFeeRule } from "../lib/fees";
+import { defaultT, providerText } from "../lib/i18n";
+
+// Editor for named fee profiles (see src/lib/fees). `sources` feeds the hop-source filter.
+export function FeeProfilesPanel({ dark, t = defaultT, profiles, currencies, sources, onChange }) {
+  const [editingId, setEditingId] = useState(profiles[0]?.id ?? null);
+  const profile = profiles.find((p) => p.id === editingId) ?? profiles[0];
+  const inputCls = "h-8 px-2 text-xs " + (dark ? "bg-[#0f1115] border-slate-700" : "");
+  const selectCls = "h-8 rounded-md border px-1 text-xs " + (dark ? "bg-[#0f1115] border-slate-700" : "bg-white border-slate-300");
+
+  const updateProfile = (patch) => onChange(profiles.map((p) => (p.id === profile.id ? { ...p, ...patch } : p)));
+  const updateRule = (id, patch) => updateProfile({ rules: profile.rules.map((r) => (r.id === id ? { ...r, ...patch } : r)) });
+  const num = (v) => (v === "" ? null : Number(v));
+
+  const addProfile = () => {
+    const id = `profile-${Date.now().toString(36)}`;
+    onChange([...profiles, { id, name: t("feeProfiles.newProfile"), rules: [] }]);
+    setEditingId(id);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <select className={selectCls + " flex-1"} value={profile?.id ?? ""} onChange={(e) => setEditingId(e.target.value)}>
+          {profiles.map((p) => (<option key={p.id} value={p.id}>{p.name}</option>))}
+        </select>
+        <Button size="sm" variant="outline" onClick={addProfile}><Plus className="w-4 h-4" /></Button>
+        {profile && profiles.length > 1 && (
+          <Button size="sm" variant="outline" onClick={() => { onChange(profiles.filter((p) => p.id !== profile.id)); setEditingId(null); }}><Trash2 className="w-4 h-4" /></Button>
+        )}
+      </div>
+
+      {profile && (
+        <>
+          <Input className={inputCls} aria-label={t("feeProfiles.profileName")} value={profile.name} onChange={(e) => updateProfile({ name: e.target.value })} />
+          {profile.rules.map((rule) => (
+            <div key={rule.id} className={"rounded-md border p-2 space-y-1 " + (dark ? "border-slate-800" : "border-slate-200")}>
+              <div className="flex gap-1">
+                <Input className={inputCls + " flex-1"} placeholder={t("feeProfiles.ruleName")} value={rule.label} onChange={(e) => updateRule(rule.id, { label: e.target.value })} />
+                <Button size="sm" variant="outline" onClick={() => updateProfile({ rules: profile.rules.filter((r) => r.id !== rule.id) })}><Trash2 className="w-4 h-4" /></Button>
+              </div>
+              <div className="grid grid-cols-4 gap-1">
+                <select className={selectCls} value={rule.type} onChange={(e) => updateRule(rule.id, { type: e.target.value })}>
+                  <option value="percent">%</option>
+                  <option value="fixed">{t("feeProfiles.fixed")}</option>
+                </select>
+                <Input className={inputCls} type="number" aria-label={t("feeProfiles.value")} value={rule.value} onChange={(e) => updateRule(rule.id, { value: Number(e.target.value) })} />
+                <select className={selectCls} aria-label={t("app.currency")} value={rule.currency} onChange={(e) => updateRule(rule.id, { currency: e.target.value })}>
+                  {["RUB", ...currencies.map((c) => c.code)].map((code) => (<option key={code} value={code}>{code}</option>))}
+                </select>
+                <select className={selectCls} value={rule.scope} onChange={(e) => updateRule(rule.id, { scope: e.target.value })}>
+                  <option value="total">{t("feeProfiles.scope.total")}</option>
+                  <option value="hop">{t("feeProfiles.scope.hop")}</option>
+                </select>
+                <Input className={inputCls} type="number" placeholder={t("feeProfiles.min")} value={rule.min ?? ""} onChange={(e) => updateRule(rule.id, { min: num(e.target.value) })} />
+                <Input className={inputCls} type="number" placeholder={t("feeProfiles.max")} value={rule.max ?? ""} onChange={(e) => updateRule(rule.id, { max: num(e.target.value) })} />
+                <Input className={inputCls} type="number" placeholder={t("feeProfiles.vat")} value={rule.vatPct || ""} onChange={(e) => updateRule(rule.id, { vatPct: Number(e.target.value) || 0 })} />
+                <select className={selectCls} disabled={rule.scope !== "hop"} value={rule.source} onChange={(e) => updateRule(rule.id, { source: e.target.value })}>
+                  <option value="">{t("feeProfiles.anyHop")}</option>
+                  {sources.map((s) => (<option key={s.id} value={s.id}>{providerText(t, s, "caption")}</option>))}
+                </select>
+              </div>
+            </div>
+          ))}
+          <Button size="sm" variant="outline" onClick={() => updateProfile({ rules: [...profile.rules, newFeeRule({ label: t("fees.percent") })] })}><Plus className="w-4 h-4 mr-1" /> {t("feeProfiles.addRule")}</Button>
+        </>
+      )}
+    </div>
+  );
+}
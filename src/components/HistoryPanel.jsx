@@ -0,0 +1,105 @@
+import React, { useMemo, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { Copy, Download, FileText, Link2, RotateCcw, Send, Trash2 } from "lucide-react";
+import { Input } from "./ui/input";
+import { Button } from "./ui/button";
+import { filterHistory, historyTags, historyRows, historyColumns, toCsv, toXlsx, entryCurrencies } from "../lib/history";
+import { download } from "../lib/download";
+import { defaultT } from "../lib/i18n";
+
+const EMPTY_FILTERS = { currency: "", tag: "", from: "", to: "", query: "" };
+
+// Saved calculations with filters, inline note/tag editing and CSV/XLSX export of what is shown.
+// `entries` are normalised history entries (src/lib/history), newest first.
+// With a team workspace `onSubmit(entry)` sends one for approval and `submissionFor(uid)`
+// returns its latest submission (src/lib/workspace), if any. `onReceipt(entry)` makes its PDF
+// receipt, `onShareLink(entry)` shares a link that reopens it (single calculations only).
+export function HistoryPanel({ dark, t = defaultT, entries, sourceLabel, onReopen, onUpdate, onDelete, onSubmit, submissionFor = () => null, onReceipt, onShareLink }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const shown = useMemo(() => filterHistory(entries, filters), [entries, filters]);
+  const tags = useMemo(() => historyTags(entries), [entries]);
+  const currencies = useMemo(() => [...new Set(entries.flatMap(entryCurrencies))].sort(), [entries]);
+  const inputCls = "h-8 px-2 text-xs " + (dark ? "bg-[#0f1115] border-slate-700" : "");
+  const selectCls = "h-8 rounded-md border px-1 text-xs " + (dark ? "bg-[#0f1115] border-slate-700" : "bg-white border-slate-300");
+  const set = (patch) => setFilters((f) => ({ ...f, ...patch }));
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  // BOM so Excel opens the CSV as UTF-8
+  const exportCsv = () => download(`tanaq-history-${stamp}.csv`, "\uFEFF" + toCsv(historyRows(shown, { sourceLabel, t }), historyColumns(t)), "text/csv;charset=utf-8");
+  const exportXlsx = async () => download(`tanaq-history-${stamp}.xlsx`, await toXlsx(historyRows(shown, { sourceLabel, t }), historyColumns(t), t("history.sheet")), "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+
+  if (entries.length === 0) {
+    return <div className={"text-sm " + (dark ? "text-slate-400" : "text-slate-600")}>{t("history.empty")}</div>;
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-2 gap-2">
+        <Input className={inputCls + " col-span-2"} placeholder={t("history.search")} value={filters.query} onChange={(e) => set({ query: e.target.value })} />
+        <select className={selectCls} aria-label={t("app.currency")} value={filters.currency} onChange={(e) => set({ currency: e.target.value })}>
+          <option value="">{t("history.allCurrencies")}</option>
+          {currencies.map((c) => (<option key={c} value={c}>{c}</option>))}
+        </select>
+        <select className={selectCls} aria-label={t("history.column.tag")} value={filters.tag} onChange={(e) => set({ tag: e.target.value })}>
+          <option value="">{t("history.allTags")}</option>
+          {tags.map((tag) => (<option key={tag} value={tag}>{tag}</option>))}
+        </select>
+        <Input className={inputCls} type="date" aria-label={t("history.from")} value={filters.from} onChange={(e) => set({ from: e.target.value })} />
+        <Input className={inputCls} type="date" aria-label={t("history.to")} value={filters.to} onChange={(e) => set({ to: e.target.value })} />
+      </div>
+      <div className="flex items-center justify-between text-xs">
+        <span className="opacity-70">{t("history.shown", { shown: shown.length, total: entries.length })}</span>
+        <div className="flex gap-2">
+          <Button size="sm" variant="outline" disabled={!shown.length} onClick={exportCsv}><Download className="w-4 h-4 mr-1" /> CSV</Button>
+          <Button size="sm" variant="outline" disabled={!shown.length} onClick={exportXlsx}><Download className="w-4 h-4 mr-1" /> XLSX</Button>
+        </div>
+      </div>
+
+      <datalist id="history-tags">{tags.map((tag) => (<option key={tag} value={tag} />))}</datalist>
+      <AnimatePresence>
+        {shown.map((h) => (
+          <motion.div key={h.id ?? h.ts} initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -6 }} className={"rounded-xl border p-3 space-y-2 " + (dark ? "bg-[#0f1115] border-slate-800" : "bg-white")}>
+            <div className="flex items-start justify-between gap-2 text-sm">
+              {h.kind === "basket" ? (
+                <div>
+                  <div className="font-medium">{t("receipt.basket", { count: h.lines.length })} → {t.money(h.rub)} ₽</div>
+                  <div className="opacity-70 text-xs">{entryCurrencies(h).join(", ")}{h.deltaRub !== null && h.deltaRub !== undefined ? ` | ${t("basket.delta", { rub: t.money(h.deltaRub) })}` : ""} | {t.dateTime(h.ts)}</div>
+                </div>
+              ) : (
+                <div>
+                  <div className="font-medium">{h.direction === "fromRub" ? `${t.money(h.rub)} ₽ → ${t.money(h.amount, h.currency)} ${h.currency}` : `${t.money(h.amount, h.currency)} ${h.currency} → ${t.money(h.rub)} ₽`}</div>
+                  <div className="opacity-70 text-xs">
+                    {t("history.rate", { rate: t.num(h.rate, 4) })}{h.cbrfRate ? ` · ${t("history.cbrf", { rate: t.num(h.cbrfRate, 4) })}` : ""}{h.rateDate ? ` ${t("history.on", { date: t.date(h.rateDate) })}` : ""}
+                    {h.customRate ? ` · ${t("history.ownRate")}` : h.source ? ` · ${sourceLabel(h.source)}` : ""}{h.feeTotalRub ? ` · ${t("history.fees", { rub: t.money(h.feeTotalRub) })}` : ""} | {t.dateTime(h.ts)}
+                  </div>
+                </div>
+              )}
+              <div className="flex gap-1 shrink-0">
+                <Button size="sm" variant="outline" title={t("history.reopen")} onClick={() => onReopen(h)}><RotateCcw className="w-4 h-4" /></Button>
+                <Button size="sm" variant="outline" title={t("app.copy")} onClick={() => navigator.clipboard.writeText(String(h.rub))}><Copy className="w-4 h-4" /></Button>
+                {onReceipt && <Button size="sm" variant="outline" title={t("history.receipt")} onClick={() => onReceipt(h)}><FileText className="w-4 h-4" /></Button>}
+                {onShareLink && h.kind !== "basket" && <Button size="sm" variant="outline" title={t("history.shareLink")} onClick={() => onShareLink(h)}><Link2 className="w-4 h-4" /></Button>}
+                {onSubmit && h.uid && submissionFor(h.uid)?.status !== "pending" && (
+                  <Button size="sm" variant="outline" title={t("history.submit")} onClick={() => onSubmit(h)}><Send className="w-4 h-4" /></Button>
+                )}
+                <Button size="sm" variant="outline" title={t("history.delete")} onClick={() => onDelete(h.id)}><Trash2 className="w-4 h-4" /></Button>
+              </div>
+            </div>
+            {h.uid && submissionFor(h.uid) && (
+              <div className="text-xs opacity-80">
+                {t("history.approval", { status: t(`workspace.status.${submissionFor(h.uid).status}`) })}{submissionFor(h.uid).review?.comment ? ` — ${submissionFor(h.uid).review.comment}` : ""}
+              </div>
+            )}
+            <div className="grid grid-cols-3 gap-2">
+              <Input className={inputCls} list="history-tags" placeholder={t("history.tagPlaceholder")} defaultValue={h.tag} onBlur={(e) => e.target.value.trim() !== h.tag && onUpdate(h.id, { tag: e.target.value.trim() })} />
+              <Input className={inputCls + " col-span-2"} placeholder={t("history.column.note")} defaultValue={h.note} onBlur={(e) => e.target.value !== h.note && onUpdate(h.id, { note: e.target.value })} />
+            </div>
+          </motion.div>
+        ))}
+      </AnimatePresence>
+      {shown.length === 0 && (
+        <div className="text-xs opacity-70">{t("history.nothing")} <button className="underline" onClick={() => setFilters(EMPTY_FILTERS)}>{t("history.resetFilters")}</button></div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import React, { useMemo } from "react";
+import { Button } from "./ui/button";
+import { CHART_RANGES, chartSeries, seriesStats } from "../lib/rateStats";
+import { defaultT } from "../lib/i18n";
+
+const pct = (t, n) => (Number.isFinite(n) ? `${n > 0 ? "+" : ""}${t.num(n)}%` : "—");
+
+const CHART_W = 300;
+const CHART_H = 100;
+// [dark, light] stroke per source; unknown sources fall back to the last pair
+const COLORS = { cbrf: ["#94a3b8", "#475569"], market: ["#60a5fa", "#2563eb"], bitkub: ["#34d399", "#059669"], other: ["#f472b6", "#db2777"] };
+const color = (source, dark) => (COLORS[source] ?? COLORS.other)[dark ? 0 : 1];
+
+// One line per source over [from, to]; `value` picks the plotted number, `zero` keeps 0 in view.
+function LineChart({ series, value, from, to, dark, t, label, zero = false }) {
+  const values = series.flatMap(([, points]) => points.map(value)).filter((v) => v !== null);
+  if (!values.length) return null;
+  const lo = Math.min(...values, ...(zero ? [0] : []));
+  const hi = Math.max(...values, ...(zero ? [0] : []));
+  const x = (at) => ((at - from) / (to - from)) * CHART_W;
+  const y = (v) => (hi === lo ? CHART_H / 2 : CHART_H - ((v - lo) / (hi - lo)) * CHART_H);
+  return (
+    <svg viewBox={`0 0 ${CHART_W} ${CHART_H}`} className="w-full h-28" role="img" aria-label={label}>
+      {zero && <line x1="0" x2={CHART_W} y1={y(0)} y2={y(0)} stroke="currentColor" opacity="0.3" strokeDasharray="4 3" />}
+      {series.map(([source, points]) => {
+        const plotted = points.filter((p) => value(p) !== null);
+        const last = plotted[plotted.length - 1];
+        return (
+          <g key={source}>
+            <polyline points={plotted.map((p) => `${x(p.at)},${y(value(p))}`).join(" ")} fill="none" stroke={color(source, dark)} strokeWidth="1.5" />
+            {last && <circle cx={x(last.at)} cy={y(value(last))} r="2" fill={color(source, dark)} />}
+          </g>
+        );
+      })}
+      <text x="2" y="10" fontSize="9" fill="currentColor" opacity="0.6">{label}: {t.num(hi, 4)}</text>
+      <text x="2" y={CHART_H - 2} fontSize="9" fill="currentColor" opacity="0.6">{t.num(lo, 4)}</text>
+    </svg>
+  );
+}
+
+// Stored rate points (src/lib/rateStats) of one currency: the sources overlaid, their Δ% to CBRF,
+// and min / max / average per source for the chosen range.
+export function RateChart({ dark, t = defaultT, currency, currencies, onCurrencyChange, range, onRangeChange, points, now, sourceLabel }) {
+  const series = useMemo(() => Object.entries(chartSeries(points)), [points]);
+  const to = Math.max(now, ...points.map((p) => p.at));
+  const from = to - CHART_RANGES[range].ms;
+  const selectCls = "rounded-md border px-2 py-1 text-sm " + (dark ? "bg-[#0f1115] border-slate-700" : "bg-white border-slate-300");
+  const boxCls = "rounded-xl border p-2 " + (dark ? "bg-[#0f1115] border-slate-800" : "bg-white");
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <select className={selectCls} aria-label={t("chart.currency")} value={currency} onChange={(e) => onCurrencyChange(e.target.value)}>
+          {currencies.map((c) => (<option key={c.code} value={c.code}>{c.code}</option>))}
+        </select>
+        {Object.keys(CHART_RANGES).map((id) => (
+          <Button key={id} size="sm" variant={range === id ? "default" : "outline"} onClick={() => onRangeChange(id)}>{t(`chart.range.${id}`)}</Button>
+        ))}
+      </div>
+
+      {series.length === 0 ? (
+        <div className={"text-sm " + (dark ? "text-slate-400" : "text-slate-600")}>{t("chart.empty", { currency })}</div>
+      ) : (
+        <>
+          <div className={boxCls}>
+            <LineChart series={series} value={(p) => p.rate} from={from} to={to} dark={dark} t={t} label="₽" />
+            <LineChart series={series.filter(([source]) => source !== "cbrf")} value={(p) => p.deltaPct} from={from} to={to} dark={dark} t={t} label={t("chart.delta")} zero />
+            <div className="flex justify-between text-[10px] opacity-60">
+              <span>{t.dateTime(from)}</span>
+              <span>{t.dateTime(to)}</span>
+            </div>
+          </div>
+          <table className="w-full text-xs">
+            <thead className="opacity-70">
+              <tr><th className="text-left font-normal">{t("chart.source")}</th><th className="text-right font-normal">{t("chart.min")}</th><th className="text-right font-normal">{t("chart.max")}</th><th className="text-right font-normal">{t("chart.avg")}</th><th className="text-right font-normal">{t("chart.avgDelta")}</th><th className="text-right font-normal">{t("chart.change")}</th></tr>
+            </thead>
+            <tbody>
+              {series.map(([source, sourcePoints]) => {
+                const s = seriesStats(sourcePoints);
+                return (
+                  <tr key={source}>
+                    <td><span className="inline-block w-2 h-2 rounded-full mr-1" style={{ background: color(source, dark) }} />{sourceLabel(source)}</td>
+                    <td className="text-right">{t.num(s.min, 4)}</td>
+                    <td className="text-right">{t.num(s.max, 4)}</td>
+                    <td className="text-right">{t.num(s.avg, 4)}</td>
+                    <td className="text-right">{source === "cbrf" ? "—" : pct(t, s.avgDeltaPct)}</td>
+                    <td className="text-right">{pct(t, s.changePct)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useState } from "react";
+import { Plus, Trash2 } from "lucide-react";
+import { Input } from "./ui/input";
+import { Button } from "./ui/button";
+import { Card, CardContent } from "./ui/card";
+import { Label } from "./ui/label";
+import { routeLabel } from "../lib/routes";
+import { parseAmount } from "../lib/conversion";
+import { defaultT } from "../lib/i18n";
+
+const EMPTY_EDGE = { from: "", to: "", rate: "", feePct: "", feeFixed: "", label: "" };
+
+// Best routes for the entered amount + editor for the user's own flat-rate edges
+// (bank, exchanger, payment agent). Edges are stored as { id, from, to, rate, feePct, feeFixed, label }.
+export function RoutesPanel({ dark, t = defaultT, locale = t.locale, routes, edges, onEdgesChange }) {
+  const [draft, setDraft] = useState(EMPTY_EDGE);
+  const inputCls = dark ? "bg-[#0f1115] border-slate-700" : "";
+
+  const addEdge = () => {
+    const rate = parseAmount(draft.rate, locale);
+    const from = draft.from.trim().toUpperCase();
+    const to = draft.to.trim().toUpperCase();
+    if (!from || !to || from === to || !(rate > 0)) return;
+    const edge = {
+      id: `custom:${Date.now()}`,
+      from,
+      to,
+      rate,
+      feePct: Number(draft.feePct) || 0,
+      feeFixed: Number(draft.feeFixed) || 0,
+      label: draft.label.trim() || t("history.customRate"),
+      source: "custom",
+    };
+    onEdgesChange([...edges, edge]);
+    setDraft(EMPTY_EDGE);
+  };
+
+  return (
+    <Card className={dark ? "bg-[#0b0e14] border-slate-800" : "bg-slate-50"}>
+      <CardContent className="py-3 text-sm space-y-3">
+        {routes.length === 0 ? (
+          <div className="opacity-70">{t("routes.none")}</div>
+        ) : (
+          routes.map((route, i) => (
+            <div key={route.hops.map((h) => h.edge.id).join("|")} className={"rounded-lg border p-2 " + (dark ? "border-slate-800" : "border-slate-200")}>
+              <div className="flex items-center justify-between">
+                <div className="font-medium">{i === 0 ? "★ " : ""}{routeLabel(route)}</div>
+                <div className="font-semibold">{t.money(route.amountOut)} ₽</div>
+              </div>
+              <div className="text-xs opacity-70">{t("routes.rate", { rate: t.num(route.rate, 4) })}{!route.complete && ` · ${t("routes.filled", { pct: Math.round(route.covered * 100) })}`}</div>
+              <div className="mt-1 space-y-0.5 text-xs">
+                {route.hops.map((h) => (
+                  <div key={h.edge.id} className="flex justify-between gap-2">
+                    <span>{h.edge.from}→{h.edge.to} · {h.edge.label}</span>
+                    <span className="opacity-80">
+                      {t("routes.hopRate", { rate: t.num(h.rate, 4) })}{h.fee > 0 && ` · ${t("routes.hopFee", { fee: t.money(h.fee, h.edge.from), currency: h.edge.from })}`}{h.bookShare !== null && ` · ${t("routes.book", { pct: t.num(h.bookShare * 100, 1) })}`}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))
+        )}
+
+        <details>
+          <summary className="cursor-pointer select-none font-medium">{t("routes.edges", { count: edges.length })}</summary>
+          <div className="mt-2 space-y-2">
+            {edges.map((e) => (
+              <div key={e.id} className="flex items-center justify-between text-xs">
+                <span>{e.from}→{e.to} {t.num(e.rate, 4)} · {e.label}{e.feePct ? ` · ${e.feePct}%` : ""}{e.feeFixed ? ` · ${e.feeFixed} ${e.from}` : ""}</span>
+                <Button size="sm" variant="outline" onClick={() => onEdgesChange(edges.filter((x) => x.id !== e.id))}><Trash2 className="w-4 h-4" /></Button>
+              </div>
+            ))}
+            <div className="grid grid-cols-3 gap-2">
+              <div><Label htmlFor="edgeFrom">{t("routes.from")}</Label><Input id="edgeFrom" className={inputCls} placeholder="USDT" value={draft.from} onChange={(e) => setDraft({ ...draft, from: e.target.value })} /></div>
+              <div><Label htmlFor="edgeTo">{t("routes.to")}</Label><Input id="edgeTo" className={inputCls} placeholder="AED" value={draft.to} onChange={(e) => setDraft({ ...draft, to: e.target.value })} /></div>
+              <div><Label htmlFor="edgeRate">{t("routes.edgeRate")}</Label><Input id="edgeRate" inputMode="decimal" className={inputCls} placeholder="3.66" value={draft.rate} onChange={(e) => setDraft({ ...draft, rate: e.target.value })} /></div>
+              <div><Label htmlFor="edgeFeePct">{t("routes.feePct")}</Label><Input id="edgeFeePct" type="number" className={inputCls} value={draft.feePct} onChange={(e) => setDraft({ ...draft, feePct: e.target.value })} /></div>
+              <div><Label htmlFor="edgeFeeFixed">{t("routes.feeFixed")}</Label><Input id="edgeFeeFixed" type="number" className={inputCls} value={draft.feeFixed} onChange={(e) => setDraft({ ...draft, feeFixed: e.target.value })} /></div>
+              <div><Label htmlFor="edgeLabel">{t("feeProfiles.ruleName")}</Label><Input id="edgeLabel" className={inputCls} placeholder={t("fees.profile.bank")} value={draft.label} onChange={(e) => setDraft({ ...draft, label: e.target.value })} /></div>
+            </div>
+            <Button size="sm" variant="outline" onClick={addEdge}><Plus className="w-4 h-4 mr-1" /> {t("routes.add")}</Button>
+          </div>
+        </details>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import { Plus, Trash2, Send } from "lucide-react";
+import { Input } from "./ui/input";
+import { Button } from "./ui/button";
+import { Switch } from "./ui/switch";
+import { newAlertRule, conditionMet } from "../lib/alerts";
+import { parseAmount } from "../lib/conversion";
+import { defaultT, providerText } from "../lib/i18n";
+
+// Watchlist editor. `states` are the per-rule alert states from src/lib/alerts;
+// `chatId` (Telegram user) goes into the JSON copied for the bot's watchlist file.
+export function WatchlistPanel({ dark, t = defaultT, locale = t.locale, rules, states, currencies, sources, defaultCurrency, chatId, onChange }) {
+  const [draft, setDraft] = useState(() => newAlertRule({ currency: defaultCurrency, source: "cbrf" }));
+  const [copied, setCopied] = useState(false);
+  const inputCls = "h-8 px-2 text-xs " + (dark ? "bg-[#0f1115] border-slate-700" : "");
+  const selectCls = "h-8 rounded-md border px-1 text-xs " + (dark ? "bg-[#0f1115] border-slate-700" : "bg-white border-slate-300");
+  const captionOf = (id) => {
+    const source = sources.find((s) => s.id === id);
+    return source ? providerText(t, source, "caption") : id;
+  };
+  const unit = (rule) => (rule.metric === "deltaPct" ? "%" : " ₽");
+
+  const add = () => {
+    const threshold = parseAmount(draft.threshold, locale);
+    if (!Number.isFinite(threshold) || String(draft.threshold).trim() === "") return;
+    onChange([...rules, { ...draft, threshold, amount: Number(draft.amount) || 1 }]);
+    setDraft(newAlertRule({ currency: draft.currency, source: draft.source }));
+  };
+
+  const copyForBot = async () => {
+    try {
+      await navigator.clipboard.writeText(JSON.stringify([{ chatId: chatId ?? "<chat id>", rules }], null, 2));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1200);
+    } catch { }
+  };
+
+  return (
+    <div className="space-y-2">
+      {rules.length === 0 && <div className={"text-sm " + (dark ? "text-slate-400" : "text-slate-600")}>{t("watchlist.empty")}</div>}
+      {rules.map((rule) => {
+        const state = states[rule.id];
+        const hit = state && conditionMet(rule, state.value);
+        return (
+          <div key={rule.id} className={"flex items-center justify-between gap-2 rounded-xl border p-2 text-sm " + (dark ? "bg-[#0f1115] border-slate-800" : "bg-white")}>
+            <div>
+              <div className="font-medium">{rule.currency} · {captionOf(rule.source)}</div>
+              <div className="text-xs opacity-70">
+                {t(`watchlist.metric.${rule.metric}`)} {rule.op === "below" ? "<" : ">"} {t.num(rule.threshold, 4)}{unit(rule)}
+                {` · ${t("watchlist.now")} `}<span className={hit ? "text-amber-400 font-medium" : ""}>{t.num(state?.value, rule.metric === "deltaPct" ? 2 : 4)}{state?.value !== undefined ? unit(rule) : ""}</span>
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              <Switch checked={rule.enabled} onCheckedChange={(enabled) => onChange(rules.map((r) => (r.id === rule.id ? { ...r, enabled } : r)))} />
+              <Button size="sm" variant="outline" onClick={() => onChange(rules.filter((r) => r.id !== rule.id))}><Trash2 className="w-4 h-4" /></Button>
+            </div>
+          </div>
+        );
+      })}
+
+      <div className="grid grid-cols-3 gap-2">
+        <select className={selectCls} aria-label={t("app.currency")} value={draft.currency} onChange={(e) => setDraft({ ...draft, currency: e.target.value })}>
+          {currencies.map((c) => (<option key={c.code} value={c.code}>{c.code}</option>))}
+        </select>
+        <select className={selectCls + " col-span-2"} aria-label={t("chart.source")} value={draft.source} onChange={(e) => setDraft({ ...draft, source: e.target.value })}>
+          {sources.map((s) => (<option key={s.id} value={s.id} disabled={!s.supports(draft.currency)}>{providerText(t, s, "caption")}</option>))}
+        </select>
+        <select className={selectCls} aria-label={t("watchlist.metric")} value={draft.metric} onChange={(e) => setDraft({ ...draft, metric: e.target.value })}>
+          <option value="rate">{t("history.column.rate")}</option>
+          <option value="deltaPct">{t("chart.delta")}</option>
+        </select>
+        <select className={selectCls} aria-label={t("watchlist.op")} value={draft.op} onChange={(e) => setDraft({ ...draft, op: e.target.value })}>
+          <option value="above">{t("watchlist.above")}</option>
+          <option value="below">{t("watchlist.below")}</option>
+        </select>
+        <Input className={inputCls} inputMode="decimal" placeholder={t("watchlist.threshold")} value={draft.threshold || ""} onChange={(e) => setDraft({ ...draft, threshold: e.target.value })} />
+        <Input className={inputCls + " col-span-2"} type="number" aria-label={t("watchlist.amount")} placeholder={t("watchlist.amountPlaceholder")} value={draft.amount} onChange={(e) => setDraft({ ...draft, amount: e.target.value })} />
+        <Button size="sm" variant="outline" onClick={add}><Plus className="w-4 h-4 mr-1" /> {t("watchlist.add")}</Button>
+      </div>
+      {rules.length > 0 && (
+        <Button size="sm" variant="outline" onClick={copyForBot}><Send className="w-4 h-4 mr-1" /> {copied ? t("app.copied") : t("watchlist.forBot")}</Button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import React, { useState } from "react";
+import { Check, Lock, Plus, Send, Unlock, X } from "lucide-react";
+import { Input } from "./ui/input";
+import { Button } from "./ui/button";
+import { memberRole } from "../lib/workspace";
+import { parseAmount } from "../lib/conversion";
+import { defaultT } from "../lib/i18n";
+
+const STATUS_CLS = { pending: "text-amber-400", approved: "text-emerald-400", rejected: "text-rose-400" };
+
+// Team workspace: picker, invite, manager settings (currencies, official rates, shared fees)
+// and the approval queue. `workspace` is the active one (src/lib/workspace), `workspaces` the
+// user's list from the server; every change goes through the on* callbacks.
+export function WorkspacePanel({ dark, t = defaultT, locale = t.locale, available, workspace, workspaces, userId, currencies, personalFees, inviteLink, onSelect, onCreate, onJoin, onUpdate, onSetRole, onReview, onShareInvite }) {
+  const [name, setName] = useState("");
+  const [invite, setInvite] = useState("");
+  const [rates, setRates] = useState({});
+  const [comments, setComments] = useState({});
+  const inputCls = "h-8 px-2 text-xs " + (dark ? "bg-[#0f1115] border-slate-700" : "");
+  const selectCls = "h-8 rounded-md border px-1 text-xs " + (dark ? "bg-[#0f1115] border-slate-700" : "bg-white border-slate-300");
+  const boxCls = "rounded-xl border p-2 text-sm " + (dark ? "bg-[#0f1115] border-slate-800" : "bg-white");
+  const muted = "text-sm " + (dark ? "text-slate-400" : "text-slate-600");
+
+  if (!available) return <div className={muted}>{t("workspace.unavailable")}</div>;
+
+  const role = memberRole(workspace, userId);
+  const isManager = role === "manager";
+  const lockRate = (code) => {
+    const rate = parseAmount(rates[code] ?? "", locale);
+    if (rate > 0) onUpdate({ officialRates: { [code]: rate } });
+    setRates((r) => ({ ...r, [code]: "" }));
+  };
+  const review = (id, status) => {
+    onReview(id, status, comments[id] ?? "");
+    setComments((c) => ({ ...c, [id]: "" }));
+  };
+  const submissions = workspace?.submissions.filter((s) => isManager || s.submittedBy.id === userId) ?? [];
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <select className={selectCls + " flex-1"} aria-label={t("workspace.picker")} value={workspace?.id ?? ""} onChange={(e) => onSelect(e.target.value)}>
+          <option value="">{t("workspace.personal")}</option>
+          {workspaces.map((w) => (<option key={w.id} value={w.id}>{w.name}{w.pending ? ` (${w.pending})` : ""}</option>))}
+        </select>
+      </div>
+
+      {!workspace && (
+        <div className="grid grid-cols-3 gap-2">
+          <Input className={inputCls + " col-span-2"} placeholder={t("workspace.name")} value={name} onChange={(e) => setName(e.target.value)} />
+          <Button size="sm" variant="outline" disabled={!name.trim()} onClick={() => { onCreate(name.trim()); setName(""); }}><Plus className="w-4 h-4 mr-1" /> {t("workspace.create")}</Button>
+          <Input className={inputCls + " col-span-2"} placeholder={t("workspace.inviteLink")} value={invite} onChange={(e) => setInvite(e.target.value)} />
+          <Button size="sm" variant="outline" disabled={!invite.trim()} onClick={() => { onJoin(invite); setInvite(""); }}>{t("workspace.join")}</Button>
+        </div>
+      )}
+
+      {workspace && (
+        <>
+          <div className={boxCls}>
+            <div className="font-medium">{workspace.name} · {t(isManager ? "workspace.role.manager" : "workspace.role.member")}</div>
+            <div className="text-xs opacity-70 mt-1 space-y-1">
+              {workspace.members.map((m) => (
+                <div key={m.userId} className="flex items-center justify-between">
+                  <span>{m.name}{m.userId === userId ? ` ${t("workspace.you")}` : ""}</span>
+                  {isManager && m.userId !== userId ? (
+                    <select className={selectCls} aria-label={t("workspace.roleOf", { name: m.name })} value={m.role} onChange={(e) => onSetRole(m.userId, e.target.value)}>
+                      <option value="member">{t("workspace.role.member")}</option>
+                      <option value="manager">{t("workspace.role.manager")}</option>
+                    </select>
+                  ) : (
+                    <span>{t(`workspace.role.${m.role}`)}</span>
+                  )}
+                </div>
+              ))}
+            </div>
+            {isManager && inviteLink && (
+              <Button size="sm" variant="outline" className="mt-2" onClick={onShareInvite}><Send className="w-4 h-4 mr-1" /> {t("workspace.inviteGroup")}</Button>
+            )}
+          </div>
+
+          <div className={boxCls + " space-y-2"}>
+            <div className="font-medium">{t("workspace.officialRates")}</div>
+            <div className="text-xs opacity-70">{t("workspace.officialRatesHint")}</div>
+            {currencies.map(({ code }) => {
+              const locked = workspace.officialRates[code];
+              return (
+                <div key={code} className="flex items-center justify-between gap-2 text-xs">
+                  <span className="w-12 font-medium">{code}</span>
+                  {locked ? (
+                    <span className="flex-1">{t.num(locked.rate, 4)} ₽ · {locked.lockedBy.name}, {t.date(locked.lockedAt)}</span>
+                  ) : (
+                    <span className="flex-1 opacity-60">{t("workspace.notSet")}</span>
+                  )}
+                  {isManager && (locked ? (
+                    <Button size="sm" variant="outline" title={t("workspace.unlock")} onClick={() => onUpdate({ officialRates: { [code]: null } })}><Unlock className="w-4 h-4" /></Button>
+                  ) : (
+                    <>
+                      <Input className={inputCls + " w-24"} inputMode="decimal" placeholder={t("workspace.ratePlaceholder")} value={rates[code] ?? ""} onChange={(e) => setRates((r) => ({ ...r, [code]: e.target.value }))} />
+                      <Button size="sm" variant="outline" title={t("workspace.lock")} onClick={() => lockRate(code)}><Lock className="w-4 h-4" /></Button>
+                    </>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+
+          {isManager && (
+            <div className={boxCls + " space-y-2"}>
+              <div className="font-medium">{t("workspace.shared")}</div>
+              <Input key={workspace.id} className={inputCls} aria-label={t("workspace.currencies")} placeholder={t("workspace.currenciesPlaceholder")} defaultValue={workspace.currencies.join(", ")}
+                onBlur={(e) => {
+                  const codes = [...new Set(e.target.value.toUpperCase().split(/[\s,;]+/).filter((c) => /^[A-Z]{3,5}$/.test(c)))];
+                  if (codes.join() !== workspace.currencies.join()) onUpdate({ currencies: codes });
+                }} />
+              <div className="flex items-center justify-between gap-2 text-xs">
+                <span className="opacity-70">{workspace.feeProfiles ? t("workspace.sharedFees", { names: workspace.feeProfiles.map((p) => p.name).join(", ") }) : t("workspace.personalFees")}</span>
+                <div className="flex gap-2">
+                  <Button size="sm" variant="outline" onClick={() => onUpdate(personalFees)}>{t("workspace.shareMine")}</Button>
+                  {workspace.feeProfiles && <Button size="sm" variant="outline" onClick={() => onUpdate({ feeProfiles: null, feeProfileBySource: {} })}>{t("workspace.disable")}</Button>}
+                </div>
+              </div>
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <div className="font-medium text-sm">{t(isManager ? "workspace.queue" : "workspace.mine")}</div>
+            {submissions.length === 0 && <div className={muted}>{t(isManager ? "workspace.queueEmpty" : "workspace.mineEmpty")}</div>}
+            {submissions.map((s) => (
+              <div key={s.id} className={boxCls + " space-y-1"}>
+                <div className="flex items-start justify-between gap-2">
+                  <div>
+                    <div className="font-medium">
+                      {s.entry.kind === "basket" ? `${t("receipt.basket", { count: s.entry.lines?.length ?? 0 })} → ${t.money(s.entry.rub)} ₽` : `${t.money(s.entry.amount, s.entry.currency)} ${s.entry.currency} → ${t.money(s.entry.rub)} ₽`}
+                    </div>
+                    <div className="text-xs opacity-70">
+                      {s.submittedBy.name} · {t.dateTime(s.submittedAt)}{s.entry.rate ? ` · ${t("workspace.rate", { rate: t.num(s.entry.rate, 4) })}` : ""}{s.entry.note ? ` · ${s.entry.note}` : ""}
+                    </div>
+                  </div>
+                  <span className={"text-xs shrink-0 " + STATUS_CLS[s.status]}>{t(`workspace.status.${s.status}`)}</span>
+                </div>
+                {s.review && <div className="text-xs opacity-80">{s.review.by.name}: {s.review.comment || t("workspace.noComment")}</div>}
+                {isManager && s.status === "pending" && (
+                  <div className="flex gap-2">
+                    <Input className={inputCls + " flex-1"} placeholder={t("workspace.comment")} value={comments[s.id] ?? ""} onChange={(e) => setComments((c) => ({ ...c, [s.id]: e.target.value }))} />
+                    <Button size="sm" variant="outline" title={t("workspace.approve")} onClick={() => review(s.id, "approved")}><Check className="w-4 h-4" /></Button>
+                    <Button size="sm" variant="outline" title={t("workspace.reject")} onClick={() => review(s.id, "rejected")}><X className="w-4 h-4" /></Button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
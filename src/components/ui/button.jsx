@@ -0,0 +1,10 @@
+import React from "react";
+import { cn } from "./cn";
+
+// full class names, so that Tailwind finds them when scanning the sources
+const VARIANTS = { default: "ui-button-default", outline: "ui-button-outline", secondary: "ui-button-secondary" };
+const SIZES = { default: "ui-button-size-default", sm: "ui-button-size-sm" };
+
+export function Button({ variant = "default", size = "default", className, type = "button", ...props }) {
+  return <button type={type} className={cn("ui-button", VARIANTS[variant], SIZES[size], className)} {...props} />;
+}
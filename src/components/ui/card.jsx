@@ -0,0 +1,18 @@
+import React from "react";
+import { cn } from "./cn";
+
+export function Card({ className, ...props }) {
+  return <div className={cn("ui-card", className)} {...props} />;
+}
+
+export function CardHeader({ className, ...props }) {
+  return <div className={cn("ui-card-header", className)} {...props} />;
+}
+
+export function CardTitle({ className, children, ...props }) {
+  return <h3 className={cn("ui-card-title", className)} {...props}>{children}</h3>;
+}
+
+export function CardContent({ className, ...props }) {
+  return <div className={cn("ui-card-content", className)} {...props} />;
+}
@@ -0,0 +1,2 @@
+// Joins class names, skipping falsy ones.
+export const cn = (...classes) => classes.filter(Boolean).join(" ");
@@ -0,0 +1,6 @@
+import React from "react";
+import { cn } from "./cn";
+
+export function Input({ className, type = "text", ...props }) {
+  return <input type={type} className={cn("ui-input", className)} {...props} />;
+}
@@ -0,0 +1,6 @@
+import React from "react";
+import { cn } from "./cn";
+
+export function Label({ className, ...props }) {
+  return <label className={cn("ui-label", className)} {...props} />;
+}
@@ -0,0 +1,11 @@
+import React from "react";
+import { cn } from "./cn";
+
+// Toggle with the contract of Radix's Switch: `checked` + onCheckedChange(next).
+export function Switch({ checked = false, onCheckedChange, className, ...props }) {
+  return (
+    <button type="button" role="switch" aria-checked={checked} className={cn("ui-switch", className)} onClick={() => onCheckedChange?.(!checked)} {...props}>
+      <span className="ui-switch-thumb" />
+    </button>
+  );
+}
@@ -0,0 +1,88 @@
+import { deltaVsCbrf } from "./conversion.js";
+import { resolveQuote } from "./providers/registry.js";
+import { defaultT } from "./i18n.js";
+
+// -------------------------------------------------
+// Watchlist alerts (shared by the Web App and server/)
+//
+// Rule: {
+//   id, currency, source,          – provider id, see src/lib/providers
+//   metric: 'rate' | 'deltaPct',   – RUB per 1 unit, or Δ% of that rate vs CBRF
+//   op: 'above' | 'below',
+//   threshold,
+//   amount,                        – volume to quote book/route sources at
+//   side?,                         – Bitkub side, 'sell' by default
+//   enabled,
+// }
+// State per rule id: { active, value, checkedAt, firedAt }
+// A rule fires when its condition turns true and re-arms once it is false again,
+// so a rate hovering past the threshold alerts once, not on every poll.
+// -------------------------------------------------
+
+export const ALERT_METRICS = ["rate", "deltaPct"];
+export const ALERT_OPS = ["above", "below"];
+
+let seq = 0;
+export const newAlertRule = (overrides = {}) => ({
+  id: `alert-${Date.now().toString(36)}-${(seq++).toString(36)}`,
+  currency: "USDT",
+  source: "bitkub",
+  metric: "rate",
+  op: "above",
+  threshold: 0,
+  amount: 1000,
+  side: "sell",
+  enabled: true,
+  ...overrides,
+});
+
+// Distinct currency/source pairs the rules need fresh snapshots for.
+export function rulePairs(rules = []) {
+  const seen = new Map();
+  rules.filter((r) => r.enabled).forEach((r) => seen.set(`${r.currency}|${r.source}`, { currency: r.currency, source: r.source }));
+  return [...seen.values()];
+}
+
+// Current value of the rule's metric, or null when the snapshots cannot answer it.
+export function ruleValue(registry, rule, snapshots) {
+  const quote = resolveQuote(registry, rule.source, { currency: rule.currency, amount: Number(rule.amount) || 1, snapshots, side: rule.side ?? "sell" });
+  if (!quote?.rate) return null;
+  if (rule.metric !== "deltaPct") return quote.rate;
+  const cbrf = resolveQuote(registry, "cbrf", { currency: rule.currency, snapshots });
+  return deltaVsCbrf(quote.rate, cbrf?.rate ?? null).pct;
+}
+
+export const conditionMet = (rule, value) => value !== null && (rule.op === "below" ? value < rule.threshold : value > rule.threshold);
+
+// Returns { state, fired }; an unknown value keeps the previous state.
+export function evaluateRule(rule, value, prev = {}, now = Date.now()) {
+  if (value === null || value === undefined) return { state: { ...prev, checkedAt: now }, fired: false };
+  const active = conditionMet(rule, value);
+  const fired = active && !prev.active;
+  return { state: { active, value, checkedAt: now, firedAt: fired ? now : prev.firedAt ?? null }, fired };
+}
+
+// valueFor(rule) -> number | null. Returns { states, fired: [{ rule, value }] }.
+export function evaluateRules(rules = [], { valueFor, states = {}, now = Date.now() }) {
+  const next = { ...states };
+  const fired = [];
+  rules.filter((r) => r.enabled).forEach((rule) => {
+    const value = valueFor(rule);
+    const result = evaluateRule(rule, value, states[rule.id], now);
+    next[rule.id] = result.state;
+    if (result.fired) fired.push({ rule, value });
+  });
+  return { states: next, fired };
+}
+
+// The server's bot sends these in Russian; the Web App passes the user's translator.
+export function alertMessage(rule, value, { sourceLabel = (id) => id, t = defaultT } = {}) {
+  const metric = rule.metric === "deltaPct" ? "deltaPct" : "rate";
+  const digits = metric === "deltaPct" ? 2 : 4;
+  return t(`alert.${metric}.${rule.op === "below" ? "below" : "above"}`, {
+    currency: rule.currency,
+    source: sourceLabel(rule.source),
+    value: t.num(value, digits),
+    threshold: t.num(Number(rule.threshold), digits),
+  });
+}
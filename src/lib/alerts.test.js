@@ -0,0 +1,44 @@
+import { providers } from "./providers";
+import { newAlertRule, rulePairs, ruleValue, evaluateRule, evaluateRules, alertMessage } from "./alerts";
+
+const snapshots = {
+  bitkub: { data: { bids: [[36, 100], [35, 100]], asks: [[37, 100]] }, updated: "t" },
+  cbrf: { data: { RUB: 1, THB: 2.5, USDT: 88, CNY: 12.5 }, updated: "t" },
+};
+
+test("ruleValue quotes the rule's source at its amount", () => {
+  expect(ruleValue(providers, newAlertRule({ amount: 200 }), snapshots)).toBeCloseTo(35.5 * 2.5);
+  // 90 vs 88 at CBRF
+  expect(ruleValue(providers, newAlertRule({ amount: 100, metric: "deltaPct" }), snapshots)).toBeCloseTo((90 / 88 - 1) * 100);
+  expect(ruleValue(providers, newAlertRule({ currency: "CNY", source: "cbrf" }), snapshots)).toBe(12.5);
+  expect(ruleValue(providers, newAlertRule({ currency: "CNY", source: "market" }), snapshots)).toBeNull();
+});
+
+test("rules fire on crossing and re-arm after leaving the zone", () => {
+  const rule = newAlertRule({ op: "below", threshold: 90 });
+  let step = evaluateRule(rule, 91, {}, 1);
+  expect(step.fired).toBe(false);
+  step = evaluateRule(rule, 89, step.state, 2);
+  expect(step).toMatchObject({ fired: true, state: { active: true, firedAt: 2 } });
+  step = evaluateRule(rule, 88, step.state, 3);
+  expect(step.fired).toBe(false);
+  step = evaluateRule(rule, null, step.state, 4); // no data: keep state
+  expect(step.state).toMatchObject({ active: true, value: 88, checkedAt: 4 });
+  step = evaluateRule(rule, 92, step.state, 5);
+  expect(evaluateRule(rule, 85, step.state, 6).fired).toBe(true);
+});
+
+test("evaluateRules skips disabled rules and reports what fired", () => {
+  const on = newAlertRule({ id: "on", threshold: 80 });
+  const off = newAlertRule({ id: "off", threshold: 80, enabled: false });
+  const { states, fired } = evaluateRules([on, off], { valueFor: () => 85, now: 10 });
+  expect(fired.map((f) => f.rule.id)).toEqual(["on"]);
+  expect(Object.keys(states)).toEqual(["on"]);
+  expect(evaluateRules([on], { valueFor: () => 86, states }).fired).toEqual([]);
+});
+
+test("pairs and messages", () => {
+  const rules = [newAlertRule(), newAlertRule({ threshold: 5 }), newAlertRule({ currency: "CNY", source: "cbrf", metric: "deltaPct", op: "below", threshold: -1 })];
+  expect(rulePairs(rules)).toEqual([{ currency: "USDT", source: "bitkub" }, { currency: "CNY", source: "cbrf" }]);
+  expect(alertMessage(rules[2], -1.234, { sourceLabel: () => "ЦБ РФ" })).toBe("CNY · ЦБ РФ: Δ к ЦБ РФ -1,23% — ниже порога -1%");
+});
@@ -0,0 +1,31 @@
+// -------------------------------------------------
+// Requests to the TANAQ server (server/) as the current Telegram user
+//
+// Every request carries `Authorization: tma <initData>`; the server verifies
+// the initData against the bot token. Errors carry `status`: the HTTP status,
+// 0 when the server could not be reached (offline).
+// -------------------------------------------------
+
+const apiError = (message, status) => Object.assign(new Error(message), { status });
+
+export function createApiClient({ baseUrl, initData, fetchImpl = fetch }) {
+  const root = baseUrl.replace(/\/+$/, "");
+  return async function request(method, path, body) {
+    let res;
+    try {
+      res = await fetchImpl(root + path, {
+        method,
+        headers: { ...(body === undefined ? {} : { "content-type": "application/json" }), authorization: `tma ${initData}` },
+        ...(body === undefined ? {} : { body: JSON.stringify(body) }),
+      });
+    } catch (e) {
+      throw apiError(`TANAQ server unreachable: ${e.message}`, 0);
+    }
+    if (!res.ok) {
+      let detail = null;
+      try { detail = (await res.json())?.error; } catch { }
+      throw apiError(`${method} ${path} failed (${res.status})${detail ? `: ${detail}` : ""}`, res.status);
+    }
+    return res.json();
+  };
+}
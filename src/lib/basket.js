@@ -0,0 +1,78 @@
+import { parseAmount, effectiveRate, hasCustomRate, toRub } from "./conversion.js";
+import { applyFees } from "./fees.js";
+import { mulMoney, subMoney, sumMoney } from "./money.js";
+
+// -------------------------------------------------
+// Purchase basket: many lines, mixed currencies, one RUB total
+// Line: { id, kind: 'item'|'cost', description, qty, unitPrice, currency, source, customRate }
+//   source ""     – use the converter's source
+//   customRate "" – use the source quote; a custom rate is all-in (no profile fees)
+// -------------------------------------------------
+
+let seq = 0;
+export const newLine = (overrides = {}) => ({
+  id: `line-${Date.now().toString(36)}-${(seq++).toString(36)}`,
+  kind: "item",
+  description: "",
+  qty: "1",
+  unitPrice: "",
+  currency: "USD",
+  source: "",
+  customRate: "",
+  ...overrides,
+});
+
+// qty × unit price in the line's currency, to its minor units; `locale` reads the typed numbers
+export const lineAmount = (line, locale) => {
+  const amount = mulMoney(parseAmount(line.qty || "1", locale), parseAmount(line.unitPrice, locale), line.currency);
+  return isNaN(amount) ? 0 : amount;
+};
+
+// quoteFor(currency, source, amount) -> { quoteRate, cbrfRate, hops }
+// Lines sharing a currency and source are quoted on their combined amount, so order-book
+// sources price the whole order rather than each line on a fresh book.
+// Line figures are gross; see basketFees for the fee deduction.
+export function priceBasket(lines = [], { quoteFor, defaultSource, locale }) {
+  const groupKey = (line) => `${line.currency}|${line.source || defaultSource}`;
+  const groupTotals = {};
+  lines.forEach((line) => { groupTotals[groupKey(line)] = sumMoney([groupTotals[groupKey(line)], lineAmount(line, locale)], line.currency); });
+
+  const priced = lines.map((line) => {
+    const amount = lineAmount(line, locale);
+    const source = line.source || defaultSource;
+    const { quoteRate, cbrfRate, hops = [] } = line.currency === "RUB" ? { quoteRate: 1, cbrfRate: 1 } : quoteFor(line.currency, source, groupTotals[groupKey(line)]);
+    const rate = effectiveRate(quoteRate, { customRate: line.customRate, locale });
+    const rub = toRub(amount, rate);
+    const cbrfRub = cbrfRate ? toRub(amount, cbrfRate) : null;
+    return { line, amount, source, hops, rate, rub, cbrfRate, cbrfRub, deltaRub: rate && cbrfRub !== null ? subMoney(rub, cbrfRub) : null };
+  });
+
+  const compared = priced.filter((p) => p.deltaRub !== null);
+  const cbrfRub = sumMoney(compared.map((p) => p.cbrfRub));
+  const deltaRub = sumMoney(compared.map((p) => p.deltaRub));
+  return {
+    lines: priced,
+    totalRub: sumMoney(priced.map((p) => p.rub)),
+    cbrfRub,
+    deltaRub: compared.length ? deltaRub : null,
+    deltaPct: compared.length && cbrfRub ? (deltaRub / cbrfRub) * 100 : null,
+    missing: priced.filter((p) => p.amount > 0 && !p.rate).map((p) => p.line.id),
+  };
+}
+
+// Fees for a priced basket: each source is paid as one transfer, so its profile applies once
+// to the lines converted through it. RUB lines and lines at a custom rate carry no fees.
+// profileFor(source) -> profile; rateToRub and t as in applyFees.
+// Returns { items: [{ ruleId, label, rub, source }], totalRub, netRub }
+export function basketFees(priced, { profileFor, rateToRub, locale, t }) {
+  const groups = {};
+  priced.lines.forEach((p) => {
+    if (!(p.rub > 0) || p.line.currency === "RUB" || hasCustomRate(p.line.customRate, locale)) return;
+    if (!groups[p.source]) groups[p.source] = { grossRub: 0, hops: p.hops };
+    groups[p.source].grossRub = sumMoney([groups[p.source].grossRub, p.rub]);
+  });
+  const items = Object.entries(groups).flatMap(([source, { grossRub, hops }]) =>
+    applyFees(profileFor(source), { grossRub, hops, rateToRub, t }).items.map((item) => ({ ...item, source })));
+  const totalRub = sumMoney(items.map((i) => i.rub));
+  return { items, totalRub, netRub: subMoney(priced.totalRub, totalRub) };
+}
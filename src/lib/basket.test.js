@@ -0,0 +1,69 @@
+import { newLine, lineAmount, priceBasket, basketFees } from "./basket";
+
+const quotes = { "USD|market": 90, "CNY|market": 12.5, "USDT|bitkub": 88 };
+const cbrf = { USD: 91, CNY: 12.6, USDT: null };
+const quoteFor = (currency, source) => ({ quoteRate: quotes[`${currency}|${source}`] ?? null, cbrfRate: cbrf[currency] ?? null });
+
+test("newLine gives unique ids and sensible defaults", () => {
+  const a = newLine();
+  const b = newLine({ currency: "CNY" });
+  expect(a.id).not.toBe(b.id);
+  expect(b).toMatchObject({ kind: "item", qty: "1", currency: "CNY", source: "" });
+});
+
+test("lineAmount multiplies qty by unit price", () => {
+  expect(lineAmount({ qty: "3", unitPrice: "10,5" })).toBe(31.5);
+  expect(lineAmount({ qty: "", unitPrice: "7" })).toBe(7);
+  expect(lineAmount({ qty: "x", unitPrice: "7" })).toBe(0);
+  expect(lineAmount({ qty: "3", unitPrice: "333.5", currency: "JPY" })).toBe(1001);
+  expect(lineAmount({ qty: "2", unitPrice: "1,250.5" }, "en")).toBe(2501);
+});
+
+test("prices mixed currencies with per-line sources and custom rates", () => {
+  const lines = [
+    newLine({ description: "Centrifuge", qty: "2", unitPrice: "1000", currency: "USD" }),
+    newLine({ description: "Tips", qty: "10", unitPrice: "50", currency: "CNY", customRate: "13" }),
+    newLine({ kind: "cost", description: "Shipping", unitPrice: "5000", currency: "RUB" }),
+  ];
+  const result = priceBasket(lines, { quoteFor, defaultSource: "market" });
+  expect(result.lines.map((l) => l.rub)).toEqual([180000, 6500, 5000]);
+  expect(result.totalRub).toBe(191500);
+  expect(result.lines.map((l) => l.deltaRub)).toEqual([-2000, 200, 0]);
+  expect(result.deltaRub).toBe(-1800);
+  expect(result.cbrfRub).toBe(182000 + 6300 + 5000);
+  expect(result.deltaPct).toBeCloseTo((-1800 / 193300) * 100);
+  expect(result.missing).toEqual([]);
+});
+
+test("lines on the same currency and source are quoted on their combined amount", () => {
+  const lines = [
+    newLine({ unitPrice: "300", currency: "USDT", source: "bitkub" }),
+    newLine({ unitPrice: "700", currency: "USDT", source: "bitkub" }),
+  ];
+  const spy = jest.fn(quoteFor);
+  const result = priceBasket(lines, { quoteFor: spy, defaultSource: "market" });
+  expect(spy).toHaveBeenCalledWith("USDT", "bitkub", 1000);
+  expect(result.lines[0].rate).toBe(88);
+  expect(result.deltaRub).toBeNull();
+});
+
+test("reports lines without any rate", () => {
+  const line = newLine({ unitPrice: "10", currency: "AED" });
+  expect(priceBasket([line], { quoteFor, defaultSource: "market" }).missing).toEqual([line.id]);
+});
+
+test("basketFees charges each source once and skips RUB and custom-rate lines", () => {
+  const lines = [
+    newLine({ unitPrice: "1000", currency: "USD" }),
+    newLine({ unitPrice: "1000", currency: "USD", source: "cbrf" }),
+    newLine({ unitPrice: "100", currency: "CNY", customRate: "13" }),
+    newLine({ kind: "cost", unitPrice: "500", currency: "RUB" }),
+  ];
+  const quotes2 = (currency, source) => ({ quoteRate: source === "cbrf" ? 91 : 90, cbrfRate: 91, hops: [{ source }] });
+  const priced = priceBasket(lines, { quoteFor: quotes2, defaultSource: "market" });
+  const swift = { id: "p", rules: [{ id: "swift", label: "SWIFT", type: "fixed", value: 10, currency: "USD", scope: "total" }] };
+  const fees = basketFees(priced, { profileFor: () => swift, rateToRub: () => 91 });
+  expect(fees.items.map((i) => [i.source, i.rub])).toEqual([["market", 910], ["cbrf", 910]]);
+  expect(fees.totalRub).toBe(1820);
+  expect(fees.netRub).toBe(priced.totalRub - 1820);
+});
@@ -0,0 +1,87 @@
+import { mulMoney } from "./money.js";
+
+// -------------------------------------------------
+// RUB conversion math shared by the single converter and the basket
+// -------------------------------------------------
+
+const groupMarks = {};
+// "," for en/th, "." for de; ru groups with a space, which parseAmount drops anyway
+const groupMark = (locale) => {
+  if (!(locale in groupMarks)) {
+    let mark = "";
+    try { mark = new Intl.NumberFormat(locale).formatToParts(1000).find((p) => p.type === "group")?.value ?? ""; } catch { /* unknown locale */ }
+    groupMarks[locale] = /^[.,]$/.test(mark) ? mark : "";
+  }
+  return groupMarks[locale];
+};
+
+// Typed amount -> number; "" -> 0, garbage -> NaN. Spaces, apostrophes and underscores group digits.
+// With both "," and "." the last one is the decimal mark ("1.234,5", "1,234.5"); a single mark is
+// decimal unless it repeats ("1,000,000") or is the locale's group mark before exactly three digits
+// ("1,250" is 1250 in en, 1.25 in ru).
+export function parseAmount(value, locale = "ru") {
+  const text = String(value ?? "").trim().replace(/[\s'’_]/g, "");
+  if (!text) return 0;
+  const m = /^([+-]?)([\d.,]+)$/.exec(text);
+  if (!m) return NaN;
+  const [, sign, body] = m;
+  const [comma, dot] = [body.lastIndexOf(","), body.lastIndexOf(".")];
+  let decimal = "";
+  if (comma >= 0 && dot >= 0) decimal = comma > dot ? "," : ".";
+  else if (comma >= 0 || dot >= 0) {
+    const mark = comma >= 0 ? "," : ".";
+    const repeated = body.indexOf(mark) !== body.lastIndexOf(mark);
+    const grouping = repeated || (mark === groupMark(locale) && /^\d{1,3}[.,]\d{3}$/.test(body));
+    if (!grouping) decimal = mark;
+  }
+  const at = decimal ? body.lastIndexOf(decimal) : body.length;
+  const [int, frac] = [body.slice(0, at), body.slice(at + 1)];
+  const group = decimal ? (decimal === "," ? "." : ",") : comma >= 0 ? "," : ".";
+  const validInt = (group === "," ? /^\d{1,3}(,\d{3})+$|^\d*$/ : /^\d{1,3}(\.\d{3})+$|^\d*$/).test(int);
+  if (!validInt || !/^\d*$/.test(frac) || !(int + frac)) return NaN;
+  return Number(`${sign}${int.replace(/[.,]/g, "") || "0"}.${frac || "0"}`);
+}
+
+export const hasCustomRate = (customRate, locale) => parseAmount(customRate, locale) > 0;
+
+// RUB per 1 unit before fees: a custom (all-in) rate wins over the source quote.
+export function effectiveRate(quoteRate, { customRate, locale } = {}) {
+  if (hasCustomRate(customRate, locale)) return parseAmount(customRate, locale);
+  return quoteRate || null;
+}
+
+// RUB, to the kopeck
+export function toRub(amount, rate) {
+  if (isNaN(amount) || !rate) return 0;
+  return mulMoney(amount, rate);
+}
+
+// RUB per 1 unit after fees (fixed fees make it depend on the amount); the gross rate until both are known.
+export function netRate(amount, netRub, grossRate) {
+  return amount > 0 && netRub > 0 ? netRub / amount : grossRate;
+}
+
+// Δ of a rate against the CBRF reference, per unit and in %.
+export function deltaVsCbrf(rate, cbrfRate) {
+  if (!rate || !cbrfRate) return { abs: null, pct: null };
+  const abs = rate - cbrfRate;
+  return { abs, pct: (abs / cbrfRate) * 100 };
+}
+
+// Smallest x in [0, ∞) with f(x) >= target for a non-decreasing f, by bisection.
+// Returns null when f never reaches the target.
+export function solveIncreasing(f, target, { guess = target, tolerance = 1e-9, maxIter = 200 } = {}) {
+  if (!(target > 0)) return 0;
+  let lo = 0;
+  let hi = guess > 0 ? guess : 1;
+  for (let i = 0; f(hi) < target; i++) {
+    if (i > 60) return null;
+    lo = hi;
+    hi *= 2;
+  }
+  for (let i = 0; i < maxIter && hi - lo > tolerance * Math.max(1, hi); i++) {
+    const mid = (lo + hi) / 2;
+    if (f(mid) >= target) hi = mid; else lo = mid;
+  }
+  return hi;
+}
@@ -0,0 +1,58 @@
+import { parseAmount, effectiveRate, toRub, netRate, deltaVsCbrf, solveIncreasing } from "./conversion";
+
+test("parseAmount accepts a decimal comma", () => {
+  expect(parseAmount("1250,5")).toBe(1250.5);
+  expect(parseAmount(undefined)).toBe(0);
+});
+
+test("parseAmount reads grouping by locale", () => {
+  expect(parseAmount("1 250 000,75")).toBe(1250000.75);
+  expect(parseAmount("1\u202f250,5")).toBe(1250.5);
+  expect(parseAmount("1.234.567,8")).toBe(1234567.8);
+  expect(parseAmount("1,234,567.8", "en")).toBe(1234567.8);
+  expect(parseAmount("1,250", "en")).toBe(1250);
+  expect(parseAmount("1,250", "ru")).toBe(1.25);
+  expect(parseAmount("1,25", "en")).toBe(1.25);
+  expect(parseAmount("1,000,000")).toBe(1000000);
+  expect(parseAmount("1'000.5", "en")).toBe(1000.5);
+  expect(parseAmount("-12.5")).toBe(-12.5);
+  expect(parseAmount(".5")).toBe(0.5);
+  expect(parseAmount("  ")).toBe(0);
+});
+
+test("parseAmount rejects malformed numbers", () => {
+  ["abc", "1,2,3.4", "12,34,567", "1.2.3", "1e5", ",", "5 USD"].forEach((text) => expect(parseAmount(text, "en")).toBeNaN());
+});
+
+test("effectiveRate prefers a custom rate over the quote", () => {
+  expect(effectiveRate(100, { customRate: "95.5" })).toBe(95.5);
+  expect(effectiveRate(100, { customRate: "" })).toBe(100);
+  expect(effectiveRate(100)).toBe(100);
+  expect(effectiveRate(null, {})).toBeNull();
+  expect(effectiveRate(100, { customRate: "1,050", locale: "en" })).toBe(1050);
+});
+
+test("toRub rounds to kopecks", () => {
+  expect(toRub(3, 33.333)).toBe(100);
+  expect(toRub(NaN, 90)).toBe(0);
+  expect(toRub(10, null)).toBe(0);
+});
+
+test("netRate spreads the fees over the amount", () => {
+  expect(netRate(100, 9000, 92)).toBe(90);
+  expect(netRate(0, 0, 92)).toBe(92);
+  expect(netRate(100, 0, null)).toBeNull();
+});
+
+test("deltaVsCbrf", () => {
+  expect(deltaVsCbrf(99, 100)).toEqual({ abs: -1, pct: -1 });
+  expect(deltaVsCbrf(99, null)).toEqual({ abs: null, pct: null });
+});
+
+test("solveIncreasing inverts a monotone function", () => {
+  expect(solveIncreasing((x) => x * 90, 9000)).toBeCloseTo(100, 6);
+  // steps: the smallest x that reaches the target
+  expect(solveIncreasing((x) => (x < 5 ? 0 : 10), 10, { guess: 1 })).toBeCloseTo(5, 6);
+  expect(solveIncreasing(() => 1, 10)).toBeNull();
+  expect(solveIncreasing((x) => x, 0)).toBe(0);
+});
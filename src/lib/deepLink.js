@@ -0,0 +1,100 @@
+// -------------------------------------------------
+// Deep links that open the app pre-filled with a calculation
+//
+// Calc: { amount, currency, source, direction: 'toRub' | 'fromRub', rateDate }
+//   amount is the foreign amount, or the RUB budget when direction is 'fromRub';
+//   rateDate "" = today's quotes.
+// Two carriers:
+//   Telegram start_param (64 chars of [A-Za-z0-9_-]):
+//     "c_<amount>_<currency>_<source>[_r][_<yyyymmdd>]", the decimal point written as "d"
+//     e.g. c_1250d5_USD_market_20240109
+//   URL query: ?amount=1250.5&currency=USD&source=market&direction=fromRub&date=2024-01-09
+// Parsers return null for anything that is not a valid calculation. Amounts typed by hand
+// ("1 250,50", "1,250.50") are read like the converter reads them, by parseAmount with the
+// app's locale; the links themselves always carry a plain "1250.5".
+// -------------------------------------------------
+
+import { parseAmount } from "./conversion.js";
+
+const AMOUNT = /^\d{1,12}(\.\d{1,6})?$/;
+const CURRENCY = /^[A-Z]{3,5}$/;
+const SOURCE = /^[a-z][a-z0-9-]{0,15}$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Amount as a number or as typed ("1 250,50") -> "1250.5"; null unless a positive number.
+const cleanAmount = (value, locale) => {
+  const n = typeof value === "number" ? value : parseAmount(value, locale);
+  if (!(n > 0)) return null;
+  const text = String(Math.round(n * 1e6) / 1e6);
+  return AMOUNT.test(text) ? text : null;
+};
+
+function checked({ amount, currency, source, direction = "toRub", rateDate = "" }, locale = "ru") {
+  const clean = cleanAmount(amount, locale);
+  if (!clean || !CURRENCY.test(currency ?? "") || !SOURCE.test(source ?? "")) return null;
+  if (!["toRub", "fromRub"].includes(direction) || (rateDate && !DATE.test(rateDate))) return null;
+  return { amount: clean, currency, source, direction, rateDate: rateDate || "" };
+}
+
+export function calcStartParam(calc, locale) {
+  const c = checked(calc, locale);
+  if (!c) return null;
+  return ["c", c.amount.replace(".", "d"), c.currency, c.source, ...(c.direction === "fromRub" ? ["r"] : []), ...(c.rateDate ? [c.rateDate.replace(/-/g, "")] : [])].join("_");
+}
+
+export function parseCalcStartParam(param) {
+  const [tag, amount, currency, source, ...rest] = String(param ?? "").split("_");
+  if (tag !== "c" || !amount) return null;
+  const direction = rest[0] === "r" ? (rest.shift(), "fromRub") : "toRub";
+  const date = rest.shift();
+  if (rest.length || (date !== undefined && !/^\d{8}$/.test(date))) return null;
+  return checked({ amount: amount.replace("d", "."), currency, source, direction, rateDate: date ? `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}` : "" });
+}
+
+export function calcQuery(calc, locale) {
+  const c = checked(calc, locale);
+  if (!c) return null;
+  const params = new URLSearchParams({ amount: c.amount, currency: c.currency, source: c.source });
+  if (c.direction === "fromRub") params.set("direction", c.direction);
+  if (c.rateDate) params.set("date", c.rateDate);
+  return params.toString();
+}
+
+export function parseCalcQuery(search, locale) {
+  const params = new URLSearchParams(search ?? "");
+  if (!params.has("amount")) return null;
+  return checked({
+    amount: params.get("amount"),
+    currency: params.get("currency")?.toUpperCase(),
+    source: params.get("source") ?? "market",
+    direction: params.get("direction") ?? "toRub",
+    rateDate: params.get("date") ?? "",
+  }, locale);
+}
+
+// { telegram, web } links for a calculation; telegram is null without the Web App link
+// (https://t.me/<bot>/<app>), web is null without a page URL.
+export function calcLinks(calc, { appLink = "", pageUrl = "", locale } = {}) {
+  const param = calcStartParam(calc, locale);
+  const query = calcQuery(calc, locale);
+  if (!param) return null;
+  return {
+    telegram: appLink ? `${appLink}?startapp=${param}` : null,
+    web: pageUrl ? `${pageUrl.split(/[?#]/)[0]}?${query}` : null,
+  };
+}
+
+// Settings patch (src/lib/persist) that puts a calculation into the single converter.
+// `hasSource(id)` guards against links naming a source this build does not have.
+export function calcPatch(calc, hasSource = () => true) {
+  const input = calc.direction === "fromRub" ? { budget: calc.amount } : { amount: calc.amount };
+  return {
+    mode: "single",
+    currency: calc.currency,
+    direction: calc.direction,
+    rateDate: calc.rateDate,
+    customRate: "",
+    ...(hasSource(calc.source) ? { source: calc.source } : {}),
+    ...input,
+  };
+}
@@ -0,0 +1,43 @@
+import { calcStartParam, parseCalcStartParam, calcQuery, parseCalcQuery, calcLinks, calcPatch } from "./deepLink";
+
+const calc = { amount: "1250.5", currency: "USD", source: "market", direction: "toRub", rateDate: "" };
+
+test("start_param round-trips within Telegram's alphabet and length", () => {
+  expect(calcStartParam(calc)).toBe("c_1250d5_USD_market");
+  const full = { ...calc, amount: "99999999.123456", currency: "USDT", source: "bitkub", direction: "fromRub", rateDate: "2024-01-09" };
+  const param = calcStartParam(full);
+  expect(param).toBe("c_99999999d123456_USDT_bitkub_r_20240109");
+  expect(param).toMatch(/^[A-Za-z0-9_-]{1,64}$/);
+  expect(parseCalcStartParam(param)).toEqual(full);
+  expect(parseCalcStartParam("c_1250d5_USD_market")).toEqual(calc);
+});
+
+test("start_param parsing rejects other params and broken calcs", () => {
+  ["ws_abc-def", "", null, "c_0_USD_market", "c_12_usd_market", "c_12_USD_market_x", "c_12_USD_market_2024"].forEach((p) =>
+    expect(parseCalcStartParam(p)).toBeNull());
+  expect(calcStartParam({ ...calc, amount: "-5" })).toBeNull();
+});
+
+test("URL query round-trips and accepts typed amounts", () => {
+  expect(calcQuery({ ...calc, direction: "fromRub", rateDate: "2024-01-09" })).toBe("amount=1250.5&currency=USD&source=market&direction=fromRub&date=2024-01-09");
+  expect(parseCalcQuery("?amount=1250.5&currency=usd")).toEqual(calc);
+  expect(parseCalcQuery("?amount=1%20250%2C5&currency=USD&source=cbrf")).toEqual({ ...calc, source: "cbrf" });
+  expect(parseCalcQuery("?amount=1,250.50&currency=USD", "en")).toEqual(calc);
+  expect(parseCalcQuery("?amount=1.250,50&currency=USD", "ru")).toEqual(calc);
+  expect(parseCalcQuery("?amount=1,250&currency=USD", "en").amount).toBe("1250");
+  expect(parseCalcQuery("?amount=1,250&currency=USD", "ru").amount).toBe("1.25");
+  expect(parseCalcQuery("?amount=12abc&currency=USD", "en")).toBeNull();
+  expect(parseCalcQuery("?amount=0&currency=USD", "en")).toBeNull();
+  expect(parseCalcQuery("?currency=USD")).toBeNull();
+  expect(parseCalcQuery("?amount=10&currency=USD&date=yesterday")).toBeNull();
+});
+
+test("calcLinks and calcPatch", () => {
+  expect(calcLinks(calc, { appLink: "https://t.me/tanaq_bot/app", pageUrl: "https://tanaq.app/?amount=1#x" })).toEqual({
+    telegram: "https://t.me/tanaq_bot/app?startapp=c_1250d5_USD_market",
+    web: "https://tanaq.app/?amount=1250.5&currency=USD&source=market",
+  });
+  expect(calcLinks(calc)).toEqual({ telegram: null, web: null });
+  expect(calcPatch({ ...calc, direction: "fromRub" })).toEqual({ mode: "single", currency: "USD", direction: "fromRub", rateDate: "", customRate: "", source: "market", budget: "1250.5" });
+  expect(calcPatch(calc, () => false)).not.toHaveProperty("source");
+});
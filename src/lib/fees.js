@@ -0,0 +1,121 @@
+// -------------------------------------------------
+// Fee profiles
+//
+// Rule: {
+//   id, label,
+//   type: 'percent' | 'fixed',
+//   value,          – % of the amount, or a fixed amount in `currency`
+//   currency,       – currency of fixed value and of min/max ("RUB" if empty)
+//   min?, max?,     – clamp for the fee, in `currency`
+//   scope: 'total' | 'hop',
+//   source?,        – hop rules only: charge only on hops from this source ("" = every hop)
+//   vatPct?,        – VAT charged on top of this fee
+// }
+// Profile: { id, name, rules: [] }
+// Fees are deducted from the gross RUB result, like the old bank spread.
+// -------------------------------------------------
+
+import { solveIncreasing } from "./conversion.js";
+import { compoundCut, mulMoney, pctOfMoney, roundMoney, subMoney, sumMoney } from "./money.js";
+import { defaultT } from "./i18n.js";
+
+export const FEE_RULE_TYPES = ["percent", "fixed"];
+
+let seq = 0;
+export const newFeeRule = (overrides = {}) => ({
+  id: `fee-${Date.now().toString(36)}-${(seq++).toString(36)}`,
+  label: "",
+  type: "percent",
+  value: 0,
+  currency: "RUB",
+  min: null,
+  max: null,
+  scope: "total",
+  source: "",
+  vatPct: 0,
+  ...overrides,
+});
+
+// Built-in profiles; "bank" carries over the old spreadPct setting. Names are stored with the
+// profiles, so they keep the language they were created in.
+export function defaultFeeProfiles({ spreadPct = 1.2, t = defaultT } = {}) {
+  return [
+    { id: "none", name: t("fees.profile.none"), rules: [] },
+    { id: "bank", name: t("fees.profile.bank"), rules: [newFeeRule({ id: "bank-spread", label: t("fees.rule.bankSpread"), value: spreadPct })] },
+    {
+      id: "bitkub",
+      name: "Bitkub",
+      rules: [
+        newFeeRule({ id: "bitkub-trade", label: t("fees.rule.bitkubTrade"), value: 0.25, scope: "hop", source: "bitkub" }),
+        newFeeRule({ id: "bitkub-withdraw", label: t("fees.rule.bitkubWithdraw"), type: "fixed", value: 20, currency: "THB" }),
+      ],
+    },
+    {
+      id: "agent",
+      name: t("fees.profile.agent"),
+      rules: [
+        newFeeRule({ id: "agent-fee", label: t("fees.rule.agentFee"), value: 2, currency: "USD", min: 100, vatPct: 20 }),
+        newFeeRule({ id: "agent-swift", label: "SWIFT", type: "fixed", value: 35, currency: "USD" }),
+      ],
+    },
+  ];
+}
+
+// Which profile each source uses by default.
+export const defaultProfileBySource = () => ({ market: "bank", cbrf: "bank", bitkub: "bitkub", route: "none" });
+
+export const findProfile = (profiles, id) => profiles?.find((p) => p.id === id) ?? null;
+
+// grossRub  – result before fees
+// hops      – [{ source }], one per conversion step (single-source quotes have one)
+// rateToRub – (currency) => RUB per 1 unit, or null when unknown
+// t         – translator for the labels of unnamed rules (src/lib/i18n)
+// Returns { items: [{ ruleId, label, rub }], totalRub, netRub, unpriced: [ruleId] }; every figure is in kopecks
+export function applyFees(profile, { grossRub, hops = [], rateToRub, t = defaultT }) {
+  const toRub = (amount, currency) => {
+    if (!currency || currency === "RUB") return roundMoney(amount);
+    const rate = rateToRub(currency);
+    return rate ? mulMoney(amount, rate) : null;
+  };
+  const items = [];
+  const unpriced = [];
+
+  (profile?.rules ?? []).forEach((rule) => {
+    const value = Number(rule.value) || 0;
+    const times = rule.scope === "hop" ? hops.filter((h) => !rule.source || h.source === rule.source).length : 1;
+    if (!value || !times || !(grossRub > 0)) return;
+
+    let rub;
+    if (rule.type === "fixed") {
+      const one = toRub(value, rule.currency);
+      rub = one === null ? null : mulMoney(one, times);
+    } else {
+      // per-hop percentages compound: each hop takes its cut of what is left
+      rub = times === 1 ? pctOfMoney(grossRub, value) : compoundCut(grossRub, value, times);
+    }
+    if (rub === null) { unpriced.push(rule.id); return; }
+
+    const min = rule.min || rule.min === 0 ? toRub(Number(rule.min), rule.currency) : null;
+    const max = rule.max || rule.max === 0 ? toRub(Number(rule.max), rule.currency) : null;
+    if (min !== null && rub < min) rub = min;
+    if (max !== null && rub > max) rub = max;
+
+    items.push({ ruleId: rule.id, label: rule.label || t(rule.type === "fixed" ? "fees.fixed" : "fees.percent"), rub });
+    const vat = Number(rule.vatPct) || 0;
+    if (vat) items.push({ ruleId: `${rule.id}:vat`, label: t(rule.label ? "fees.vatOn" : "fees.vat", { pct: vat, label: rule.label }), rub: pctOfMoney(rub, vat) });
+  });
+
+  const totalRub = sumMoney(items.map((i) => i.rub));
+  return { items, totalRub, netRub: subMoney(grossRub, totalRub), unpriced };
+}
+
+// Hops a quote went through; single-source quotes count as one hop of that source.
+export const quoteHops = (quote, sourceId) => quote?.route?.hops?.map((h) => ({ source: h.edge.source })) ?? [{ source: sourceId }];
+
+// Gross RUB that leaves `netRub` after the profile's fees (net grows with gross, so bisection works).
+export function grossForNet(profile, netRub, { hops = [], rateToRub }) {
+  if (!(netRub > 0)) return 0;
+  if (!profile?.rules?.length) return netRub;
+  const gross = solveIncreasing((g) => applyFees(profile, { grossRub: g, hops, rateToRub }).netRub, netRub, { guess: netRub, tolerance: 1e-12 });
+  return gross === null ? null : roundMoney(gross);
+}
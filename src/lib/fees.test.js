@@ -0,0 +1,68 @@
+import { applyFees, defaultFeeProfiles, defaultProfileBySource, findProfile, newFeeRule, quoteHops, grossForNet } from "./fees";
+
+const rates = { USD: 90, THB: 2.5 };
+const rateToRub = (code) => rates[code] ?? null;
+const profile = (...rules) => ({ id: "p", name: "p", rules: rules.map((r) => newFeeRule(r)) });
+
+test("percent on the total", () => {
+  const fees = applyFees(profile({ label: "Банк", value: 1.2 }), { grossRub: 100000, rateToRub });
+  expect(fees.items).toEqual([expect.objectContaining({ label: "Банк", rub: 1200 })]);
+  expect(fees.netRub).toBe(98800);
+});
+
+test("fixed fees in a foreign currency are converted to RUB", () => {
+  const fees = applyFees(profile({ label: "SWIFT", type: "fixed", value: 35, currency: "USD" }), { grossRub: 100000, rateToRub });
+  expect(fees.totalRub).toBe(3150);
+});
+
+test("min and max clamp the fee in the rule currency", () => {
+  const withMin = applyFees(profile({ value: 1, currency: "USD", min: 100 }), { grossRub: 90000, rateToRub });
+  expect(withMin.totalRub).toBe(9000);
+  const withMax = applyFees(profile({ value: 10, max: 5000 }), { grossRub: 90000, rateToRub });
+  expect(withMax.totalRub).toBe(5000);
+});
+
+test("hop rules compound per matching hop", () => {
+  const hops = [{ source: "bitkub" }, { source: "cbrf" }, { source: "bitkub" }];
+  const pct = applyFees(profile({ value: 10, scope: "hop", source: "bitkub" }), { grossRub: 1000, hops, rateToRub });
+  expect(pct.totalRub).toBe(190);
+  const fixed = applyFees(profile({ type: "fixed", value: 20, currency: "THB", scope: "hop" }), { grossRub: 1000, hops, rateToRub });
+  expect(fixed.totalRub).toBe(150);
+  const none = applyFees(profile({ value: 10, scope: "hop", source: "bitkub" }), { grossRub: 1000, hops: [{ source: "market" }], rateToRub });
+  expect(none.items).toEqual([]);
+});
+
+test("VAT is itemised on top of its fee", () => {
+  const fees = applyFees(profile({ id: "agent", label: "Агент", value: 2, vatPct: 20 }), { grossRub: 100000, rateToRub });
+  expect(fees.items.map((i) => [i.ruleId, i.rub])).toEqual([["agent", 2000], ["agent:vat", 400]]);
+  expect(fees.netRub).toBe(97600);
+});
+
+test("fees without a rate for their currency are reported, not guessed", () => {
+  const fees = applyFees(profile({ id: "x", type: "fixed", value: 10, currency: "AED" }), { grossRub: 1000, rateToRub });
+  expect(fees.items).toEqual([]);
+  expect(fees.unpriced).toEqual(["x"]);
+});
+
+test("defaults carry over the old spread settings", () => {
+  const profiles = defaultFeeProfiles({ spreadPct: 0.8 });
+  expect(findProfile(profiles, "bank").rules[0].value).toBe(0.8);
+  expect(defaultProfileBySource().bitkub).toBe("bitkub");
+  expect(applyFees(findProfile(profiles, "none"), { grossRub: 100, rateToRub }).netRub).toBe(100);
+  expect(applyFees(null, { grossRub: 100, rateToRub }).netRub).toBe(100);
+});
+
+test("quoteHops reads route hops or falls back to the source", () => {
+  expect(quoteHops({ route: { hops: [{ edge: { source: "bitkub" } }, { edge: { source: "cbrf" } }] } }, "bitkub")).toEqual([{ source: "bitkub" }, { source: "cbrf" }]);
+  expect(quoteHops({ rate: 1 }, "market")).toEqual([{ source: "market" }]);
+});
+
+test("grossForNet undoes applyFees", () => {
+  const agent = findProfile(defaultFeeProfiles(), "agent");
+  const gross = grossForNet(agent, 500000, { rateToRub });
+  expect(applyFees(agent, { grossRub: gross, rateToRub }).netRub).toBeCloseTo(500000, 1);
+  const bitkub = findProfile(defaultFeeProfiles(), "bitkub");
+  const hops = [{ source: "bitkub" }, { source: "cbrf" }];
+  expect(applyFees(bitkub, { grossRub: grossForNet(bitkub, 10000, { hops, rateToRub }), hops, rateToRub }).netRub).toBeCloseTo(10000, 1);
+  expect(grossForNet(null, 100, { rateToRub })).toBe(100);
+});
@@ -0,0 +1,48 @@
+import { snapshotFor, withDependencies } from "./providers/registry.js";
+import { defaultT } from "./i18n.js";
+
+// -------------------------------------------------
+// Snapshot freshness
+//
+// status per snapshot:
+//   fresh   – younger than provider.ttlMs
+//   stale   – older, still usable; auto-refresh picks it up (also: served stale by the proxy)
+//   expired – older than provider.maxAgeMs; results built on it are blocked (src/lib/sanity)
+//   missing – nothing loaded yet
+// Archived (dated) snapshots never age.
+// -------------------------------------------------
+
+export const FRESHNESS_ORDER = ["fresh", "stale", "expired", "missing"];
+
+export function freshness(snapshot, provider, now = Date.now()) {
+  if (!snapshot?.updated) return { status: "missing", ageMs: null };
+  const ageMs = Math.max(0, now - new Date(snapshot.updated).getTime());
+  if (snapshot.asOf) return { status: "fresh", ageMs, archived: true };
+  const status = ageMs >= provider.maxAgeMs ? "expired" : ageMs >= provider.ttlMs || snapshot.stale ? "stale" : "fresh";
+  return { status, ageMs };
+}
+
+// Every fetched snapshot a quote from `id` reads for `currency`: [{ provider, snapshot, status, ageMs, archived? }].
+// With a date only dated providers take part, as in refreshSources; dependencies that cannot
+// quote the currency (Bitkub under a USD route) are left out.
+export function sourceFreshness(registry, id, { currency, date = null, snapshots, now = Date.now() }) {
+  return withDependencies(registry, id)
+    .filter((p) => !p.derived && (!date || p.dated) && p.supports(currency, "RUB"))
+    .map((provider) => {
+      const snapshot = snapshotFor(snapshots, provider, currency, date);
+      return { provider, snapshot, ...freshness(snapshot, provider, now) };
+    });
+}
+
+export const worstFreshness = (items) =>
+  items.reduce((worst, { status }) => (FRESHNESS_ORDER.indexOf(status) > FRESHNESS_ORDER.indexOf(worst) ? status : worst), "fresh");
+
+// "только что", "5 мин", "3 ч", "2 дн"
+export function formatAge(ms, t = defaultT) {
+  if (ms === null || ms === undefined) return "—";
+  const min = Math.floor(ms / 60000);
+  if (min < 1) return t("age.now");
+  if (min < 60) return t("age.minutes", { count: min });
+  const h = Math.floor(min / 60);
+  return h < 48 ? t("age.hours", { count: h }) : t("age.days", { count: Math.floor(h / 24) });
+}
@@ -0,0 +1,39 @@
+import { freshness, sourceFreshness, worstFreshness, formatAge } from "./freshness";
+import { providers } from "./providers";
+
+const NOW = Date.parse("2024-01-10T12:00:00Z");
+const ago = (ms) => new Date(NOW - ms).toISOString();
+const MIN = 60 * 1000;
+
+test("snapshots go fresh → stale → expired on the provider's ttl and max age", () => {
+  const market = providers.get("market");
+  expect(freshness(null, market, NOW)).toEqual({ status: "missing", ageMs: null });
+  expect(freshness({ updated: ago(5 * MIN) }, market, NOW).status).toBe("fresh");
+  expect(freshness({ updated: ago(20 * MIN) }, market, NOW)).toEqual({ status: "stale", ageMs: 20 * MIN });
+  expect(freshness({ updated: ago(7 * 60 * MIN) }, market, NOW).status).toBe("expired");
+  expect(freshness({ updated: ago(MIN), stale: true }, market, NOW).status).toBe("stale");
+  expect(freshness({ updated: ago(90 * 24 * 60 * MIN), asOf: "2023-10-12" }, providers.get("cbrf"), NOW)).toMatchObject({ status: "fresh", archived: true });
+});
+
+test("max age defaults to four ttls", () => {
+  expect(providers.get("route").maxAgeMs).toBe(4 * MIN);
+  expect(providers.get("bitkub").maxAgeMs).toBe(5 * MIN);
+});
+
+test("sourceFreshness covers the dependencies that can quote the currency", () => {
+  const snapshots = { cbrf: { data: {}, updated: ago(MIN) }, "market:USD": { data: { rate: 90 }, updated: ago(30 * MIN) } };
+  const usd = sourceFreshness(providers, "route", { currency: "USD", snapshots, now: NOW });
+  expect(usd.map((f) => [f.provider.id, f.status])).toEqual([["cbrf", "fresh"], ["market", "stale"]]);
+  expect(worstFreshness(usd)).toBe("stale");
+  const usdt = sourceFreshness(providers, "bitkub", { currency: "USDT", snapshots, now: NOW });
+  expect(usdt.map((f) => [f.provider.id, f.status])).toEqual([["cbrf", "fresh"], ["bitkub", "missing"]]);
+  expect(sourceFreshness(providers, "route", { currency: "USD", date: "2024-01-09", snapshots, now: NOW }).map((f) => f.provider.id)).toEqual(["cbrf"]);
+});
+
+test("formatAge", () => {
+  expect(formatAge(null)).toBe("—");
+  expect(formatAge(20 * 1000)).toBe("только что");
+  expect(formatAge(42 * MIN)).toBe("42 мин");
+  expect(formatAge(5 * 60 * MIN)).toBe("5 ч");
+  expect(formatAge(3 * 24 * 60 * MIN)).toBe("3 дн");
+});
@@ -0,0 +1,115 @@
+import { mulMoney, subMoney, sumMoney } from "./money.js";
+import { defaultT } from "./i18n.js";
+
+// -------------------------------------------------
+// Saved calculations
+//
+// Entry: {
+//   id?, ts, kind: 'single' | 'basket',
+//   direction: 'toRub' | 'fromRub',
+//   amount, currency, rate, rub,      – single: rate is all-in RUB per 1 unit
+//   lines, deltaRub,                  – basket: priced lines (see src/lib/basket)
+//   source, customRate, feeProfile,   – how it was priced
+//   fees: [{ ruleId, label, rub }], feeTotalRub,
+//   cbrfRate, rateDate, asOf,         – CBRF reference; asOf is the date picked in the converter
+//   note, tag,                        – free text / supplier or project
+// }
+// Stored by src/lib/historyStore.
+// -------------------------------------------------
+
+// Fills fields missing from older entries (the capped localStorage history had only
+// { ts, amount, currency, rate, rub } plus fees/rateDate later on).
+export function normalizeEntry(raw = {}) {
+  const fees = raw.fees ?? [];
+  return {
+    kind: raw.kind === "basket" ? "basket" : "single",
+    direction: "toRub",
+    source: null,
+    customRate: "",
+    feeProfile: null,
+    feeTotalRub: sumMoney(fees.map((f) => f.rub)),
+    cbrfRate: null,
+    rateDate: null,
+    asOf: null,
+    note: "",
+    tag: "",
+    ...raw,
+    fees,
+    ts: raw.ts ?? Date.now(),
+  };
+}
+
+export const entryCurrencies = (entry) => (entry.kind === "basket" ? [...new Set((entry.lines ?? []).map((l) => l.currency))] : [entry.currency]);
+
+// YYYY-MM-DD of a timestamp in local time, comparable with <input type="date"> values.
+export const localDay = (ts) => {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+export const historyTags = (entries = []) => [...new Set(entries.map((e) => e.tag).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+// filters: { currency?, tag?, from?, to? (YYYY-MM-DD, inclusive), query? }
+export function filterHistory(entries = [], { currency = "", tag = "", from = "", to = "", query = "" } = {}) {
+  const q = query.trim().toLowerCase();
+  return entries.filter((e) => {
+    if (currency && !entryCurrencies(e).includes(currency)) return false;
+    if (tag && e.tag !== tag) return false;
+    const day = localDay(e.ts);
+    if (from && day < from) return false;
+    if (to && day > to) return false;
+    if (q) {
+      const text = [e.note, e.tag, e.source, ...entryCurrencies(e), ...(e.lines ?? []).map((l) => l.description)].join(" ").toLowerCase();
+      if (!text.includes(q)) return false;
+    }
+    return true;
+  });
+}
+
+// -------- Export --------
+const COLUMN_KEYS = ["date", "kind", "amount", "currency", "rate", "rub", "cbrfRate", "deltaRub", "source", "feeProfile", "feeTotalRub", "rateDate", "tag", "note"];
+
+// [[row key, column title]] in the translator's language
+export const historyColumns = (t = defaultT) => COLUMN_KEYS.map((key) => [key, t(`history.column.${key}`)]);
+
+export const HISTORY_COLUMNS = historyColumns();
+
+// One flat row per entry; baskets list their currencies and leave amount/rate empty.
+export function historyRows(entries = [], { sourceLabel = (id) => id, t = defaultT } = {}) {
+  return entries.map((e) => {
+    const basket = e.kind === "basket";
+    const deltaRub = basket ? e.deltaRub : e.cbrfRate && e.amount ? subMoney(e.rub, mulMoney(e.amount, e.cbrfRate)) : null;
+    return {
+      date: t.dateTime(e.ts),
+      kind: basket ? t("history.kind.basket", { count: e.lines?.length ?? 0 }) : t(e.direction === "fromRub" ? "history.kind.fromRub" : "history.kind.toRub"),
+      amount: basket ? null : e.amount,
+      currency: entryCurrencies(e).join(", "),
+      rate: basket ? null : e.rate,
+      rub: e.rub,
+      cbrfRate: basket ? null : e.cbrfRate,
+      deltaRub: deltaRub ?? null,
+      source: e.customRate ? t("history.customRate") : e.source ? sourceLabel(e.source) : "",
+      feeProfile: e.feeProfile ?? "",
+      feeTotalRub: e.feeTotalRub ?? 0,
+      rateDate: e.rateDate ?? "",
+      tag: e.tag ?? "",
+      note: e.note ?? "",
+    };
+  });
+}
+
+// Semicolon-separated, as Excel expects in a Russian locale.
+export function toCsv(rows, columns = HISTORY_COLUMNS) {
+  const cell = (v) => {
+    const s = v === null || v === undefined ? "" : String(v);
+    return /[";\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [columns.map(([, title]) => cell(title)).join(";"), ...rows.map((row) => columns.map(([key]) => cell(row[key])).join(";"))].join("\r\n");
+}
+
+// write-excel-file is loaded on demand; resolves with the file as a Blob.
+export async function toXlsx(rows, columns = HISTORY_COLUMNS, sheetName = defaultT("history.sheet")) {
+  const { default: writeXlsxFile } = await import("write-excel-file/universal");
+  const sheetData = [columns.map(([, title]) => title), ...rows.map((row) => columns.map(([key]) => row[key] ?? null))];
+  return writeXlsxFile(sheetData, { sheet: sheetName }).toBlob();
+}
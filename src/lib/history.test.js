@@ -0,0 +1,51 @@
+import { readSheet } from "read-excel-file/universal";
+import { normalizeEntry, filterHistory, historyTags, historyRows, toCsv, toXlsx, localDay } from "./history";
+
+const day = (iso) => new Date(`${iso}T12:00:00`).getTime();
+const entries = [
+  normalizeEntry({ ts: day("2024-03-01"), amount: 100, currency: "USD", rate: 91, rub: 9100, cbrfRate: 90, source: "market", tag: "Sigma", note: "реагенты" }),
+  normalizeEntry({ ts: day("2024-03-05"), amount: 50, currency: "EUR", rate: 100, rub: 5000, tag: "Merck" }),
+  normalizeEntry({ ts: day("2024-03-09"), kind: "basket", rub: 20000, deltaRub: 150, lines: [{ currency: "USD", description: "Центрифуга" }, { currency: "CNY", description: "Доставка" }] }),
+];
+
+test("normalizeEntry upgrades legacy localStorage entries", () => {
+  const legacy = normalizeEntry({ ts: 5, amount: 1, currency: "USD", rate: 90, rub: 90, fees: [{ ruleId: "a", rub: 1.1 }, { ruleId: "b", rub: 2.2 }] });
+  expect(legacy).toMatchObject({ kind: "single", direction: "toRub", note: "", tag: "", feeTotalRub: 3.3, ts: 5 });
+});
+
+test("filters by currency, tag, date range and text", () => {
+  expect(filterHistory(entries, { currency: "USD" })).toHaveLength(2);
+  expect(filterHistory(entries, { tag: "Merck" }).map((e) => e.currency)).toEqual(["EUR"]);
+  expect(filterHistory(entries, { from: "2024-03-02", to: "2024-03-05" })).toHaveLength(1);
+  expect(filterHistory(entries, { to: "2024-03-01" })).toHaveLength(1);
+  expect(filterHistory(entries, { query: "центрифуга" })[0].kind).toBe("basket");
+  expect(filterHistory(entries, { query: "РЕАГЕНТЫ" })).toHaveLength(1);
+  expect(historyTags(entries)).toEqual(["Merck", "Sigma"]);
+  expect(localDay(day("2024-03-09"))).toBe("2024-03-09");
+});
+
+test("rows carry CBRF delta and source labels", () => {
+  const [single, , basket] = historyRows(entries, { sourceLabel: (id) => id.toUpperCase() });
+  expect(single).toMatchObject({ amount: 100, currency: "USD", deltaRub: 100, source: "MARKET", tag: "Sigma" });
+  expect(basket).toMatchObject({ kind: "Корзина (2 поз.)", amount: null, currency: "USD, CNY", deltaRub: 150 });
+});
+
+test("CSV uses semicolons and quotes awkward cells", () => {
+  const csv = toCsv([{ note: 'счёт "A"; 2 шт.', rub: 10 }], [["rub", "RUB"], ["note", "Заметка"]]);
+  expect(csv).toBe('RUB;Заметка\r\n10;"счёт ""A""; 2 шт."');
+});
+
+// jsdom's Blob has no arrayBuffer()
+const blobBytes = (blob) => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsArrayBuffer(blob);
+});
+
+test("XLSX export reads back", async () => {
+  const [titles, ...cells] = await readSheet(await blobBytes(await toXlsx(historyRows(entries))), "История");
+  const rows = cells.map((row) => Object.fromEntries(titles.map((title, i) => [title, row[i]])));
+  expect(rows).toHaveLength(3);
+  expect(rows[0]["Итого, ₽"]).toBe(9100);
+  expect(rows[1]["Тег"]).toBe("Merck");
+});
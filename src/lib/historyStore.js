@@ -0,0 +1,63 @@
+// -------------------------------------------------
+// Saved calculations in IndexedDB
+//
+// One object store, "entries" (keyPath "id", autoIncrement), indexed by ts,
+// currency and tag. Entry shape: see src/lib/history.
+// `indexedDB` is injectable so tests can pass a fake-indexeddb factory.
+// -------------------------------------------------
+
+export const HISTORY_DB_NAME = "tanaq";
+const DB_VERSION = 1;
+const STORE = "entries";
+
+export const done = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Runs `fn(store)` in one transaction; resolves with the result(s) of the request(s) it returns
+// once the transaction has committed. Shared with src/lib/rateStore.
+export function run(db, mode, fn, storeName = STORE) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const requests = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(Array.isArray(requests) ? requests.map((r) => r.result) : requests?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export async function openHistoryStore({ indexedDB = window.indexedDB, name = HISTORY_DB_NAME } = {}) {
+  if (!indexedDB) throw new Error("IndexedDB unavailable");
+  const request = indexedDB.open(name, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+    store.createIndex("ts", "ts");
+    store.createIndex("currency", "currency");
+    store.createIndex("tag", "tag");
+  };
+  const db = await done(request);
+
+  const withoutId = ({ id, ...entry }) => entry;
+
+  return {
+    // newest first
+    all: async () => (await run(db, "readonly", (store) => store.getAll())).sort((a, b) => b.ts - a.ts),
+    get: (id) => run(db, "readonly", (store) => store.get(id)),
+    add: async (entry) => ({ ...entry, id: await run(db, "readwrite", (store) => store.add(withoutId(entry))) }),
+    // several entries in one transaction, e.g. the localStorage migration
+    addMany: async (entries) => {
+      const ids = await run(db, "readwrite", (store) => entries.map((e) => store.add(withoutId(e))));
+      return entries.map((e, i) => ({ ...e, id: ids[i] }));
+    },
+    update: async (id, patch) => {
+      const current = await run(db, "readonly", (store) => store.get(id));
+      if (!current) return null;
+      const next = { ...current, ...patch, id };
+      await run(db, "readwrite", (store) => store.put(next));
+      return next;
+    },
+    remove: (id) => run(db, "readwrite", (store) => store.delete(id)),
+    close: () => db.close(),
+  };
+}
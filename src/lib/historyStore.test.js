@@ -0,0 +1,37 @@
+import { serialize, deserialize } from "v8";
+import { IDBFactory } from "fake-indexeddb";
+import { openHistoryStore } from "./historyStore";
+
+// jsdom (jest 27) has no structuredClone, which fake-indexeddb relies on
+if (typeof structuredClone === "undefined") global.structuredClone = (value) => deserialize(serialize(value));
+
+const open = () => openHistoryStore({ indexedDB: new IDBFactory() });
+
+test("entries round-trip newest first", async () => {
+  const store = await open();
+  const a = await store.add({ ts: 1, amount: 10, currency: "USD", rub: 900 });
+  const b = await store.add({ ts: 2, amount: 5, currency: "EUR", rub: 500 });
+  expect(a.id).not.toBe(b.id);
+  expect((await store.all()).map((e) => e.currency)).toEqual(["EUR", "USD"]);
+  expect(await store.get(a.id)).toEqual(a);
+});
+
+test("update patches note and tag, remove deletes", async () => {
+  const store = await open();
+  const { id } = await store.add({ ts: 1, currency: "USD", note: "", tag: "" });
+  expect(await store.update(id, { note: "счёт 42", tag: "Sigma" })).toMatchObject({ id, currency: "USD", note: "счёт 42", tag: "Sigma" });
+  expect(await store.update(999, { note: "x" })).toBeNull();
+  await store.remove(id);
+  expect(await store.all()).toEqual([]);
+});
+
+test("addMany imports in one go and ignores foreign ids", async () => {
+  const store = await open();
+  const added = await store.addMany([{ id: "old", ts: 1 }, { ts: 2 }]);
+  expect(added.map((e) => typeof e.id)).toEqual(["number", "number"]);
+  expect(await store.all()).toHaveLength(2);
+});
+
+test("fails cleanly without IndexedDB", async () => {
+  await expect(openHistoryStore({ indexedDB: null })).rejects.toThrow("IndexedDB unavailable");
+});
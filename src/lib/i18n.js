@@ -0,0 +1,81 @@
+import { minorUnits } from "./money.js";
+import ru from "./locales/ru.js";
+import en from "./locales/en.js";
+import th from "./locales/th.js";
+
+// -------------------------------------------------
+// UI language
+//
+// Dictionaries (src/lib/locales) are flat { key: text } maps with {param} placeholders.
+// A key with plural forms is looked up as `key_<Intl.PluralRules category>` first when
+// params.count is a number ("history.lines_one", "history.lines_other").
+// Missing keys fall back locale -> en -> ru -> params.defaultValue -> the key itself;
+// ru is the reference dictionary and carries every key.
+// -------------------------------------------------
+
+export const LOCALES = {
+  ru: { name: "Русский", intl: "ru-RU", messages: ru },
+  en: { name: "English", intl: "en-US", messages: en },
+  th: { name: "ไทย", intl: "th-TH", messages: th },
+};
+
+export const LOCALE_IDS = Object.keys(LOCALES);
+
+// Telegram language_code (or navigator.language) -> locale id. Languages of the former
+// USSR read Russian more often than English; everything else gets English.
+const NEAREST = { uk: "ru", be: "ru", kk: "ru", ky: "ru", uz: "ru", tg: "ru", hy: "ru", az: "ru" };
+
+export function detectLocale(languageCode) {
+  const base = String(languageCode ?? "").toLowerCase().split(/[-_]/)[0];
+  if (!base) return "ru";
+  if (LOCALES[base]) return base;
+  return NEAREST[base] ?? "en";
+}
+
+const fill = (text, params) => text.replace(/\{(\w+)\}/g, (m, name) => (params[name] === undefined || params[name] === null ? m : String(params[name])));
+
+// t(key, params) plus the locale's formatters: t.num, t.money, t.date, t.dateTime.
+export function createTranslator(locale = "ru") {
+  const id = LOCALES[locale] ? locale : "ru";
+  const { intl } = LOCALES[id];
+  const chain = [...new Set([id, "en", "ru"])].map((l) => LOCALES[l].messages);
+  const plurals = new Intl.PluralRules(intl);
+  const currencyNames = Intl.DisplayNames ? new Intl.DisplayNames(intl, { type: "currency", fallback: "none" }) : null;
+
+  const t = (key, params = {}) => {
+    const form = typeof params.count === "number" ? `${key}_${plurals.select(params.count)}` : null;
+    for (const messages of chain) {
+      const text = (form && messages[form]) ?? messages[key];
+      if (text !== undefined) return fill(text, params);
+    }
+    return params.defaultValue ?? key;
+  };
+
+  t.locale = id;
+  t.intl = intl;
+  t.num = (n, digits = 2) => (Number.isFinite(n) ? n.toLocaleString(intl, { maximumFractionDigits: digits }) : "—");
+  // amount in `currency`, up to its minor units (JPY without decimals)
+  t.money = (n, currency = "RUB") => t.num(n, minorUnits(currency));
+  t.date = (value) => new Date(value).toLocaleDateString(intl);
+  t.time = (value) => new Date(value).toLocaleTimeString(intl);
+  t.dateTime = (value) => new Date(value).toLocaleString(intl);
+  // "US Dollar" / "доллар США"; codes Intl does not know (USDT) keep `fallback`
+  t.currencyName = (code, fallback = code) => {
+    try {
+      return currencyNames?.of(code) ?? fallback;
+    } catch {
+      return fallback; // not an ISO code
+    }
+  };
+  return t;
+}
+
+// Provider label / caption / errorMessage (src/lib/providers) in the translator's language;
+// providers without a dictionary entry keep their own text, a missing caption falls back to the label.
+export function providerText(t, provider, field = "label") {
+  const own = provider[field] ?? (field === "caption" ? providerText(t, provider, "label") : "");
+  return t(`provider.${provider.id}.${field}`, { defaultValue: own });
+}
+
+// Translator the libraries fall back to when the caller passes none.
+export const defaultT = createTranslator("ru");
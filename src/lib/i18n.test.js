@@ -0,0 +1,57 @@
+import { LOCALES, detectLocale, createTranslator, providerText } from "./i18n";
+import { providers } from "./providers";
+
+// "depth.split_few" -> "depth.split"
+const baseKeys = (messages) => new Set(Object.keys(messages).map((key) => key.replace(/_(zero|one|two|few|many|other)$/, "")));
+
+test("Telegram language codes map to a locale, unknown ones to English", () => {
+  expect(detectLocale("ru")).toBe("ru");
+  expect(detectLocale("en-GB")).toBe("en");
+  expect(detectLocale("th_TH")).toBe("th");
+  expect(detectLocale("uk")).toBe("ru");
+  expect(detectLocale("de")).toBe("en");
+  expect(detectLocale("")).toBe("ru");
+  expect(detectLocale(undefined)).toBe("ru");
+});
+
+test("every dictionary covers the Russian keys", () => {
+  const reference = [...baseKeys(LOCALES.ru.messages)].sort();
+  expect([...baseKeys(LOCALES.en.messages)].sort()).toEqual(reference);
+  expect([...baseKeys(LOCALES.th.messages)].sort()).toEqual(reference);
+});
+
+test("params fill placeholders; missing keys fall back through en and ru", () => {
+  const en = createTranslator("en");
+  expect(en("app.customRate", { currency: "USD" })).toBe("Custom rate (RUB per 1 USD)");
+  expect(en("app.example")).toBe("For example, {value}");
+  expect(en("no.such.key")).toBe("no.such.key");
+  expect(en("no.such.key", { defaultValue: "Own text" })).toBe("Own text");
+  expect(createTranslator("xx").locale).toBe("ru");
+  expect(providerText(en, providers.get("cbrf"), "caption")).toBe("CBRF");
+  expect(providerText(en, { id: "custom-bank", label: "My bank" }, "caption")).toBe("My bank");
+});
+
+test("counts pick the plural form of the locale", () => {
+  const ru = createTranslator("ru");
+  const en = createTranslator("en");
+  const th = createTranslator("th");
+  const split = (t, count) => t("depth.split", { count, tranche: 100, pct: 0.5 });
+  expect(split(ru, 1)).toMatch(/на 1 часть /);
+  expect(split(ru, 3)).toMatch(/на 3 части /);
+  expect(split(ru, 5)).toMatch(/на 5 частей /);
+  expect(split(en, 1)).toMatch(/into 1 part /);
+  expect(split(en, 4)).toMatch(/into 4 parts /);
+  expect(split(th, 4)).toMatch(/4 ส่วน/);
+  expect(en("receipt.basket", { count: 2 })).toBe("Basket · 2 items");
+});
+
+test("numbers and money follow the locale and the currency's minor units", () => {
+  const en = createTranslator("en");
+  const ru = createTranslator("ru");
+  expect(en.num(1234.567)).toBe("1,234.57");
+  expect(ru.num(1234.567).replace(/\s/g, " ")).toBe("1 234,57");
+  expect(en.money(1234.5, "JPY")).toBe("1,235");
+  expect(en.money(1.2345, "KWD")).toBe("1.235");
+  expect(en.num(NaN)).toBe("—");
+  expect(en.num(undefined)).toBe("—");
+});
@@ -0,0 +1,349 @@
+// English; keys follow ru.js, plural keys use the one / other forms.
+const en = {
+  // -------- Rate sources (src/lib/providers) --------
+  "provider.market.label": "Market (exchangerate.host)",
+  "provider.market.caption": "Market",
+  "provider.market.errorMessage": "Could not update the market rate.",
+  "provider.cbrf.label": "CBRF (official)",
+  "provider.cbrf.caption": "CBRF",
+  "provider.cbrf.errorMessage": "Could not fetch the CBRF rate.",
+  "provider.bitkub.label": "Bitkub liquidity (USDT→THB)",
+  "provider.bitkub.caption": "Bitkub + CBRF (THB→RUB)",
+  "provider.bitkub.errorMessage": "Bitkub is unavailable (possibly CORS).",
+  "provider.route.label": "Best route (all sources)",
+  "provider.route.caption": "Route",
+  "bitkub.empty": "The Bitkub order book is empty ({side}).",
+  "bitkub.crossed": "The Bitkub order book is crossed: bid {bid} ≥ ask {ask}.",
+
+  // -------- Freshness and sanity checks --------
+  "age.now": "just now",
+  "age.minutes": "{count} min",
+  "age.hours": "{count} h",
+  "age.days": "{count} d",
+  "sanity.custom": "Your {currency} rate differs from CBRF by {diff} (allowed ±{max}%).",
+  "sanity.divergence": "{label}: the {currency} rate differs from CBRF by {diff} (allowed ±{max}%).",
+  "sanity.expired": "{label}: the data is outdated ({age}), refresh the rate.",
+  "sanity.stale": "{label}: the data is not the latest ({age}).",
+  "sanity.staleDown": "{label}: the data is not the latest ({age}), the source is unavailable.",
+
+  // -------- Alerts --------
+  "alert.rate.above": "{currency} · {source}: rate {value} ₽ — above the {threshold} ₽ threshold",
+  "alert.rate.below": "{currency} · {source}: rate {value} ₽ — below the {threshold} ₽ threshold",
+  "alert.deltaPct.above": "{currency} · {source}: Δ to CBRF {value}% — above the {threshold}% threshold",
+  "alert.deltaPct.below": "{currency} · {source}: Δ to CBRF {value}% — below the {threshold}% threshold",
+
+  // -------- Fees --------
+  "fees.fixed": "Fixed fee",
+  "fees.percent": "Fee",
+  "fees.vat": "{pct}% VAT on the fee",
+  "fees.vatOn": "{pct}% VAT on “{label}”",
+  "fees.profile.none": "No fees",
+  "fees.profile.bank": "Bank",
+  "fees.profile.agent": "Payment agent",
+  "fees.rule.bankSpread": "Bank spread",
+  "fees.rule.bitkubTrade": "Bitkub trading fee",
+  "fees.rule.bitkubWithdraw": "THB withdrawal",
+  "fees.rule.agentFee": "Agent fee",
+
+  // -------- History export --------
+  "history.column.date": "Date",
+  "history.column.kind": "Type",
+  "history.column.amount": "Amount",
+  "history.column.currency": "Currency",
+  "history.column.rate": "Rate, ₽",
+  "history.column.rub": "Total, ₽",
+  "history.column.cbrfRate": "CBRF rate, ₽",
+  "history.column.deltaRub": "Δ to CBRF, ₽",
+  "history.column.source": "Source",
+  "history.column.feeProfile": "Fee profile",
+  "history.column.feeTotalRub": "Fees, ₽",
+  "history.column.rateDate": "CBRF rate date",
+  "history.column.tag": "Tag",
+  "history.column.note": "Note",
+  "history.kind.basket_one": "Basket ({count} item)",
+  "history.kind.basket_other": "Basket ({count} items)",
+  "history.kind.toRub": "Currency → ₽",
+  "history.kind.fromRub": "₽ → currency",
+  "history.customRate": "Custom rate",
+  "history.sheet": "History",
+
+  // -------- Receipts --------
+  "receipt.title": "Conversion to roubles",
+  "receipt.calculatedAt": "Calculated on",
+  "receipt.asOf": "Rate as of",
+  "receipt.lineCount": "Items",
+  "receipt.defaultSource": "Default source",
+  "receipt.amount": "Amount",
+  "receipt.source": "Source",
+  "receipt.customRate": "Custom rate",
+  "receipt.rate": "Rate incl. fees",
+  "receipt.ratePerUnit": "{rate} ₽ per 1 {currency}",
+  "receipt.feeProfile": "Fee profile",
+  "receipt.lines": "Items",
+  "receipt.line": "Item",
+  "receipt.fees": "Fees",
+  "receipt.vsCbrf": "Compared with CBRF",
+  "receipt.delta": "Δ to CBRF",
+  "receipt.cbrfRate": "CBRF rate",
+  "receipt.cbrfRateOn": "{rate} of {date}",
+  "receipt.deltaPerUnit": "{abs} ₽ ({pct}%) per 1 {currency}",
+  "receipt.deltaTotal": "Δ on the amount",
+  "receipt.total": "Total",
+  "receipt.tag": "Tag",
+  "receipt.note": "Note",
+  "receipt.basket_one": "Basket · {count} item",
+  "receipt.basket_other": "Basket · {count} items",
+
+  // -------- Rate chart --------
+  "chart.range.day": "Day",
+  "chart.range.week": "Week",
+  "chart.range.month": "Month",
+
+  // -------- App (src/TanaqTelegramApp) --------
+  "app.age.archived": "archive",
+  "app.age.missing": "no data",
+  "app.amount": "Amount in foreign currency",
+  "app.budget": "Budget in roubles (after fees)",
+  "app.chart": "Rate history",
+  "app.close": "Close",
+  "app.converter.title": "Enter an amount and pick a currency",
+  "app.copied": "Copied",
+  "app.copy": "Copy",
+  "app.currency": "Currency",
+  "app.customRate": "Custom rate (RUB per 1 {currency})",
+  "app.customRate.hint": "When set, it is used instead of the selected source",
+  "app.customRate.lockedBy": "Locked by {name}",
+  "app.customRate.official": "Team official rate (RUB per 1 {currency})",
+  "app.error.badLink": "The calculation link could not be read — the fields were left as they were.",
+  "app.error.history": "Could not update the history.",
+  "app.error.inviteInvalid": "The invite is no longer valid.",
+  "app.error.noConnection": "no connection",
+  "app.error.notInvite": "This is not a workspace invite.",
+  "app.error.receipt": "Could not create the receipt.",
+  "app.error.receiptBot": "The bot cannot message you: open the chat with the bot and try again. The PDF was saved to your device.",
+  "app.error.receiptServer": "The TANAQ server did not accept the receipt — the PDF was saved to your device.",
+  "app.error.review": "Could not save the decision.",
+  "app.error.role": "Could not change the role.",
+  "app.error.submit": "Could not submit the calculation for approval.",
+  "app.error.workspaceCreate": "Could not create the workspace.",
+  "app.error.workspaceList": "Could not load workspaces.",
+  "app.error.workspaceOffline": "The TANAQ server is unavailable — the saved team settings apply.",
+  "app.error.workspaceUpdate": "Could not save the team settings.",
+  "app.example": "For example, {value}",
+  "app.fees": "Fees: {source}",
+  "app.fees.hint": "Fee profile deducted from the result for this source",
+  "app.fees.profiles": "Fee profiles",
+  "app.fees.profilesShared": "Fee profiles (shared by the team)",
+  "app.fees.shared": "Shared fees of team “{name}”",
+  "app.language": "Language",
+  "app.language.auto": "Auto ({name})",
+  "app.link": "Link to the calculation",
+  "app.main.blocked": "The rate failed the check",
+  "app.main.save": "Save calculation",
+  "app.main.saveRub": "Save {rub} ₽",
+  "app.mode.basket": "Order basket",
+  "app.mode.single": "Single amount",
+  "app.offline": "Offline — rates from {time}",
+  "app.offline.noRates": "Offline — no saved rates",
+  "app.offline.queued": "Offline — the request will reach the server when the connection is back.",
+  "app.offline.replayFailed.receipts": "The receipt that waited for the network was not sent (HTTP {status}) — send it again.",
+  "app.offline.replayFailed.workspaces": "A team change that waited for the network was not saved (HTTP {status}) — make it again.",
+  "app.presets": "Popular supplier currencies",
+  "app.rate": "Rate (≈ RUB per 1 {currency})",
+  "app.rateDate": "CBRF rate date (invoice, customs declaration)",
+  "app.rateDate.fallback": "No rate was set for {date} — the rate of {actual} applies.",
+  "app.receipt": "PDF receipt",
+  "app.receipt.queued": "Offline — the receipt will go to your chat with the bot when the connection is back.",
+  "app.receipt.saved": "The receipt was saved to your device.",
+  "app.receipt.sent": "The receipt was sent to your chat with the bot — you can forward it.",
+  "app.refresh": "Refresh",
+  "app.refreshAll": "Refresh all",
+  "app.result.atCbrf": "At the CBRF rate: {rub} ₽",
+  "app.result.basketDelta": "Δ to CBRF: {rub} ₽ ({pct}%)",
+  "app.result.blocked": "Saving is unavailable until the rate passes the check.",
+  "app.result.budget": "The budget covers",
+  "app.result.budgetRub": "for {rub} ₽ including fees",
+  "app.result.cbrf": "CBRF rate: {rate} ₽ per 1 {currency}",
+  "app.result.delta": "Δ to CBRF: {abs} ₽ ({pct}%) per 1 {currency}",
+  "app.result.deltaTotal": "On the amount: {rub} ₽",
+  "app.result.gross": "Before fees",
+  "app.result.missing": "Without a rate: {count}",
+  "app.result.partial": "Partial fill: {pct}% of the amount",
+  "app.result.total": "Total in roubles",
+  "app.retry": "Retry",
+  "app.sanity": "Rate check, ±% to CBRF",
+  "app.sanity.custom": "Custom rate deviation, %",
+  "app.sanity.hint": "Allowed deviation of a source / custom rate; beyond it saving is blocked",
+  "app.save": "Save",
+  "app.settings": "Precision settings",
+  "app.settings.proxy": "Via the TANAQ server",
+  "app.settings.proxyHint": "Rates go through a caching proxy — no CORS and no API limits",
+  "app.settings.serverUrl": "TANAQ server address",
+  "app.settings.source": "Rate source",
+  "app.settings.sourceHint": "Pick the source of RUB per 1 unit of currency",
+  "app.share.fromRub": "TANAQ calculation: {amount} ₽ → {currency}",
+  "app.share.toRub": "TANAQ calculation: {amount} {currency} → ₽",
+  "app.source": "Source: {source} {updated}",
+  "app.source.proxyCache": "Source unavailable — rate from the proxy cache",
+  "app.subtitle": "For lab equipment procurement: fast, precise, spread included.",
+  "app.sync": "Sync",
+  "app.sync.denied": "The server rejected the Telegram data — restart the app",
+  "app.sync.done": "Synced at {time}",
+  "app.sync.noServer": "A TANAQ server address is required",
+  "app.sync.off": "Settings and history on all your devices",
+  "app.sync.offline": "Server unavailable — changes are kept on the device and will be sent later",
+  "app.sync.syncing": "Syncing…",
+  "app.sync.telegramOnly": "Available in Telegram: settings and history are tied to your account",
+  "app.theme": "Theme",
+  "app.title": "Currency converter → RUB",
+  "app.today": "Today",
+  "app.watchlist": "Rate watchlist",
+  "app.workspace": "Team",
+  "app.workspace.shareText": "Workspace “{name}” in TANAQ",
+
+  // -------- Basket (src/components/BasketPanel) --------
+  "basket.empty": "Add order items — each can have its own currency and rate.",
+  "basket.costName": "Shipping, bank fee…",
+  "basket.itemName": "Item",
+  "basket.qty": "Qty",
+  "basket.unitPrice": "Unit price",
+  "basket.sameSource": "Same as above",
+  "basket.at": "at {rate}",
+  "basket.delta": "Δ to CBRF: {rub} ₽",
+  "basket.noRate": "No rate",
+  "basket.addCost": "Shipping / fee",
+
+  // -------- Order book (src/components/DepthPanel) --------
+  "depth.chart": "Order book depth",
+  "depth.sell": "Sell USDT (bids)",
+  "depth.buy": "Buy USDT (asks)",
+  "depth.avg": "Average THB/USDT",
+  "depth.worst": "Worst price",
+  "depth.slippageTop": "Slippage vs best",
+  "depth.slippageMid": "Vs mid",
+  "depth.covered": "Coverage",
+  "depth.filled": "Filled",
+  "depth.partial": "The book covers only {pct}% of the amount — the rate is based on the filled part and unknown for the rest.",
+  "depth.split_one": "Tip: split the order into {count} part of ~{tranche} USDT — each then stays within {pct}% slippage on the current book.",
+  "depth.split_other": "Tip: split the order into {count} parts of ~{tranche} USDT — each then stays within {pct}% slippage on the current book.",
+  "depth.updated": "Updated: {at}",
+
+  // -------- Fee profiles (src/components/FeeProfilesPanel) --------
+  "feeProfiles.newProfile": "New profile",
+  "feeProfiles.profileName": "Profile name",
+  "feeProfiles.ruleName": "Name",
+  "feeProfiles.fixed": "Fixed",
+  "feeProfiles.value": "Value",
+  "feeProfiles.scope.total": "On total",
+  "feeProfiles.scope.hop": "Per hop",
+  "feeProfiles.min": "Min",
+  "feeProfiles.max": "Max",
+  "feeProfiles.vat": "VAT %",
+  "feeProfiles.anyHop": "Any hop",
+  "feeProfiles.addRule": "Rule",
+
+  // -------- Rate chart (src/components/RateChart) --------
+  "chart.currency": "Chart currency",
+  "chart.empty": "No data yet: points are collected on every {currency} rate refresh.",
+  "chart.delta": "Δ to CBRF, %",
+  "chart.source": "Source",
+  "chart.min": "Min",
+  "chart.max": "Max",
+  "chart.avg": "Avg",
+  "chart.avgDelta": "Avg Δ CBRF",
+  "chart.change": "Change",
+
+  // -------- Team workspace (src/components/WorkspacePanel) --------
+  "workspace.status.pending": "pending approval",
+  "workspace.status.approved": "approved",
+  "workspace.status.rejected": "rejected",
+  "workspace.unavailable": "Workspaces are available in Telegram with a TANAQ server connected (settings → server address).",
+  "workspace.picker": "Workspace",
+  "workspace.personal": "Personal mode",
+  "workspace.name": "Team name",
+  "workspace.create": "Create",
+  "workspace.inviteLink": "Invite link",
+  "workspace.join": "Join",
+  "workspace.role.manager": "manager",
+  "workspace.role.member": "member",
+  "workspace.you": "(you)",
+  "workspace.roleOf": "Role: {name}",
+  "workspace.inviteGroup": "Invite a group",
+  "workspace.officialRates": "Official rates",
+  "workspace.officialRatesHint": "They replace the custom rate for every member.",
+  "workspace.notSet": "not set",
+  "workspace.unlock": "Unlock",
+  "workspace.ratePlaceholder": "₽ per 1",
+  "workspace.lock": "Lock",
+  "workspace.shared": "Shared settings",
+  "workspace.currencies": "Team currencies",
+  "workspace.currenciesPlaceholder": "Comma-separated currencies: USD, CNY, THB",
+  "workspace.sharedFees": "Shared fees: {names}",
+  "workspace.personalFees": "Everyone uses their own fees",
+  "workspace.shareMine": "Share mine",
+  "workspace.disable": "Turn off",
+  "workspace.queue": "Calculations to approve",
+  "workspace.mine": "My requests",
+  "workspace.queueEmpty": "No requests.",
+  "workspace.mineEmpty": "Submit calculations from the history with the “Submit for approval” button.",
+  "workspace.rate": "rate {rate}",
+  "workspace.noComment": "no comment",
+  "workspace.comment": "Comment",
+  "workspace.approve": "Approve",
+  "workspace.reject": "Reject",
+
+  // -------- History (src/components/HistoryPanel) --------
+  "history.empty": "Save calculations to get back to them quickly.",
+  "history.search": "Search notes, tags, items",
+  "history.allCurrencies": "All currencies",
+  "history.allTags": "All tags",
+  "history.from": "From",
+  "history.to": "To",
+  "history.shown": "Showing {shown} of {total}",
+  "history.rate": "Rate: {rate}",
+  "history.cbrf": "CBRF {rate}",
+  "history.on": "on {date}",
+  "history.ownRate": "custom rate",
+  "history.fees": "fees {rub} ₽",
+  "history.reopen": "Open in the converter",
+  "history.receipt": "PDF receipt",
+  "history.shareLink": "Link to the calculation",
+  "history.submit": "Submit for approval",
+  "history.delete": "Delete",
+  "history.approval": "Approval: {status}",
+  "history.tagPlaceholder": "Supplier / project",
+  "history.nothing": "Nothing found.",
+  "history.resetFilters": "Reset filters",
+
+  // -------- Routes (src/components/RoutesPanel) --------
+  "routes.none": "No route to RUB for this amount. Refresh the sources or add your own rate.",
+  "routes.rate": "Overall rate: {rate} ₽",
+  "routes.filled": "{pct}% filled",
+  "routes.hopRate": "rate {rate}",
+  "routes.hopFee": "fee {fee} {currency}",
+  "routes.book": "book {pct}%",
+  "routes.edges": "Own rates ({count})",
+  "routes.from": "From",
+  "routes.to": "To",
+  "routes.edgeRate": "Rate",
+  "routes.feePct": "Fee %",
+  "routes.feeFixed": "Fixed (in “From”)",
+  "routes.add": "Add rate",
+
+  // -------- Watchlist (src/components/WatchlistPanel) --------
+  "watchlist.empty": "Add a pair and a threshold — the app checks the rate while it is open and warns you.",
+  "watchlist.metric.rate": "Rate",
+  "watchlist.metric.deltaPct": "Δ to CBRF",
+  "watchlist.now": "now",
+  "watchlist.metric": "What to watch",
+  "watchlist.op": "Condition",
+  "watchlist.above": "above",
+  "watchlist.below": "below",
+  "watchlist.threshold": "Threshold",
+  "watchlist.amount": "Amount for the book",
+  "watchlist.amountPlaceholder": "Amount (for book/route)",
+  "watchlist.add": "Watch",
+  "watchlist.forBot": "For the bot (JSON)",
+};
+
+export default en;
@@ -0,0 +1,350 @@
+// Russian: the reference dictionary, every key used in the app is here (see src/lib/i18n).
+const ru = {
+
+  // -------- Rate sources (src/lib/providers) --------
+  "provider.market.label": "Рынок (exchangerate.host)",
+  "provider.market.caption": "Рынок",
+  "provider.market.errorMessage": "Не удалось обновить рыночный курс.",
+  "provider.cbrf.label": "ЦБ РФ (официальный)",
+  "provider.cbrf.caption": "ЦБ РФ",
+  "provider.cbrf.errorMessage": "Не удалось получить курс ЦБ РФ.",
+  "provider.bitkub.label": "Bitkub ликвидность (USDT→THB)",
+  "provider.bitkub.caption": "Bitkub + ЦБ РФ (THB→RUB)",
+  "provider.bitkub.errorMessage": "Bitkub недоступен (возможен CORS).",
+  "provider.route.label": "Лучший маршрут (все источники)",
+  "provider.route.caption": "Маршрут",
+  "bitkub.empty": "Стакан Bitkub пуст ({side}).",
+  "bitkub.crossed": "Стакан Bitkub пересечён: bid {bid} ≥ ask {ask}.",
+
+  // -------- Freshness and sanity checks --------
+  "age.now": "только что",
+  "age.minutes": "{count} мин",
+  "age.hours": "{count} ч",
+  "age.days": "{count} дн",
+  "sanity.custom": "Свой курс {currency} отличается от ЦБ РФ на {diff} (допустимо ±{max}%).",
+  "sanity.divergence": "{label}: курс {currency} отличается от ЦБ РФ на {diff} (допустимо ±{max}%).",
+  "sanity.expired": "{label}: данные устарели ({age}), обновите курс.",
+  "sanity.stale": "{label}: данные не самые свежие ({age}).",
+  "sanity.staleDown": "{label}: данные не самые свежие ({age}), источник недоступен.",
+
+  // -------- Alerts --------
+  "alert.rate.above": "{currency} · {source}: курс {value} ₽ — выше порога {threshold} ₽",
+  "alert.rate.below": "{currency} · {source}: курс {value} ₽ — ниже порога {threshold} ₽",
+  "alert.deltaPct.above": "{currency} · {source}: Δ к ЦБ РФ {value}% — выше порога {threshold}%",
+  "alert.deltaPct.below": "{currency} · {source}: Δ к ЦБ РФ {value}% — ниже порога {threshold}%",
+
+  // -------- Fees --------
+  "fees.fixed": "Фикс. комиссия",
+  "fees.percent": "Комиссия",
+  "fees.vat": "НДС {pct}% на комиссию",
+  "fees.vatOn": "НДС {pct}% на «{label}»",
+  "fees.profile.none": "Без комиссий",
+  "fees.profile.bank": "Банк",
+  "fees.profile.agent": "Платёжный агент",
+  "fees.rule.bankSpread": "Банковский спред",
+  "fees.rule.bitkubTrade": "Торговая комиссия Bitkub",
+  "fees.rule.bitkubWithdraw": "Вывод THB",
+  "fees.rule.agentFee": "Комиссия агента",
+
+  // -------- History export --------
+  "history.column.date": "Дата",
+  "history.column.kind": "Тип",
+  "history.column.amount": "Сумма",
+  "history.column.currency": "Валюта",
+  "history.column.rate": "Курс, ₽",
+  "history.column.rub": "Итого, ₽",
+  "history.column.cbrfRate": "Курс ЦБ РФ, ₽",
+  "history.column.deltaRub": "Δ к ЦБ РФ, ₽",
+  "history.column.source": "Источник",
+  "history.column.feeProfile": "Профиль комиссий",
+  "history.column.feeTotalRub": "Комиссии, ₽",
+  "history.column.rateDate": "Дата курса ЦБ РФ",
+  "history.column.tag": "Тег",
+  "history.column.note": "Заметка",
+  "history.kind.basket": "Корзина ({count} поз.)",
+  "history.kind.toRub": "Валюта → ₽",
+  "history.kind.fromRub": "₽ → валюта",
+  "history.customRate": "Свой курс",
+  "history.sheet": "История",
+
+  // -------- Receipts --------
+  "receipt.title": "Расчёт конвертации в рубли",
+  "receipt.calculatedAt": "Дата расчёта",
+  "receipt.asOf": "Курс на дату",
+  "receipt.lineCount": "Позиций",
+  "receipt.defaultSource": "Источник по умолчанию",
+  "receipt.amount": "Сумма",
+  "receipt.source": "Источник",
+  "receipt.customRate": "Пользовательский курс",
+  "receipt.rate": "Курс с комиссиями",
+  "receipt.ratePerUnit": "{rate} ₽ за 1 {currency}",
+  "receipt.feeProfile": "Профиль комиссий",
+  "receipt.lines": "Позиции",
+  "receipt.line": "Позиция",
+  "receipt.fees": "Комиссии",
+  "receipt.vsCbrf": "Сравнение с ЦБ РФ",
+  "receipt.delta": "Δ к ЦБ РФ",
+  "receipt.cbrfRate": "Курс ЦБ РФ",
+  "receipt.cbrfRateOn": "{rate} от {date}",
+  "receipt.deltaPerUnit": "{abs} ₽ ({pct}%) на 1 {currency}",
+  "receipt.deltaTotal": "Δ на сумму",
+  "receipt.total": "Итого",
+  "receipt.tag": "Тег",
+  "receipt.note": "Примечание",
+  "receipt.basket": "Корзина · {count} поз.",
+
+  // -------- Rate chart --------
+  "chart.range.day": "День",
+  "chart.range.week": "Неделя",
+  "chart.range.month": "Месяц",
+
+  // -------- App (src/TanaqTelegramApp) --------
+  "app.age.archived": "архив",
+  "app.age.missing": "нет данных",
+  "app.amount": "Сумма в иностранной валюте",
+  "app.budget": "Бюджет в рублях (после комиссий)",
+  "app.chart": "Динамика курсов",
+  "app.close": "Закрыть",
+  "app.converter.title": "Введите сумму и выберите валюту",
+  "app.copied": "Скопировано",
+  "app.copy": "Копировать",
+  "app.currency": "Валюта",
+  "app.customRate": "Пользовательский курс (RUB за 1 {currency})",
+  "app.customRate.hint": "Если задан, используется вместо выбранного источника",
+  "app.customRate.lockedBy": "Зафиксирован: {name}",
+  "app.customRate.official": "Официальный курс команды (RUB за 1 {currency})",
+  "app.error.badLink": "Ссылка на расчёт не распознана — поля остались прежними.",
+  "app.error.history": "Не удалось обновить историю.",
+  "app.error.inviteInvalid": "Приглашение недействительно.",
+  "app.error.noConnection": "нет соединения",
+  "app.error.notInvite": "Это не приглашение в рабочее пространство.",
+  "app.error.receipt": "Не удалось сформировать квитанцию.",
+  "app.error.receiptBot": "Бот не может написать вам: откройте чат с ботом и повторите. PDF сохранён на устройство.",
+  "app.error.receiptServer": "Сервер TANAQ не принял квитанцию — PDF сохранён на устройство.",
+  "app.error.review": "Не удалось сохранить решение.",
+  "app.error.role": "Не удалось изменить роль.",
+  "app.error.submit": "Не удалось отправить расчёт на согласование.",
+  "app.error.workspaceCreate": "Не удалось создать рабочее пространство.",
+  "app.error.workspaceList": "Не удалось загрузить рабочие пространства.",
+  "app.error.workspaceOffline": "Сервер TANAQ недоступен — действуют сохранённые настройки команды.",
+  "app.error.workspaceUpdate": "Не удалось сохранить настройки команды.",
+  "app.example": "Например, {value}",
+  "app.fees": "Комиссии: {source}",
+  "app.fees.hint": "Профиль комиссий, который вычитается из результата для этого источника",
+  "app.fees.profiles": "Профили комиссий",
+  "app.fees.profilesShared": "Профили комиссий (общие для команды)",
+  "app.fees.shared": "Общие комиссии команды «{name}»",
+  "app.language": "Язык",
+  "app.language.auto": "Авто ({name})",
+  "app.link": "Ссылка на расчёт",
+  "app.main.blocked": "Курс не прошёл проверку",
+  "app.main.save": "Сохранить расчёт",
+  "app.main.saveRub": "Сохранить {rub} ₽",
+  "app.mode.basket": "Корзина заказа",
+  "app.mode.single": "Одна сумма",
+  "app.offline": "Нет сети — курсы от {time}",
+  "app.offline.noRates": "Нет сети — сохранённых курсов нет",
+  "app.offline.queued": "Нет сети — запрос уйдёт на сервер, когда соединение вернётся.",
+  "app.offline.replayFailed.receipts": "Квитанция, ожидавшая сети, не отправлена (HTTP {status}) — отправьте её ещё раз.",
+  "app.offline.replayFailed.workspaces": "Изменение в команде, ожидавшее сети, не сохранено (HTTP {status}) — повторите его.",
+  "app.presets": "Популярные валюты у поставщиков",
+  "app.rate": "Курс (≈ RUB за 1 {currency})",
+  "app.rateDate": "Дата курса ЦБ РФ (инвойс, ДТ)",
+  "app.rateDate.fallback": "На {date} курс не устанавливался — действует курс от {actual}.",
+  "app.receipt": "PDF-квитанция",
+  "app.receipt.queued": "Нет сети — квитанция уйдёт в чат с ботом, когда соединение вернётся.",
+  "app.receipt.saved": "Квитанция сохранена на устройство.",
+  "app.receipt.sent": "Квитанция отправлена в чат с ботом — её можно переслать.",
+  "app.refresh": "Обновить",
+  "app.refreshAll": "Обновить всё",
+  "app.result.atCbrf": "По курсу ЦБ РФ: {rub} ₽",
+  "app.result.basketDelta": "Δ к ЦБ РФ: {rub} ₽ ({pct}%)",
+  "app.result.blocked": "Сохранение недоступно, пока курс не пройдёт проверку.",
+  "app.result.budget": "Бюджета хватит на",
+  "app.result.budgetRub": "за {rub} ₽ с комиссиями",
+  "app.result.cbrf": "Курс ЦБ РФ: {rate} ₽ за 1 {currency}",
+  "app.result.delta": "Δ к ЦБ РФ: {abs} ₽ ({pct}%) на 1 {currency}",
+  "app.result.deltaTotal": "На сумму: {rub} ₽",
+  "app.result.gross": "До комиссий",
+  "app.result.missing": "Без курса: {count}",
+  "app.result.partial": "Частичное исполнение: {pct}% объёма",
+  "app.result.total": "Итого в рублях",
+  "app.retry": "Повторить",
+  "app.sanity": "Проверка курса, ±% к ЦБ РФ",
+  "app.sanity.custom": "Отклонение пользовательского курса, %",
+  "app.sanity.hint": "Допустимое отклонение источника / пользовательского курса; сверх него сохранение блокируется",
+  "app.save": "Сохранить",
+  "app.settings": "Настройки точности",
+  "app.settings.proxy": "Через сервер TANAQ",
+  "app.settings.proxyHint": "Курсы идут через прокси с кэшем — без CORS и лимитов API",
+  "app.settings.serverUrl": "Адрес сервера TANAQ",
+  "app.settings.source": "Источник курса",
+  "app.settings.sourceHint": "Выберите источник расчёта RUB за 1 единицу валюты",
+  "app.share.fromRub": "Расчёт TANAQ: {amount} ₽ → {currency}",
+  "app.share.toRub": "Расчёт TANAQ: {amount} {currency} → ₽",
+  "app.source": "Источник: {source} {updated}",
+  "app.source.proxyCache": "Источник недоступен — курс из кэша прокси",
+  "app.subtitle": "Для закупки лабораторного оборудования: быстро, точно, с учётом спрэда.",
+  "app.sync": "Синхронизация",
+  "app.sync.denied": "Сервер не принял данные Telegram — перезапустите приложение",
+  "app.sync.done": "Синхронизировано в {time}",
+  "app.sync.noServer": "Нужен адрес сервера TANAQ",
+  "app.sync.off": "Настройки и история на всех ваших устройствах",
+  "app.sync.offline": "Сервер недоступен — изменения сохранены на устройстве и уйдут позже",
+  "app.sync.syncing": "Синхронизация…",
+  "app.sync.telegramOnly": "Доступна в Telegram: настройки и история привязываются к вашему аккаунту",
+  "app.theme": "Тема",
+  "app.title": "Конвертер валют → RUB",
+  "app.today": "Сегодня",
+  "app.watchlist": "Отслеживание курсов",
+  "app.workspace": "Команда",
+  "app.workspace.shareText": "Рабочее пространство «{name}» в TANAQ",
+
+  // -------- Basket (src/components/BasketPanel) --------
+  "basket.empty": "Добавьте позиции заказа — каждая может быть в своей валюте и по своему курсу.",
+  "basket.costName": "Доставка, комиссия банка…",
+  "basket.itemName": "Наименование",
+  "basket.qty": "Кол-во",
+  "basket.unitPrice": "Цена за ед.",
+  "basket.sameSource": "Как выше",
+  "basket.at": "по {rate}",
+  "basket.delta": "Δ к ЦБ РФ: {rub} ₽",
+  "basket.noRate": "Нет курса",
+  "basket.addCost": "Доставка / комиссия",
+
+  // -------- Order book (src/components/DepthPanel) --------
+  "depth.chart": "Глубина книги",
+  "depth.sell": "Продажа USDT (bids)",
+  "depth.buy": "Покупка USDT (asks)",
+  "depth.avg": "Средняя THB/USDT",
+  "depth.worst": "Худшая цена",
+  "depth.slippageTop": "Проскальзывание к лучшей",
+  "depth.slippageMid": "К середине",
+  "depth.covered": "Покрытие",
+  "depth.filled": "Исполнено",
+  "depth.partial": "Книга покрывает только {pct}% объёма — курс рассчитан по исполненной части и для остатка неизвестен.",
+  "depth.split_one": "Совет: разбейте заявку на {count} часть по ~{tranche} USDT — так каждая укладывается в {pct}% проскальзывания по текущей книге.",
+  "depth.split_few": "Совет: разбейте заявку на {count} части по ~{tranche} USDT — так каждая укладывается в {pct}% проскальзывания по текущей книге.",
+  "depth.split_many": "Совет: разбейте заявку на {count} частей по ~{tranche} USDT — так каждая укладывается в {pct}% проскальзывания по текущей книге.",
+  "depth.split_other": "Совет: разбейте заявку на {count} части по ~{tranche} USDT — так каждая укладывается в {pct}% проскальзывания по текущей книге.",
+  "depth.updated": "Обновлено: {at}",
+
+  // -------- Fee profiles (src/components/FeeProfilesPanel) --------
+  "feeProfiles.newProfile": "Новый профиль",
+  "feeProfiles.profileName": "Название профиля",
+  "feeProfiles.ruleName": "Название",
+  "feeProfiles.fixed": "Фикс.",
+  "feeProfiles.value": "Значение",
+  "feeProfiles.scope.total": "На итог",
+  "feeProfiles.scope.hop": "За шаг",
+  "feeProfiles.min": "Мин.",
+  "feeProfiles.max": "Макс.",
+  "feeProfiles.vat": "НДС %",
+  "feeProfiles.anyHop": "Любой шаг",
+  "feeProfiles.addRule": "Правило",
+
+  // -------- Rate chart (src/components/RateChart) --------
+  "chart.currency": "Валюта графика",
+  "chart.empty": "Данных пока нет: точки копятся при каждом обновлении курсов {currency}.",
+  "chart.delta": "Δ к ЦБ, %",
+  "chart.source": "Источник",
+  "chart.min": "Мин",
+  "chart.max": "Макс",
+  "chart.avg": "Средн.",
+  "chart.avgDelta": "Δ ЦБ ср.",
+  "chart.change": "Изм.",
+
+  // -------- Team workspace (src/components/WorkspacePanel) --------
+  "workspace.status.pending": "на согласовании",
+  "workspace.status.approved": "одобрено",
+  "workspace.status.rejected": "отклонено",
+  "workspace.unavailable": "Рабочие пространства доступны в Telegram при подключённом сервере TANAQ (настройки → адрес сервера).",
+  "workspace.picker": "Рабочее пространство",
+  "workspace.personal": "Личный режим",
+  "workspace.name": "Название команды",
+  "workspace.create": "Создать",
+  "workspace.inviteLink": "Ссылка-приглашение",
+  "workspace.join": "Вступить",
+  "workspace.role.manager": "руководитель",
+  "workspace.role.member": "участник",
+  "workspace.you": "(вы)",
+  "workspace.roleOf": "Роль: {name}",
+  "workspace.inviteGroup": "Пригласить группу",
+  "workspace.officialRates": "Официальные курсы",
+  "workspace.officialRatesHint": "Заменяют пользовательский курс у всех участников.",
+  "workspace.notSet": "не задан",
+  "workspace.unlock": "Снять",
+  "workspace.ratePlaceholder": "₽ за 1",
+  "workspace.lock": "Зафиксировать",
+  "workspace.shared": "Общие настройки",
+  "workspace.currencies": "Валюты команды",
+  "workspace.currenciesPlaceholder": "Валюты через запятую: USD, CNY, THB",
+  "workspace.sharedFees": "Комиссии общие: {names}",
+  "workspace.personalFees": "Комиссии у каждого свои",
+  "workspace.shareMine": "Поделиться моими",
+  "workspace.disable": "Отключить",
+  "workspace.queue": "Расчёты на согласование",
+  "workspace.mine": "Мои заявки",
+  "workspace.queueEmpty": "Заявок нет.",
+  "workspace.mineEmpty": "Отправляйте расчёты из истории кнопкой «На согласование».",
+  "workspace.rate": "курс {rate}",
+  "workspace.noComment": "без комментария",
+  "workspace.comment": "Комментарий",
+  "workspace.approve": "Одобрить",
+  "workspace.reject": "Отклонить",
+
+  // -------- History (src/components/HistoryPanel) --------
+  "history.empty": "Сохраняйте расчёты, чтобы быстро вернуться к ним.",
+  "history.search": "Поиск по заметкам, тегам, позициям",
+  "history.allCurrencies": "Все валюты",
+  "history.allTags": "Все теги",
+  "history.from": "С",
+  "history.to": "По",
+  "history.shown": "Показано {shown} из {total}",
+  "history.rate": "Курс: {rate}",
+  "history.cbrf": "ЦБ РФ {rate}",
+  "history.on": "на {date}",
+  "history.ownRate": "свой курс",
+  "history.fees": "комиссии {rub} ₽",
+  "history.reopen": "Открыть в конвертере",
+  "history.receipt": "PDF-квитанция",
+  "history.shareLink": "Ссылка на расчёт",
+  "history.submit": "На согласование",
+  "history.delete": "Удалить",
+  "history.approval": "Согласование: {status}",
+  "history.tagPlaceholder": "Поставщик / проект",
+  "history.nothing": "Ничего не найдено.",
+  "history.resetFilters": "Сбросить фильтры",
+
+  // -------- Routes (src/components/RoutesPanel) --------
+  "routes.none": "Нет маршрута до RUB для этой суммы. Обновите источники или добавьте свой курс.",
+  "routes.rate": "Итоговый курс: {rate} ₽",
+  "routes.filled": "исполнено {pct}%",
+  "routes.hopRate": "курс {rate}",
+  "routes.hopFee": "комиссия {fee} {currency}",
+  "routes.book": "книга {pct}%",
+  "routes.edges": "Свои курсы ({count})",
+  "routes.from": "Из",
+  "routes.to": "В",
+  "routes.edgeRate": "Курс",
+  "routes.feePct": "Комиссия %",
+  "routes.feeFixed": "Фикс. (в «Из»)",
+  "routes.add": "Добавить курс",
+
+  // -------- Watchlist (src/components/WatchlistPanel) --------
+  "watchlist.empty": "Добавьте пару и порог — приложение проверит курс, пока открыто, и предупредит.",
+  "watchlist.metric.rate": "Курс",
+  "watchlist.metric.deltaPct": "Δ к ЦБ РФ",
+  "watchlist.now": "сейчас",
+  "watchlist.metric": "Что отслеживать",
+  "watchlist.op": "Условие",
+  "watchlist.above": "выше",
+  "watchlist.below": "ниже",
+  "watchlist.threshold": "Порог",
+  "watchlist.amount": "Объём для книги",
+  "watchlist.amountPlaceholder": "Объём (для книги/маршрута)",
+  "watchlist.add": "Следить",
+  "watchlist.forBot": "Для бота (JSON)",
+};
+
+export default ru;
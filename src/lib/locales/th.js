@@ -0,0 +1,346 @@
+// Thai; keys follow ru.js. Thai has no plural forms, so plural keys are given once without a suffix.
+const th = {
+  // -------- Rate sources (src/lib/providers) --------
+  "provider.market.label": "ตลาด (exchangerate.host)",
+  "provider.market.caption": "ตลาด",
+  "provider.market.errorMessage": "อัปเดตอัตราตลาดไม่สำเร็จ",
+  "provider.cbrf.label": "ธนาคารกลางรัสเซีย (ทางการ)",
+  "provider.cbrf.caption": "ธ.กลางรัสเซีย",
+  "provider.cbrf.errorMessage": "ดึงอัตราของธนาคารกลางรัสเซียไม่สำเร็จ",
+  "provider.bitkub.label": "สภาพคล่อง Bitkub (USDT→THB)",
+  "provider.bitkub.caption": "Bitkub + ธ.กลางรัสเซีย (THB→RUB)",
+  "provider.bitkub.errorMessage": "Bitkub ไม่พร้อมใช้งาน (อาจติด CORS)",
+  "provider.route.label": "เส้นทางที่ดีที่สุด (ทุกแหล่ง)",
+  "provider.route.caption": "เส้นทาง",
+  "bitkub.empty": "สมุดคำสั่งซื้อขาย Bitkub ว่างเปล่า ({side})",
+  "bitkub.crossed": "สมุดคำสั่งซื้อขาย Bitkub ราคาไขว้กัน: bid {bid} ≥ ask {ask}",
+
+  // -------- Freshness and sanity checks --------
+  "age.now": "เมื่อสักครู่",
+  "age.minutes": "{count} นาที",
+  "age.hours": "{count} ชม.",
+  "age.days": "{count} วัน",
+  "sanity.custom": "อัตรา {currency} ของคุณต่างจากธนาคารกลางรัสเซีย {diff} (ยอมรับได้ ±{max}%)",
+  "sanity.divergence": "{label}: อัตรา {currency} ต่างจากธนาคารกลางรัสเซีย {diff} (ยอมรับได้ ±{max}%)",
+  "sanity.expired": "{label}: ข้อมูลเก่าเกินไป ({age}) โปรดอัปเดตอัตรา",
+  "sanity.stale": "{label}: ข้อมูลไม่ใช่ล่าสุด ({age})",
+  "sanity.staleDown": "{label}: ข้อมูลไม่ใช่ล่าสุด ({age}) แหล่งข้อมูลไม่พร้อมใช้งาน",
+
+  // -------- Alerts --------
+  "alert.rate.above": "{currency} · {source}: อัตรา {value} ₽ — สูงกว่าเกณฑ์ {threshold} ₽",
+  "alert.rate.below": "{currency} · {source}: อัตรา {value} ₽ — ต่ำกว่าเกณฑ์ {threshold} ₽",
+  "alert.deltaPct.above": "{currency} · {source}: Δ เทียบ ธ.กลางรัสเซีย {value}% — สูงกว่าเกณฑ์ {threshold}%",
+  "alert.deltaPct.below": "{currency} · {source}: Δ เทียบ ธ.กลางรัสเซีย {value}% — ต่ำกว่าเกณฑ์ {threshold}%",
+
+  // -------- Fees --------
+  "fees.fixed": "ค่าธรรมเนียมคงที่",
+  "fees.percent": "ค่าธรรมเนียม",
+  "fees.vat": "VAT {pct}% ของค่าธรรมเนียม",
+  "fees.vatOn": "VAT {pct}% ของ “{label}”",
+  "fees.profile.none": "ไม่มีค่าธรรมเนียม",
+  "fees.profile.bank": "ธนาคาร",
+  "fees.profile.agent": "ตัวแทนชำระเงิน",
+  "fees.rule.bankSpread": "ส่วนต่างของธนาคาร",
+  "fees.rule.bitkubTrade": "ค่าธรรมเนียมการซื้อขาย Bitkub",
+  "fees.rule.bitkubWithdraw": "ถอน THB",
+  "fees.rule.agentFee": "ค่าธรรมเนียมตัวแทน",
+
+  // -------- History export --------
+  "history.column.date": "วันที่",
+  "history.column.kind": "ประเภท",
+  "history.column.amount": "จำนวนเงิน",
+  "history.column.currency": "สกุลเงิน",
+  "history.column.rate": "อัตรา, ₽",
+  "history.column.rub": "รวม, ₽",
+  "history.column.cbrfRate": "อัตรา ธ.กลางรัสเซีย, ₽",
+  "history.column.deltaRub": "Δ เทียบ ธ.กลางรัสเซีย, ₽",
+  "history.column.source": "แหล่งข้อมูล",
+  "history.column.feeProfile": "โปรไฟล์ค่าธรรมเนียม",
+  "history.column.feeTotalRub": "ค่าธรรมเนียม, ₽",
+  "history.column.rateDate": "วันที่อัตรา ธ.กลางรัสเซีย",
+  "history.column.tag": "แท็ก",
+  "history.column.note": "บันทึก",
+  "history.kind.basket": "ตะกร้า ({count} รายการ)",
+  "history.kind.toRub": "สกุลเงิน → ₽",
+  "history.kind.fromRub": "₽ → สกุลเงิน",
+  "history.customRate": "อัตรากำหนดเอง",
+  "history.sheet": "ประวัติ",
+
+  // -------- Receipts --------
+  "receipt.title": "การแปลงเป็นรูเบิล",
+  "receipt.calculatedAt": "วันที่คำนวณ",
+  "receipt.asOf": "อัตรา ณ วันที่",
+  "receipt.lineCount": "จำนวนรายการ",
+  "receipt.defaultSource": "แหล่งข้อมูลเริ่มต้น",
+  "receipt.amount": "จำนวนเงิน",
+  "receipt.source": "แหล่งข้อมูล",
+  "receipt.customRate": "อัตรากำหนดเอง",
+  "receipt.rate": "อัตรารวมค่าธรรมเนียม",
+  "receipt.ratePerUnit": "{rate} ₽ ต่อ 1 {currency}",
+  "receipt.feeProfile": "โปรไฟล์ค่าธรรมเนียม",
+  "receipt.lines": "รายการ",
+  "receipt.line": "รายการ",
+  "receipt.fees": "ค่าธรรมเนียม",
+  "receipt.vsCbrf": "เทียบกับ ธ.กลางรัสเซีย",
+  "receipt.delta": "Δ เทียบ ธ.กลางรัสเซีย",
+  "receipt.cbrfRate": "อัตรา ธ.กลางรัสเซีย",
+  "receipt.cbrfRateOn": "{rate} ณ {date}",
+  "receipt.deltaPerUnit": "{abs} ₽ ({pct}%) ต่อ 1 {currency}",
+  "receipt.deltaTotal": "Δ ของทั้งจำนวน",
+  "receipt.total": "รวม",
+  "receipt.tag": "แท็ก",
+  "receipt.note": "หมายเหตุ",
+  "receipt.basket": "ตะกร้า · {count} รายการ",
+
+  // -------- Rate chart --------
+  "chart.range.day": "วัน",
+  "chart.range.week": "สัปดาห์",
+  "chart.range.month": "เดือน",
+
+  // -------- App (src/TanaqTelegramApp) --------
+  "app.age.archived": "ข้อมูลย้อนหลัง",
+  "app.age.missing": "ไม่มีข้อมูล",
+  "app.amount": "จำนวนเงินสกุลต่างประเทศ",
+  "app.budget": "งบประมาณเป็นรูเบิล (หลังหักค่าธรรมเนียม)",
+  "app.chart": "แนวโน้มอัตราแลกเปลี่ยน",
+  "app.close": "ปิด",
+  "app.converter.title": "ใส่จำนวนเงินและเลือกสกุลเงิน",
+  "app.copied": "คัดลอกแล้ว",
+  "app.copy": "คัดลอก",
+  "app.currency": "สกุลเงิน",
+  "app.customRate": "อัตรากำหนดเอง (RUB ต่อ 1 {currency})",
+  "app.customRate.hint": "หากกำหนดไว้ จะใช้แทนแหล่งข้อมูลที่เลือก",
+  "app.customRate.lockedBy": "ล็อกโดย {name}",
+  "app.customRate.official": "อัตราทางการของทีม (RUB ต่อ 1 {currency})",
+  "app.error.badLink": "อ่านลิงก์การคำนวณไม่ได้ — ช่องต่าง ๆ ยังคงเหมือนเดิม",
+  "app.error.history": "อัปเดตประวัติไม่สำเร็จ",
+  "app.error.inviteInvalid": "คำเชิญไม่ถูกต้องแล้ว",
+  "app.error.noConnection": "ไม่มีการเชื่อมต่อ",
+  "app.error.notInvite": "นี่ไม่ใช่คำเชิญเข้าพื้นที่ทำงาน",
+  "app.error.receipt": "สร้างใบเสร็จไม่สำเร็จ",
+  "app.error.receiptBot": "บอทส่งข้อความถึงคุณไม่ได้: เปิดแชตกับบอทแล้วลองอีกครั้ง บันทึก PDF ไว้ในอุปกรณ์แล้ว",
+  "app.error.receiptServer": "เซิร์ฟเวอร์ TANAQ ไม่รับใบเสร็จ — บันทึก PDF ไว้ในอุปกรณ์แล้ว",
+  "app.error.review": "บันทึกการตัดสินใจไม่สำเร็จ",
+  "app.error.role": "เปลี่ยนบทบาทไม่สำเร็จ",
+  "app.error.submit": "ส่งการคำนวณเพื่อขออนุมัติไม่สำเร็จ",
+  "app.error.workspaceCreate": "สร้างพื้นที่ทำงานไม่สำเร็จ",
+  "app.error.workspaceList": "โหลดพื้นที่ทำงานไม่สำเร็จ",
+  "app.error.workspaceOffline": "เซิร์ฟเวอร์ TANAQ ไม่พร้อมใช้งาน — ใช้การตั้งค่าทีมที่บันทึกไว้",
+  "app.error.workspaceUpdate": "บันทึกการตั้งค่าทีมไม่สำเร็จ",
+  "app.example": "เช่น {value}",
+  "app.fees": "ค่าธรรมเนียม: {source}",
+  "app.fees.hint": "โปรไฟล์ค่าธรรมเนียมที่หักจากผลลัพธ์สำหรับแหล่งข้อมูลนี้",
+  "app.fees.profiles": "โปรไฟล์ค่าธรรมเนียม",
+  "app.fees.profilesShared": "โปรไฟล์ค่าธรรมเนียม (ใช้ร่วมกันในทีม)",
+  "app.fees.shared": "ค่าธรรมเนียมร่วมของทีม “{name}”",
+  "app.language": "ภาษา",
+  "app.language.auto": "อัตโนมัติ ({name})",
+  "app.link": "ลิงก์การคำนวณ",
+  "app.main.blocked": "อัตราไม่ผ่านการตรวจสอบ",
+  "app.main.save": "บันทึกการคำนวณ",
+  "app.main.saveRub": "บันทึก {rub} ₽",
+  "app.mode.basket": "ตะกร้าคำสั่งซื้อ",
+  "app.mode.single": "จำนวนเดียว",
+  "app.offline": "ออฟไลน์ — อัตราเมื่อ {time}",
+  "app.offline.noRates": "ออฟไลน์ — ไม่มีอัตราที่บันทึกไว้",
+  "app.offline.queued": "ออฟไลน์ — คำขอจะถูกส่งไปยังเซิร์ฟเวอร์เมื่อกลับมาเชื่อมต่อ",
+  "app.offline.replayFailed.receipts": "ใบเสร็จที่รอเครือข่ายส่งไม่สำเร็จ (HTTP {status}) — โปรดส่งอีกครั้ง",
+  "app.offline.replayFailed.workspaces": "การเปลี่ยนแปลงในทีมที่รอเครือข่ายบันทึกไม่สำเร็จ (HTTP {status}) — โปรดทำอีกครั้ง",
+  "app.presets": "สกุลเงินยอดนิยมของผู้ขาย",
+  "app.rate": "อัตรา (≈ RUB ต่อ 1 {currency})",
+  "app.rateDate": "วันที่อัตรา ธ.กลางรัสเซีย (ใบแจ้งหนี้, ใบขนสินค้า)",
+  "app.rateDate.fallback": "ไม่มีการกำหนดอัตราสำหรับ {date} — ใช้อัตราของ {actual}",
+  "app.receipt": "ใบเสร็จ PDF",
+  "app.receipt.queued": "ออฟไลน์ — ใบเสร็จจะถูกส่งไปยังแชตกับบอทเมื่อกลับมาเชื่อมต่อ",
+  "app.receipt.saved": "บันทึกใบเสร็จไว้ในอุปกรณ์แล้ว",
+  "app.receipt.sent": "ส่งใบเสร็จไปยังแชตกับบอทแล้ว — สามารถส่งต่อได้",
+  "app.refresh": "อัปเดต",
+  "app.refreshAll": "อัปเดตทั้งหมด",
+  "app.result.atCbrf": "ตามอัตรา ธ.กลางรัสเซีย: {rub} ₽",
+  "app.result.basketDelta": "Δ เทียบ ธ.กลางรัสเซีย: {rub} ₽ ({pct}%)",
+  "app.result.blocked": "ยังบันทึกไม่ได้จนกว่าอัตราจะผ่านการตรวจสอบ",
+  "app.result.budget": "งบประมาณพอสำหรับ",
+  "app.result.budgetRub": "ในราคา {rub} ₽ รวมค่าธรรมเนียม",
+  "app.result.cbrf": "อัตรา ธ.กลางรัสเซีย: {rate} ₽ ต่อ 1 {currency}",
+  "app.result.delta": "Δ เทียบ ธ.กลางรัสเซีย: {abs} ₽ ({pct}%) ต่อ 1 {currency}",
+  "app.result.deltaTotal": "ของทั้งจำนวน: {rub} ₽",
+  "app.result.gross": "ก่อนหักค่าธรรมเนียม",
+  "app.result.missing": "ไม่มีอัตรา: {count}",
+  "app.result.partial": "ดำเนินการได้บางส่วน: {pct}% ของจำนวน",
+  "app.result.total": "รวมเป็นรูเบิล",
+  "app.retry": "ลองอีกครั้ง",
+  "app.sanity": "ตรวจสอบอัตรา, ±% เทียบ ธ.กลางรัสเซีย",
+  "app.sanity.custom": "ความคลาดเคลื่อนของอัตรากำหนดเอง, %",
+  "app.sanity.hint": "ความคลาดเคลื่อนที่ยอมรับได้ของแหล่งข้อมูล / อัตรากำหนดเอง หากเกินจะบันทึกไม่ได้",
+  "app.save": "บันทึก",
+  "app.settings": "การตั้งค่าความแม่นยำ",
+  "app.settings.proxy": "ผ่านเซิร์ฟเวอร์ TANAQ",
+  "app.settings.proxyHint": "อัตราผ่านพร็อกซีที่มีแคช — ไม่ติด CORS และขีดจำกัด API",
+  "app.settings.serverUrl": "ที่อยู่เซิร์ฟเวอร์ TANAQ",
+  "app.settings.source": "แหล่งอัตราแลกเปลี่ยน",
+  "app.settings.sourceHint": "เลือกแหล่งข้อมูล RUB ต่อ 1 หน่วยสกุลเงิน",
+  "app.share.fromRub": "การคำนวณ TANAQ: {amount} ₽ → {currency}",
+  "app.share.toRub": "การคำนวณ TANAQ: {amount} {currency} → ₽",
+  "app.source": "แหล่งข้อมูล: {source} {updated}",
+  "app.source.proxyCache": "แหล่งข้อมูลไม่พร้อมใช้งาน — อัตราจากแคชของพร็อกซี",
+  "app.subtitle": "สำหรับการจัดซื้ออุปกรณ์ห้องปฏิบัติการ: รวดเร็ว แม่นยำ รวมส่วนต่างแล้ว",
+  "app.sync": "ซิงก์",
+  "app.sync.denied": "เซิร์ฟเวอร์ไม่รับข้อมูล Telegram — โปรดเปิดแอปใหม่",
+  "app.sync.done": "ซิงก์แล้วเมื่อ {time}",
+  "app.sync.noServer": "ต้องระบุที่อยู่เซิร์ฟเวอร์ TANAQ",
+  "app.sync.off": "การตั้งค่าและประวัติบนทุกอุปกรณ์ของคุณ",
+  "app.sync.offline": "เซิร์ฟเวอร์ไม่พร้อมใช้งาน — การเปลี่ยนแปลงเก็บไว้ในอุปกรณ์และจะส่งภายหลัง",
+  "app.sync.syncing": "กำลังซิงก์…",
+  "app.sync.telegramOnly": "ใช้ได้ใน Telegram: การตั้งค่าและประวัติผูกกับบัญชีของคุณ",
+  "app.theme": "ธีม",
+  "app.title": "ตัวแปลงสกุลเงิน → RUB",
+  "app.today": "วันนี้",
+  "app.watchlist": "ติดตามอัตรา",
+  "app.workspace": "ทีม",
+  "app.workspace.shareText": "พื้นที่ทำงาน “{name}” ใน TANAQ",
+
+  // -------- Basket (src/components/BasketPanel) --------
+  "basket.empty": "เพิ่มรายการสั่งซื้อ — แต่ละรายการใช้สกุลเงินและอัตราของตัวเองได้",
+  "basket.costName": "ค่าขนส่ง, ค่าธรรมเนียมธนาคาร…",
+  "basket.itemName": "ชื่อสินค้า",
+  "basket.qty": "จำนวน",
+  "basket.unitPrice": "ราคาต่อหน่วย",
+  "basket.sameSource": "เหมือนด้านบน",
+  "basket.at": "ที่ {rate}",
+  "basket.delta": "Δ เทียบ ธ.กลางรัสเซีย: {rub} ₽",
+  "basket.noRate": "ไม่มีอัตรา",
+  "basket.addCost": "ค่าขนส่ง / ค่าธรรมเนียม",
+
+  // -------- Order book (src/components/DepthPanel) --------
+  "depth.chart": "ความลึกของสมุดคำสั่ง",
+  "depth.sell": "ขาย USDT (bids)",
+  "depth.buy": "ซื้อ USDT (asks)",
+  "depth.avg": "เฉลี่ย THB/USDT",
+  "depth.worst": "ราคาแย่ที่สุด",
+  "depth.slippageTop": "Slippage เทียบราคาดีที่สุด",
+  "depth.slippageMid": "เทียบราคากลาง",
+  "depth.covered": "ครอบคลุม",
+  "depth.filled": "ดำเนินการแล้ว",
+  "depth.partial": "สมุดคำสั่งครอบคลุมเพียง {pct}% ของจำนวน — อัตราคำนวณจากส่วนที่ดำเนินการได้ ส่วนที่เหลือไม่ทราบอัตรา",
+  "depth.split": "คำแนะนำ: แบ่งคำสั่งเป็น {count} ส่วน ส่วนละ ~{tranche} USDT — แต่ละส่วนจะมี slippage ไม่เกิน {pct}% ตามสมุดคำสั่งปัจจุบัน",
+  "depth.updated": "อัปเดต: {at}",
+
+  // -------- Fee profiles (src/components/FeeProfilesPanel) --------
+  "feeProfiles.newProfile": "โปรไฟล์ใหม่",
+  "feeProfiles.profileName": "ชื่อโปรไฟล์",
+  "feeProfiles.ruleName": "ชื่อ",
+  "feeProfiles.fixed": "คงที่",
+  "feeProfiles.value": "ค่า",
+  "feeProfiles.scope.total": "จากยอดรวม",
+  "feeProfiles.scope.hop": "ต่อขั้น",
+  "feeProfiles.min": "ต่ำสุด",
+  "feeProfiles.max": "สูงสุด",
+  "feeProfiles.vat": "VAT %",
+  "feeProfiles.anyHop": "ทุกขั้น",
+  "feeProfiles.addRule": "กฎ",
+
+  // -------- Rate chart (src/components/RateChart) --------
+  "chart.currency": "สกุลเงินของกราฟ",
+  "chart.empty": "ยังไม่มีข้อมูล: จุดข้อมูลจะสะสมทุกครั้งที่อัปเดตอัตรา {currency}",
+  "chart.delta": "Δ เทียบ ธ.กลางรัสเซีย, %",
+  "chart.source": "แหล่งข้อมูล",
+  "chart.min": "ต่ำสุด",
+  "chart.max": "สูงสุด",
+  "chart.avg": "เฉลี่ย",
+  "chart.avgDelta": "Δ เฉลี่ย",
+  "chart.change": "เปลี่ยนแปลง",
+
+  // -------- Team workspace (src/components/WorkspacePanel) --------
+  "workspace.status.pending": "รออนุมัติ",
+  "workspace.status.approved": "อนุมัติแล้ว",
+  "workspace.status.rejected": "ถูกปฏิเสธ",
+  "workspace.unavailable": "พื้นที่ทำงานใช้ได้ใน Telegram เมื่อเชื่อมต่อเซิร์ฟเวอร์ TANAQ (การตั้งค่า → ที่อยู่เซิร์ฟเวอร์)",
+  "workspace.picker": "พื้นที่ทำงาน",
+  "workspace.personal": "โหมดส่วนตัว",
+  "workspace.name": "ชื่อทีม",
+  "workspace.create": "สร้าง",
+  "workspace.inviteLink": "ลิงก์คำเชิญ",
+  "workspace.join": "เข้าร่วม",
+  "workspace.role.manager": "ผู้จัดการ",
+  "workspace.role.member": "สมาชิก",
+  "workspace.you": "(คุณ)",
+  "workspace.roleOf": "บทบาท: {name}",
+  "workspace.inviteGroup": "เชิญกลุ่ม",
+  "workspace.officialRates": "อัตราทางการ",
+  "workspace.officialRatesHint": "ใช้แทนอัตรากำหนดเองของสมาชิกทุกคน",
+  "workspace.notSet": "ไม่ได้กำหนด",
+  "workspace.unlock": "ปลดล็อก",
+  "workspace.ratePlaceholder": "₽ ต่อ 1",
+  "workspace.lock": "ล็อก",
+  "workspace.shared": "การตั้งค่าร่วม",
+  "workspace.currencies": "สกุลเงินของทีม",
+  "workspace.currenciesPlaceholder": "สกุลเงินคั่นด้วยจุลภาค: USD, CNY, THB",
+  "workspace.sharedFees": "ค่าธรรมเนียมร่วม: {names}",
+  "workspace.personalFees": "แต่ละคนใช้ค่าธรรมเนียมของตัวเอง",
+  "workspace.shareMine": "แชร์ของฉัน",
+  "workspace.disable": "ปิด",
+  "workspace.queue": "การคำนวณที่รออนุมัติ",
+  "workspace.mine": "คำขอของฉัน",
+  "workspace.queueEmpty": "ไม่มีคำขอ",
+  "workspace.mineEmpty": "ส่งการคำนวณจากประวัติด้วยปุ่ม “ส่งขออนุมัติ”",
+  "workspace.rate": "อัตรา {rate}",
+  "workspace.noComment": "ไม่มีความคิดเห็น",
+  "workspace.comment": "ความคิดเห็น",
+  "workspace.approve": "อนุมัติ",
+  "workspace.reject": "ปฏิเสธ",
+
+  // -------- History (src/components/HistoryPanel) --------
+  "history.empty": "บันทึกการคำนวณไว้เพื่อกลับมาดูได้อย่างรวดเร็ว",
+  "history.search": "ค้นหาบันทึก แท็ก รายการ",
+  "history.allCurrencies": "ทุกสกุลเงิน",
+  "history.allTags": "ทุกแท็ก",
+  "history.from": "ตั้งแต่",
+  "history.to": "ถึง",
+  "history.shown": "แสดง {shown} จาก {total}",
+  "history.rate": "อัตรา: {rate}",
+  "history.cbrf": "ธ.กลางรัสเซีย {rate}",
+  "history.on": "ณ {date}",
+  "history.ownRate": "อัตรากำหนดเอง",
+  "history.fees": "ค่าธรรมเนียม {rub} ₽",
+  "history.reopen": "เปิดในตัวแปลง",
+  "history.receipt": "ใบเสร็จ PDF",
+  "history.shareLink": "ลิงก์การคำนวณ",
+  "history.submit": "ส่งขออนุมัติ",
+  "history.delete": "ลบ",
+  "history.approval": "การอนุมัติ: {status}",
+  "history.tagPlaceholder": "ผู้ขาย / โครงการ",
+  "history.nothing": "ไม่พบข้อมูล",
+  "history.resetFilters": "ล้างตัวกรอง",
+
+  // -------- Routes (src/components/RoutesPanel) --------
+  "routes.none": "ไม่มีเส้นทางไปยัง RUB สำหรับจำนวนนี้ อัปเดตแหล่งข้อมูลหรือเพิ่มอัตราของคุณเอง",
+  "routes.rate": "อัตราสุทธิ: {rate} ₽",
+  "routes.filled": "ดำเนินการแล้ว {pct}%",
+  "routes.hopRate": "อัตรา {rate}",
+  "routes.hopFee": "ค่าธรรมเนียม {fee} {currency}",
+  "routes.book": "สมุดคำสั่ง {pct}%",
+  "routes.edges": "อัตราของฉัน ({count})",
+  "routes.from": "จาก",
+  "routes.to": "เป็น",
+  "routes.edgeRate": "อัตรา",
+  "routes.feePct": "ค่าธรรมเนียม %",
+  "routes.feeFixed": "คงที่ (ในสกุล “จาก”)",
+  "routes.add": "เพิ่มอัตรา",
+
+  // -------- Watchlist (src/components/WatchlistPanel) --------
+  "watchlist.empty": "เพิ่มคู่สกุลเงินและเกณฑ์ — แอปจะตรวจอัตราขณะเปิดอยู่และแจ้งเตือนคุณ",
+  "watchlist.metric.rate": "อัตรา",
+  "watchlist.metric.deltaPct": "Δ เทียบ ธ.กลางรัสเซีย",
+  "watchlist.now": "ขณะนี้",
+  "watchlist.metric": "สิ่งที่ติดตาม",
+  "watchlist.op": "เงื่อนไข",
+  "watchlist.above": "สูงกว่า",
+  "watchlist.below": "ต่ำกว่า",
+  "watchlist.threshold": "เกณฑ์",
+  "watchlist.amount": "จำนวนสำหรับสมุดคำสั่ง",
+  "watchlist.amountPlaceholder": "จำนวน (สำหรับสมุดคำสั่ง/เส้นทาง)",
+  "watchlist.add": "ติดตาม",
+  "watchlist.forBot": "สำหรับบอท (JSON)",
+};
+
+export default th;
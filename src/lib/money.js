@@ -0,0 +1,41 @@
+import Decimal from "decimal.js";
+
+// -------------------------------------------------
+// Money arithmetic
+//
+// Amounts and rates stay plain numbers in state, history and storage; products, sums and
+// rounding go through decimal.js so large totals do not drift, and every money result is
+// rounded half-up to the minor units of its currency (ISO 4217: JPY 0, KWD 3; RUB and
+// unknown codes 2). Rates are never rounded.
+// -------------------------------------------------
+
+const MINOR_UNITS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0, RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+};
+
+export const minorUnits = (currency = "RUB") => MINOR_UNITS[currency] ?? 2;
+
+const dec = (value) => new Decimal(Number.isFinite(Number(value)) ? value : NaN);
+
+// Decimal -> number rounded to the currency's minor units; NaN stays NaN.
+const settle = (d, currency) => (d.isNaN() ? NaN : d.toDecimalPlaces(minorUnits(currency), Decimal.ROUND_HALF_UP).toNumber());
+
+export const roundMoney = (value, currency = "RUB") => settle(dec(value), currency);
+
+// amount × rate, e.g. foreign amount × RUB rate -> RUB
+export const mulMoney = (amount, rate, currency = "RUB") => settle(dec(amount).times(dec(rate)), currency);
+
+export const sumMoney = (values, currency = "RUB") => settle(values.reduce((sum, v) => sum.plus(dec(v || 0)), new Decimal(0)), currency);
+
+export const subMoney = (a, b, currency = "RUB") => settle(dec(a).minus(dec(b)), currency);
+
+// `pct` % of `amount`
+export const pctOfMoney = (amount, pct, currency = "RUB") => settle(dec(amount).times(dec(pct)).div(100), currency);
+
+// amount ÷ rate, e.g. RUB budget -> foreign amount at a flat rate
+export const divMoney = (amount, rate, currency = "RUB") => settle(dec(amount).div(dec(rate)), currency);
+
+// Share of `amount` left after `times` compounding cuts of `pct` %: amount × (1 − (1 − pct/100)^times)
+export const compoundCut = (amount, pct, times, currency = "RUB") =>
+  settle(dec(amount).times(new Decimal(1).minus(new Decimal(1).minus(dec(pct).div(100)).pow(times))), currency);
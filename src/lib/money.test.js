@@ -0,0 +1,28 @@
+import { minorUnits, roundMoney, mulMoney, sumMoney, subMoney, pctOfMoney, divMoney, compoundCut } from "./money";
+
+test("minor units per currency", () => {
+  expect(minorUnits("JPY")).toBe(0);
+  expect(minorUnits("KWD")).toBe(3);
+  expect(minorUnits("RUB")).toBe(2);
+  expect(minorUnits("USDT")).toBe(2);
+  expect(minorUnits()).toBe(2);
+});
+
+test("rounding is half-up on the decimal value, not the binary one", () => {
+  expect(roundMoney(1.005)).toBe(1.01);
+  expect(Math.round(1.005 * 100) / 100).toBe(1); // what it replaces
+  expect(roundMoney(1234.5, "JPY")).toBe(1235);
+  expect(roundMoney(1.0005, "KWD")).toBe(1.001);
+  expect(roundMoney("x")).toBeNaN();
+});
+
+test("products and sums do not drift on large amounts", () => {
+  expect(mulMoney(123456789.12, 92.3456)).toBe(11400691265.36);
+  expect(sumMoney([0.1, 0.2, 0.3])).toBe(0.6);
+  expect(sumMoney([1e9 + 0.01, 0.02, null])).toBe(1000000000.03);
+  expect(subMoney(100000000.3, 0.1)).toBe(100000000.2);
+  expect(pctOfMoney(10000.5, 1.2)).toBe(120.01);
+  expect(divMoney(1000, 3, "USD")).toBe(333.33);
+  expect(divMoney(1000, 0.0065, "JPY")).toBe(153846);
+  expect(compoundCut(1000, 10, 2)).toBe(190);
+});
@@ -0,0 +1,49 @@
+// -------------------------------------------------
+// Offline mode (src/service-worker.js and the app)
+//
+// The service worker answers rate and order-book requests from its cache when
+// the network fails. Those copies carry CACHED_AT_HEADER, the time they were
+// stored, so loadSnapshot dates them by that and not by "now". Writes to the
+// TANAQ server (workspaces, receipts) that fail offline are queued by the
+// worker and replayed when the connection returns; /sync has its own outbox
+// (src/lib/sync) and is left alone. A write is only queued while the server
+// still accepts its initData, and each replay is reported back to the app as
+// a REPLAY_RESULT message: { type, results: [{ target, method, ok, status }] }.
+// -------------------------------------------------
+
+export const RATES_CACHE = "tanaq-rates";
+export const WRITES_QUEUE = "tanaq-writes";
+export const CACHED_AT_HEADER = "x-tanaq-cached-at";
+export const REPLAY_RESULT = "tanaq:replay-result";
+
+// The server accepts initData for a day after its auth_date (server/src/initData.js).
+export const INIT_DATA_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+export const RATE_HOSTS = ["www.cbr-xml-daily.ru", "api.exchangerate.host", "api.bitkub.com"];
+
+// Upstreams directly, or the proxy's /rates/… and /depth/… (server/, any origin: the URL is a setting).
+export function isRateRequest({ method = "GET", url }) {
+  if (method !== "GET") return false;
+  const { hostname, pathname } = new URL(url);
+  return RATE_HOSTS.includes(hostname) || /\/(rates|depth)\/[^/]+$/.test(pathname);
+}
+
+// "workspaces" | "receipts" | null
+export const queuedTarget = (url) => /\/(workspaces|receipts)(\/|$)/.exec(new URL(url).pathname)?.[1] ?? null;
+
+export const isQueuedWrite = ({ method, url }) => (method === "POST" || method === "PUT") && queuedTarget(url) !== null;
+
+// initData as the app holds it, or the `Authorization: tma …` header carrying it.
+export function initDataExpiresAt(initData) {
+  const authDate = Number(new URLSearchParams(String(initData ?? "").replace(/^tma /, "")).get("auth_date"));
+  return authDate > 0 ? authDate * 1000 + INIT_DATA_MAX_AGE_MS : null;
+}
+
+// Whether a write made with this initData can still succeed when replayed.
+export const canReplay = (initData, now = Date.now()) => (initDataExpiresAt(initData) ?? 0) > now;
+
+// Time the view's rates are from: the oldest `updated` of the snapshots it reads, null when none is loaded.
+export function ratesAsOf(snapshots) {
+  const times = snapshots.filter((s) => s?.updated).map((s) => new Date(s.updated).getTime());
+  return times.length ? new Date(Math.min(...times)).toISOString() : null;
+}
@@ -0,0 +1,37 @@
+import { isRateRequest, isQueuedWrite, queuedTarget, canReplay, initDataExpiresAt, ratesAsOf } from "./offline";
+
+test("rate requests: upstreams and the proxy's rate and depth paths, reads only", () => {
+  expect(isRateRequest({ url: "https://www.cbr-xml-daily.ru/daily_json.js" })).toBe(true);
+  expect(isRateRequest({ url: "https://api.bitkub.com/api/market/depth?sym=THB_USDT" })).toBe(true);
+  expect(isRateRequest({ url: "https://proxy.example/tanaq/rates/market?base=USD" })).toBe(true);
+  expect(isRateRequest({ url: "https://proxy.example/depth/bitkub" })).toBe(true);
+  expect(isRateRequest({ url: "https://proxy.example/workspaces/ws-1" })).toBe(false);
+  expect(isRateRequest({ method: "POST", url: "https://api.exchangerate.host/latest" })).toBe(false);
+});
+
+test("workspace and receipt writes are queued; reads and sync are not", () => {
+  expect(isQueuedWrite({ method: "POST", url: "https://proxy.example/receipts" })).toBe(true);
+  expect(isQueuedWrite({ method: "PUT", url: "https://proxy.example/workspaces/ws-1/members/7" })).toBe(true);
+  expect(isQueuedWrite({ method: "POST", url: "https://proxy.example/workspaces/join" })).toBe(true);
+  expect(isQueuedWrite({ method: "GET", url: "https://proxy.example/workspaces" })).toBe(false);
+  expect(isQueuedWrite({ method: "POST", url: "https://proxy.example/sync" })).toBe(false);
+  expect(queuedTarget("https://proxy.example/tanaq/receipts")).toBe("receipts");
+  expect(queuedTarget("https://proxy.example/workspaces/ws-1/submissions")).toBe("workspaces");
+});
+
+test("a write can be replayed only while the server still accepts its initData", () => {
+  const authDate = Date.UTC(2024, 0, 12, 9) / 1000;
+  const initData = `query_id=AAE&user=%7B%22id%22%3A7%7D&auth_date=${authDate}&hash=abc`;
+  expect(initDataExpiresAt(initData)).toBe(Date.UTC(2024, 0, 13, 9));
+  expect(canReplay(initData, Date.UTC(2024, 0, 13, 8))).toBe(true);
+  expect(canReplay(`tma ${initData}`, Date.UTC(2024, 0, 13, 8))).toBe(true);
+  expect(canReplay(initData, Date.UTC(2024, 0, 13, 10))).toBe(false);
+  expect(canReplay("", Date.UTC(2024, 0, 12))).toBe(false);
+  expect(initDataExpiresAt(null)).toBeNull();
+});
+
+test("rates are as old as the oldest snapshot in view", () => {
+  const at = (iso) => ({ data: {}, updated: iso });
+  expect(ratesAsOf([at("2024-01-12T09:00:00.000Z"), null, at("2024-01-12T08:30:00.000Z")])).toBe("2024-01-12T08:30:00.000Z");
+  expect(ratesAsOf([null, undefined])).toBeNull();
+});
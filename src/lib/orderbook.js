@@ -0,0 +1,127 @@
+// -------------------------------------------------
+// Order book helpers
+// Levels are [ [price, qty], ... ] sorted best-first, as returned by
+// Bitkub's /api/market/depth (bids: highest first, asks: lowest first).
+// -------------------------------------------------
+
+// Weighted avg from orderbook levels [ [price, qty], ... ]
+export function weightedAvg(levels = [], qty) {
+  if (!Array.isArray(levels) || !(qty > 0)) return { avg: null, covered: 0 };
+  let remaining = qty;
+  let totalCost = 0;
+  let filled = 0;
+  for (const [price, amount] of levels) {
+    const take = Math.min(remaining, amount);
+    if (take <= 0) break;
+    totalCost += take * price;
+    remaining -= take;
+    filled += take;
+    if (remaining <= 0) break;
+  }
+  return filled > 0 ? { avg: totalCost / filled, covered: filled / qty } : { avg: null, covered: 0 };
+}
+
+// Spend `quoteQty` against ask levels (buying base). Returns base received.
+// On bid levels the same walk answers the reverse question: base to sell to raise `quoteQty`.
+export function spendQuote(levels = [], quoteQty) {
+  if (!Array.isArray(levels) || !(quoteQty > 0)) return { avg: null, covered: 0, received: 0 };
+  let remaining = quoteQty;
+  let received = 0;
+  for (const [price, amount] of levels) {
+    const take = Math.min(remaining, amount * price);
+    if (take <= 0) break;
+    received += take / price;
+    remaining -= take;
+    if (remaining <= 0) break;
+  }
+  const spent = quoteQty - Math.max(remaining, 0);
+  return received > 0 ? { avg: spent / received, covered: spent / quoteQty, received } : { avg: null, covered: 0, received: 0 };
+}
+
+export function bookDepth(levels = []) {
+  return Array.isArray(levels) ? levels.reduce((sum, [, amount]) => sum + amount, 0) : 0;
+}
+
+// -------- Slippage analysis --------
+// side "sell": `qty` base goes into bids; side "buy": `qty` base is taken from asks.
+// Slippage is signed so that positive always means "worse than the reference".
+
+const levelsFor = (book, side) => (side === "buy" ? book?.asks : book?.bids) ?? [];
+const worseBy = (side, price, ref) => (ref ? ((side === "buy" ? price - ref : ref - price) / ref) * 100 : null);
+
+export function topOfBook(book) {
+  const bid = book?.bids?.[0]?.[0] ?? null;
+  const ask = book?.asks?.[0]?.[0] ?? null;
+  return { bid, ask, mid: bid && ask ? (bid + ask) / 2 : null, crossed: bid !== null && ask !== null && bid >= ask };
+}
+
+export function analyzeFill(book, qty, side = "sell") {
+  const levels = levelsFor(book, side);
+  const { avg, covered } = weightedAvg(levels, qty);
+  const { mid } = topOfBook(book);
+  const top = levels[0]?.[0] ?? null;
+  let worst = null;
+  let left = qty;
+  for (const [price, amount] of levels) {
+    if (!(left > 0)) break;
+    worst = price;
+    left -= amount;
+  }
+  return {
+    side,
+    qty,
+    avg,
+    worst: avg ? worst : null,
+    top,
+    mid,
+    covered,
+    filled: covered * qty,
+    slippageVsTopPct: avg ? worseBy(side, avg, top) : null,
+    slippageVsMidPct: avg ? worseBy(side, avg, mid) : null,
+  };
+}
+
+// Cumulative volume → average fill price, one point per level.
+export function depthCurve(book, side = "sell") {
+  let qty = 0;
+  let cost = 0;
+  return levelsFor(book, side).map(([price, amount]) => {
+    qty += amount;
+    cost += price * amount;
+    return { qty, avg: cost / qty, price };
+  });
+}
+
+// Largest base quantity whose average price stays within `maxSlippagePct` of the top of book.
+export function maxQtyWithinSlippage(book, side = "sell", maxSlippagePct = 0.5) {
+  const levels = levelsFor(book, side);
+  const top = levels[0]?.[0];
+  if (!top) return 0;
+  const limit = side === "buy" ? top * (1 + maxSlippagePct / 100) : top * (1 - maxSlippagePct / 100);
+  const withinLimit = (price) => (side === "buy" ? price <= limit : price >= limit);
+  let qty = 0;
+  let cost = 0;
+  for (const [price, amount] of levels) {
+    if (withinLimit(price)) {
+      qty += amount;
+      cost += price * amount;
+      continue;
+    }
+    // Partial level: (cost + price·x) / (qty + x) = limit
+    qty += Math.min(amount, (limit * qty - cost) / (price - limit));
+    break;
+  }
+  return qty;
+}
+
+// When the order is too large for the visible book, propose equal tranches that each
+// fit within `maxSlippagePct` (assuming the book refills between tranches).
+export function suggestSplit(book, qty, side = "sell", maxSlippagePct = 0.5) {
+  const fill = analyzeFill(book, qty, side);
+  const tooDeep = fill.slippageVsTopPct !== null && fill.slippageVsTopPct > maxSlippagePct;
+  if (fill.covered >= 1 && !tooDeep) return null;
+  const capacity = maxQtyWithinSlippage(book, side, maxSlippagePct);
+  if (!(capacity > 0)) return null;
+  const count = Math.ceil(qty / capacity);
+  return { count, tranche: qty / count, capacity, maxSlippagePct };
+}
@@ -0,0 +1,71 @@
+import { weightedAvg, spendQuote, bookDepth, topOfBook, analyzeFill, depthCurve, maxQtyWithinSlippage, suggestSplit } from "./orderbook";
+
+const bids = [[36, 100], [35, 100]];
+const asks = [[37, 100], [38, 100]];
+
+test("weightedAvg walks levels until the quantity is filled", () => {
+  expect(weightedAvg(bids, 150)).toEqual({ avg: (36 * 100 + 35 * 50) / 150, covered: 1 });
+  expect(weightedAvg(bids, 400)).toEqual({ avg: 35.5, covered: 0.5 });
+  expect(weightedAvg(bids, 0)).toEqual({ avg: null, covered: 0 });
+});
+
+test("spendQuote buys base with a quote budget", () => {
+  const fill = spendQuote(asks, 3700 + 1900);
+  expect(fill.received).toBeCloseTo(150);
+  expect(fill.avg).toBeCloseTo(5600 / 150);
+  expect(fill.covered).toBe(1);
+  expect(spendQuote(asks, 10000).covered).toBeCloseTo(7500 / 10000);
+});
+
+test("bookDepth sums base quantity", () => {
+  expect(bookDepth(bids)).toBe(200);
+  expect(bookDepth(null)).toBe(0);
+});
+
+describe("slippage analysis", () => {
+  const book = { bids, asks };
+
+  test("topOfBook reports mid and crossed books", () => {
+    expect(topOfBook(book)).toEqual({ bid: 36, ask: 37, mid: 36.5, crossed: false });
+    expect(topOfBook({ bids: [[38, 1]], asks: [[37, 1]] }).crossed).toBe(true);
+  });
+
+  test("analyzeFill covers both sides with worst price and slippage", () => {
+    const sell = analyzeFill(book, 150, "sell");
+    expect(sell.worst).toBe(35);
+    expect(sell.slippageVsTopPct).toBeCloseTo(((36 - sell.avg) / 36) * 100);
+    expect(sell.slippageVsMidPct).toBeGreaterThan(sell.slippageVsTopPct);
+
+    const buy = analyzeFill(book, 150, "buy");
+    expect(buy.avg).toBeCloseTo((37 * 100 + 38 * 50) / 150);
+    expect(buy.worst).toBe(38);
+    expect(buy.slippageVsTopPct).toBeCloseTo(((buy.avg - 37) / 37) * 100);
+  });
+
+  test("partial fills report what was filled", () => {
+    const fill = analyzeFill(book, 400, "buy");
+    expect(fill.covered).toBe(0.5);
+    expect(fill.filled).toBe(200);
+    expect(fill.worst).toBe(38);
+  });
+
+  test("depthCurve maps cumulative volume to average price", () => {
+    expect(depthCurve(book, "sell")).toEqual([
+      { qty: 100, avg: 36, price: 36 },
+      { qty: 200, avg: 35.5, price: 35 },
+    ]);
+  });
+
+  test("maxQtyWithinSlippage solves inside a partially used level", () => {
+    // avg of 100@36 + x@35 equals 36·(1-1%) = 35.64 at x = 56.25
+    expect(maxQtyWithinSlippage(book, "sell", 1)).toBeCloseTo(156.25);
+    expect(maxQtyWithinSlippage(book, "buy", 10)).toBe(200);
+  });
+
+  test("suggestSplit only kicks in for thin books or deep slippage", () => {
+    expect(suggestSplit(book, 50, "sell", 1)).toBeNull();
+    const split = suggestSplit(book, 400, "sell", 1);
+    expect(split.count).toBe(3);
+    expect(split.tranche).toBeLessThanOrEqual(split.capacity);
+  });
+});
@@ -0,0 +1,173 @@
+import { defaultFeeProfiles, defaultProfileBySource } from "./fees.js";
+import { DEFAULT_SANITY_LIMITS } from "./sanity.js";
+import { LOCALE_IDS } from "./i18n.js";
+
+// -------------------------------------------------
+// Persisted state: schema, migrations, storage
+//
+// Two localStorage keys since v3:
+//   tanaq_settings – { version, ...user settings }   (validated field by field)
+//   tanaq_market   – { version, snapshots }          (cache, safe to drop)
+// Older versions kept everything unversioned under "tanaq_state_v2":
+//   v1 – rates/cbrfRates/bitkubDepth + spreadPct/addBankSpread (the original app)
+//   v2 – provider snapshots, spreadPct/addBankSpread still driving fees
+// -------------------------------------------------
+
+export const SCHEMA_VERSION = 3;
+export const SETTINGS_KEY = "tanaq_settings";
+export const MARKET_KEY = "tanaq_market";
+export const LEGACY_KEY = "tanaq_state_v2";
+
+const isString = (v) => typeof v === "string";
+const isBool = (v) => typeof v === "boolean";
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const oneOf = (...values) => (v) => values.includes(v);
+const arrayOf = (check) => (v) => Array.isArray(v) && v.every(check);
+
+// field: [default (value or factory), validator]
+export const SETTINGS_FIELDS = {
+  amount: ["1000", isString],
+  budget: ["", isString], // RUB after fees, used when direction is 'fromRub'
+  direction: ["toRub", oneOf("toRub", "fromRub")],
+  currency: ["USD", (v) => isString(v) && /^[A-Z]{3,5}$/.test(v)],
+  autoFetch: [true, isBool],
+  feesEnabled: [true, isBool],
+  feeProfiles: [() => defaultFeeProfiles(), arrayOf((p) => isObject(p) && isString(p.id) && Array.isArray(p.rules))], // see src/lib/fees
+  feeProfileBySource: [defaultProfileBySource, isObject], // { [providerId]: profileId }
+  dark: [true, isBool],
+  locale: ["", oneOf("", ...LOCALE_IDS)], // UI language, "" = from Telegram's language_code (src/lib/i18n)
+  customRate: ["", isString],
+  source: ["market", isString], // provider id, see src/lib/providers
+  rateDate: ["", (v) => v === "" || /^\d{4}-\d{2}-\d{2}$/.test(v)], // archived CBRF quotes, "" = today
+  mode: ["single", oneOf("single", "basket")],
+  basket: [() => [], arrayOf(isObject)], // lines, see src/lib/basket
+  routeEdges: [() => [], arrayOf(isObject)], // user-defined flat-rate edges, see src/lib/routes
+  bitkubSide: ["sell", oneOf("sell", "buy")], // 'sell' (USDT→THB bids) | 'buy' (THB→USDT asks)
+  sanityLimits: [() => ({ ...DEFAULT_SANITY_LIMITS }), (v) => isObject(v) && Object.keys(DEFAULT_SANITY_LIMITS).every((k) => Number.isFinite(v[k]) && v[k] > 0)], // % to CBRF, see src/lib/sanity
+  useProxy: [false, isBool], // load rates through the TANAQ proxy (server/proxy.js)
+  proxyUrl: [process.env.REACT_APP_PROXY_URL || "", (v) => v === "" || (isString(v) && /^https?:\/\//.test(v))], // TANAQ server, also used for sync
+  syncEnabled: [false, isBool], // settings/history sync with the server, see src/lib/sync
+  workspaceId: ["", isString], // active team workspace, "" = personal mode (src/lib/workspace)
+  watchlist: [() => [], arrayOf((r) => isObject(r) && isString(r.id))], // alert rules, see src/lib/alerts
+  history: [() => [], Array.isArray], // pre-IndexedDB history, drained into src/lib/historyStore
+};
+
+const fallback = (field) => {
+  const [value] = SETTINGS_FIELDS[field];
+  return typeof value === "function" ? value() : value;
+};
+
+// Keeps every valid field, replaces only the broken ones. Unknown fields are dropped.
+// Returns { value, invalid: [field] }.
+export function validateSettings(doc) {
+  const source = isObject(doc) ? doc : {};
+  const invalid = [];
+  const value = {};
+  Object.entries(SETTINGS_FIELDS).forEach(([field, [, valid]]) => {
+    if (field in source && valid(source[field])) value[field] = source[field];
+    else {
+      if (field in source) invalid.push(field);
+      value[field] = fallback(field);
+    }
+  });
+  return { value, invalid };
+}
+
+export const defaultState = () => ({ ...validateSettings({}).value, snapshots: {} });
+
+const isSnapshot = (s) => isObject(s) && "data" in s && isString(s.updated);
+
+export const validateSnapshots = (snapshots) =>
+  Object.fromEntries(Object.entries(isObject(snapshots) ? snapshots : {}).filter(([, s]) => isSnapshot(s)));
+
+// -------- Migrations --------
+// MIGRATIONS[n] turns a version-n document into version n+1.
+export const MIGRATIONS = {
+  // flat rate fields -> provider snapshots (src/lib/providers)
+  1: ({ rates, lastUpdated, cbrfRates, cbrfUpdated, bitkubDepth, bitkubUpdated, ...doc }) => {
+    const snapshots = {};
+    const updated = (ts) => (isString(ts) ? ts : new Date(0).toISOString());
+    Object.entries(isObject(rates) ? rates : {}).forEach(([code, rate]) => {
+      if (rate > 0) snapshots[`market:${code}`] = { data: { rate }, updated: updated(lastUpdated), rateDate: null };
+    });
+    if (isObject(cbrfRates) && Object.keys(cbrfRates).length) snapshots.cbrf = { data: { RUB: 1, ...cbrfRates }, updated: updated(cbrfUpdated), rateDate: null };
+    if (isObject(bitkubDepth)) snapshots.bitkub = { data: { bids: bitkubDepth.bids ?? [], asks: bitkubDepth.asks ?? [] }, updated: updated(bitkubUpdated), rateDate: null };
+    return { ...doc, snapshots };
+  },
+  // bank spread switch -> fee profiles (src/lib/fees)
+  2: ({ spreadPct, addBankSpread, ...doc }) => ({
+    ...doc,
+    feeProfiles: doc.feeProfiles ?? defaultFeeProfiles({ spreadPct: spreadPct > 0 ? spreadPct : undefined }),
+    feeProfileBySource: doc.feeProfileBySource ?? defaultProfileBySource(),
+    feesEnabled: doc.feesEnabled ?? (isBool(addBankSpread) ? addBankSpread : true),
+  }),
+};
+
+// Unversioned documents: v2 introduced `snapshots`.
+const detectVersion = (doc) => (Number.isInteger(doc.version) ? doc.version : "snapshots" in doc ? 2 : 1);
+
+export function migrate(doc) {
+  let current = isObject(doc) ? doc : {};
+  for (let v = detectVersion(current); v < SCHEMA_VERSION; v++) current = MIGRATIONS[v](current);
+  return { ...current, version: SCHEMA_VERSION };
+}
+
+// -------- Storage --------
+function read(storage, key) {
+  const raw = storage.getItem(key);
+  if (raw === null) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    // keep the unreadable blob around rather than overwriting it on the next save
+    console.error(e);
+    storage.setItem(`${key}:corrupt`, raw);
+    return null;
+  }
+}
+
+export const serializeSettings = (state) => JSON.stringify({ version: SCHEMA_VERSION, ...validateSettings(state).value });
+export const serializeMarket = (state) => JSON.stringify({ version: SCHEMA_VERSION, snapshots: state.snapshots ?? {} });
+
+// State for the app: validated settings plus cached snapshots.
+// The legacy single-key blob is migrated, written under the new keys and removed.
+export function loadState(storage) {
+  let settings = read(storage, SETTINGS_KEY);
+  let market = read(storage, MARKET_KEY);
+  if (!settings) {
+    const legacy = read(storage, LEGACY_KEY);
+    if (legacy) {
+      const { snapshots, ...migrated } = migrate(legacy);
+      settings = migrated;
+      market = { version: SCHEMA_VERSION, snapshots };
+      storage.setItem(SETTINGS_KEY, serializeSettings(settings));
+      storage.setItem(MARKET_KEY, serializeMarket(market));
+      storage.removeItem(LEGACY_KEY);
+    }
+  } else if (settings.version < SCHEMA_VERSION) {
+    settings = migrate(settings);
+  }
+  // the cache is only trusted in the shape this version writes
+  const snapshots = market?.version === SCHEMA_VERSION ? validateSnapshots(market.snapshots) : {};
+  return { ...validateSettings(settings).value, snapshots };
+}
+
+// Writes whichever half changed. `written` remembers the last value per key
+// (shared with readStorageEvent so changes from other tabs are not echoed back).
+export function saveState(storage, state, written = {}) {
+  [[SETTINGS_KEY, serializeSettings(state)], [MARKET_KEY, serializeMarket(state)]].forEach(([key, value]) => {
+    if (written[key] === value) return;
+    storage.setItem(key, value);
+    written[key] = value;
+  });
+}
+
+// Patch for the app state from another tab's write, or null when the event is not ours.
+export function readStorageEvent(event, written = {}) {
+  if (![SETTINGS_KEY, MARKET_KEY].includes(event.key) || event.newValue === null) return null;
+  let doc;
+  try { doc = JSON.parse(event.newValue); } catch { return null; }
+  written[event.key] = event.newValue;
+  if (event.key === MARKET_KEY) return { snapshots: validateSnapshots(doc?.snapshots) };
+  return validateSettings(migrate(doc)).value;
+}
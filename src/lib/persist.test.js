@@ -0,0 +1,93 @@
+import { SCHEMA_VERSION, SETTINGS_KEY, MARKET_KEY, LEGACY_KEY, migrate, validateSettings, loadState, saveState, readStorageEvent } from "./persist";
+
+const memoryStorage = (initial = {}) => {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: jest.fn((k, v) => data.set(k, String(v))),
+    removeItem: (k) => data.delete(k),
+    dump: () => Object.fromEntries(data),
+  };
+};
+
+// what the original app wrote
+const V1 = {
+  amount: "250", currency: "EUR", autoFetch: false, addBankSpread: false, spreadPct: 0.7,
+  rates: { EUR: 99.5 }, lastUpdated: "2024-01-10T10:00:00.000Z",
+  cbrfRates: { EUR: 98, THB: 2.6 }, cbrfUpdated: "2024-01-10T09:00:00.000Z",
+  bitkubDepth: { bids: [[36, 10]], asks: [] }, bitkubUpdated: null,
+  dark: false, history: [{ ts: 1, amount: 1, currency: "EUR", rate: 99, rub: 99 }], customRate: "", source: "cbrf",
+};
+
+test("v1 documents migrate through v2 to the current schema", () => {
+  const doc = migrate(V1);
+  expect(doc.version).toBe(SCHEMA_VERSION);
+  expect(doc.snapshots["market:EUR"]).toEqual({ data: { rate: 99.5 }, updated: "2024-01-10T10:00:00.000Z", rateDate: null });
+  expect(doc.snapshots.cbrf.data).toEqual({ RUB: 1, EUR: 98, THB: 2.6 });
+  expect(doc.snapshots.bitkub.updated).toBe(new Date(0).toISOString());
+  expect(doc.feesEnabled).toBe(false);
+  expect(doc.feeProfiles.find((p) => p.id === "bank").rules[0].value).toBe(0.7);
+  expect(doc).not.toHaveProperty("rates");
+  expect(doc).not.toHaveProperty("spreadPct");
+});
+
+test("unversioned v2 documents keep their snapshots and fee profiles", () => {
+  const profiles = [{ id: "mine", name: "Мой", rules: [] }];
+  const doc = migrate({ snapshots: { cbrf: { data: { RUB: 1 }, updated: "x" } }, feeProfiles: profiles, spreadPct: 3 });
+  expect(doc.feeProfiles).toBe(profiles);
+  expect(doc.snapshots).toHaveProperty("cbrf");
+});
+
+test("validation replaces only the broken fields", () => {
+  const { value, invalid } = validateSettings({ amount: "5", currency: 42, mode: "weird", dark: false, extra: 1 });
+  expect(invalid).toEqual(["currency", "mode"]);
+  expect(value).toMatchObject({ amount: "5", currency: "USD", mode: "single", dark: false });
+  expect(value).not.toHaveProperty("extra");
+  expect(validateSettings(null).value.feeProfiles.length).toBeGreaterThan(0);
+});
+
+test("legacy key is split into settings and market cache, then removed", () => {
+  const storage = memoryStorage({ [LEGACY_KEY]: JSON.stringify(V1) });
+  const state = loadState(storage);
+  expect(state).toMatchObject({ amount: "250", currency: "EUR", source: "cbrf", feesEnabled: false });
+  expect(state.history).toHaveLength(1);
+  expect(Object.keys(state.snapshots).sort()).toEqual(["bitkub", "cbrf", "market:EUR"]);
+  const stored = storage.dump();
+  expect(stored).not.toHaveProperty(LEGACY_KEY);
+  expect(JSON.parse(stored[SETTINGS_KEY])).not.toHaveProperty("snapshots");
+  expect(JSON.parse(stored[MARKET_KEY]).version).toBe(SCHEMA_VERSION);
+});
+
+test("a corrupt settings blob is kept aside and defaults are used", () => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  const storage = memoryStorage({ [SETTINGS_KEY]: "{oops", [MARKET_KEY]: JSON.stringify({ version: 1, snapshots: { cbrf: { data: {}, updated: "x" } } }) });
+  const state = loadState(storage);
+  expect(state.amount).toBe("1000");
+  expect(state.snapshots).toEqual({}); // cache from another version is dropped
+  expect(storage.dump()[`${SETTINGS_KEY}:corrupt`]).toBe("{oops");
+  console.error.mockRestore();
+});
+
+test("saveState only writes the half that changed", () => {
+  const storage = memoryStorage();
+  const written = {};
+  const state = { ...loadState(storage), snapshots: { cbrf: { data: { RUB: 1 }, updated: "t" } } };
+  saveState(storage, state, written);
+  expect(storage.setItem).toHaveBeenCalledTimes(2);
+  saveState(storage, { ...state, amount: "7" }, written);
+  expect(storage.setItem).toHaveBeenCalledTimes(3);
+  expect(storage.setItem).toHaveBeenLastCalledWith(SETTINGS_KEY, expect.stringContaining('"amount":"7"'));
+});
+
+test("storage events from other tabs become state patches without echoing back", () => {
+  const storage = memoryStorage();
+  const written = {};
+  const other = { ...loadState(memoryStorage()), currency: "CNY" };
+  const newValue = JSON.stringify({ version: SCHEMA_VERSION, ...validateSettings(other).value });
+  const patch = readStorageEvent({ key: SETTINGS_KEY, newValue }, written);
+  expect(patch.currency).toBe("CNY");
+  saveState(storage, { ...patch, snapshots: {} }, written);
+  expect(storage.setItem).toHaveBeenCalledTimes(1); // only the market half, settings already match
+  expect(readStorageEvent({ key: "unrelated", newValue: "{}" }, written)).toBeNull();
+  expect(readStorageEvent({ key: MARKET_KEY, newValue: JSON.stringify({ snapshots: { bad: 1 } }) }, written)).toEqual({ snapshots: {} });
+});
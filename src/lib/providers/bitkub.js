@@ -0,0 +1,59 @@
+import { getJson } from "./registry.js";
+import { cbrfProvider } from "./cbrf.js";
+import { applyEdge, findRoutes } from "../routes.js";
+import { analyzeFill, spendQuote, topOfBook } from "../orderbook.js";
+import { defaultT } from "../i18n.js";
+
+// Bitkub liquidity path: sell USDT into THB_USDT bids, then THB→RUB at the CBRF rate.
+// This is the two-hop special case of src/lib/routes.
+export const bitkubProvider = {
+  id: "bitkub",
+  label: "Bitkub ликвидность (USDT→THB)",
+  caption: "Bitkub + ЦБ РФ (THB→RUB)",
+  ttlMs: 60 * 1000,
+  maxAgeMs: 5 * 60 * 1000,
+  requires: ["cbrf"],
+  errorMessage: "Bitkub недоступен (возможен CORS).",
+  supports: (base, quote = "RUB") => base === "USDT" && quote === "RUB",
+  fetch: ({ fetchImpl }) => getJson(fetchImpl, "https://api.bitkub.com/api/market/depth?sym=THB_USDT", "Bitkub"),
+  proxyPath: () => "/depth/bitkub",
+  // { bids:[[price,qty],...], asks:[[price,qty],...] }
+  normalize: (raw) => ({ bids: raw?.bids ?? [], asks: raw?.asks ?? [] }),
+  edges: (data) => [
+    // selling USDT -> hit bids; buying USDT with THB -> lift asks
+    { id: "bitkub:bids", from: "USDT", to: "THB", levels: data?.bids ?? [], side: "sell", label: "Bitkub bids", source: "bitkub" },
+    { id: "bitkub:asks", from: "THB", to: "USDT", levels: data?.asks ?? [], side: "buy", label: "Bitkub asks", source: "bitkub" },
+  ],
+  // ctx.side: "sell" (default, USDT→THB via bids) or "buy" (prepaying in USDT, THB→USDT via asks)
+  quote(data, { amount, snapshots, side = "sell" }) {
+    if (!(amount > 0)) return null;
+    const fill = analyzeFill(data, amount, side);
+    if (side === "buy") {
+      const thbRub = snapshots?.cbrf?.data?.THB; // RUB per 1 THB
+      return { rate: fill.avg && thbRub ? fill.avg * thbRub : null, avgThbPerUsdt: fill.avg, covered: fill.covered, fill, route: null };
+    }
+    const [sell] = bitkubProvider.edges(data);
+    const thbRub = cbrfProvider.edges(snapshots?.cbrf?.data).filter((e) => e.from === "THB");
+    const [route] = findRoutes([sell, ...thbRub], { from: "USDT", amount, maxHops: 2, limit: 1 });
+    const hop = route?.hops[0] ?? applyEdge(sell, amount);
+    return { rate: route?.rate ?? null, avgThbPerUsdt: hop.rate, covered: hop.covered, fill, route: route ?? null };
+  },
+  // An empty side cannot be priced; a crossed book means the snapshot is broken.
+  validate(data, { side = "sell", t = defaultT } = {}) {
+    const levels = side === "buy" ? data?.asks : data?.bids;
+    if (!levels?.length) return [{ id: "bitkub:empty", level: "block", message: t("bitkub.empty", { side: side === "buy" ? "asks" : "bids" }) }];
+    const { bid, ask, crossed } = topOfBook(data);
+    return crossed ? [{ id: "bitkub:crossed", level: "block", message: t("bitkub.crossed", { bid, ask }) }] : [];
+  },
+  // Reverse walk for a RUB target: "sell" finds how much USDT the bids need to raise the THB,
+  // "buy" finds how much USDT that THB lifts from the asks.
+  inverse(data, { rub, snapshots, side = "sell" }) {
+    const thbRub = snapshots?.cbrf?.data?.THB;
+    if (!(rub > 0) || !thbRub) return null;
+    const thb = rub / thbRub;
+    // the same THB→USDT walk works on either side: bids absorb USDT, asks hand it out
+    const walk = spendQuote(side === "buy" ? data?.asks : data?.bids, thb);
+    if (!(walk.received > 0)) return null;
+    return { amount: walk.received, rate: walk.avg * thbRub, avgThbPerUsdt: walk.avg, covered: walk.covered, hops: [{ source: "bitkub" }, { source: "cbrf" }] };
+  },
+};
@@ -0,0 +1,97 @@
+import { providers, resolveQuote, resolveInverse, loadSnapshot } from "./index";
+
+const jsonResponse = (body) => Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+
+test("built-in providers are registered in select order", () => {
+  expect(providers.list().map((p) => p.id)).toEqual(["market", "cbrf", "bitkub", "route"]);
+  expect(providers.forPair("USDT").map((p) => p.id)).toEqual(["market", "cbrf", "bitkub", "route"]);
+  expect(providers.forPair("CNY").map((p) => p.id)).toEqual(["market", "cbrf", "route"]);
+});
+
+test("market normalises exchangerate.host payloads per currency", async () => {
+  const fetchImpl = jest.fn(() => jsonResponse({ rates: { RUB: 92.1 } }));
+  const { key, snapshot } = await loadSnapshot(providers.get("market"), { currency: "USD", fetchImpl });
+  expect(fetchImpl).toHaveBeenCalledWith(expect.stringContaining("base=USD"));
+  expect(key).toBe("market:USD");
+  expect(snapshot.data).toEqual({ rate: 92.1 });
+});
+
+test("market rejects payloads without a RUB rate", async () => {
+  const fetchImpl = () => jsonResponse({ rates: {} });
+  await expect(loadSnapshot(providers.get("market"), { currency: "USD", fetchImpl })).rejects.toThrow("No RUB rate");
+});
+
+test("market quotes known currency codes and USDT, not RUB or made-up codes", () => {
+  const market = providers.get("market");
+  expect(["USD", "THB", "USDT"].every((code) => market.supports(code, "RUB"))).toBe(true);
+  expect(market.supports("RUB", "RUB")).toBe(false);
+  expect(market.supports("ZZZ", "RUB")).toBe(false);
+});
+
+test("cbrf divides by nominal", () => {
+  const data = providers.get("cbrf").normalize({
+    Valute: { USD: { CharCode: "USD", Nominal: 1, Value: 90 }, JPY: { CharCode: "JPY", Nominal: 100, Value: 61 } },
+  });
+  expect(data).toEqual({ RUB: 1, USD: 90, JPY: 0.61 });
+});
+
+test("bitkub quotes USDT through bids and the CBRF THB rate", () => {
+  const snapshots = {
+    bitkub: { data: { bids: [[36, 100], [35, 100]], asks: [] } },
+    cbrf: { data: { THB: 2.5 } },
+  };
+  const quote = resolveQuote(providers, "bitkub", { currency: "USDT", amount: 200, snapshots });
+  expect(quote).toMatchObject({ rate: 35.5 * 2.5, avgThbPerUsdt: 35.5, covered: 1 });
+  expect(quote.route.hops).toHaveLength(2);
+  expect(resolveQuote(providers, "bitkub", { currency: "USD", amount: 200, snapshots })).toBeNull();
+});
+
+test("network failures surface as errors", async () => {
+  const fetchImpl = () => Promise.resolve({ ok: false });
+  await expect(loadSnapshot(providers.get("bitkub"), { fetchImpl })).rejects.toThrow("Bitkub network error");
+});
+
+test("bitkub still reports the book average without a CBRF THB rate", () => {
+  const snapshots = { bitkub: { data: { bids: [[36, 100]], asks: [] } } };
+  expect(resolveQuote(providers, "bitkub", { currency: "USDT", amount: 50, snapshots })).toMatchObject({ rate: null, avgThbPerUsdt: 36, covered: 1 });
+});
+
+test("route picks the best path over all snapshots and own edges", () => {
+  const snapshots = {
+    "market:AED": { data: { rate: 23 } },
+    cbrf: { data: { RUB: 1, AED: 24, THB: 2.5 } },
+    bitkub: { data: { bids: [[36, 1000]], asks: [] } },
+  };
+  const edges = [{ id: "own", from: "USDT", to: "AED", rate: 3.6, label: "exchanger" }];
+  const quote = resolveQuote(providers, "route", { currency: "AED", amount: 360, snapshots, edges });
+  expect(quote.routes.map((r) => r.hops.map((h) => h.edge.to).join(">"))).toEqual(["USDT>THB>RUB", "RUB", "RUB"]);
+  expect(quote.rate).toBeCloseTo((36 * 2.5) / 3.6);
+});
+
+test("bitkub buy side prices USDT from the asks", () => {
+  const snapshots = { bitkub: { data: { bids: [[36, 100]], asks: [[37, 100], [38, 100]] } }, cbrf: { data: { THB: 2.5 } } };
+  const quote = resolveQuote(providers, "bitkub", { currency: "USDT", amount: 200, snapshots, side: "buy" });
+  expect(quote).toMatchObject({ rate: 37.5 * 2.5, avgThbPerUsdt: 37.5, covered: 1 });
+  expect(quote.fill.worst).toBe(38);
+});
+
+test("bitkub inverse walks the book for a RUB target", () => {
+  const snapshots = { bitkub: { data: { bids: [[36, 100], [35, 100]], asks: [[37, 100], [38, 100]] } }, cbrf: { data: { THB: 2.5 } } };
+  // 7100 THB: 3600 from the first bid level, 3500 from the second
+  const sell = resolveInverse(providers, "bitkub", { currency: "USDT", rub: 7100 * 2.5, snapshots });
+  expect(sell).toMatchObject({ amount: 200, avgThbPerUsdt: 35.5, covered: 1 });
+  expect(sell.hops).toEqual([{ source: "bitkub" }, { source: "cbrf" }]);
+  const buy = resolveInverse(providers, "bitkub", { currency: "USDT", rub: 7500 * 2.5, snapshots, side: "buy" });
+  expect(buy).toMatchObject({ amount: 200, avgThbPerUsdt: 37.5, covered: 1 });
+  expect(resolveInverse(providers, "bitkub", { currency: "USDT", rub: 100000 * 2.5, snapshots }).covered).toBeLessThan(1);
+});
+
+test("flat and route sources invert by bisection", () => {
+  const snapshots = { "market:USD": { data: { rate: 90 } }, cbrf: { data: { RUB: 1, USD: 89 } } };
+  expect(resolveInverse(providers, "market", { currency: "USD", rub: 9000, snapshots }).amount).toBeCloseTo(100, 6);
+  const route = resolveInverse(providers, "route", { currency: "USD", rub: 9000, snapshots });
+  expect(route.amount).toBeCloseTo(100, 6);
+  expect(route.hops).toEqual([{ source: "market" }]);
+  expect(resolveInverse(providers, "market", { currency: "USD", rub: 9000, snapshots: {} })).toBeNull();
+  expect(resolveInverse(providers, "market", { currency: "USD", rub: 9000, snapshots, date: "2024-01-09" })).toBeNull();
+});
@@ -0,0 +1,68 @@
+import { getJson } from "./registry.js";
+
+// How far back to look for the last published rate (New Year holidays run ~10 days).
+export const ARCHIVE_FALLBACK_DAYS = 14;
+
+export const archiveUrl = (date) => `https://www.cbr-xml-daily.ru/archive/${date.replace(/-/g, "/")}/daily_json.js`;
+
+export function previousDay(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+// Archived days worth asking for: a real calendar day from the first official rate up to
+// tomorrow (the next day's rates are published the afternoon before).
+export const FIRST_ARCHIVE_DATE = "1992-07-01";
+
+export function isArchiveDate(date, now = Date.now()) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date ?? "")) return false;
+  const d = new Date(`${date}T00:00:00Z`);
+  if (Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== date) return false;
+  return date >= FIRST_ARCHIVE_DATE && d.getTime() <= now + 24 * 60 * 60 * 1000;
+}
+
+// Weekends and holidays have no archive file (404): the rate in force is the last published one.
+export async function fetchArchive(fetchImpl, date, maxDays = ARCHIVE_FALLBACK_DAYS) {
+  let day = date;
+  for (let i = 0; i <= maxDays; i++) {
+    const res = await fetchImpl(archiveUrl(day));
+    if (res.ok) return res.json();
+    if (res.status !== 404) throw new Error("CBRF archive network error");
+    day = previousDay(day);
+  }
+  throw new Error(`No CBRF rates published within ${maxDays} days before ${date}`);
+}
+
+// Official CBRF daily quotes for every currency at once; ctx.date loads the archive.
+export const cbrfProvider = {
+  id: "cbrf",
+  label: "ЦБ РФ (официальный)",
+  caption: "ЦБ РФ",
+  ttlMs: 6 * 60 * 60 * 1000,
+  maxAgeMs: 36 * 60 * 60 * 1000, // covers a missed morning update, not a missed day
+  dated: true,
+  errorMessage: "Не удалось получить курс ЦБ РФ.",
+  supports: (base, quote = "RUB") => quote === "RUB",
+  fetch: ({ fetchImpl, date }) =>
+    date ? fetchArchive(fetchImpl, date) : getJson(fetchImpl, "https://www.cbr-xml-daily.ru/daily_json.js", "CBRF"),
+  proxyPath: ({ date }) => (date ? `/rates/cbrf?date=${date}` : "/rates/cbrf"),
+  effectiveDate: (raw) => (typeof raw?.Date === "string" ? raw.Date.slice(0, 10) : null),
+  normalize(raw) {
+    const map = { RUB: 1 };
+    if (raw && raw.Valute) {
+      Object.values(raw.Valute).forEach((v) => {
+        const code = v.CharCode;
+        const nominal = Number(v.Nominal) || 1;
+        const value = Number(v.Value);
+        if (code && value) map[code] = value / nominal; // RUB per 1 unit
+      });
+    }
+    return map;
+  },
+  quote: (data, { currency }) => (data?.[currency] ? { rate: data[currency] } : null),
+  edges: (data) =>
+    Object.entries(data ?? {})
+      .filter(([code, rate]) => code !== "RUB" && rate > 0)
+      .map(([code, rate]) => ({ id: `cbrf:${code}`, from: code, to: "RUB", rate, label: "ЦБ РФ", source: "cbrf" })),
+};
@@ -0,0 +1,73 @@
+import { providers, loadSnapshot, resolveQuote, isFresh } from "./index";
+import { archiveUrl, previousDay, fetchArchive, isArchiveDate } from "./cbrf";
+import dec30 from "./__fixtures__/cbrf-2023-12-30.json";
+import jan12 from "./__fixtures__/cbrf-2024-01-12.json";
+
+const fixtures = { "2023/12/30": dec30, "2024/01/12": jan12 };
+
+// Serves the recorded archive days; every other day is a 404 like on cbr-xml-daily.ru.
+const archiveFetch = () =>
+  jest.fn((url) => {
+    const day = url.match(/archive\/(\d{4}\/\d{2}\/\d{2})\//)?.[1];
+    const body = fixtures[day];
+    return Promise.resolve(body ? { ok: true, status: 200, json: () => Promise.resolve(body) } : { ok: false, status: 404 });
+  });
+
+const cbrf = providers.get("cbrf");
+
+test("archive urls and day arithmetic", () => {
+  expect(archiveUrl("2024-01-12")).toBe("https://www.cbr-xml-daily.ru/archive/2024/01/12/daily_json.js");
+  expect(previousDay("2024-01-01")).toBe("2023-12-31");
+  expect(previousDay("2024-03-01")).toBe("2024-02-29");
+});
+
+test("archive dates: real days from the first official rate up to tomorrow", () => {
+  const now = Date.UTC(2024, 0, 12, 9);
+  expect(isArchiveDate("2024-01-12", now)).toBe(true);
+  expect(isArchiveDate("2024-01-13", now)).toBe(true);
+  expect(isArchiveDate("2024-01-14", now)).toBe(false);
+  expect(isArchiveDate("2023-02-29", now)).toBe(false);
+  expect(isArchiveDate("1992-06-30", now)).toBe(false);
+  expect(isArchiveDate("12.01.2024", now)).toBe(false);
+});
+
+test("a published day loads directly", async () => {
+  const fetchImpl = archiveFetch();
+  const { key, snapshot } = await loadSnapshot(cbrf, { date: "2024-01-12", fetchImpl, now: 0 });
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+  expect(key).toBe("cbrf@2024-01-12");
+  expect(snapshot).toMatchObject({ asOf: "2024-01-12", rateDate: "2024-01-12" });
+  expect(snapshot.data.USD).toBe(88.7772);
+  expect(snapshot.data.JPY).toBeCloseTo(0.612047);
+});
+
+test("holidays fall back to the previous published rate", async () => {
+  const fetchImpl = archiveFetch();
+  const { snapshot } = await loadSnapshot(cbrf, { date: "2024-01-05", fetchImpl });
+  expect(fetchImpl).toHaveBeenCalledTimes(7);
+  expect(snapshot).toMatchObject({ asOf: "2024-01-05", rateDate: "2023-12-30" });
+  expect(snapshot.data.USD).toBe(89.6883);
+});
+
+test("gives up after the fallback window and on server errors", async () => {
+  await expect(fetchArchive(archiveFetch(), "2023-06-01", 3)).rejects.toThrow(/within 3 days/);
+  const failing = () => Promise.resolve({ ok: false, status: 503 });
+  await expect(fetchArchive(failing, "2024-01-12")).rejects.toThrow("CBRF archive network error");
+});
+
+test("dated snapshots are always fresh and only dated providers quote them", async () => {
+  const { key, snapshot } = await loadSnapshot(cbrf, { date: "2024-01-12", fetchImpl: archiveFetch(), now: 0 });
+  const snapshots = { [key]: snapshot, "market:USD": { data: { rate: 1 } } };
+  expect(isFresh(snapshot, cbrf, Date.now())).toBe(true);
+  expect(resolveQuote(providers, "cbrf", { currency: "CNY", date: "2024-01-12", snapshots })).toEqual({ rate: 12.3766 });
+  expect(resolveQuote(providers, "cbrf", { currency: "CNY", snapshots })).toBeNull();
+  expect(resolveQuote(providers, "market", { currency: "USD", date: "2024-01-12", snapshots })).toBeNull();
+});
+
+test("today's feed records its own rate date", async () => {
+  const fetchImpl = () => Promise.resolve({ ok: true, json: () => Promise.resolve(jan12) });
+  const { key, snapshot } = await loadSnapshot(cbrf, { fetchImpl });
+  expect(key).toBe("cbrf");
+  expect(snapshot.rateDate).toBe("2024-01-12");
+  expect(snapshot.asOf).toBeUndefined();
+});
@@ -0,0 +1,11 @@
+import { createRegistry } from "./registry.js";
+import { marketProvider } from "./market.js";
+import { cbrfProvider } from "./cbrf.js";
+import { bitkubProvider } from "./bitkub.js";
+import { routeProvider } from "./route.js";
+
+export * from "./registry.js";
+
+// Built-in sources, in the order they appear in the source select.
+// A new source is one more module here.
+export const providers = createRegistry([marketProvider, cbrfProvider, bitkubProvider, routeProvider]);
@@ -0,0 +1,29 @@
+import { getJson } from "./registry.js";
+
+// Bases worth asking exchangerate.host for: ISO 4217 codes as the runtime knows them, plus USDT.
+// Without Intl.supportedValuesOf (older WebViews) any code is tried.
+const ISO_CODES = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("currency") : null;
+export const isMarketBase = (code) => code !== "RUB" && (!ISO_CODES || code === "USDT" || ISO_CODES.includes(code));
+
+// exchangerate.host – mid-market quote, fetched per base currency.
+export const marketProvider = {
+  id: "market",
+  label: "Рынок (exchangerate.host)",
+  caption: "exchangerate.host",
+  ttlMs: 15 * 60 * 1000,
+  maxAgeMs: 6 * 60 * 60 * 1000,
+  perCurrency: true,
+  errorMessage: "Не удалось обновить рыночный курс.",
+  supports: (base, quote = "RUB") => quote === "RUB" && isMarketBase(base),
+  fetch: ({ currency, fetchImpl }) =>
+    getJson(fetchImpl, `https://api.exchangerate.host/latest?base=${encodeURIComponent(currency)}&symbols=RUB`, "Market"),
+  proxyPath: ({ currency }) => `/rates/market?base=${encodeURIComponent(currency)}`,
+  normalize(raw) {
+    const rate = raw?.rates?.RUB;
+    if (!rate) throw new Error("No RUB rate");
+    return { rate };
+  },
+  quote: (data) => (data?.rate ? { rate: data.rate } : null),
+  edges: (data, { currency }) =>
+    data?.rate ? [{ id: `market:${currency}`, from: currency, to: "RUB", rate: data.rate, label: "exchangerate.host", source: "market" }] : [],
+};
@@ -0,0 +1,160 @@
+// -------------------------------------------------
+// Rate provider registry
+//
+// A provider is a plain object:
+//   id          – stable key, used as `state.source` and as the snapshot key
+//   label       – text for the source <select>
+//   caption     – short text for the "Источник" line
+//   ttlMs       – how long a fetched snapshot counts as fresh
+//   maxAgeMs    – age past which results built on the snapshot are blocked
+//                 (src/lib/freshness); 4 × ttlMs unless set
+//   perCurrency – true when fetch() returns data for one base currency only
+//   requires    – ids of providers whose snapshots quote() also reads
+//   errorMessage– user-facing text when fetch/normalize fails
+//                 (label, caption and errorMessage are the Russian defaults;
+//                 translations live under "provider.<id>.*" in src/lib/locales)
+//   derived     – true when the provider only quotes from other snapshots
+//                 (no fetch/normalize of its own)
+//   dated       – true when fetch() honours ctx.date (YYYY-MM-DD) for
+//                 historical quotes; dated snapshots never go stale
+//   supports(base, quote)         – whether the pair can be quoted
+//   fetch({ currency, date, fetchImpl }) – raw upstream payload
+//   normalize(raw, { currency })  – data kept in state.snapshots
+//   effectiveDate(raw)            – optional, day the payload's quotes apply to
+//   proxyPath({ currency, date }) – optional, same payload via the TANAQ proxy (server/)
+//   quote(data, ctx)              – { rate, ... } in RUB per 1 unit, or null
+//   inverse(data, ctx)            – optional, { amount, rate, covered, hops? } for ctx.rub gross RUB;
+//                                   without it resolveInverse() bisects over quote()
+//   edges(data, { currency })     – optional conversion edges for src/lib/routes
+//   validate(data, ctx)           – optional, problems with the payload itself as
+//                                   sanity issues (src/lib/sanity)
+// -------------------------------------------------
+
+import { solveIncreasing } from "../conversion.js";
+import { CACHED_AT_HEADER } from "../offline.js";
+
+const REQUIRED_KEYS = ["id", "label", "ttlMs", "supports", "quote"];
+const FETCH_KEYS = ["fetch", "normalize"];
+
+export function createRegistry(initial = []) {
+  const byId = new Map();
+
+  const registry = {
+    register(provider) {
+      const keys = provider?.derived ? REQUIRED_KEYS : [...REQUIRED_KEYS, ...FETCH_KEYS];
+      const missing = keys.filter((k) => provider?.[k] === undefined);
+      if (missing.length) throw new Error(`Provider "${provider?.id ?? "?"}" is missing: ${missing.join(", ")}`);
+      if (byId.has(provider.id)) throw new Error(`Provider "${provider.id}" is already registered`);
+      byId.set(provider.id, { requires: [], perCurrency: false, derived: false, dated: false, maxAgeMs: provider.ttlMs * 4, ...provider });
+      return registry;
+    },
+    get: (id) => byId.get(id) ?? null,
+    list: () => [...byId.values()],
+    forPair: (base, quote = "RUB") => registry.list().filter((p) => p.supports(base, quote)),
+  };
+
+  initial.forEach((p) => registry.register(p));
+  return registry;
+}
+
+// "market:USD", "cbrf", "cbrf@2024-01-09"
+export function snapshotKey(provider, currency, date) {
+  const key = provider.perCurrency ? `${provider.id}:${currency}` : provider.id;
+  return date && provider.dated ? `${key}@${date}` : key;
+}
+
+export function snapshotFor(snapshots, provider, currency, date) {
+  return provider ? snapshots?.[snapshotKey(provider, currency, date)] ?? null : null;
+}
+
+export function isFresh(snapshot, provider, now = Date.now()) {
+  if (!snapshot?.updated || !provider) return false;
+  if (snapshot.asOf) return true; // archived quotes do not change
+  return now - new Date(snapshot.updated).getTime() < provider.ttlMs;
+}
+
+// Providers to (re)load for `id`: its dependencies first, then itself.
+export function withDependencies(registry, id) {
+  const out = [];
+  const visit = (pid) => {
+    const p = registry.get(pid);
+    if (!p || out.includes(p)) return;
+    p.requires.forEach(visit);
+    out.push(p);
+  };
+  visit(id);
+  return out;
+}
+
+// Fetch + normalise one provider. Returns { key, snapshot } for state.snapshots.
+// snapshot: { data, updated, rateDate, asOf?, stale? } – asOf is set for historical (dated) loads.
+// With `proxyUrl` the payload comes from the proxy's { data, fetchedAt, stale } envelope;
+// `updated` is then when the proxy fetched it and `stale` marks a cached copy of a failed upstream.
+// A reply from the service worker's cache (src/lib/offline) is dated by when it was cached, and stale too.
+export async function loadSnapshot(provider, { currency, date = null, fetchImpl = fetch, now = Date.now(), proxyUrl = null } = {}) {
+  const asOf = provider.dated && date ? date : null;
+  const viaProxy = Boolean(proxyUrl && provider.proxyPath);
+  let cachedAt = null;
+  const tracked = async (...args) => {
+    const res = await fetchImpl(...args);
+    cachedAt = res?.headers?.get?.(CACHED_AT_HEADER) ?? cachedAt;
+    return res;
+  };
+  const envelope = viaProxy ? await getJson(tracked, proxyUrl.replace(/\/+$/, "") + provider.proxyPath({ currency, date: asOf }), "Proxy") : null;
+  const raw = viaProxy ? envelope.data : await provider.fetch({ currency, date: asOf, fetchImpl: tracked });
+  const data = provider.normalize(raw, { currency });
+  const updated = new Date(viaProxy && envelope.fetchedAt ? envelope.fetchedAt : cachedAt ? Number(cachedAt) : now).toISOString();
+  let snapshot = { data, updated, rateDate: provider.effectiveDate?.(raw) ?? asOf };
+  if (asOf) snapshot = { ...snapshot, asOf };
+  if (envelope?.stale || cachedAt) snapshot = { ...snapshot, stale: true };
+  return { key: snapshotKey(provider, currency, asOf), snapshot };
+}
+
+// ctx: { currency, amount, snapshots, date?, edges? }
+// With ctx.date set only dated providers can quote.
+export function resolveQuote(registry, id, ctx) {
+  const provider = registry.get(id);
+  if (!provider || !provider.supports(ctx.currency, "RUB")) return null;
+  if (ctx.date && !provider.dated) return null;
+  if (provider.derived) return provider.quote(null, { ...ctx, registry }) ?? null;
+  const snapshot = snapshotFor(ctx.snapshots, provider, ctx.currency, ctx.date);
+  if (!snapshot) return null;
+  return provider.quote(snapshot.data, ctx) ?? null;
+}
+
+// Reverse direction: how much of ctx.currency buys ctx.rub gross RUB (before fees).
+// ctx: as for resolveQuote, with `rub` instead of `amount`.
+// Returns { amount, rate, covered, hops, quote? } or null.
+export function resolveInverse(registry, id, ctx) {
+  const provider = registry.get(id);
+  if (!provider || !provider.supports(ctx.currency, "RUB") || !(ctx.rub > 0)) return null;
+  if (ctx.date && !provider.dated) return null;
+  if (provider.inverse && !provider.derived) {
+    const snapshot = snapshotFor(ctx.snapshots, provider, ctx.currency, ctx.date);
+    return snapshot ? provider.inverse(snapshot.data, ctx) ?? null : null;
+  }
+  // generic path: rates may depend on the amount (books, routes), so bisect amount · rate(amount) = rub
+  const quoteAt = (amount) => resolveQuote(registry, id, { ...ctx, amount });
+  const probe = quoteAt(1);
+  if (!probe?.rate) return null;
+  const amount = solveIncreasing((a) => a * (quoteAt(a)?.rate ?? 0), ctx.rub, { guess: ctx.rub / probe.rate, tolerance: 1e-12 });
+  if (amount === null) return null;
+  const quote = quoteAt(amount);
+  if (!quote?.rate) return null;
+  return { amount, rate: quote.rate, covered: quote.covered ?? 1, hops: quote.route?.hops?.map((h) => ({ source: h.edge.source })) ?? [{ source: id }], quote };
+}
+
+// Route edges from every stored snapshot whose provider knows how to build them.
+export function collectEdges(registry, snapshots = {}) {
+  return Object.entries(snapshots ?? {}).flatMap(([key, snapshot]) => {
+    const [id, currency] = key.split(":");
+    const provider = registry.get(id);
+    return provider?.edges && snapshot?.data ? provider.edges(snapshot.data, { currency }) : [];
+  });
+}
+
+export async function getJson(fetchImpl, url, label) {
+  const res = await fetchImpl(url);
+  if (!res.ok) throw Object.assign(new Error(`${label} network error (HTTP ${res.status})`), { status: res.status });
+  return res.json();
+}
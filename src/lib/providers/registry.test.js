@@ -0,0 +1,105 @@
+import { createRegistry, loadSnapshot, resolveQuote, isFresh, withDependencies, snapshotKey, collectEdges } from "./registry";
+
+const fakeProvider = (overrides = {}) => ({
+  id: "fake",
+  label: "Fake",
+  caption: "fake",
+  ttlMs: 1000,
+  supports: (base, quote) => quote === "RUB" && base === "USD",
+  fetch: jest.fn(async ({ currency }) => ({ price: 90, currency })),
+  normalize: (raw) => ({ rate: raw.price }),
+  quote: (data) => (data?.rate ? { rate: data.rate } : null),
+  ...overrides,
+});
+
+describe("createRegistry", () => {
+  test("registers providers in order and filters by pair", () => {
+    const a = fakeProvider({ id: "a" });
+    const b = fakeProvider({ id: "b", supports: () => true });
+    const registry = createRegistry([a, b]);
+    expect(registry.list().map((p) => p.id)).toEqual(["a", "b"]);
+    expect(registry.forPair("EUR").map((p) => p.id)).toEqual(["b"]);
+    expect(registry.get("missing")).toBeNull();
+  });
+
+  test("rejects incomplete and duplicate providers", () => {
+    const registry = createRegistry([fakeProvider()]);
+    expect(() => registry.register({ id: "broken", label: "x" })).toThrow(/missing: ttlMs, supports, quote, fetch, normalize/);
+    expect(() => registry.register(fakeProvider())).toThrow(/already registered/);
+  });
+
+  test("derived providers need no fetch and quote without a snapshot", () => {
+    const registry = createRegistry([fakeProvider({ id: "derived", derived: true, fetch: undefined, normalize: undefined, quote: (_, ctx) => ({ rate: 1, registry: ctx.registry }) })]);
+    expect(resolveQuote(registry, "derived", { currency: "USD", snapshots: {} })).toEqual({ rate: 1, registry });
+  });
+
+  test("withDependencies puts required providers first", () => {
+    const registry = createRegistry([fakeProvider({ id: "ref" }), fakeProvider({ id: "book", requires: ["ref"] })]);
+    expect(withDependencies(registry, "book").map((p) => p.id)).toEqual(["ref", "book"]);
+    expect(withDependencies(registry, "nope")).toEqual([]);
+  });
+});
+
+describe("snapshots", () => {
+  test("loadSnapshot fetches through the provider and stamps the time", async () => {
+    const provider = fakeProvider();
+    const registry = createRegistry([provider]);
+    const { key, snapshot } = await loadSnapshot(registry.get("fake"), { currency: "USD", fetchImpl: jest.fn(), now: 0 });
+    expect(key).toBe("fake");
+    expect(snapshot).toEqual({ data: { rate: 90 }, updated: "1970-01-01T00:00:00.000Z", rateDate: null });
+    expect(provider.fetch).toHaveBeenCalledWith(expect.objectContaining({ currency: "USD" }));
+  });
+
+  test("loadSnapshot can go through the proxy envelope", async () => {
+    const provider = fakeProvider({ proxyPath: ({ currency }) => `/rates/fake?base=${currency}` });
+    const fetchImpl = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ data: { price: 91 }, fetchedAt: 5000, stale: true }) }));
+    const { snapshot } = await loadSnapshot(provider, { currency: "USD", fetchImpl, now: 9000, proxyUrl: "https://proxy.example/" });
+    expect(fetchImpl).toHaveBeenCalledWith("https://proxy.example/rates/fake?base=USD");
+    expect(provider.fetch).not.toHaveBeenCalled();
+    expect(snapshot).toEqual({ data: { rate: 91 }, updated: new Date(5000).toISOString(), rateDate: null, stale: true });
+  });
+
+  test("a copy from the service worker's cache keeps the time it was cached and counts as stale", async () => {
+    const provider = fakeProvider({ fetch: async ({ fetchImpl }) => (await fetchImpl("https://fake.example/")).json() });
+    const headers = new Map([["x-tanaq-cached-at", "5000"]]);
+    const fetchImpl = jest.fn(async () => ({ ok: true, headers, json: async () => ({ price: 89 }) }));
+    const { snapshot } = await loadSnapshot(provider, { currency: "USD", fetchImpl, now: 9000 });
+    expect(snapshot).toEqual({ data: { rate: 89 }, updated: new Date(5000).toISOString(), rateDate: null, stale: true });
+  });
+
+  test("providers without a proxy path ignore proxyUrl", async () => {
+    const provider = fakeProvider();
+    await loadSnapshot(provider, { currency: "USD", fetchImpl: jest.fn(), proxyUrl: "https://proxy.example" });
+    expect(provider.fetch).toHaveBeenCalled();
+  });
+
+  test("per-currency providers get one snapshot per currency", () => {
+    const registry = createRegistry([fakeProvider({ perCurrency: true })]);
+    expect(snapshotKey(registry.get("fake"), "USD")).toBe("fake:USD");
+  });
+
+  test("isFresh honours the provider TTL", () => {
+    const provider = fakeProvider();
+    const snapshot = { updated: new Date(10_000).toISOString() };
+    expect(isFresh(snapshot, provider, 10_500)).toBe(true);
+    expect(isFresh(snapshot, provider, 11_000)).toBe(false);
+    expect(isFresh(null, provider)).toBe(false);
+  });
+
+  test("resolveQuote reads the provider's snapshot and checks support", () => {
+    const registry = createRegistry([fakeProvider()]);
+    const snapshots = { fake: { data: { rate: 91.5 }, updated: "x" } };
+    expect(resolveQuote(registry, "fake", { currency: "USD", snapshots })).toEqual({ rate: 91.5 });
+    expect(resolveQuote(registry, "fake", { currency: "EUR", snapshots })).toBeNull();
+    expect(resolveQuote(registry, "fake", { currency: "USD", snapshots: {} })).toBeNull();
+  });
+});
+
+test("collectEdges asks each snapshot's provider for its edges", () => {
+  const registry = createRegistry([
+    fakeProvider({ perCurrency: true, edges: (data, { currency }) => [{ from: currency, to: "RUB", rate: data.rate }] }),
+    fakeProvider({ id: "plain" }),
+  ]);
+  const snapshots = { "fake:USD": { data: { rate: 90 } }, plain: { data: { rate: 1 } }, unknown: { data: {} } };
+  expect(collectEdges(registry, snapshots)).toEqual([{ from: "USD", to: "RUB", rate: 90 }]);
+});
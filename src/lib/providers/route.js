@@ -0,0 +1,18 @@
+import { collectEdges } from "./registry.js";
+import { findRoutes, withReverseEdges } from "../routes.js";
+
+// Best path over every loaded source plus the user's own edges (ctx.edges).
+export const routeProvider = {
+  id: "route",
+  label: "Лучший маршрут (все источники)",
+  caption: "Маршрут",
+  ttlMs: 60 * 1000,
+  derived: true,
+  requires: ["cbrf", "market", "bitkub"],
+  supports: (base, quote = "RUB") => quote === "RUB" && base !== "RUB",
+  quote(_, { registry, currency, amount, snapshots, edges = [] }) {
+    const graph = withReverseEdges([...collectEdges(registry, snapshots), ...edges]);
+    const routes = findRoutes(graph, { from: currency, amount });
+    return routes.length ? { rate: routes[0].rate, route: routes[0], routes } : null;
+  },
+};
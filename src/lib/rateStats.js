@@ -0,0 +1,71 @@
+import { resolveQuote, snapshotFor } from "./providers/registry.js";
+import { deltaVsCbrf } from "./conversion.js";
+
+// -------------------------------------------------
+// Rate history: points from fetched snapshots, chart series, stats
+//
+// Point: { id, source, currency, rate, at }
+//   rate – RUB per 1 unit as `source` quoted it (Bitkub: top of the bid side, via CBRF THB)
+//   at   – when the snapshot was fetched (ms); id = "<source>|<currency>|<at>"
+// Stored by src/lib/rateStore.
+// -------------------------------------------------
+
+const HOUR = 60 * 60 * 1000;
+
+// labels: "chart.range.<id>" in src/lib/locales
+export const CHART_RANGES = {
+  day: { ms: 24 * HOUR },
+  week: { ms: 7 * 24 * HOUR },
+  month: { ms: 30 * 24 * HOUR },
+};
+
+export const pointId = ({ source, currency, at }) => `${source}|${currency}|${at}`;
+
+// One point per today's snapshot and currency it quotes. Derived providers (routes) are
+// left out: they only recombine the others.
+export function ratePoints(registry, snapshots, currencies) {
+  return registry.list().filter((p) => !p.derived).flatMap((provider) =>
+    currencies.filter((c) => c !== "RUB" && provider.supports(c, "RUB")).flatMap((currency) => {
+      const snapshot = snapshotFor(snapshots, provider, currency, null);
+      const rate = snapshot ? resolveQuote(registry, provider.id, { currency, amount: 1, snapshots })?.rate : null;
+      if (!(rate > 0)) return [];
+      const point = { source: provider.id, currency, rate, at: new Date(snapshot.updated).getTime() };
+      return [{ id: pointId(point), ...point }];
+    }));
+}
+
+// Points of one currency -> { [source]: [{ at, rate, deltaPct }] }, oldest first.
+// deltaPct is taken against the CBRF rate in force at that moment (before the first CBRF
+// point of the range: that first one).
+export function chartSeries(points) {
+  const sorted = [...points].sort((a, b) => a.at - b.at);
+  let cbrf = sorted.find((p) => p.source === "cbrf")?.rate ?? null;
+  const series = {};
+  sorted.forEach(({ source, rate, at }) => {
+    if (source === "cbrf") cbrf = rate;
+    if (!series[source]) series[source] = [];
+    series[source].push({ at, rate, deltaPct: deltaVsCbrf(rate, cbrf).pct });
+  });
+  return series;
+}
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// { min, max, avg, first, last, changePct, avgDeltaPct, maxDeltaPct } of one series, null when empty.
+export function seriesStats(series) {
+  if (!series?.length) return null;
+  const rates = series.map((p) => p.rate);
+  const deltas = series.map((p) => p.deltaPct).filter((d) => d !== null);
+  const first = rates[0];
+  const last = rates[rates.length - 1];
+  return {
+    min: Math.min(...rates),
+    max: Math.max(...rates),
+    avg: average(rates),
+    first,
+    last,
+    changePct: ((last - first) / first) * 100,
+    avgDeltaPct: deltas.length ? average(deltas) : null,
+    maxDeltaPct: deltas.length ? Math.max(...deltas) : null,
+  };
+}
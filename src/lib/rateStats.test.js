@@ -0,0 +1,39 @@
+import { ratePoints, chartSeries, seriesStats } from "./rateStats";
+import { providers } from "./providers";
+
+const AT = "2024-01-10T12:00:00.000Z";
+const T = Date.parse(AT);
+
+test("ratePoints records one point per source and currency from today's snapshots", () => {
+  const snapshots = {
+    cbrf: { data: { USD: 90, THB: 2.5 }, updated: AT },
+    "market:USD": { data: { rate: 91 }, updated: AT },
+    bitkub: { data: { bids: [[36, 100]], asks: [[36.2, 100]] }, updated: AT },
+    "cbrf@2024-01-01": { data: { USD: 80 }, updated: AT, asOf: "2024-01-01" },
+  };
+  const points = ratePoints(providers, snapshots, ["USD", "USDT", "RUB"]);
+  expect(points.map((p) => [p.id, p.rate])).toEqual([
+    [`market|USD|${T}`, 91],
+    [`cbrf|USD|${T}`, 90],
+    [`bitkub|USDT|${T}`, 90],
+  ]);
+  expect(ratePoints(providers, {}, ["USD"])).toEqual([]);
+});
+
+test("chartSeries compares with the CBRF rate in force", () => {
+  const series = chartSeries([
+    { source: "market", rate: 99, at: 3 },
+    { source: "market", rate: 91.8, at: 1 },
+    { source: "cbrf", rate: 90, at: 2 },
+    { source: "cbrf", rate: 99, at: 2.5 },
+  ]);
+  expect(series.cbrf.map((p) => p.deltaPct)).toEqual([0, 0]);
+  expect(series.market.map((p) => [p.at, Math.round(p.deltaPct * 10) / 10])).toEqual([[1, 2], [3, 0]]);
+});
+
+test("seriesStats", () => {
+  expect(seriesStats([])).toBeNull();
+  const stats = seriesStats([{ rate: 100, deltaPct: 1 }, { rate: 90, deltaPct: null }, { rate: 110, deltaPct: 3 }]);
+  expect(stats).toMatchObject({ min: 90, max: 110, avg: 100, first: 100, last: 110, avgDeltaPct: 2, maxDeltaPct: 3 });
+  expect(stats.changePct).toBeCloseTo(10);
+});
@@ -0,0 +1,47 @@
+import { done, run } from "./historyStore.js";
+
+// -------------------------------------------------
+// Rate points in IndexedDB (database "tanaq_rates")
+//
+// One object store, "points" (keyPath "id" = "<source>|<currency>|<at>"), indexed by
+// [currency, at] and at. Re-recording the same snapshot overwrites its point.
+// Point shape: see src/lib/rateStats.
+// -------------------------------------------------
+
+export const RATES_DB_NAME = "tanaq_rates";
+export const RATE_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+const DB_VERSION = 1;
+const STORE = "points";
+
+export async function openRateStore({ indexedDB = window.indexedDB, IDBKeyRange = window.IDBKeyRange, name = RATES_DB_NAME } = {}) {
+  if (!indexedDB) throw new Error("IndexedDB unavailable");
+  const request = indexedDB.open(name, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(STORE, { keyPath: "id" });
+    store.createIndex("currency_at", ["currency", "at"]);
+    store.createIndex("at", "at");
+  };
+  const db = await done(request);
+
+  return {
+    addMany: (points) => run(db, "readwrite", (store) => points.map((p) => store.put(p)), STORE),
+    // oldest first
+    range: (currency, from, to) =>
+      run(db, "readonly", (store) => store.index("currency_at").getAll(IDBKeyRange.bound([currency, from], [currency, to])), STORE),
+    // drops points older than `before`; resolves with how many went
+    prune: async (before) => {
+      let removed = 0;
+      await run(db, "readwrite", (store) => {
+        const cursor = store.index("at").openCursor(IDBKeyRange.upperBound(before, true));
+        cursor.onsuccess = () => {
+          if (!cursor.result) return;
+          cursor.result.delete();
+          removed += 1;
+          cursor.result.continue();
+        };
+      }, STORE);
+      return removed;
+    },
+    close: () => db.close(),
+  };
+}
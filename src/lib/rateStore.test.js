@@ -0,0 +1,24 @@
+import { serialize, deserialize } from "v8";
+import { IDBFactory, IDBKeyRange } from "fake-indexeddb";
+import { openRateStore } from "./rateStore";
+
+// jsdom (jest 27) has no structuredClone, which fake-indexeddb relies on
+if (typeof structuredClone === "undefined") global.structuredClone = (value) => deserialize(serialize(value));
+
+const open = () => openRateStore({ indexedDB: new IDBFactory(), IDBKeyRange });
+const point = (source, currency, at, rate) => ({ id: `${source}|${currency}|${at}`, source, currency, at, rate });
+
+test("points are read back per currency and time range, oldest first", async () => {
+  const store = await open();
+  await store.addMany([point("market", "USD", 30, 91), point("cbrf", "USD", 10, 90), point("cbrf", "EUR", 20, 99), point("market", "USD", 50, 92)]);
+  await store.addMany([point("cbrf", "USD", 10, 90)]);
+  expect((await store.range("USD", 0, 40)).map((p) => p.id)).toEqual(["cbrf|USD|10", "market|USD|30"]);
+  expect(await store.range("CNY", 0, 100)).toEqual([]);
+});
+
+test("prune drops points before the cut-off", async () => {
+  const store = await open();
+  await store.addMany([point("cbrf", "USD", 10, 90), point("cbrf", "USD", 20, 90), point("cbrf", "EUR", 5, 99)]);
+  expect(await store.prune(20)).toBe(2);
+  expect((await store.range("USD", 0, 100)).map((p) => p.at)).toEqual([20]);
+});
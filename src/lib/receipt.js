@@ -0,0 +1,185 @@
+import { createApiClient } from "./api.js";
+import { deltaVsCbrf, hasCustomRate } from "./conversion.js";
+import { createTranslator, defaultT } from "./i18n.js";
+import { mulMoney } from "./money.js";
+
+// -------------------------------------------------
+// Conversion receipts (PDF)
+//
+// A receipt is drawn from a history entry (src/lib/history): receiptSections lays the
+// content out as [{ heading?, rows: [[label, value]] }], createReceiptPdf draws it with
+// pdf-lib. Cyrillic needs an embedded TTF: DejaVu Sans from public/fonts, subset on embed.
+// Texts and number formats follow the translator passed as `t` (Russian by default); DejaVu
+// has no Thai glyphs, so Thai receipts are drawn with the English texts.
+// Inside Telegram the server's bot sends the PDF into the user's chat (server/src/receiptApi).
+// -------------------------------------------------
+
+export const RECEIPT_FONT_URL = `${process.env.PUBLIC_URL ?? ""}/fonts/DejaVuSans.ttf`;
+
+const signed = (t, n, digits = 2) => (Number.isFinite(n) ? `${n > 0 ? "+" : ""}${t.num(n, digits)}` : "—");
+
+export function receiptSections(entry, { sourceLabel = (id) => id ?? "—", t = defaultT } = {}) {
+  const isBasket = entry.kind === "basket";
+  const rub = (n) => `${t.money(n)} ₽`;
+  const sections = [];
+
+  const head = [[t("receipt.calculatedAt"), t.dateTime(entry.ts)]];
+  if (entry.asOf) head.push([t("receipt.asOf"), t.date(entry.asOf)]);
+  if (isBasket) {
+    head.push([t("receipt.lineCount"), String(entry.lines?.length ?? 0)], [t("receipt.defaultSource"), sourceLabel(entry.source)]);
+  } else {
+    head.push(
+      [t("receipt.amount"), `${t.money(entry.amount, entry.currency)} ${entry.currency}`],
+      [t("receipt.source"), hasCustomRate(entry.customRate, t.locale) ? t("receipt.customRate") : sourceLabel(entry.source)],
+      [t("receipt.rate"), t("receipt.ratePerUnit", { rate: t.num(entry.rate, 4), currency: entry.currency })],
+    );
+    if (entry.feeProfile) head.push([t("receipt.feeProfile"), entry.feeProfile]);
+  }
+  sections.push({ rows: head });
+
+  if (isBasket && entry.lines?.length) {
+    sections.push({
+      heading: t("receipt.lines"),
+      rows: entry.lines.map((l) => [`${l.description || t("receipt.line")} · ${t.money(l.amount, l.currency)} ${l.currency}${l.rate ? ` × ${t.num(l.rate, 4)}` : ""}`, rub(l.rub)]),
+    });
+  }
+
+  if (entry.fees?.length) {
+    sections.push({ heading: t("receipt.fees"), rows: entry.fees.map((f) => [`${f.label}${f.source ? ` · ${sourceLabel(f.source)}` : ""}`, `−${rub(f.rub)}`]) });
+  }
+
+  const vsCbrf = t("receipt.vsCbrf");
+  if (isBasket) {
+    if (entry.deltaRub !== null && entry.deltaRub !== undefined) sections.push({ heading: vsCbrf, rows: [[t("receipt.delta"), `${signed(t, entry.deltaRub)} ₽`]] });
+  } else {
+    const { abs, pct } = deltaVsCbrf(entry.rate, entry.cbrfRate);
+    const cbrf = entry.cbrfRate ? `${t.num(entry.cbrfRate, 4)} ₽` : "—";
+    const rows = [[t("receipt.cbrfRate"), entry.cbrfRate && entry.rateDate ? t("receipt.cbrfRateOn", { rate: cbrf, date: t.date(entry.rateDate) }) : cbrf]];
+    if (pct !== null) {
+      rows.push(
+        [t("receipt.delta"), t("receipt.deltaPerUnit", { abs: signed(t, abs, 4), pct: signed(t, pct), currency: entry.currency })],
+        [t("receipt.deltaTotal"), `${signed(t, mulMoney(entry.amount, abs))} ₽`],
+      );
+    }
+    sections.push({ heading: vsCbrf, rows });
+  }
+
+  sections.push({ rows: [[t("receipt.total"), rub(entry.rub)]], total: true });
+
+  const notes = [];
+  if (entry.tag) notes.push([t("receipt.tag"), entry.tag]);
+  if (entry.note) notes.push([t("receipt.note"), entry.note]);
+  if (notes.length) sections.push({ rows: notes });
+  return sections;
+}
+
+// tanaq-2024-01-10-1230.pdf (local time of the calculation)
+export function receiptFileName(entry) {
+  const d = new Date(entry.ts);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `tanaq-${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}.pdf`;
+}
+
+// Short text sent along with the PDF.
+export function receiptCaption(entry, { t = defaultT } = {}) {
+  const what = entry.kind === "basket" ? t("receipt.basket", { count: entry.lines?.length ?? 0 }) : `${t.money(entry.amount, entry.currency)} ${entry.currency}`;
+  return `TANAQ: ${what} → ${t.money(entry.rub)} ₽${entry.note ? `\n${entry.note}` : ""}`;
+}
+
+let fontCache = null;
+export function loadReceiptFont({ url = RECEIPT_FONT_URL, fetchImpl = fetch } = {}) {
+  if (!fontCache) {
+    fontCache = fetchImpl(url).then((res) => {
+      if (!res.ok) throw new Error(`Receipt font unavailable (HTTP ${res.status})`);
+      return res.arrayBuffer();
+    });
+    fontCache.catch(() => { fontCache = null; });
+  }
+  return fontCache;
+}
+
+// Splits `text` into lines no wider than `width` at `size`.
+function wrap(font, text, size, width) {
+  const lines = [];
+  String(text).split("\n").forEach((paragraph) => {
+    let line = "";
+    paragraph.split(" ").forEach((word) => {
+      const next = line ? `${line} ${word}` : word;
+      if (line && font.widthOfTextAtSize(next, size) > width) {
+        lines.push(line);
+        line = word;
+      } else line = next;
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+// A4 receipt; resolves with the PDF bytes (Uint8Array). pdf-lib is loaded on first use.
+export async function createReceiptPdf(entry, { fontBytes, sourceLabel, t: userT = defaultT, title }) {
+  const t = userT.locale === "th" ? createTranslator("en") : userT;
+  title = title ?? t("receipt.title");
+  const [{ PDFDocument, rgb }, { default: fontkit }] = await Promise.all([import("pdf-lib"), import("@pdf-lib/fontkit")]);
+  const doc = await PDFDocument.create();
+  doc.registerFontkit(fontkit);
+  const font = await doc.embedFont(fontBytes, { subset: true });
+  doc.setTitle(title);
+  doc.setProducer("TANAQ");
+  doc.setCreationDate(new Date(entry.ts));
+
+  const [W, H] = [595.28, 841.89];
+  const M = 48;
+  const muted = rgb(0.4, 0.42, 0.47);
+  let page = doc.addPage([W, H]);
+  let y = H - M;
+  const ensure = (height) => {
+    if (y - height >= M) return;
+    page = doc.addPage([W, H]);
+    y = H - M;
+  };
+  const text = (value, x, size, color = rgb(0, 0, 0)) => page.drawText(value, { x, y, size, font, color });
+
+  text("TANAQ", M, 22);
+  y -= 22;
+  text(title, M, 12, muted);
+  y -= 28;
+
+  receiptSections(entry, { sourceLabel, t }).forEach(({ heading, rows, total }) => {
+    if (heading) {
+      ensure(24);
+      text(heading, M, 12);
+      y -= 18;
+    }
+    rows.forEach(([label, value]) => {
+      const size = total ? 14 : 10;
+      const valueLines = wrap(font, value, size, (W - 2 * M) * 0.6);
+      const valueWidth = Math.max(...valueLines.map((line) => font.widthOfTextAtSize(line, size)));
+      const labelLines = wrap(font, label, size, W - 2 * M - valueWidth - 16);
+      const count = Math.max(labelLines.length, valueLines.length);
+      ensure(count * (size + 4));
+      for (let i = 0; i < count; i++) {
+        if (labelLines[i]) text(labelLines[i], M, size, total ? rgb(0, 0, 0) : muted);
+        if (valueLines[i]) text(valueLines[i], W - M - font.widthOfTextAtSize(valueLines[i], size), size);
+        y -= size + 4;
+      }
+    });
+    page.drawLine({ start: { x: M, y: y + 2 }, end: { x: W - M, y: y + 2 }, thickness: 0.5, color: rgb(0.85, 0.86, 0.88) });
+    y -= 14;
+  });
+
+  return doc.save();
+}
+
+export function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary);
+}
+
+// -------- Client --------
+export function createReceiptClient(options) {
+  const request = createApiClient(options);
+  return {
+    send: ({ fileName, caption, bytes }) => request("POST", "/receipts", { fileName, caption, pdf: toBase64(bytes) }),
+  };
+}
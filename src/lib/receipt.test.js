@@ -0,0 +1,53 @@
+import { readFileSync } from "fs";
+import { join } from "path";
+import { PDFDocument } from "pdf-lib";
+import { createTranslator } from "./i18n";
+import { receiptSections, receiptFileName, receiptCaption, createReceiptPdf, toBase64 } from "./receipt";
+
+const single = {
+  kind: "single", ts: new Date(2024, 0, 10, 12, 30).getTime(), amount: 1000, currency: "USD", rate: 92.5, rub: 92500,
+  source: "market", customRate: "", feeProfile: "Банк", fees: [{ ruleId: "r1", label: "Комиссия банка", rub: 500 }],
+  cbrfRate: 90, rateDate: "2024-01-10", asOf: null, direction: "toRub", note: "Счёт 42", tag: "Sigma",
+};
+const flat = (sections) => Object.fromEntries(sections.flatMap((s) => s.rows));
+
+test("receiptSections lay out amount, source, fees, CBRF reference and note", () => {
+  const rows = flat(receiptSections(single, { sourceLabel: (id) => `[${id}]` }));
+  expect(rows["Источник"]).toBe("[market]");
+  expect(rows["Сумма"]).toMatch(/^1\s000 USD$/);
+  expect(rows["Комиссия банка"]).toMatch(/^−500 ₽$/);
+  expect(rows["Курс ЦБ РФ"]).toBe("90 ₽ от 10.01.2024");
+  expect(rows["Δ к ЦБ РФ"]).toBe("+2,5 ₽ (+2,78%) на 1 USD");
+  expect(rows["Δ на сумму"]).toMatch(/^\+2\s500 ₽$/);
+  expect(rows["Итого"]).toMatch(/^92\s500 ₽$/);
+  expect(rows["Примечание"]).toBe("Счёт 42");
+  expect(flat(receiptSections({ ...single, customRate: "95" }))["Источник"]).toBe("Пользовательский курс");
+  // 10.04 × 0.375 = 3.765 in decimals (3.7649… as floats)
+  expect(flat(receiptSections({ ...single, amount: 10.04, rate: 90.375 }))["Δ на сумму"]).toBe("+3,77 ₽");
+  // custom rates are kept as typed, with the locale's decimal mark or grouping
+  expect(flat(receiptSections({ ...single, customRate: "89,5" }))["Источник"]).toBe("Пользовательский курс");
+  expect(flat(receiptSections({ ...single, customRate: "1 250,5" }))["Источник"]).toBe("Пользовательский курс");
+  expect(flat(receiptSections({ ...single, customRate: "89,5" }, { t: createTranslator("en") }))["Source"]).toBe("Custom rate");
+});
+
+test("basket receipts list the lines", () => {
+  const basket = { ...single, kind: "basket", lines: [{ description: "Пипетки", amount: 10, currency: "EUR", rate: 100, rub: 1000 }], deltaRub: -12.5, fees: [], note: "" };
+  const sections = receiptSections(basket);
+  expect(sections.find((s) => s.heading === "Позиции").rows).toEqual([["Пипетки · 10 EUR × 100", "1 000 ₽"]]);
+  expect(flat(sections)["Δ к ЦБ РФ"]).toBe("-12,5 ₽");
+});
+
+test("file name and caption", () => {
+  expect(receiptFileName(single)).toBe("tanaq-2024-01-10-1230.pdf");
+  expect(receiptCaption(single)).toMatch(/^TANAQ: 1\s000 USD → 92\s500 ₽\nСчёт 42$/);
+});
+
+test("createReceiptPdf draws a Cyrillic PDF with the embedded font", async () => {
+  const fontBytes = new Uint8Array(readFileSync(join(__dirname, "../../public/fonts/DejaVuSans.ttf")));
+  const bytes = await createReceiptPdf({ ...single, note: "Очень длинное примечание ".repeat(40) }, { fontBytes });
+  expect(String.fromCharCode(...bytes.subarray(0, 5))).toBe("%PDF-");
+  const doc = await PDFDocument.load(bytes);
+  expect(doc.getTitle()).toBe("Расчёт конвертации в рубли");
+  expect(doc.getPageCount()).toBe(1);
+  expect(atob(toBase64(bytes)).length).toBe(bytes.length);
+});
@@ -0,0 +1,100 @@
+import { weightedAvg, spendQuote, bookDepth } from "./orderbook.js";
+
+// -------------------------------------------------
+// Conversion route engine
+//
+// Edge: { id, from, to, label, source, feePct?, feeFixed? } plus either
+//   rate            – flat `to` per 1 `from`
+//   levels + side   – order book; "sell" walks bids with `from` = base,
+//                     "buy" spends `from` = quote against asks
+// Fees are taken in the `from` currency before conversion.
+// -------------------------------------------------
+
+export const DEFAULT_MAX_HOPS = 3;
+export const DEFAULT_ROUTE_LIMIT = 3;
+
+// Flat-rate edges work both ways; books only in the direction given.
+// A fixed fee stays the same amount of money, so on the reverse it is restated in the new `from`.
+export function withReverseEdges(edges = []) {
+  const out = [];
+  edges.forEach((e) => {
+    out.push(e);
+    if (!(e.rate > 0) || e.oneWay) return;
+    const reverse = { ...e, id: `${e.id}~rev`, from: e.to, to: e.from, rate: 1 / e.rate };
+    if (e.feeFixed) reverse.feeFixed = e.feeFixed * e.rate;
+    out.push(reverse);
+  });
+  return out;
+}
+
+// One hop: { edge, amountIn, fee, amountOut, rate, covered, bookShare }
+export function applyEdge(edge, amountIn) {
+  const fee = Math.min(amountIn, amountIn * ((edge.feePct || 0) / 100) + (edge.feeFixed || 0));
+  const net = amountIn - fee;
+  let amountOut = 0;
+  let covered = 1;
+  let bookShare = null;
+  if (edge.levels) {
+    if (edge.side === "buy") {
+      const fill = spendQuote(edge.levels, net);
+      amountOut = fill.received;
+      covered = fill.covered;
+      bookShare = fill.received / (bookDepth(edge.levels) || 1);
+    } else {
+      const fill = weightedAvg(edge.levels, net);
+      const filled = fill.covered * net;
+      amountOut = fill.avg ? fill.avg * filled : 0;
+      covered = fill.covered;
+      bookShare = filled / (bookDepth(edge.levels) || 1);
+    }
+  } else if (edge.rate > 0) {
+    amountOut = net * edge.rate;
+  } else {
+    covered = 0;
+  }
+  const consumed = amountIn * covered;
+  return { edge, amountIn, fee, amountOut, rate: consumed > 0 ? amountOut / consumed : null, covered, bookShare };
+}
+
+// Walks `amount` along a list of edges. Partially filled hops pass on only what was filled.
+export function evaluatePath(path, amount) {
+  const hops = [];
+  let current = amount;
+  for (const edge of path) {
+    const hop = applyEdge(edge, current);
+    hops.push(hop);
+    current = hop.amountOut;
+    if (!(current > 0)) return null;
+  }
+  const rate = hops.reduce((r, h) => r * h.rate, 1);
+  const covered = hops.reduce((c, h) => c * h.covered, 1);
+  return { hops, amountIn: amount, amountOut: current, rate, covered, complete: covered >= 1 - 1e-9 };
+}
+
+// Simple paths from -> to (no currency visited twice), at most maxHops edges.
+export function findPaths(edges, from, to, maxHops = DEFAULT_MAX_HOPS) {
+  const bySource = new Map();
+  edges.forEach((e) => bySource.set(e.from, [...(bySource.get(e.from) ?? []), e]));
+  const paths = [];
+  const walk = (node, path, seen) => {
+    if (node === to && path.length) { paths.push(path); return; }
+    if (path.length >= maxHops) return;
+    (bySource.get(node) ?? []).forEach((e) => {
+      if (!seen.has(e.to)) walk(e.to, [...path, e], new Set([...seen, e.to]));
+    });
+  };
+  walk(from, [], new Set([from]));
+  return paths;
+}
+
+// Best routes for `amount` of `from`, most `to` received first.
+export function findRoutes(edges, { from, to = "RUB", amount, maxHops = DEFAULT_MAX_HOPS, limit = DEFAULT_ROUTE_LIMIT }) {
+  if (!(amount > 0) || from === to) return [];
+  return findPaths(edges, from, to, maxHops)
+    .map((path) => evaluatePath(path, amount))
+    .filter(Boolean)
+    .sort((a, b) => b.amountOut - a.amountOut)
+    .slice(0, limit);
+}
+
+export const routeLabel = (route) => [route.hops[0].edge.from, ...route.hops.map((h) => h.edge.to)].join(" → ");
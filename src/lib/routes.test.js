@@ -0,0 +1,78 @@
+import { applyEdge, evaluatePath, findPaths, findRoutes, withReverseEdges, routeLabel } from "./routes";
+
+const bids = { id: "bk:bids", from: "USDT", to: "THB", levels: [[36, 100], [35, 100]], side: "sell", label: "bids" };
+const thbRub = { id: "cbrf:THB", from: "THB", to: "RUB", rate: 2.5, label: "cbrf" };
+const usdtRub = { id: "mkt:USDT", from: "USDT", to: "RUB", rate: 88, label: "market" };
+const aedUsdt = { id: "own:aed", from: "USDT", to: "AED", rate: 3.6, feePct: 1, label: "exchanger" };
+const aedRub = { id: "cbrf:AED", from: "AED", to: "RUB", rate: 24, label: "cbrf" };
+
+describe("applyEdge", () => {
+  test("flat rate with percent and fixed fee taken in the source currency", () => {
+    const hop = applyEdge({ from: "USD", to: "RUB", rate: 90, feePct: 1, feeFixed: 5 }, 1000);
+    expect(hop.fee).toBe(15);
+    expect(hop.amountOut).toBe(985 * 90);
+    expect(hop.rate).toBeCloseTo(88.65);
+    expect(hop.bookShare).toBeNull();
+  });
+
+  test("order book hop reports coverage and book share", () => {
+    const hop = applyEdge(bids, 400);
+    expect(hop.covered).toBe(0.5);
+    expect(hop.amountOut).toBe(7100);
+    expect(hop.rate).toBe(35.5);
+    expect(hop.bookShare).toBe(1);
+  });
+});
+
+describe("route search", () => {
+  test("the Bitkub path is a two-hop special case", () => {
+    const [route] = findRoutes([bids, thbRub], { from: "USDT", amount: 100 });
+    expect(routeLabel(route)).toBe("USDT → THB → RUB");
+    expect(route.rate).toBeCloseTo(36 * 2.5);
+    expect(route.amountOut).toBeCloseTo(9000);
+    expect(route.complete).toBe(true);
+  });
+
+  test("ranks routes by RUB received and caps the list", () => {
+    const routes = findRoutes([bids, thbRub, usdtRub], { from: "USDT", amount: 100 });
+    expect(routes.map(routeLabel)).toEqual(["USDT → THB → RUB", "USDT → RUB"]);
+    expect(findRoutes([bids, thbRub, usdtRub], { from: "USDT", amount: 100, limit: 1 })).toHaveLength(1);
+  });
+
+  test("reversed flat edges let a currency reach RUB through USDT", () => {
+    const edges = withReverseEdges([aedUsdt, usdtRub]);
+    const paths = findPaths(edges, "AED", "RUB");
+    expect(paths.map((p) => p.map((e) => e.id))).toEqual([["own:aed~rev", "mkt:USDT"]]);
+    const route = evaluatePath(paths[0], 360);
+    expect(route.hops[0].amountOut).toBeCloseTo(99);
+    expect(route.amountOut).toBeCloseTo(99 * 88);
+  });
+
+  test("a fixed fee on a reversed edge is charged in its new from currency", () => {
+    const [, reverse] = withReverseEdges([{ id: "own:usdt", from: "USDT", to: "THB", rate: 35, feeFixed: 1 }]);
+    expect(reverse).toMatchObject({ from: "THB", to: "USDT", feeFixed: 35 });
+    const hop = applyEdge(reverse, 3535);
+    expect(hop.fee).toBeCloseTo(35);
+    expect(hop.amountOut).toBeCloseTo(100);
+  });
+
+  test("does not revisit currencies and respects maxHops", () => {
+    const edges = withReverseEdges([aedUsdt, usdtRub, aedRub]);
+    expect(findPaths(edges, "AED", "RUB", 1)).toHaveLength(1);
+    findPaths(edges, "AED", "RUB").forEach((p) => {
+      const nodes = [p[0].from, ...p.map((e) => e.to)];
+      expect(new Set(nodes).size).toBe(nodes.length);
+    });
+  });
+
+  test("partial fills are flagged and ranked by what actually arrives", () => {
+    const [route] = findRoutes([bids, thbRub], { from: "USDT", amount: 400 });
+    expect(route.complete).toBe(false);
+    expect(route.covered).toBe(0.5);
+    expect(route.amountOut).toBeCloseTo(7100 * 2.5);
+  });
+
+  test("no routes for non-positive amounts", () => {
+    expect(findRoutes([usdtRub], { from: "USDT", amount: 0 })).toEqual([]);
+  });
+});
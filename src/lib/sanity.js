@@ -0,0 +1,45 @@
+import { deltaVsCbrf } from "./conversion.js";
+import { formatAge, sourceFreshness } from "./freshness.js";
+import { defaultT, providerText } from "./i18n.js";
+
+// -------------------------------------------------
+// Sanity checks run before a result is shown or saved
+//
+// Issue: { id, level: 'warn' | 'block', message }
+// Any 'block' issue disables saving; 'warn' only flags the result.
+// -------------------------------------------------
+
+// Allowed |Δ| to CBRF, in %: for quotes from a source, and for a custom / official rate.
+export const DEFAULT_SANITY_LIMITS = { maxDivergencePct: 5, maxCustomDivergencePct: 10 };
+
+export const isBlocked = (issues = []) => issues.some((i) => i.level === "block");
+
+// Keeps the first issue per id (basket lines often share a source).
+export const uniqueIssues = (issues) => [...new Map(issues.map((i) => [i.id, i])).values()];
+
+// A rate (RUB per 1 unit) against the CBRF reference. No reference, no verdict.
+export function checkRate({ rate, cbrfRate, currency, label, custom = false }, limits = DEFAULT_SANITY_LIMITS, t = defaultT) {
+  if (!(rate > 0) || !(cbrfRate > 0) || currency === "RUB") return [];
+  const { pct } = deltaVsCbrf(rate, cbrfRate);
+  const max = custom ? limits.maxCustomDivergencePct : limits.maxDivergencePct;
+  if (!(Math.abs(pct) > max)) return [];
+  const diff = `${pct > 0 ? "+" : ""}${t.num(pct, 1)}%`;
+  const limit = t.num(max);
+  return [custom
+    ? { id: `custom:${currency}`, level: "block", message: t("sanity.custom", { currency, diff, max: limit }) }
+    : { id: `divergence:${label}:${currency}`, level: "block", message: t("sanity.divergence", { label, currency, diff, max: limit }) }];
+}
+
+// Age and payload of every snapshot a quote from `id` reads (see src/lib/freshness).
+// ctx: { currency, date, snapshots, side, now, t }
+export function checkSource(registry, id, ctx) {
+  const t = ctx.t ?? defaultT;
+  return sourceFreshness(registry, id, ctx).flatMap(({ provider, snapshot, status, ageMs }) => {
+    const params = { label: providerText(t, provider, "caption"), age: formatAge(ageMs, t) };
+    const issues = [];
+    if (status === "expired") issues.push({ id: `expired:${provider.id}`, level: "block", message: t("sanity.expired", params) });
+    if (status === "stale") issues.push({ id: `stale:${provider.id}`, level: "warn", message: t(snapshot.stale ? "sanity.staleDown" : "sanity.stale", params) });
+    if (snapshot && provider.validate) issues.push(...provider.validate(snapshot.data, ctx));
+    return issues;
+  });
+}
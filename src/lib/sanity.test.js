@@ -0,0 +1,49 @@
+import { DEFAULT_SANITY_LIMITS, checkRate, checkSource, isBlocked, uniqueIssues } from "./sanity";
+import { providers } from "./providers";
+import { createTranslator } from "./i18n";
+
+const NOW = Date.parse("2024-01-10T12:00:00Z");
+const ago = (ms) => new Date(NOW - ms).toISOString();
+const MIN = 60 * 1000;
+
+test("source quotes and custom rates are held to their own divergence limits", () => {
+  expect(checkRate({ rate: 92, cbrfRate: 90, currency: "USD", label: "exchangerate.host" })).toEqual([]);
+  const [far] = checkRate({ rate: 99, cbrfRate: 90, currency: "USD", label: "exchangerate.host" });
+  expect(far).toMatchObject({ id: "divergence:exchangerate.host:USD", level: "block" });
+  expect(far.message).toContain("+10%");
+  expect(checkRate({ rate: 97, cbrfRate: 90, currency: "USD", custom: true })).toEqual([]);
+  expect(checkRate({ rate: 80, cbrfRate: 90, currency: "USD", custom: true })[0]).toMatchObject({ id: "custom:USD", level: "block" });
+  expect(checkRate({ rate: 99, cbrfRate: 90, currency: "USD", label: "x" }, { ...DEFAULT_SANITY_LIMITS, maxDivergencePct: 20 })).toEqual([]);
+  expect(checkRate({ rate: 99, cbrfRate: null, currency: "USD", label: "x" })).toEqual([]);
+});
+
+test("the divergence and its limit are written in the user's locale", () => {
+  const rate = { rate: 81.45, cbrfRate: 90, currency: "USD", custom: true };
+  const limits = { ...DEFAULT_SANITY_LIMITS, maxCustomDivergencePct: 7.5 };
+  expect(checkRate(rate, limits)[0].message).toBe("Свой курс USD отличается от ЦБ РФ на -9,5% (допустимо ±7,5%).");
+  expect(checkRate(rate, limits, createTranslator("en"))[0].message).toContain("-9.5%");
+  expect(checkRate(rate, limits, createTranslator("en"))[0].message).toContain("7.5%");
+});
+
+test("expired data blocks, stale data warns", () => {
+  const snapshots = { cbrf: { data: { USD: 90 }, updated: ago(40 * 60 * MIN) }, "market:USD": { data: { rate: 90 }, updated: ago(20 * MIN) } };
+  const issues = checkSource(providers, "market", { currency: "USD", snapshots, now: NOW });
+  expect(issues).toEqual([expect.objectContaining({ id: "stale:market", level: "warn" })]);
+  const withCbrf = checkSource(providers, "route", { currency: "USD", snapshots, now: NOW });
+  expect(withCbrf.map((i) => [i.id, i.level])).toEqual([["expired:cbrf", "block"], ["stale:market", "warn"]]);
+  expect(isBlocked(withCbrf)).toBe(true);
+  expect(isBlocked(issues)).toBe(false);
+});
+
+test("an empty or crossed Bitkub book blocks the result", () => {
+  const fresh = (data) => ({ cbrf: { data: { THB: 2.5 }, updated: ago(MIN) }, bitkub: { data, updated: ago(10 * 1000) } });
+  const ctx = (data, side) => ({ currency: "USDT", snapshots: fresh(data), side, now: NOW });
+  expect(checkSource(providers, "bitkub", ctx({ bids: [[36, 10]], asks: [[36.1, 10]] }))).toEqual([]);
+  expect(checkSource(providers, "bitkub", ctx({ bids: [], asks: [[36.1, 10]] }))[0]).toMatchObject({ id: "bitkub:empty", level: "block" });
+  expect(checkSource(providers, "bitkub", ctx({ bids: [[36, 10]], asks: [] }, "buy"))[0].id).toBe("bitkub:empty");
+  expect(checkSource(providers, "bitkub", ctx({ bids: [[36.5, 10]], asks: [[36.1, 10]] }))[0]).toMatchObject({ id: "bitkub:crossed", level: "block" });
+});
+
+test("uniqueIssues keeps one issue per id", () => {
+  expect(uniqueIssues([{ id: "a", level: "warn" }, { id: "a", level: "warn" }, { id: "b", level: "block" }]).map((i) => i.id)).toEqual(["a", "b"]);
+});
@@ -0,0 +1,94 @@
+import { validateSettings } from "./persist.js";
+import { normalizeEntry } from "./history.js";
+import { createApiClient } from "./api.js";
+
+// -------------------------------------------------
+// Settings and history sync with the TANAQ server (server/src/userApi)
+//
+// One request, POST /sync, both pushes and pulls:
+//   body     { settings?: { value, updatedAt }, changes: [record] }
+//   response { settings: { value, updatedAt } | null, history: [record] }
+// A record is a history entry carrying `uid` and `updatedAt`, or a tombstone
+// { uid, updatedAt, deleted: true }. Newer updatedAt wins, per entry and for the
+// settings as a whole. Changes made offline wait in the outbox (SYNC_KEY) until
+// the next successful request.
+// -------------------------------------------------
+
+export const SYNC_KEY = "tanaq_sync";
+
+// Per-device settings: how this device reaches the server, and the pre-IndexedDB history.
+export const DEVICE_FIELDS = ["useProxy", "proxyUrl", "syncEnabled", "history"];
+
+export function syncedSettings(state) {
+  const { value } = validateSettings(state);
+  DEVICE_FIELDS.forEach((f) => delete value[f]);
+  return value;
+}
+
+let seq = 0;
+export const newUid = () => `h-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}${(seq++).toString(36)}`;
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Record as stored on the server; null when it cannot be one. Local IndexedDB ids are dropped.
+export function toRecord(raw) {
+  if (!isObject(raw) || typeof raw.uid !== "string" || !raw.uid || !Number.isFinite(raw.updatedAt)) return null;
+  if (raw.deleted) return { uid: raw.uid, updatedAt: raw.updatedAt, deleted: true };
+  const { id, deleted, ...entry } = normalizeEntry(raw);
+  return entry;
+}
+
+// Last write wins per uid. Returns the merged list (tombstones included).
+export function mergeRecords(current = [], incoming = []) {
+  const byUid = new Map(current.map((r) => [r.uid, r]));
+  incoming.forEach((r) => {
+    const existing = byUid.get(r.uid);
+    if (!existing || r.updatedAt > existing.updatedAt) byUid.set(r.uid, r);
+  });
+  return [...byUid.values()];
+}
+
+// Adds a change to the outbox, replacing an older one for the same entry.
+export const queueChange = (outbox = [], record) => [...outbox.filter((r) => r.uid !== record.uid), record];
+
+// What to do with the local history after the server answered with `remote` records:
+// { add: [entry], update: [{ id, entry }], remove: [id] }. Local entries without a uid
+// are left alone (they are pushed as new on the next request).
+export function reconcileHistory(local = [], remote = []) {
+  const byUid = new Map(local.filter((e) => e.uid).map((e) => [e.uid, e]));
+  const plan = { add: [], update: [], remove: [] };
+  remote.forEach((r) => {
+    const mine = byUid.get(r.uid);
+    if (r.deleted) {
+      if (mine) plan.remove.push(mine.id);
+    } else if (!mine) {
+      plan.add.push(r);
+    } else if (r.updatedAt > (mine.updatedAt ?? 0)) {
+      plan.update.push({ id: mine.id, entry: r });
+    }
+  });
+  return plan;
+}
+
+// -------- Outbox / metadata --------
+// { outbox: [record], settingsUpdatedAt, settingsDirty, lastSyncAt }
+export const emptySyncMeta = () => ({ outbox: [], settingsUpdatedAt: 0, settingsDirty: false, lastSyncAt: null });
+
+export function loadSyncMeta(storage) {
+  try {
+    const doc = JSON.parse(storage.getItem(SYNC_KEY));
+    if (!isObject(doc)) return emptySyncMeta();
+    return { ...emptySyncMeta(), ...doc, outbox: Array.isArray(doc.outbox) ? doc.outbox.filter((r) => toRecord(r)) : [] };
+  } catch {
+    return emptySyncMeta();
+  }
+}
+
+export const saveSyncMeta = (storage, meta) => storage.setItem(SYNC_KEY, JSON.stringify(meta));
+
+// -------- Client --------
+// initData: Telegram.WebApp.initData, see src/lib/api.
+export function createSyncClient(options) {
+  const request = createApiClient(options);
+  return { sync: ({ settings = null, changes = [] } = {}) => request("POST", "/sync", { settings, changes }) };
+}
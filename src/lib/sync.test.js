@@ -0,0 +1,54 @@
+import { SYNC_KEY, syncedSettings, toRecord, mergeRecords, queueChange, reconcileHistory, loadSyncMeta, createSyncClient } from "./sync";
+
+test("syncedSettings keeps validated user settings and drops per-device ones", () => {
+  const value = syncedSettings({ currency: "THB", useProxy: true, proxyUrl: "https://x", syncEnabled: true, history: [], snapshots: {} });
+  expect(value.currency).toBe("THB");
+  ["useProxy", "proxyUrl", "syncEnabled", "history", "snapshots"].forEach((f) => expect(value).not.toHaveProperty(f));
+});
+
+test("toRecord normalises entries, keeps tombstones and rejects records without uid/updatedAt", () => {
+  expect(toRecord({ uid: "a", updatedAt: 5, ts: 1, id: 3, amount: 1 })).toMatchObject({ uid: "a", updatedAt: 5, ts: 1, note: "", tag: "" });
+  expect(toRecord({ uid: "a", updatedAt: 5, ts: 1, id: 3 })).not.toHaveProperty("id");
+  expect(toRecord({ uid: "a", updatedAt: 6, deleted: true, note: "x" })).toEqual({ uid: "a", updatedAt: 6, deleted: true });
+  expect(toRecord({ uid: "a" })).toBeNull();
+  expect(toRecord({ updatedAt: 1 })).toBeNull();
+});
+
+test("mergeRecords and queueChange keep the latest change per entry", () => {
+  const merged = mergeRecords([{ uid: "a", updatedAt: 5, note: "old" }, { uid: "b", updatedAt: 9 }], [{ uid: "a", updatedAt: 6, note: "new" }, { uid: "b", updatedAt: 8, deleted: true }, { uid: "c", updatedAt: 1 }]);
+  expect(merged).toEqual([{ uid: "a", updatedAt: 6, note: "new" }, { uid: "b", updatedAt: 9 }, { uid: "c", updatedAt: 1 }]);
+  expect(queueChange([{ uid: "a", updatedAt: 1 }, { uid: "b", updatedAt: 1 }], { uid: "a", updatedAt: 2, deleted: true })).toEqual([{ uid: "b", updatedAt: 1 }, { uid: "a", updatedAt: 2, deleted: true }]);
+});
+
+test("reconcileHistory adds remote entries, applies newer edits and remote deletes", () => {
+  const local = [{ id: 1, uid: "a", updatedAt: 5 }, { id: 2, uid: "b", updatedAt: 7 }, { id: 3, uid: "c", updatedAt: 1 }];
+  const remote = [{ uid: "a", updatedAt: 6, note: "x" }, { uid: "b", updatedAt: 6 }, { uid: "c", updatedAt: 2, deleted: true }, { uid: "d", updatedAt: 1 }, { uid: "e", updatedAt: 1, deleted: true }];
+  expect(reconcileHistory(local, remote)).toEqual({
+    add: [{ uid: "d", updatedAt: 1 }],
+    update: [{ id: 1, entry: { uid: "a", updatedAt: 6, note: "x" } }],
+    remove: [3],
+  });
+});
+
+test("loadSyncMeta survives missing or corrupt metadata and drops broken outbox records", () => {
+  const storage = (raw) => ({ getItem: (k) => (k === SYNC_KEY ? raw : null) });
+  expect(loadSyncMeta(storage(null)).outbox).toEqual([]);
+  expect(loadSyncMeta(storage("{oops")).settingsUpdatedAt).toBe(0);
+  const meta = loadSyncMeta(storage(JSON.stringify({ outbox: [{ uid: "a", updatedAt: 1 }, { nope: true }], settingsDirty: true })));
+  expect(meta.outbox).toEqual([{ uid: "a", updatedAt: 1 }]);
+  expect(meta.settingsDirty).toBe(true);
+});
+
+test("createSyncClient signs requests with initData and reports offline/refused as status", async () => {
+  const ok = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ settings: null, history: [] }) }));
+  await createSyncClient({ baseUrl: "https://api.example/", initData: "a=1&hash=2", fetchImpl: ok }).sync({ changes: [{ uid: "a", updatedAt: 1 }] });
+  const [url, init] = ok.mock.calls[0];
+  expect(url).toBe("https://api.example/sync");
+  expect(init.headers.authorization).toBe("tma a=1&hash=2");
+  expect(JSON.parse(init.body)).toEqual({ settings: null, changes: [{ uid: "a", updatedAt: 1 }] });
+
+  const offline = createSyncClient({ baseUrl: "https://api.example", initData: "", fetchImpl: () => Promise.reject(new TypeError("Failed to fetch")) });
+  await expect(offline.sync()).rejects.toMatchObject({ status: 0 });
+  const refused = createSyncClient({ baseUrl: "https://api.example", initData: "", fetchImpl: () => Promise.resolve({ ok: false, status: 401 }) });
+  await expect(refused.sync()).rejects.toMatchObject({ status: 401 });
+});
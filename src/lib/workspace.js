@@ -0,0 +1,104 @@
+import { SETTINGS_FIELDS } from "./persist.js";
+import { createApiClient } from "./api.js";
+
+// -------------------------------------------------
+// Team workspaces (stored by server/src/workspaceApi)
+//
+// Workspace: {
+//   id, name,
+//   members: [{ userId, name, role: 'manager' | 'member', joinedAt }],
+//   invite,                          – join secret, sent to managers only
+//   currencies: [code],              – shared currency list, [] = app defaults
+//   feeProfiles, feeProfileBySource, – shared fee settings (src/lib/fees), null = personal ones
+//   officialRates: { [code]: { rate, lockedBy, lockedAt } },
+//                                    – internal rate per currency, overrides customRate
+//   submissions: [{ id, entry, submittedBy: { id, name }, submittedAt,
+//                   status: 'pending' | 'approved' | 'rejected',
+//                   review: { by: { id, name }, at, comment } | null }],
+//   updatedAt,
+// }
+// A Telegram group joins through the invite link (start_param "ws_<id>-<invite>")
+// posted in the group; whoever opens it becomes a member.
+// -------------------------------------------------
+
+export const WORKSPACE_ROLES = ["manager", "member"];
+export const SUBMISSION_STATUSES = ["pending", "approved", "rejected"];
+export const WORKSPACE_KEY = "tanaq_workspace"; // last fetched active workspace, for offline use
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const CODE = /^[A-Z]{3,5}$/;
+
+export const inviteParam = (ws) => `ws_${ws.id}-${ws.invite}`;
+
+// Accepts the bare start_param or a t.me link carrying it; null when it is not an invite.
+export function parseInvite(text) {
+  const m = /(?:^|[?&]startapp=)ws_([a-z0-9]+)-([a-z0-9]+)(?:$|&)/.exec(String(text ?? "").trim());
+  return m ? { id: m[1], invite: m[2] } : null;
+}
+
+export const memberRole = (ws, userId) => ws?.members?.find((m) => m.userId === userId)?.role ?? null;
+
+export const officialRate = (ws, currency) => ws?.officialRates?.[currency]?.rate ?? null;
+
+// customRate to price `currency` with: the locked official rate wins over the user's own.
+export const rateOverride = (ws, currency, customRate) => {
+  const rate = officialRate(ws, currency);
+  return rate ? String(rate) : customRate;
+};
+
+// Currency list for pickers: the workspace's codes (named from `defaults` where known), or `defaults`.
+export function workspaceCurrencies(ws, defaults) {
+  if (!ws?.currencies?.length) return defaults;
+  return ws.currencies.map((code) => defaults.find((c) => c.code === code) ?? { code, name: code });
+}
+
+// Shared fee settings, or null when the workspace leaves fees to each member.
+export const workspaceFees = (ws) => (ws?.feeProfiles ? { feeProfiles: ws.feeProfiles, feeProfileBySource: ws.feeProfileBySource ?? {} } : null);
+
+const validFeeProfiles = SETTINGS_FIELDS.feeProfiles[1];
+
+// Manager-editable fields. Returns { value, invalid: [field] } with only the valid fields of `patch`;
+// officialRates maps code -> rate (> 0) to lock, or null to unlock.
+export function validateWorkspacePatch(patch) {
+  const source = isObject(patch) ? patch : {};
+  const checks = {
+    name: (v) => typeof v === "string" && v.trim().length > 0 && v.length <= 80,
+    currencies: (v) => Array.isArray(v) && v.every((c) => CODE.test(c)),
+    feeProfiles: (v) => v === null || validFeeProfiles(v),
+    feeProfileBySource: isObject,
+    officialRates: (v) => isObject(v) && Object.entries(v).every(([code, rate]) => CODE.test(code) && (rate === null || (Number.isFinite(rate) && rate > 0))),
+  };
+  const value = {};
+  const invalid = [];
+  Object.entries(checks).forEach(([field, valid]) => {
+    if (!(field in source)) return;
+    if (valid(source[field])) value[field] = source[field];
+    else invalid.push(field);
+  });
+  return { value, invalid };
+}
+
+export function loadCachedWorkspace(storage) {
+  try {
+    const ws = JSON.parse(storage.getItem(WORKSPACE_KEY));
+    return isObject(ws) && typeof ws.id === "string" ? ws : null;
+  } catch {
+    return null;
+  }
+}
+
+// -------- Client --------
+export function createWorkspaceClient(options) {
+  const request = createApiClient(options);
+  const at = (id, path = "") => `/workspaces/${encodeURIComponent(id)}${path}`;
+  return {
+    list: () => request("GET", "/workspaces"),
+    create: (name) => request("POST", "/workspaces", { name }),
+    join: ({ id, invite }) => request("POST", "/workspaces/join", { id, invite }),
+    get: (id) => request("GET", at(id)),
+    update: (id, patch) => request("PUT", at(id), patch),
+    setRole: (id, userId, role) => request("PUT", at(id, `/members/${userId}`), { role }),
+    submit: (id, entry) => request("POST", at(id, "/submissions"), { entry }),
+    review: (id, submissionId, { status, comment }) => request("POST", at(id, `/submissions/${encodeURIComponent(submissionId)}/review`), { status, comment }),
+  };
+}
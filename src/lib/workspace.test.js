@@ -0,0 +1,52 @@
+import { WORKSPACE_KEY, inviteParam, parseInvite, memberRole, officialRate, rateOverride, workspaceCurrencies, workspaceFees, validateWorkspacePatch, loadCachedWorkspace } from "./workspace";
+
+const WS = {
+  id: "abc123", name: "Закупки", invite: "f00d",
+  members: [{ userId: 1, name: "Anna", role: "manager" }, { userId: 2, name: "Boris", role: "member" }],
+  currencies: ["USD", "KZT"],
+  feeProfiles: null, feeProfileBySource: {},
+  officialRates: { USD: { rate: 92.5, lockedBy: { id: 1, name: "Anna" }, lockedAt: 1 } },
+  submissions: [],
+};
+
+test("invite links round-trip as start_param, bare or inside a t.me link", () => {
+  expect(inviteParam(WS)).toBe("ws_abc123-f00d");
+  expect(parseInvite("ws_abc123-f00d")).toEqual({ id: "abc123", invite: "f00d" });
+  expect(parseInvite(" https://t.me/tanaq_bot/app?startapp=ws_abc123-f00d ")).toEqual({ id: "abc123", invite: "f00d" });
+  expect(parseInvite("https://t.me/tanaq_bot/app?startapp=calc")).toBeNull();
+  expect(parseInvite("")).toBeNull();
+});
+
+test("roles, official rates and the rate override", () => {
+  expect(memberRole(WS, 1)).toBe("manager");
+  expect(memberRole(WS, 3)).toBeNull();
+  expect(officialRate(WS, "USD")).toBe(92.5);
+  expect(officialRate(null, "USD")).toBeNull();
+  expect(rateOverride(WS, "USD", "95")).toBe("92.5");
+  expect(rateOverride(WS, "EUR", "101")).toBe("101");
+  expect(rateOverride(null, "USD", "")).toBe("");
+});
+
+test("workspace currencies and fees fall back to personal ones", () => {
+  const defaults = [{ code: "USD", name: "US Dollar" }, { code: "EUR", name: "Euro" }];
+  expect(workspaceCurrencies(WS, defaults)).toEqual([{ code: "USD", name: "US Dollar" }, { code: "KZT", name: "KZT" }]);
+  expect(workspaceCurrencies({ ...WS, currencies: [] }, defaults)).toBe(defaults);
+  expect(workspaceFees(WS)).toBeNull();
+  const profiles = [{ id: "bank", name: "Банк", rules: [] }];
+  expect(workspaceFees({ ...WS, feeProfiles: profiles, feeProfileBySource: { cbrf: "bank" } })).toEqual({ feeProfiles: profiles, feeProfileBySource: { cbrf: "bank" } });
+});
+
+test("validateWorkspacePatch keeps valid fields and names the rest", () => {
+  expect(validateWorkspacePatch({ name: "Команда", currencies: ["USD"], officialRates: { USD: 90, CNY: null }, feeProfiles: null, other: 1 })).toEqual({
+    value: { name: "Команда", currencies: ["USD"], officialRates: { USD: 90, CNY: null }, feeProfiles: null },
+    invalid: [],
+  });
+  expect(validateWorkspacePatch({ name: " ", currencies: ["usd"], officialRates: { USD: -1 }, feeProfiles: [{ id: 1 }] }).invalid).toEqual(["name", "currencies", "feeProfiles", "officialRates"]);
+});
+
+test("loadCachedWorkspace ignores missing or broken cache", () => {
+  const storage = (raw) => ({ getItem: (k) => (k === WORKSPACE_KEY ? raw : null) });
+  expect(loadCachedWorkspace(storage(JSON.stringify(WS))).name).toBe("Закупки");
+  expect(loadCachedWorkspace(storage(null))).toBeNull();
+  expect(loadCachedWorkspace(storage("{"))).toBeNull();
+});
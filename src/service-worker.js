@@ -0,0 +1,123 @@
+/* eslint-disable no-restricted-globals */
+
+// -------------------------------------------------
+// TANAQ service worker (built by react-scripts with Workbox InjectManifest)
+//
+// - the app shell is precached, navigations fall back to index.html;
+//   the Telegram script and the receipt font are kept as well
+// - rates and order books: network first; offline the last copy is served,
+//   stamped with CACHED_AT_HEADER (src/lib/offline)
+// - workspace and receipt writes that fail offline are queued and replayed
+//   by Background Sync when the connection returns; the app hears how each went
+// -------------------------------------------------
+
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { CacheFirst, NetworkFirst, NetworkOnly, StaleWhileRevalidate } from "workbox-strategies";
+import { CacheableResponsePlugin } from "workbox-cacheable-response";
+import { BackgroundSyncPlugin } from "workbox-background-sync";
+import { RATES_CACHE, WRITES_QUEUE, CACHED_AT_HEADER, REPLAY_RESULT, isRateRequest, isQueuedWrite, queuedTarget, canReplay } from "./lib/offline.js";
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations get index.html, except URLs starting with /_ and ones that look like files.
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === "navigate" && !url.pathname.startsWith("/_") && !url.pathname.match(fileExtensionRegexp),
+  createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html")
+);
+
+// telegram-web-app.js is loaded from index.html, so it belongs to the shell (an opaque response).
+registerRoute(
+  ({ url }) => url.origin === "https://telegram.org" && url.pathname.startsWith("/js/"),
+  new StaleWhileRevalidate({ cacheName: "tanaq-shell", plugins: [new CacheableResponsePlugin({ statuses: [0, 200] })] })
+);
+
+// The receipt font (RECEIPT_FONT_URL) is fetched on the first PDF, not precached.
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.startsWith(process.env.PUBLIC_URL + "/fonts/"),
+  new CacheFirst({ cacheName: "tanaq-shell", plugins: [new CacheableResponsePlugin({ statuses: [200] })] })
+);
+
+// Copies are re-wrapped on the way into the cache so they carry the time they were stored.
+const stampCachedAt = {
+  cacheWillUpdate: async ({ response }) => {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, String(Date.now()));
+    return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+  },
+};
+
+registerRoute(
+  ({ request }) => isRateRequest(request),
+  new NetworkFirst({
+    cacheName: RATES_CACHE,
+    networkTimeoutSeconds: 10,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      stampCachedAt,
+      new ExpirationPlugin({ maxEntries: 100, maxAgeSeconds: 30 * 24 * 60 * 60 }),
+    ],
+  })
+);
+
+// Replay results go to the open app; with none open they wait in a cache until it asks.
+const RESULTS_CACHE = "tanaq-replay-results";
+const RESULTS_KEY = "/replay-results";
+
+async function takeResults() {
+  const cache = await caches.open(RESULTS_CACHE);
+  const held = await cache.match(RESULTS_KEY);
+  await cache.delete(RESULTS_KEY);
+  return held ? held.json() : [];
+}
+
+async function report(result) {
+  const windows = await self.clients.matchAll({ type: "window" });
+  if (windows.length) return windows.forEach((w) => w.postMessage({ type: REPLAY_RESULT, results: [result] }));
+  const results = [...(await takeResults()), result];
+  await (await caches.open(RESULTS_CACHE)).put(RESULTS_KEY, new Response(JSON.stringify(results)));
+}
+
+// Only writes whose initData the server will still accept are queued (the app says "queued"
+// for those alone). Each is sent once when the connection returns: a refusal, or initData
+// that ran out in the meantime, drops it and is reported; a network failure keeps it queued.
+// The retention outlasts any initData so that nothing is dropped without a report.
+const replayable = (request) => canReplay(request.headers.get("authorization"));
+const writes = new BackgroundSyncPlugin(WRITES_QUEUE, {
+  maxRetentionTime: 2 * 24 * 60,
+  onSync: async ({ queue }) => {
+    let entry;
+    while ((entry = await queue.shiftRequest())) {
+      const { request } = entry;
+      const result = { target: queuedTarget(request.url), method: request.method };
+      if (!replayable(request)) {
+        await report({ ...result, ok: false, status: 401 });
+        continue;
+      }
+      let res;
+      try {
+        res = await fetch(request.clone());
+      } catch (e) {
+        await queue.unshiftRequest(entry);
+        throw e;
+      }
+      await report({ ...result, ok: res.ok, status: res.status });
+    }
+  },
+});
+const queueWrite = { fetchDidFail: async (params) => replayable(params.request) && writes.fetchDidFail(params) };
+["POST", "PUT"].forEach((method) => registerRoute(({ request }) => isQueuedWrite(request), new NetworkOnly({ plugins: [queueWrite] }), method));
+
+self.addEventListener("message", (event) => {
+  // Lets the app activate a waiting update (serviceWorkerRegistration onUpdate).
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+  // The app asks on start for results that came in while it was closed.
+  if (event.data?.type === REPLAY_RESULT) {
+    event.waitUntil(takeResults().then((results) => results.length && event.source?.postMessage({ type: REPLAY_RESULT, results })));
+  }
+});
@@ -0,0 +1,63 @@
+// -------------------------------------------------
+// Service worker registration (src/service-worker.js)
+//
+// Production builds only: in development the worker would serve stale bundles.
+// On localhost an existing worker is checked first, so a leftover one from
+// another project on the same port is removed instead of taking over.
+// -------------------------------------------------
+
+const isLocalhost = Boolean(
+  window.location.hostname === "localhost" ||
+    window.location.hostname === "[::1]" ||
+    window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+// config: { onSuccess(registration), onUpdate(registration) }
+export function register(config) {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  // a PUBLIC_URL on another origin (CDN) cannot host the worker
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost) checkValidServiceWorker(swUrl, config);
+    else registerValidSW(swUrl, config);
+  });
+}
+
+function registerValidSW(swUrl, config) {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then((registration) => {
+      registration.onupdatefound = () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.onstatechange = () => {
+          if (installing.state !== "installed") return;
+          // with a controller this is an update, waiting for the open tabs to close
+          if (navigator.serviceWorker.controller) config?.onUpdate?.(registration);
+          else config?.onSuccess?.(registration);
+        };
+      };
+    })
+    .catch((e) => console.error("Service worker registration failed:", e));
+}
+
+function checkValidServiceWorker(swUrl, config) {
+  fetch(swUrl, { headers: { "Service-Worker": "script" } })
+    .then((res) => {
+      const contentType = res.headers.get("content-type");
+      if (res.status === 404 || (contentType && !contentType.includes("javascript"))) {
+        navigator.serviceWorker.ready.then((registration) => registration.unregister()).then(() => window.location.reload());
+      } else {
+        registerValidSW(swUrl, config);
+      }
+    })
+    .catch(() => console.info("No internet connection found. App is running in offline mode."));
+}
+
+export function unregister() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready.then((registration) => registration.unregister()).catch((e) => console.error(e.message));
+}
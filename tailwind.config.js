@@ -0,0 +1,10 @@
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+  content: ["./src/**/*.{js,jsx}", "./public/index.html"],
+  // the app toggles the class from its theme setting (Telegram's colorScheme)
+  darkMode: "class",
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+};